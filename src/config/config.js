@@ -18,11 +18,18 @@ const envVarsSchema = Joi.object({
     SMTP_FROM: Joi.string().email().default('noreply@example.com').description('Default from email'),
     GEMINI_API_KEY: Joi.string().default('').description('Gemini API key'),
     GEMINI_API_SECRET: Joi.string().default('').description('Gemini API secret'),
-    AI_PROVIDER: Joi.string().valid('gemini', 'openrouter').default('gemini').description('AI provider to use'),
+    AI_PROVIDER: Joi.string().valid('gemini', 'openrouter', 'local', 'replay').default('gemini').description('AI provider to use'),
     OPENROUTER_API_KEY: Joi.string().default('').description('OpenRouter API key'),
     OPENROUTER_DEFAULT_MODEL: Joi.string().default('anthropic/claude-3.5-sonnet').description('Default OpenRouter model'),
     OPENROUTER_SITE_NAME: Joi.string().default('TravelSense').description('OpenRouter site name'),
-    OPENROUTER_SITE_URL: Joi.string().default('https://travelsense.com').description('OpenRouter site URL')
+    OPENROUTER_SITE_URL: Joi.string().default('https://travelsense.com').description('OpenRouter site URL'),
+    LOCAL_LLM_BASE_URL: Joi.string().uri().allow('').default('').description('OpenAI-compatible base URL of a self-hosted model, e.g. http://localhost:11434/v1'),
+    LOCAL_LLM_API_KEY: Joi.string().allow('').default('').description('API key for the self-hosted model, if it requires one'),
+    LOCAL_LLM_MODEL: Joi.string().default('llama3.1').description('Default self-hosted model'),
+    LOCAL_LLM_JSON_MODE: Joi.string().valid('json_schema', 'json_object', 'guided_json', 'none').default('json_schema').description('How structured output is requested from the self-hosted model'),
+    AI_REPLAY_MODE: Joi.string().valid('replay', 'record', 'auto').default('replay').description('Replay provider mode'),
+    AI_FIXTURES_DIR: Joi.string().description('Directory of recorded AI fixtures'),
+    AI_REPLAY_UPSTREAM: Joi.string().valid('gemini', 'openrouter', 'local').default('gemini').description('Provider the replay provider records from')
 })
 .unknown();
 
@@ -75,6 +82,17 @@ module.exports = {
             defaultModel: envVars.OPENROUTER_DEFAULT_MODEL,
             siteName: envVars.OPENROUTER_SITE_NAME,
             siteUrl: envVars.OPENROUTER_SITE_URL
+        },
+        local: {
+            baseUrl: envVars.LOCAL_LLM_BASE_URL,
+            apiKey: envVars.LOCAL_LLM_API_KEY,
+            model: envVars.LOCAL_LLM_MODEL,
+            jsonMode: envVars.LOCAL_LLM_JSON_MODE
+        },
+        replay: {
+            mode: envVars.AI_REPLAY_MODE,
+            fixturesDir: envVars.AI_FIXTURES_DIR,
+            upstream: envVars.AI_REPLAY_UPSTREAM
         }
     },
     log: {
@@ -270,6 +270,156 @@ const options = {
             }
           }
         },
+        Conversation: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            tripId: { type: 'string', nullable: true },
+            title: { type: 'string' },
+            messageCount: { type: 'integer' },
+            lastMessage: {
+              allOf: [{ $ref: '#/components/schemas/ConversationMessage' }],
+              nullable: true,
+              description: 'Last message (content truncated to 200 characters)'
+            },
+            lastMessageAt: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        ConversationMessage: {
+          type: 'object',
+          properties: {
+            role: { type: 'string', enum: ['user', 'assistant'] },
+            content: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        TripInfoChange: {
+          type: 'object',
+          properties: {
+            field: {
+              type: 'string',
+              enum: [
+                'destination.destination', 'destination.startDate', 'destination.endDate',
+                'travelers.adults', 'travelers.children', 'travelers.infants',
+                'budget.total', 'budget.currency', 'preferences.interests', 'preferences.constraints'
+              ]
+            },
+            value: { description: 'New value (dates as YYYY-MM-DD, lists include existing items)' },
+            previousValue: { description: 'Trip value when the change was extracted' },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            label: { type: 'string', description: 'Field name in the request locale' }
+          }
+        },
+        TripInfoProposal: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            tripId: { type: 'string' },
+            userId: { type: 'string' },
+            conversationId: { type: 'string' },
+            message: { type: 'string', description: 'Chat message the changes were extracted from' },
+            changes: { type: 'array', items: { $ref: '#/components/schemas/TripInfoChange' } },
+            status: { type: 'string', enum: ['pending', 'confirmed', 'rejected', 'superseded'] },
+            appliedFields: { type: 'array', items: { type: 'string' } },
+            createdAt: { type: 'string', format: 'date-time' },
+            resolvedAt: { type: 'string', format: 'date-time' },
+            expiresAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        ExpenseInput: {
+          type: 'object',
+          required: ['amount', 'category'],
+          properties: {
+            amount: { type: 'number', minimum: 0, maximum: 50000000 },
+            currency: { type: 'string', description: 'ISO 4217 code; defaults to the trip currency' },
+            category: { type: 'string', enum: ['accommodation', 'transportation', 'food', 'activities', 'shopping', 'other'] },
+            date: { type: 'string', format: 'date', description: 'Day of the spending; defaults to the linked activity day or today' },
+            activityId: { type: 'string', description: 'Itinerary activity the expense belongs to' },
+            paidBy: { type: 'string', description: 'User ID of the owner or a member; defaults to the current user' },
+            description: { type: 'string', maxLength: 200 }
+          }
+        },
+        Expense: {
+          allOf: [
+            { $ref: '#/components/schemas/ExpenseInput' },
+            {
+              type: 'object',
+              properties: {
+                _id: { type: 'string' },
+                createdBy: { type: 'string' },
+                createdAt: { type: 'string', format: 'date-time' },
+                updatedAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          ]
+        },
+        BudgetLine: {
+          type: 'object',
+          properties: {
+            planned: { type: 'number' },
+            actual: { type: 'number' },
+            remaining: { type: 'number' },
+            percentUsed: { type: 'integer', nullable: true, description: 'Null when nothing is planned' },
+            status: { type: 'string', enum: ['ok', 'warning', 'over', 'unplanned'] }
+          }
+        },
+        ItineraryJob: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            tripId: { type: 'string' },
+            status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] },
+            stage: { type: 'string', enum: ['days', 'tips', 'saving'] },
+            progress: {
+              type: 'object',
+              properties: {
+                completedChunks: { type: 'integer' },
+                totalChunks: { type: 'integer' },
+                percentage: { type: 'integer' }
+              }
+            },
+            chunks: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  chunkId: { type: 'string' },
+                  startDay: { type: 'integer' },
+                  endDay: { type: 'integer' },
+                  status: { type: 'string', enum: ['pending', 'running', 'completed', 'failed'] },
+                  attempts: { type: 'integer' },
+                  daysGenerated: { type: 'integer' },
+                  tokensUsed: { type: 'integer' },
+                  error: { type: 'string' }
+                }
+              }
+            },
+            days: {
+              type: 'array',
+              description: 'Days of the chunks completed so far',
+              items: { type: 'object' }
+            },
+            tokensUsed: { type: 'integer' },
+            timeConflicts: {
+              type: 'array',
+              description: 'Overlapping or past-midnight activities of the saved itinerary',
+              items: { type: 'object' }
+            },
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string' },
+                message: { type: 'string' }
+              }
+            },
+            resumeCount: { type: 'integer', description: 'Times the job was resumed after its worker stopped' },
+            createdAt: { type: 'string', format: 'date-time' },
+            startedAt: { type: 'string', format: 'date-time' },
+            finishedAt: { type: 'string', format: 'date-time' }
+          }
+        },
         SearchResult: {
           type: 'object',
           properties: {
@@ -409,6 +559,20 @@ const options = {
             }
           }
         }
+      },
+      parameters: {
+        Locale: {
+          in: 'query',
+          name: 'locale',
+          schema: { type: 'string', enum: ['en', 'vi'] },
+          description: 'Language of replies and generated content; defaults to the profile languages, then Accept-Language'
+        },
+        AcceptLanguage: {
+          in: 'header',
+          name: 'Accept-Language',
+          schema: { type: 'string', example: 'en-US,en;q=0.9,vi;q=0.8' },
+          description: 'Used for the reply language when neither locale nor a supported profile language is set'
+        }
       }
     },
     security: [
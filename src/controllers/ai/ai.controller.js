@@ -1,6 +1,24 @@
 const { validationResult } = require('express-validator');
-const { geminiService } = require('../../services/ai');
+const { geminiService, itineraryJobService, aiConversationService } = require('../../services/ai');
 const { responseService } = require('../../services/common');
+const { createEventStream } = require('../../utils/sse');
+const { getAIProvider } = require('../../services/ai/core/aiProvider.service');
+
+// Clients send "Cache-Control: no-cache" to skip the AI response cache
+const allowsCachedResponse = (req) => !/no-cache/i.test(req.get('Cache-Control') || '');
+
+// Report a failure on an SSE response: a JSON error before the stream started, an 'error' event after
+const sendStreamError = (res, stream, error) => {
+  if (stream.isClosed()) {
+    return;
+  }
+  if (!stream.isStarted()) {
+    return responseService.handleServiceError(res, error, 'Server error');
+  }
+  const { status, message, data } = responseService.resolveServiceError(error, 'Server error');
+  stream.send('error', { status, message, ...data });
+  stream.end();
+};
 
 // Chat with AI
 const chatWithAI = async (req, res) => {
@@ -22,7 +40,8 @@ const chatWithAI = async (req, res) => {
     const result = await geminiService.chatWithAI(userId, {
       message,
       context,
-      model
+      model,
+      locale: req.locale
     });
 
     console.log(`AI chat completed for user ${userId}, model: ${model || 'flash'}, tokens: ${result.tokensUsed}`);
@@ -34,7 +53,38 @@ const chatWithAI = async (req, res) => {
   }
 };
 
+// Chat with AI, streaming the reply as Server-Sent Events
+const streamChatWithAI = async (req, res) => {
+  const stream = createEventStream(res);
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    const userId = req.user.userId;
+    const { message, context, model } = req.body;
+
+    const result = await geminiService.streamChatWithAI(
+      userId,
+      { message, context, model, locale: req.locale },
+      (event, data) => stream.send(event, data),
+      { signal: stream.signal }
+    );
+
+    console.log(`AI chat stream completed for user ${userId}, model: ${model || 'flash'}, tokens: ${result.tokensUsed}`);
 
+    stream.send('done', result);
+    stream.end();
+  } catch (error) {
+    if (!stream.isClosed()) {
+      console.error('AI chat stream error:', error);
+    }
+    sendStreamError(res, stream, error);
+  }
+};
 
 // Generate Trip Itinerary with enhanced options
 const generateItinerary = async (req, res) => {
@@ -79,21 +129,222 @@ const generateItinerary = async (req, res) => {
       walkingLimitKm,
       dietary,
       mustSee,
-      avoid
+      avoid,
+      locale: req.locale
     };
 
-    // Generate itinerary using service with enhanced options
-    const result = await geminiService.generateItinerary(userId, tripId, options);
+    // Generation runs in the background; the client polls the job
+    const job = await itineraryJobService.createJob(userId, tripId, options);
 
-    console.log(`Enhanced itinerary generated for trip ${tripId}, user ${userId}, tokens: ${result.tokensUsed}`);
+    console.log(`Itinerary generation job ${job._id} queued for trip ${tripId}, user ${userId}, chunks: ${job.progress.totalChunks}`);
 
-    responseService.sendSuccess(res, result, 'Enhanced itinerary generated successfully');
+    res.location(`/api/v1/ai/jobs/${job._id}`);
+    responseService.sendSuccess(res, { job }, 'Itinerary generation started', 202);
   } catch (error) {
     console.error('Generate itinerary error:', error);
     responseService.handleServiceError(res, error, 'Server error');
   }
 };
 
+// Generate Trip Itinerary, streaming each day as Server-Sent Events
+const streamItinerary = async (req, res) => {
+  const stream = createEventStream(res);
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    const userId = req.user.userId;
+    const { tripId } = req.params;
+    const { focus, pace, nightlife, dayStart, dayEnd, quietMorningAfterLateNight } = req.body;
+
+    const result = await geminiService.streamItinerary(
+      userId,
+      tripId,
+      { focus, pace, nightlife, dayStart, dayEnd, quietMorningAfterLateNight, locale: req.locale, signal: stream.signal },
+      (event, data) => stream.send(event, data)
+    );
+
+    console.log(`Itinerary stream completed for trip ${tripId}, user ${userId}, days: ${result.itinerary.length}, tokens: ${result.tokensUsed}`);
+
+    stream.send('done', result);
+    stream.end();
+  } catch (error) {
+    if (!stream.isClosed()) {
+      console.error('Itinerary stream error:', error);
+    }
+    sendStreamError(res, stream, error);
+  }
+};
+
+// Get Itinerary Generation Job progress
+const getItineraryJob = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    const userId = req.user.userId;
+    const { id } = req.params;
+
+    const job = await itineraryJobService.getJob(id, userId);
+
+    responseService.sendSuccess(res, { job }, 'Itinerary job retrieved successfully');
+  } catch (error) {
+    console.error('Get itinerary job error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Cancel Itinerary Generation Job
+const cancelItineraryJob = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    const userId = req.user.userId;
+    const { id } = req.params;
+
+    const job = await itineraryJobService.cancelJob(id, userId);
+
+    console.log(`Itinerary job ${id} cancelled by user ${userId}`);
+
+    responseService.sendSuccess(res, { job }, 'Itinerary job cancelled successfully');
+  } catch (error) {
+    console.error('Cancel itinerary job error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// List Chat Conversations
+const listConversations = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    const userId = req.user.userId;
+    const { tripId, limit, offset } = req.query;
+
+    const result = await aiConversationService.listConversations(userId, { tripId, limit, offset });
+
+    responseService.sendSuccess(res, result, 'Conversations retrieved successfully');
+  } catch (error) {
+    console.error('List conversations error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Get Chat Conversation with its messages
+const getConversation = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    const userId = req.user.userId;
+    const { id } = req.params;
+
+    const conversation = await aiConversationService.getConversation(id, userId);
+
+    responseService.sendSuccess(res, { conversation }, 'Conversation retrieved successfully');
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Continue Chat Conversation with a new message
+const continueConversation = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    const userId = req.user.userId;
+    const { id } = req.params;
+    const { message, model } = req.body;
+
+    const result = await geminiService.chatWithAI(userId, {
+      message,
+      context: { conversationId: id },
+      model,
+      locale: req.locale
+    });
+
+    console.log(`AI chat continued in conversation ${id} for user ${userId}, tokens: ${result.tokensUsed}`);
+
+    responseService.sendSuccess(res, result, 'AI chat completed successfully');
+  } catch (error) {
+    console.error('Continue conversation error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Rename Chat Conversation
+const renameConversation = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    const userId = req.user.userId;
+    const { id } = req.params;
+    const { title } = req.body;
+
+    const conversation = await aiConversationService.renameConversation(id, userId, title);
+
+    responseService.sendSuccess(res, { conversation }, 'Conversation renamed successfully');
+  } catch (error) {
+    console.error('Rename conversation error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Delete Chat Conversation
+const deleteConversation = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    const userId = req.user.userId;
+    const { id } = req.params;
+
+    await aiConversationService.deleteConversation(id, userId);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Delete conversation error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
 // Optimize Trip Schedule
 const optimizeSchedule = async (req, res) => {
   try {
@@ -114,7 +365,7 @@ const optimizeSchedule = async (req, res) => {
     const { focus } = req.body;
 
     // Optimize schedule using service
-    const result = await geminiService.optimizeSchedule(userId, tripId, { focus });
+    const result = await geminiService.optimizeSchedule(userId, tripId, { focus, locale: req.locale, cache: allowsCachedResponse(req) });
 
     console.log(`Schedule optimized for trip ${tripId}, user ${userId}, tokens: ${result.tokensUsed}`);
     
@@ -145,7 +396,7 @@ const validateConstraints = async (req, res) => {
     const { checkType } = req.body;
 
     // Validate constraints using service
-    const result = await geminiService.validateConstraints(userId, tripId, { checkType });
+    const result = await geminiService.validateConstraints(userId, tripId, { checkType, locale: req.locale });
 
     console.log(`Constraints validated for trip ${tripId}, user ${userId}, tokens: ${result.tokensUsed}`);
     
@@ -178,7 +429,9 @@ const suggestActivities = async (req, res) => {
       date,
       timePeriod,
       interests,
-      constraints
+      constraints,
+      locale: req.locale,
+      cache: allowsCachedResponse(req)
     });
 
     console.log(`Activity suggestions generated for user ${userId}, tokens: ${result.tokensUsed}`);
@@ -190,6 +443,32 @@ const suggestActivities = async (req, res) => {
   }
 };
 
+// Get Trip Tips in the request locale
+const getTripTips = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    const userId = req.user.userId;
+    const { tripId } = req.params;
+
+    const result = await geminiService.getTripTips(userId, tripId, req.locale);
+
+    if (result.generated) {
+      console.log(`Tips in ${result.locale} generated for trip ${tripId}, user ${userId}, tokens: ${result.tokensUsed}`);
+    }
+
+    responseService.sendSuccess(res, result, 'Trip tips retrieved successfully');
+  } catch (error) {
+    console.error('Get trip tips error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
 // Get Rate Limit Status
 const getRateLimitStatus = async (req, res) => {
   try {
@@ -199,10 +478,11 @@ const getRateLimitStatus = async (req, res) => {
     // Get rate limit status from tracker
     const { RateLimitTracker } = require('../../models/ai');
     const rateLimitSummary = await RateLimitTracker.getUserRateLimitSummary(userId);
+    const tokenBudget = await getAIProvider().usage.getBudgetStatus(userId);
 
     console.log(`Rate limit status retrieved for user ${userId}`);
     
-    responseService.sendSuccess(res, { rateLimits: rateLimitSummary }, 'Rate limit status retrieved successfully');
+    responseService.sendSuccess(res, { rateLimits: rateLimitSummary, tokenBudget }, 'Rate limit status retrieved successfully');
   } catch (error) {
     console.error('Get rate limit status error:', error);
     responseService.handleServiceError(res, error, 'Server error');
@@ -221,10 +501,11 @@ const getInteractionStats = async (req, res) => {
     // Get interaction statistics
     const { AIInteractionLog } = require('../../models/ai');
     const stats = await AIInteractionLog.getUserStats(userId, parseInt(timeframe));
+    const cache = await getAIProvider().responseCache.getStats();
 
     console.log(`Interaction stats retrieved for user ${userId}, timeframe: ${timeframe} days`);
     
-    responseService.sendSuccess(res, { stats }, 'Interaction statistics retrieved successfully');
+    responseService.sendSuccess(res, { stats, cache }, 'Interaction statistics retrieved successfully');
   } catch (error) {
     console.error('Get interaction stats error:', error);
     responseService.handleServiceError(res, error, 'Server error');
@@ -262,39 +543,126 @@ const getHealthStatus = async (req, res) => {
 // Update Trip Info from Chat
 const updateTripInfoFromChat = async (req, res) => {
   try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
     // User ID comes from JWT token (set by authenticateToken middleware)
     const userId = req.user.userId;
 
     // Extract trip ID from URL parameters
     const { tripId } = req.params;
 
-    // Extract message from request body
-    const { message } = req.body;
-
-    // Validate required fields
-    if (!message || message.trim().length === 0) {
-      return responseService.sendError(res, 'Message is required', 400);
-    }
+    // Extract message and extraction mode from request body
+    const { message, mode } = req.body;
 
     // Update trip info using service
-    const result = await geminiService.updateTripInfoFromChat(userId, tripId, message);
+    const result = await geminiService.updateTripInfoFromChat(userId, tripId, message, { mode, locale: req.locale });
 
-    console.log(`Trip info updated from chat for trip ${tripId}, user ${userId}`);
+    console.log(`Trip info extracted from chat for trip ${tripId}, user ${userId}: updated ${result.updatedFields.length}, proposed ${result.proposal ? result.proposal.changes.length : 0}`);
 
-    responseService.sendSuccess(res, result, 'Trip information updated successfully');
+    const responseMessage = result.proposal
+      ? 'Trip information extracted, some changes need confirmation'
+      : 'Trip information updated successfully';
+    responseService.sendSuccess(res, result, responseMessage);
   } catch (error) {
     console.error('Update trip info from chat error:', error);
     responseService.handleServiceError(res, error, 'Server error');
   }
 };
 
+// List pending Trip Info Proposals
+const listTripInfoProposals = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    const userId = req.user.userId;
+    const { tripId } = req.params;
+
+    const proposals = await geminiService.listTripInfoProposals(userId, tripId, { locale: req.locale });
+
+    responseService.sendSuccess(res, { proposals }, 'Trip info proposals retrieved successfully');
+  } catch (error) {
+    console.error('List trip info proposals error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Confirm Trip Info Proposal
+const confirmTripInfoProposal = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    const userId = req.user.userId;
+    const { id } = req.params;
+    const { fields } = req.body;
+
+    const result = await geminiService.confirmTripInfoProposal(userId, id, { fields, locale: req.locale });
+
+    console.log(`Trip info proposal ${id} confirmed by user ${userId}, updated: ${result.updatedFields.join(', ') || 'none'}`);
+
+    responseService.sendSuccess(res, result, 'Trip info proposal confirmed');
+  } catch (error) {
+    console.error('Confirm trip info proposal error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Reject Trip Info Proposal
+const rejectTripInfoProposal = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    const userId = req.user.userId;
+    const { id } = req.params;
+
+    const proposal = await geminiService.rejectTripInfoProposal(userId, id, { locale: req.locale });
+
+    responseService.sendSuccess(res, { proposal }, 'Trip info proposal rejected');
+  } catch (error) {
+    console.error('Reject trip info proposal error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
 module.exports = {
   chatWithAI,
+  streamChatWithAI,
   generateItinerary,
+  streamItinerary,
+  getItineraryJob,
+  cancelItineraryJob,
+  listConversations,
+  getConversation,
+  continueConversation,
+  renameConversation,
+  deleteConversation,
   optimizeSchedule,
   validateConstraints,
   suggestActivities,
+  getTripTips,
   updateTripInfoFromChat,
+  listTripInfoProposals,
+  confirmTripInfoProposal,
+  rejectTripInfoProposal,
   getRateLimitStatus,
   getInteractionStats,
   getHealthStatus
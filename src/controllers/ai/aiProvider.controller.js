@@ -58,7 +58,7 @@ const aiProviderController = {
       if (!success) {
         return res.status(400).json({
           success: false,
-          message: `Invalid provider: ${provider}. Available providers: gemini, openrouter`
+          message: `Invalid provider: ${provider}. Available providers: ${Object.keys(aiProvider.providers).join(', ')}`
         });
       }
 
@@ -93,36 +93,22 @@ const aiProviderController = {
       const { provider, model = 'flash' } = req.body;
 
       const aiProvider = getAIProvider();
-      
-      // Temporarily switch provider for testing if specified
-      const originalProvider = aiProvider.getProviderName();
-      if (provider && provider !== originalProvider) {
-        const switchSuccess = aiProvider.switchProvider(provider);
-        if (!switchSuccess) {
-          return res.status(400).json({
-            success: false,
-            message: `Invalid provider: ${provider}`
-          });
-        }
-      }
+
+      // Pin the call to the requested provider so the chain does not fail over
+      const testedProvider = provider || aiProvider.getProviderName();
 
       // Simple test prompt
       const testPrompt = 'Trả lời ngắn gọn: "AI provider hoạt động tốt" bằng tiếng Việt';
 
       const startTime = Date.now();
-      const response = await aiProvider.callAPI(model, testPrompt);
+      const response = await aiProvider.callAPI(model, testPrompt, { provider: testedProvider });
       const endTime = Date.now();
 
-      // Switch back to original provider if we changed it
-      if (provider && provider !== originalProvider) {
-        aiProvider.switchProvider(originalProvider);
-      }
-
       res.json({
         success: true,
         message: 'AI provider test completed successfully',
         data: {
-          provider: provider || originalProvider,
+          provider: testedProvider,
           model: model,
           response: response.content,
           tokensUsed: response.tokensUsed,
@@ -132,22 +118,12 @@ const aiProviderController = {
       });
     } catch (error) {
       console.error('Error testing provider:', error);
-      
-      // Make sure to switch back to original provider on error
-      const aiProvider = getAIProvider();
-      if (req.body.provider) {
-        try {
-          aiProvider.switchProvider(process.env.AI_PROVIDER || 'gemini');
-        } catch (switchError) {
-          console.error('Failed to switch back to original provider:', switchError);
-        }
-      }
 
       res.status(500).json({
         success: false,
         message: 'AI provider test failed',
         error: error.message,
-        provider: req.body.provider || aiProvider.getProviderName()
+        provider: req.body.provider || getAIProvider().getProviderName()
       });
     }
   },
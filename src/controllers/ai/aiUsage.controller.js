@@ -0,0 +1,110 @@
+const { getAIProvider } = require('../../services/ai/core/aiProvider.service');
+
+/**
+ * AI Usage Admin Controller
+ * Token and cost reporting, and per-user monthly token budgets
+ */
+const aiUsageController = {
+  /**
+   * Get token and cost totals grouped by user, trip, endpoint, provider or day
+   * @route GET /api/v1/admin/ai-usage
+   * @access Admin only
+   */
+  async getUsage(req, res) {
+    try {
+      const usage = await getAIProvider().usage.getUsageReport(req.query);
+
+      res.json({
+        success: true,
+        data: {
+          usage,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      console.error('Error getting AI usage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get AI usage',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Get a user's monthly token budget and how much of it is used
+   * @route GET /api/v1/admin/ai-usage/users/:userId/budget
+   * @access Admin only
+   */
+  async getUserBudget(req, res) {
+    try {
+      const budget = await getAIProvider().usage.getBudgetStatus(req.params.userId);
+
+      res.json({
+        success: true,
+        data: { userId: req.params.userId, budget }
+      });
+    } catch (error) {
+      console.error('Error getting AI token budget:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get AI token budget',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Set a user's monthly token budget (0 for unlimited)
+   * @route PUT /api/v1/admin/ai-usage/users/:userId/budget
+   * @access Admin only
+   */
+  async setUserBudget(req, res) {
+    try {
+      const budget = await getAIProvider().usage.setUserBudget(
+        req.params.userId,
+        req.body.monthlyTokens,
+        req.user.userId
+      );
+
+      res.json({
+        success: true,
+        message: 'AI token budget updated',
+        data: { userId: req.params.userId, budget }
+      });
+    } catch (error) {
+      console.error('Error setting AI token budget:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to set AI token budget',
+        error: error.message
+      });
+    }
+  },
+
+  /**
+   * Remove a user's budget so the default monthly budget applies again
+   * @route DELETE /api/v1/admin/ai-usage/users/:userId/budget
+   * @access Admin only
+   */
+  async removeUserBudget(req, res) {
+    try {
+      const budget = await getAIProvider().usage.removeUserBudget(req.params.userId);
+
+      res.json({
+        success: true,
+        message: 'AI token budget reset to the default',
+        data: { userId: req.params.userId, budget }
+      });
+    } catch (error) {
+      console.error('Error removing AI token budget:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove AI token budget',
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = aiUsageController;
@@ -1,7 +1,13 @@
 const aiController = require('./ai.controller');
 const aiProviderController = require('./aiProvider.controller');
+const aiUsageController = require('./aiUsage.controller');
+const promptTemplateController = require('./promptTemplate.controller');
+const promptExperimentController = require('./promptExperiment.controller');
 
 module.exports = {
   aiController,
-  aiProviderController
+  aiProviderController,
+  aiUsageController,
+  promptTemplateController,
+  promptExperimentController
 };
\ No newline at end of file
@@ -0,0 +1,113 @@
+const { promptExperimentService } = require('../../services/ai');
+const { responseService } = require('../../services/common');
+
+// Admin error response with the status of a mapped service error
+const sendError = (res, error, defaultMessage) => {
+  const { status, message, data } = responseService.resolveServiceError(error, defaultMessage);
+  res.status(status).json({
+    success: false,
+    message,
+    ...(data && { data })
+  });
+};
+
+/**
+ * Prompt Experiment Admin Controller
+ * A/B experiments of prompt template versions and models, and their reports
+ */
+const promptExperimentController = {
+  /**
+   * List experiments
+   * @route GET /api/v1/admin/prompt-experiments
+   * @access Admin only
+   */
+  async listExperiments(req, res) {
+    try {
+      const experiments = await promptExperimentService.listExperiments(req.query);
+
+      res.json({
+        success: true,
+        data: { experiments }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to list prompt experiments');
+    }
+  },
+
+  /**
+   * Create a draft experiment
+   * @route POST /api/v1/admin/prompt-experiments
+   * @access Admin only
+   */
+  async createExperiment(req, res) {
+    try {
+      const experiment = await promptExperimentService.createExperiment(req.body, req.user.userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Prompt experiment created',
+        data: { experiment }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to create prompt experiment');
+    }
+  },
+
+  /**
+   * Start bucketing users into the experiment's variants
+   * @route POST /api/v1/admin/prompt-experiments/:id/start
+   * @access Admin only
+   */
+  async startExperiment(req, res) {
+    try {
+      const experiment = await promptExperimentService.startExperiment(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Prompt experiment started',
+        data: { experiment }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to start prompt experiment');
+    }
+  },
+
+  /**
+   * Stop the experiment; every user gets the default prompt again
+   * @route POST /api/v1/admin/prompt-experiments/:id/stop
+   * @access Admin only
+   */
+  async stopExperiment(req, res) {
+    try {
+      const experiment = await promptExperimentService.stopExperiment(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Prompt experiment stopped',
+        data: { experiment }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to stop prompt experiment');
+    }
+  },
+
+  /**
+   * Per-variant metrics compared with the control
+   * @route GET /api/v1/admin/prompt-experiments/:id/report
+   * @access Admin only
+   */
+  async getReport(req, res) {
+    try {
+      const report = await promptExperimentService.getReport(req.params.id);
+
+      res.json({
+        success: true,
+        data: { report }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to get prompt experiment report');
+    }
+  }
+};
+
+module.exports = promptExperimentController;
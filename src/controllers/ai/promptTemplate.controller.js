@@ -0,0 +1,134 @@
+const { promptTemplateService } = require('../../services/ai');
+const { responseService } = require('../../services/common');
+
+// Admin error response with the status of a mapped service error
+const sendError = (res, error, defaultMessage) => {
+  const { status, message, data } = responseService.resolveServiceError(error, defaultMessage);
+  res.status(status).json({
+    success: false,
+    message,
+    ...(data && { data })
+  });
+};
+
+/**
+ * Prompt Template Admin Controller
+ * Versioned prompt templates: editing, activation/rollback and previews
+ */
+const promptTemplateController = {
+  /**
+   * List templates with their variables and versions per locale
+   * @route GET /api/v1/admin/prompt-templates
+   * @access Admin only
+   */
+  async listTemplates(req, res) {
+    try {
+      const templates = await promptTemplateService.listTemplates();
+
+      res.json({
+        success: true,
+        data: { templates }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to list prompt templates');
+    }
+  },
+
+  /**
+   * Get the versions of a template
+   * @route GET /api/v1/admin/prompt-templates/:key
+   * @access Admin only
+   */
+  async getVersions(req, res) {
+    try {
+      const versions = await promptTemplateService.getVersions(req.params.key, req.query.locale);
+
+      res.json({
+        success: true,
+        data: { key: req.params.key, versions }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to get prompt template versions');
+    }
+  },
+
+  /**
+   * Add a template version, active unless activate is false
+   * @route POST /api/v1/admin/prompt-templates/:key/versions
+   * @access Admin only
+   */
+  async createVersion(req, res) {
+    try {
+      const version = await promptTemplateService.createVersion(req.params.key, req.body, req.user.userId);
+
+      res.status(201).json({
+        success: true,
+        message: `Prompt template version ${version.version} created`,
+        data: { version }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to create prompt template version');
+    }
+  },
+
+  /**
+   * Make a version active, e.g. to roll back to an earlier one
+   * @route POST /api/v1/admin/prompt-templates/:key/versions/:version/activate
+   * @access Admin only
+   */
+  async activateVersion(req, res) {
+    try {
+      const version = await promptTemplateService.activateVersion(
+        req.params.key,
+        req.query.locale,
+        req.params.version
+      );
+
+      res.json({
+        success: true,
+        message: `Prompt template version ${version.version} activated`,
+        data: { version }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to activate prompt template version');
+    }
+  },
+
+  /**
+   * Delete an inactive version
+   * @route DELETE /api/v1/admin/prompt-templates/:key/versions/:version
+   * @access Admin only
+   */
+  async deleteVersion(req, res) {
+    try {
+      await promptTemplateService.deleteVersion(req.params.key, req.query.locale, req.params.version);
+
+      res.json({
+        success: true,
+        message: 'Prompt template version deleted'
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to delete prompt template version');
+    }
+  },
+
+  /**
+   * Render the active version, a saved version or unsaved sections against a trip
+   * @route POST /api/v1/admin/prompt-templates/:key/preview
+   * @access Admin only
+   */
+  async previewTemplate(req, res) {
+    try {
+      const preview = await promptTemplateService.previewTemplate(req.params.key, req.body);
+
+      res.json({
+        success: true,
+        data: preview
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to preview prompt template');
+    }
+  }
+};
+
+module.exports = promptTemplateController;
@@ -0,0 +1,75 @@
+const { responseService, exchangeRateService } = require('../../services/common');
+
+// Admin error response with the status of a mapped service error
+const sendError = (res, error, defaultMessage) => {
+  const { status, message, data } = responseService.resolveServiceError(error, defaultMessage);
+  res.status(status).json({
+    success: false,
+    message,
+    ...(data && { data })
+  });
+};
+
+/**
+ * Exchange Rate Admin Controller
+ * Rates used to convert activity costs and budgets into a trip's currency
+ */
+const exchangeRateController = {
+  /**
+   * List the rates in effect (offline table merged with admin rates)
+   * @route GET /api/v1/admin/exchange-rates
+   * @access Admin only
+   */
+  async listRates(req, res) {
+    try {
+      const rates = await exchangeRateService.listRates();
+
+      res.json({
+        success: true,
+        data: { baseCurrency: 'USD', rates }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to list exchange rates');
+    }
+  },
+
+  /**
+   * Set the rate of a currency (units per 1 USD)
+   * @route PUT /api/v1/admin/exchange-rates/:currency
+   * @access Admin only
+   */
+  async setRate(req, res) {
+    try {
+      const rate = await exchangeRateService.setRate(req.params.currency, req.body.perUSD, req.user.userId);
+
+      res.json({
+        success: true,
+        message: 'Exchange rate updated',
+        data: { rate }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to set exchange rate');
+    }
+  },
+
+  /**
+   * Remove an admin rate so the offline rate applies again
+   * @route DELETE /api/v1/admin/exchange-rates/:currency
+   * @access Admin only
+   */
+  async removeRate(req, res) {
+    try {
+      const rate = await exchangeRateService.removeRate(req.params.currency);
+
+      res.json({
+        success: true,
+        message: 'Exchange rate reset to the default',
+        data: { rate }
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to remove exchange rate');
+    }
+  }
+};
+
+module.exports = exchangeRateController;
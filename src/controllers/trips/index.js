@@ -1,5 +1,7 @@
 const tripController = require('./trip.controller');
+const exchangeRateController = require('./exchangeRate.controller');
 
 module.exports = {
-  tripController
-};
\ No newline at end of file
+  tripController,
+  exchangeRateController
+};
@@ -1,7 +1,13 @@
 const { validationResult } = require('express-validator');
-const { tripService } = require('../../services/trips');
+const { tripService, tripMemberService, tripExpenseService, tripShareService, tripVersionService } = require('../../services/trips');
 const { responseService } = require('../../services/common');
 
+// Read the trip revision the client last saw from If-Match (undefined when absent or "*")
+const getExpectedRevision = (req) => {
+  const match = (req.get('If-Match') || '').match(/"(\d+)"/);
+  return match ? parseInt(match[1]) : undefined;
+};
+
 // Create Trip
 const createTrip = async (req, res) => {
   try {
@@ -93,6 +99,7 @@ const getTripDetails = async (req, res) => {
 
     console.log(`Trip details retrieved: ${trip.name} for user ${userId}`);
     
+    responseService.setRevisionETag(res, trip.revision);
     responseService.sendSuccess(res, { trip });
   } catch (error) {
     console.error('Get trip details error:', error);
@@ -126,10 +133,11 @@ const updateTrip = async (req, res) => {
       travelers,
       budget,
       preferences
-    });
+    }, { expectedRevision: getExpectedRevision(req) });
 
     console.log(`Trip updated successfully: ${trip.name} for user ${userId}`);
     
+    responseService.setRevisionETag(res, trip.revision);
     responseService.sendSuccess(res, { trip }, 'Trip updated successfully');
   } catch (error) {
     console.error('Update trip error:', error);
@@ -154,7 +162,7 @@ const deleteTrip = async (req, res) => {
     const { id: tripId } = req.params;
 
     // Delete trip using service
-    await tripService.deleteTrip(tripId, userId);
+    await tripService.deleteTrip(tripId, userId, { expectedRevision: getExpectedRevision(req) });
 
     console.log(`Trip deleted successfully: ${tripId} for user ${userId}`);
     
@@ -186,11 +194,16 @@ const generateDraftSchedule = async (req, res) => {
     const { focus } = req.body;
 
     // Generate draft schedule using service
-    const trip = await tripService.generateDraftSchedule(tripId, userId, { focus });
+    const result = await tripService.generateDraftSchedule(tripId, userId, {
+      focus,
+      locale: req.locale,
+      expectedRevision: getExpectedRevision(req)
+    });
 
-    console.log(`Draft schedule generated for trip: ${trip.name} for user ${userId}`);
+    console.log(`Draft schedule generated (${result.generation.source}) for trip: ${result.trip.name} for user ${userId}`);
     
-    responseService.sendSuccess(res, { trip }, 'Draft schedule generated successfully');
+    responseService.setRevisionETag(res, result.trip.revision);
+    responseService.sendSuccess(res, result, 'Draft schedule generated successfully');
   } catch (error) {
     console.error('Generate draft schedule error:', error);
     responseService.handleServiceError(res, error, 'Server error');
@@ -217,11 +230,16 @@ const optimizeTrip = async (req, res) => {
     const { focus } = req.body;
 
     // Optimize trip using service
-    const trip = await tripService.optimizeTrip(tripId, userId, { focus });
+    const result = await tripService.optimizeTrip(tripId, userId, {
+      focus,
+      locale: req.locale,
+      expectedRevision: getExpectedRevision(req)
+    });
 
-    console.log(`Trip optimized successfully: ${trip.name} for user ${userId}`);
+    console.log(`Trip optimized (${result.optimization.source}): ${result.trip.name} for user ${userId}`);
     
-    responseService.sendSuccess(res, { trip }, 'Trip optimized successfully');
+    responseService.setRevisionETag(res, result.trip.revision);
+    responseService.sendSuccess(res, result, 'Trip optimized successfully');
   } catch (error) {
     console.error('Optimize trip error:', error);
     responseService.handleServiceError(res, error, 'Server error');
@@ -255,6 +273,16 @@ const exportTrip = async (req, res) => {
 
     console.log(`Trip exported successfully: ${tripId} in ${format} format for user ${userId}`);
     
+    // Binary formats are sent as a file download instead of the JSON envelope
+    if (Buffer.isBuffer(exportData.data)) {
+      res.set({
+        'Content-Type': exportData.contentType,
+        'Content-Disposition': `attachment; filename="${exportData.filename}"`,
+        'Content-Length': exportData.data.length
+      });
+      return res.status(200).send(exportData.data);
+    }
+    
     responseService.sendSuccess(res, exportData, `Trip exported successfully in ${format} format`);
   } catch (error) {
     console.error('Export trip error:', error);
@@ -262,6 +290,71 @@ const exportTrip = async (req, res) => {
   }
 };
 
+// Import Trip
+const importTrip = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract fields from request body
+    const { format, data, startDate, timezone, trip: overrides } = req.body;
+
+    // Import trip using service
+    const result = await tripService.importTrip(userId, {
+      format,
+      data,
+      startDate,
+      timezone,
+      trip: overrides
+    });
+
+    console.log(`Trip imported successfully: ${result.trip.name} from ${format} for user ${userId} (${result.report.skipped} entries skipped)`);
+    
+    responseService.sendSuccess(res, result, 'Trip imported successfully', 201);
+  } catch (error) {
+    console.error('Import trip error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Clone Trip
+const cloneTrip = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract trip ID from URL parameters
+    const { id: tripId } = req.params;
+
+    // Extract fields from request body
+    const { startDate, name } = req.body;
+
+    // Clone trip using service
+    const trip = await tripService.cloneTrip(tripId, userId, { startDate, name });
+
+    console.log(`Trip cloned successfully: ${tripId} -> ${trip._id} for user ${userId}`);
+    
+    responseService.sendSuccess(res, { trip }, 'Trip cloned successfully', 201);
+  } catch (error) {
+    console.error('Clone trip error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
 // Add Activity to Day
 const addActivityToDay = async (req, res) => {
   try {
@@ -282,10 +375,13 @@ const addActivityToDay = async (req, res) => {
     const activityData = req.body;
 
     // Add activity using service
-    const trip = await tripService.addActivityToDay(tripId, userId, dayId, activityData);
+    const trip = await tripService.addActivityToDay(tripId, userId, dayId, activityData, {
+      expectedRevision: getExpectedRevision(req)
+    });
 
     console.log(`Activity added to trip: ${tripId} for user ${userId}`);
     
+    responseService.setRevisionETag(res, trip.revision);
     responseService.sendSuccess(res, { trip }, 'Activity added successfully');
   } catch (error) {
     console.error('Add activity error:', error);
@@ -313,10 +409,13 @@ const updateActivity = async (req, res) => {
     const updateData = req.body;
 
     // Update activity using service
-    const trip = await tripService.updateActivity(tripId, userId, dayId, activityId, updateData);
+    const trip = await tripService.updateActivity(tripId, userId, dayId, activityId, updateData, {
+      expectedRevision: getExpectedRevision(req)
+    });
 
     console.log(`Activity updated in trip: ${tripId} for user ${userId}`);
     
+    responseService.setRevisionETag(res, trip.revision);
     responseService.sendSuccess(res, { trip }, 'Activity updated successfully');
   } catch (error) {
     console.error('Update activity error:', error);
@@ -327,6 +426,13 @@ const updateActivity = async (req, res) => {
 // Delete Activity
 const deleteActivity = async (req, res) => {
   try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
     // User ID comes from JWT token (set by authenticateToken middleware)
     const userId = req.user.userId;
 
@@ -334,10 +440,13 @@ const deleteActivity = async (req, res) => {
     const { id: tripId, dayId, activityId } = req.params;
 
     // Delete activity using service
-    const trip = await tripService.deleteActivity(tripId, userId, dayId, activityId);
+    const trip = await tripService.deleteActivity(tripId, userId, dayId, activityId, {
+      expectedRevision: getExpectedRevision(req)
+    });
 
     console.log(`Activity deleted from trip: ${tripId} for user ${userId}`);
     
+    responseService.setRevisionETag(res, trip.revision);
     responseService.sendSuccess(res, { trip }, 'Activity deleted successfully');
   } catch (error) {
     console.error('Delete activity error:', error);
@@ -345,6 +454,518 @@ const deleteActivity = async (req, res) => {
   }
 };
 
+// Batch Update Activities
+const batchUpdateActivities = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract trip ID from URL parameters
+    const { id: tripId } = req.params;
+
+    // Extract operations from request body
+    const { operations } = req.body;
+
+    // Apply operations using service
+    const trip = await tripService.batchUpdateActivities(tripId, userId, operations, {
+      expectedRevision: getExpectedRevision(req)
+    });
+
+    console.log(`Applied ${operations.length} activity operations to trip: ${tripId} for user ${userId}`);
+    
+    responseService.setRevisionETag(res, trip.revision);
+    responseService.sendSuccess(res, { trip }, 'Activities updated successfully');
+  } catch (error) {
+    console.error('Batch update activities error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Get Trip Members
+const getTripMembers = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract trip ID from URL parameters
+    const { id: tripId } = req.params;
+
+    // Get members using service
+    const result = await tripMemberService.getMembers(tripId, userId);
+
+    responseService.sendSuccess(res, result);
+  } catch (error) {
+    console.error('Get trip members error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Invite Trip Member
+const inviteTripMember = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract trip ID from URL parameters
+    const { id: tripId } = req.params;
+
+    // Extract fields from request body
+    const { email, role } = req.body;
+
+    // Invite member using service
+    const result = await tripMemberService.inviteMember(tripId, userId, { email, role });
+
+    console.log(`Member invited to trip: ${tripId} as ${role || 'viewer'} by user ${userId}`);
+    
+    responseService.sendSuccess(res, result, 'Member invited successfully', 201);
+  } catch (error) {
+    console.error('Invite trip member error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Accept Trip Invitation
+const acceptTripInvitation = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract trip ID from URL parameters
+    const { id: tripId } = req.params;
+
+    // Accept invitation using service
+    const trip = await tripMemberService.acceptInvitation(tripId, userId);
+
+    console.log(`Trip invitation accepted: ${tripId} by user ${userId}`);
+    
+    responseService.sendSuccess(res, { trip }, 'Invitation accepted successfully');
+  } catch (error) {
+    console.error('Accept trip invitation error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Remove Trip Member
+const removeTripMember = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract IDs from URL parameters
+    const { id: tripId, userId: memberUserId } = req.params;
+
+    // Remove member using service
+    const result = await tripMemberService.removeMember(tripId, userId, memberUserId);
+
+    console.log(`Member ${memberUserId} removed from trip: ${tripId} by user ${userId}`);
+    
+    responseService.sendSuccess(res, result, 'Member removed successfully');
+  } catch (error) {
+    console.error('Remove trip member error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Get Trip Expenses
+const getTripExpenses = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract trip ID from URL parameters
+    const { id: tripId } = req.params;
+
+    // Extract filters from query parameters
+    const { category, date } = req.query;
+
+    // Get expenses using service
+    const result = await tripExpenseService.listExpenses(tripId, userId, { category, date });
+
+    responseService.sendSuccess(res, result);
+  } catch (error) {
+    console.error('Get trip expenses error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Add Trip Expense
+const addTripExpense = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract trip ID from URL parameters
+    const { id: tripId } = req.params;
+
+    // Add expense using service
+    const expense = await tripExpenseService.addExpense(tripId, userId, req.body);
+
+    console.log(`Expense added to trip: ${tripId} by user ${userId}`);
+    
+    responseService.sendSuccess(res, { expense }, 'Expense added successfully', 201);
+  } catch (error) {
+    console.error('Add trip expense error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Update Trip Expense
+const updateTripExpense = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract IDs from URL parameters
+    const { id: tripId, expenseId } = req.params;
+
+    // Update expense using service
+    const expense = await tripExpenseService.updateExpense(tripId, userId, expenseId, req.body);
+
+    console.log(`Expense ${expenseId} updated in trip: ${tripId} by user ${userId}`);
+    
+    responseService.sendSuccess(res, { expense }, 'Expense updated successfully');
+  } catch (error) {
+    console.error('Update trip expense error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Delete Trip Expense
+const deleteTripExpense = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract IDs from URL parameters
+    const { id: tripId, expenseId } = req.params;
+
+    // Delete expense using service
+    await tripExpenseService.deleteExpense(tripId, userId, expenseId);
+
+    console.log(`Expense ${expenseId} deleted from trip: ${tripId} by user ${userId}`);
+    
+    res.status(204).send();
+  } catch (error) {
+    console.error('Delete trip expense error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Get Trip Budget (planned vs. actual)
+const getTripBudget = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract trip ID from URL parameters
+    const { id: tripId } = req.params;
+
+    // Compare planned and actual spending using service
+    const budget = await tripExpenseService.getTripBudget(tripId, userId);
+
+    responseService.sendSuccess(res, { budget });
+  } catch (error) {
+    console.error('Get trip budget error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Create Share Link
+const createShareLink = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract trip ID from URL parameters
+    const { id: tripId } = req.params;
+
+    // Extract fields from request body
+    const { expiresAt, includeCosts, includeNotes } = req.body;
+
+    // Create share link using service
+    const shareLink = await tripShareService.createShareLink(tripId, userId, {
+      expiresAt,
+      includeCosts: includeCosts === true || includeCosts === 'true',
+      includeNotes: includeNotes === true || includeNotes === 'true'
+    });
+
+    console.log(`Share link created for trip: ${tripId} by user ${userId}`);
+    
+    responseService.sendSuccess(res, { shareLink }, 'Share link created successfully', 201);
+  } catch (error) {
+    console.error('Create share link error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Get Share Links
+const getShareLinks = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract trip ID from URL parameters
+    const { id: tripId } = req.params;
+
+    // Get share links using service
+    const shareLinks = await tripShareService.getShareLinks(tripId, userId);
+
+    responseService.sendSuccess(res, { shareLinks });
+  } catch (error) {
+    console.error('Get share links error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Revoke Share Link
+const revokeShareLink = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract IDs from URL parameters
+    const { id: tripId, linkId } = req.params;
+
+    // Revoke share link using service
+    const shareLink = await tripShareService.revokeShareLink(tripId, userId, linkId);
+
+    console.log(`Share link ${linkId} revoked for trip: ${tripId} by user ${userId}`);
+    
+    responseService.sendSuccess(res, { shareLink }, 'Share link revoked successfully');
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Get Shared Trip (public, no authentication)
+const getSharedTrip = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return responseService.sendError(res, 'Share link not found or revoked', 404);
+    }
+
+    // Extract share token from URL parameters
+    const { token } = req.params;
+
+    // Get shared trip using service
+    const trip = await tripShareService.getSharedTrip(token);
+
+    responseService.sendSuccess(res, { trip });
+  } catch (error) {
+    console.error('Get shared trip error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Get Trip Versions
+const getTripVersions = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract trip ID from URL parameters
+    const { id: tripId } = req.params;
+
+    // Extract query parameters
+    const { limit, offset } = req.query;
+
+    // Get versions using service
+    const result = await tripVersionService.listVersions(tripId, userId, { limit, offset });
+
+    responseService.sendSuccess(res, result);
+  } catch (error) {
+    console.error('Get trip versions error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Get Trip Version
+const getTripVersion = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract IDs from URL parameters
+    const { id: tripId, version } = req.params;
+
+    // Get version using service
+    const result = await tripVersionService.getVersion(tripId, userId, parseInt(version));
+
+    responseService.sendSuccess(res, { version: result });
+  } catch (error) {
+    console.error('Get trip version error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Diff Trip Versions
+const diffTripVersions = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract trip ID from URL parameters
+    const { id: tripId } = req.params;
+
+    // Extract query parameters
+    const { from, to } = req.query;
+
+    // Diff versions using service
+    const diff = await tripVersionService.diffVersions(tripId, userId, parseInt(from), to ? parseInt(to) : undefined);
+
+    responseService.sendSuccess(res, { diff });
+  } catch (error) {
+    console.error('Diff trip versions error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
+// Restore Trip Version
+const restoreTripVersion = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      const firstError = errors.array()[0];
+      return responseService.sendError(res, firstError.msg, 400);
+    }
+
+    // User ID comes from JWT token (set by authenticateToken middleware)
+    const userId = req.user.userId;
+
+    // Extract IDs from URL parameters
+    const { id: tripId, version } = req.params;
+
+    // Restore version using service
+    const result = await tripVersionService.restoreVersion(tripId, userId, parseInt(version), {
+      expectedRevision: getExpectedRevision(req)
+    });
+
+    console.log(`Trip ${tripId} restored to version ${version} by user ${userId}`);
+    
+    responseService.setRevisionETag(res, result.trip.revision);
+    responseService.sendSuccess(res, result, `Trip restored to version ${version}`);
+  } catch (error) {
+    console.error('Restore trip version error:', error);
+    responseService.handleServiceError(res, error, 'Server error');
+  }
+};
+
 module.exports = {
   createTrip,
   getUserTrips,
@@ -354,7 +975,27 @@ module.exports = {
   generateDraftSchedule,
   optimizeTrip,
   exportTrip,
+  importTrip,
+  cloneTrip,
   addActivityToDay,
   updateActivity,
-  deleteActivity
+  deleteActivity,
+  batchUpdateActivities,
+  getTripMembers,
+  inviteTripMember,
+  acceptTripInvitation,
+  removeTripMember,
+  getTripExpenses,
+  addTripExpense,
+  updateTripExpense,
+  deleteTripExpense,
+  getTripBudget,
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+  getSharedTrip,
+  getTripVersions,
+  getTripVersion,
+  diffTripVersions,
+  restoreTripVersion
 };
\ No newline at end of file
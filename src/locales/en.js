@@ -0,0 +1,79 @@
+// English messages ({{name}} placeholders are filled by utils/i18n)
+module.exports = {
+    dateLocale: 'en-US',
+
+    chat: {
+        // Trip fields extracted from chat, keyed like the extraction schema
+        fields: {
+            destination: 'destination',
+            startDate: 'start date',
+            endDate: 'end date',
+            adults: 'adults',
+            children: 'children',
+            infants: 'infants',
+            budgetTotal: 'budget',
+            budgetCurrency: 'currency',
+            interests: 'interests',
+            constraints: 'notes'
+        },
+        // Trip information still needed before an itinerary can be generated
+        missingFields: {
+            destination: 'destination',
+            startDate: 'start date',
+            endDate: 'end date',
+            travelers: 'number of travelers',
+            budget: 'budget'
+        },
+        tripUpdated: 'Trip information updated!',
+        proposalIntro: 'I understand you want to change:',
+        proposalConfirm: 'Please confirm to update the trip.',
+        tripReceived: 'Got the details of your trip "{{name}}".',
+        missingInfoIntro: 'To create a complete itinerary, I still need:',
+        missingInfoQuestion: 'Could you tell me more?',
+        tripComplete: 'Your trip "{{name}}" has all the information it needs! 🎉',
+        tripDates: '📅 Dates: {{start}} - {{end}}',
+        tripDestination: '📍 Destination: {{destination}}',
+        tripTravelers: '👥 Travelers: {{adults}} adults',
+        tripChildren: ', {{children}} children',
+        tripBudget: '💰 Budget: {{amount}} {{currency}}',
+        offerItinerary: 'Would you like me to create a detailed itinerary?',
+        greeting: 'Hello! I can help you plan your trip. Where and when would you like to go?'
+    },
+
+    itinerary: {
+        alreadyExists: 'Itinerary already exists for this trip',
+        overview: '{{duration}}-day itinerary for {{destination}} generated by AI',
+        // Saved when tip generation fails
+        defaultTips: [
+            { category: 'general', title: 'Book ahead', content: 'Book hotels and activities in advance to get the best prices and secure your spot.' },
+            { category: 'weather', title: 'Pack for the weather', content: 'Bring sunscreen, a hat and drinking water to stay healthy.' },
+            { category: 'culture', title: 'Learn a few local phrases', content: 'Learn a few basic words of the local language to talk with the people you meet.' },
+            { category: 'food', title: 'Try the street food', content: 'Try the regional street food specialties to experience the local food culture.' },
+            { category: 'transportation', title: 'Use ride-hailing apps', content: 'Use Grab or a taxi to get around safely and conveniently.' }
+        ]
+    },
+
+    optimization: {
+        improvements: {
+            timeEfficiency: 'Improved by reducing travel time between activities',
+            budgetOptimization: 'Optimized activity costs and timing',
+            logisticsImprovement: 'Better activity sequencing and routing'
+        }
+    },
+
+    validation: {
+        budgetFarOver: 'Trip cost may exceed budget by more than 20%',
+        budgetOver: 'Trip cost may slightly exceed budget',
+        budgetSpentOver: 'Actual spending already exceeds the budget',
+        tooManyActivities: 'Day {{day}} has too many activities ({{count}})',
+        noActivities: 'Day {{day}} has no activities planned',
+        highDensity: 'High activity density may cause fatigue',
+        consecutiveBusyDays: '{{count}} consecutive busy days may cause exhaustion',
+        suggestions: {
+            reduceCosts: 'Consider reducing accommodation costs or number of paid activities',
+            redistribute: 'Redistribute activities from busy days to lighter days',
+            fillEmptyDays: 'Add activities to empty days for better trip experience',
+            addRestDays: 'Add rest days between busy periods to prevent fatigue'
+        }
+    }
+};
@@ -0,0 +1,79 @@
+// Vietnamese messages ({{name}} placeholders are filled by utils/i18n)
+module.exports = {
+    dateLocale: 'vi-VN',
+
+    chat: {
+        // Trip fields extracted from chat, keyed like the extraction schema
+        fields: {
+            destination: 'điểm đến',
+            startDate: 'ngày khởi hành',
+            endDate: 'ngày kết thúc',
+            adults: 'số người lớn',
+            children: 'số trẻ em',
+            infants: 'số em bé',
+            budgetTotal: 'ngân sách',
+            budgetCurrency: 'đơn vị tiền tệ',
+            interests: 'sở thích',
+            constraints: 'lưu ý'
+        },
+        // Trip information still needed before an itinerary can be generated
+        missingFields: {
+            destination: 'điểm đến',
+            startDate: 'ngày khởi hành',
+            endDate: 'ngày kết thúc',
+            travelers: 'số lượng người',
+            budget: 'ngân sách'
+        },
+        tripUpdated: 'Đã cập nhật thông tin chuyến đi!',
+        proposalIntro: 'Tôi hiểu bạn muốn thay đổi:',
+        proposalConfirm: 'Vui lòng xác nhận để cập nhật chuyến đi.',
+        tripReceived: 'Đã nhận thông tin chuyến đi "{{name}}".',
+        missingInfoIntro: 'Để tạo lịch trình hoàn chỉnh, tôi cần thêm thông tin:',
+        missingInfoQuestion: 'Bạn có thể cho tôi biết thêm không?',
+        tripComplete: 'Chuyến đi "{{name}}" của bạn đã có đủ thông tin! 🎉',
+        tripDates: '📅 Thời gian: {{start}} - {{end}}',
+        tripDestination: '📍 Điểm đến: {{destination}}',
+        tripTravelers: '👥 Số người: {{adults}} người lớn',
+        tripChildren: ', {{children}} trẻ em',
+        tripBudget: '💰 Ngân sách: {{amount}} {{currency}}',
+        offerItinerary: 'Bạn có muốn tôi tạo lịch trình chi tiết không?',
+        greeting: 'Xin chào! Tôi có thể giúp bạn lập kế hoạch du lịch. Bạn muốn đi đâu và khi nào?'
+    },
+
+    itinerary: {
+        alreadyExists: 'Chuyến đi này đã có lịch trình',
+        overview: 'Lịch trình {{duration}} ngày tại {{destination}} được tạo bởi AI',
+        // Saved when tip generation fails
+        defaultTips: [
+            { category: 'general', title: 'Đặt phòng trước', content: 'Đặt phòng khách sạn và hoạt động trước để có giá tốt nhất và đảm bảo chỗ.' },
+            { category: 'weather', title: 'Chuẩn bị trang phục', content: 'Mang theo kem chống nắng, mũ nón và nước uống để bảo vệ sức khỏe.' },
+            { category: 'culture', title: 'Học tiếng Việt cơ bản', content: 'Học một vài từ tiếng Việt cơ bản để giao tiếp với người dân địa phương.' },
+            { category: 'food', title: 'Thử món ăn đường phố', content: 'Thử các món ăn đường phố đặc trưng của vùng miền để trải nghiệm văn hóa ẩm thực.' },
+            { category: 'transportation', title: 'Sử dụng Grab', content: 'Sử dụng ứng dụng Grab hoặc taxi để di chuyển an toàn và tiện lợi.' }
+        ]
+    },
+
+    optimization: {
+        improvements: {
+            timeEfficiency: 'Cải thiện nhờ giảm thời gian di chuyển giữa các hoạt động',
+            budgetOptimization: 'Tối ưu chi phí và thời điểm của các hoạt động',
+            logisticsImprovement: 'Sắp xếp thứ tự và lộ trình hoạt động hợp lý hơn'
+        }
+    },
+
+    validation: {
+        budgetFarOver: 'Chi phí chuyến đi có thể vượt ngân sách hơn 20%',
+        budgetOver: 'Chi phí chuyến đi có thể vượt ngân sách một chút',
+        budgetSpentOver: 'Chi tiêu thực tế đã vượt ngân sách',
+        tooManyActivities: 'Ngày {{day}} có quá nhiều hoạt động ({{count}})',
+        noActivities: 'Ngày {{day}} chưa có hoạt động nào',
+        highDensity: 'Mật độ hoạt động cao có thể gây mệt mỏi',
+        consecutiveBusyDays: '{{count}} ngày bận rộn liên tiếp có thể gây kiệt sức',
+        suggestions: {
+            reduceCosts: 'Cân nhắc giảm chi phí lưu trú hoặc số hoạt động có phí',
+            redistribute: 'Chuyển bớt hoạt động từ những ngày bận rộn sang những ngày nhẹ nhàng hơn',
+            fillEmptyDays: 'Thêm hoạt động cho những ngày trống để chuyến đi trọn vẹn hơn',
+            addRestDays: 'Thêm ngày nghỉ giữa các giai đoạn bận rộn để tránh mệt mỏi'
+        }
+    }
+};
@@ -0,0 +1,32 @@
+const User = require('../models/users/user.model');
+const { resolveLocale } = require('../utils/i18n');
+
+/**
+ * Locale middleware - sets req.locale for localized replies and prompts.
+ * Uses the `locale` query parameter, then the user's profile languages, then Accept-Language.
+ * Runs after authentication; a failed profile lookup falls back to the header.
+ */
+const locale = async (req, res, next) => {
+  let profileLanguages = [];
+
+  if (req.user && req.user.userId) {
+    try {
+      const user = await User.findById(req.user.userId).select('profile.languages').lean();
+      profileLanguages = (user && user.profile && user.profile.languages) || [];
+    } catch (error) {
+      console.warn('Failed to load profile languages for locale:', error.message);
+    }
+  }
+
+  req.locale = resolveLocale({
+    requested: req.query.locale,
+    profileLanguages,
+    acceptLanguage: req.get('Accept-Language')
+  });
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+
+  next();
+};
+
+module.exports = locale;
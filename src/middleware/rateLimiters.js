@@ -70,6 +70,13 @@ const resetPasswordLimiter = createRateLimiter(
   'Too many password reset attempts, please try again later'
 );
 
+// Public share link rate limiter (unauthenticated, guards against token guessing)
+const sharedTripLimiter = createRateLimiter(
+  15 * 60 * 1000, // 15 minutes
+  100, // 100 shared trip views per 15 minutes
+  'Too many shared trip requests, please try again later'
+);
+
 module.exports = {
   registerLimiter,
   loginLimiter,
@@ -79,5 +86,6 @@ module.exports = {
   phoneVerificationLimiter,
   twoFactorLimiter,
   recoveryRequestLimiter,
-  resetPasswordLimiter
+  resetPasswordLimiter,
+  sharedTripLimiter
 };
\ No newline at end of file
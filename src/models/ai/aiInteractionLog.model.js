@@ -1,10 +1,15 @@
 const mongoose = require('mongoose');
 
+// Provider failover events are not tied to a user request model, so these fields are optional for them
+const requiredUnlessFailover = function() {
+  return this.endpoint !== 'provider-failover';
+};
+
 const aiInteractionLogSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    required: requiredUnlessFailover,
     index: true
   },
   tripId: {
@@ -22,16 +27,32 @@ const aiInteractionLogSchema = new mongoose.Schema({
       'optimize-schedule',
       'validate-constraints',
       'suggest-activities',
-      'generate-embeddings'
+      'generate-embeddings',
+      'extract-trip-info',
+      'provider-failover'
     ],
     index: true
   },
   model: {
     type: String,
-    required: true,
+    required: requiredUnlessFailover,
     enum: ['flash', 'pro', 'embeddings'],
     index: true
   },
+  // Provider and provider model that answered (e.g. 'gemini', 'gemini-2.5-flash')
+  provider: {
+    type: String,
+    index: true
+  },
+  providerModel: {
+    type: String
+  },
+  // Prompt template version the prompt was built from
+  promptTemplate: {
+    key: String,
+    version: Number,
+    locale: String
+  },
   request: {
     prompt: {
       type: String,
@@ -54,6 +75,19 @@ const aiInteractionLogSchema = new mongoose.Schema({
       min: 0,
       max: 100000
     },
+    promptTokens: {
+      type: Number,
+      min: 0
+    },
+    completionTokens: {
+      type: Number,
+      min: 0
+    },
+    // USD, from the model price table at the time of the call
+    cost: {
+      type: Number,
+      min: 0
+    },
     processingTime: {
       type: Number, // In milliseconds
       min: 0,
@@ -70,6 +104,14 @@ const aiInteractionLogSchema = new mongoose.Schema({
     type: String,
     maxlength: 1000
   },
+  // Set on 'provider-failover' logs
+  failover: {
+    task: String,
+    fromProvider: String,
+    toProvider: String,
+    reason: String,
+    statusCode: Number
+  },
   metadata: {
     ipAddress: {
       type: String,
@@ -105,6 +147,9 @@ aiInteractionLogSchema.statics.createLog = function(logData) {
     tripId: logData.tripId,
     endpoint: logData.endpoint,
     model: logData.model,
+    provider: logData.provider,
+    providerModel: logData.providerModel,
+    promptTemplate: logData.promptTemplate,
     request: {
       prompt: logData.prompt,
       parameters: logData.parameters || {}
@@ -112,10 +157,14 @@ aiInteractionLogSchema.statics.createLog = function(logData) {
     response: {
       content: logData.responseContent,
       tokensUsed: logData.tokensUsed,
+      promptTokens: logData.promptTokens,
+      completionTokens: logData.completionTokens,
+      cost: logData.cost,
       processingTime: logData.processingTime
     },
     success: logData.success,
     error: logData.error,
+    failover: logData.failover,
     metadata: {
       ipAddress: logData.ipAddress,
       userAgent: logData.userAgent,
@@ -147,6 +196,7 @@ aiInteractionLogSchema.statics.getUserStats = async function(userId, timeframe =
           $sum: { $cond: ['$success', 0, 1] }
         },
         totalTokensUsed: { $sum: '$response.tokensUsed' },
+        totalCost: { $sum: '$response.cost' },
         avgProcessingTime: { $avg: '$response.processingTime' },
         endpointBreakdown: {
           $push: '$endpoint'
@@ -163,6 +213,7 @@ aiInteractionLogSchema.statics.getUserStats = async function(userId, timeframe =
     successfulRequests: 0,
     failedRequests: 0,
     totalTokensUsed: 0,
+    totalCost: 0,
     avgProcessingTime: 0,
     endpointBreakdown: [],
     modelBreakdown: []
@@ -200,6 +251,76 @@ aiInteractionLogSchema.statics.getEndpointStats = async function(timeframe = 7)
   ]);
 };
 
+// Fields usage can be grouped by (see getUsageStats)
+const USAGE_GROUPS = {
+  user: '$userId',
+  trip: '$tripId',
+  endpoint: '$endpoint',
+  provider: '$provider',
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
+};
+
+// Static method to get token and cost totals grouped by user, trip, endpoint, provider or day
+aiInteractionLogSchema.statics.getUsageStats = async function({ groupBy = 'day', from, to, filters = {} } = {}) {
+  const groupKey = USAGE_GROUPS[groupBy];
+  if (!groupKey) {
+    throw new Error(`Unknown usage group: ${groupBy}`);
+  }
+
+  const match = { endpoint: { $ne: 'provider-failover' } };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+  for (const field of ['userId', 'tripId']) {
+    if (filters[field]) {
+      match[field] = new mongoose.Types.ObjectId(filters[field]);
+    }
+  }
+  for (const field of ['endpoint', 'provider']) {
+    if (filters[field]) {
+      match[field] = filters[field];
+    }
+  }
+
+  return await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: groupKey,
+        requests: { $sum: 1 },
+        promptTokens: { $sum: '$response.promptTokens' },
+        completionTokens: { $sum: '$response.completionTokens' },
+        totalTokens: { $sum: '$response.tokensUsed' },
+        cost: { $sum: '$response.cost' }
+      }
+    },
+    { $sort: groupBy === 'day' ? { _id: 1 } : { cost: -1, totalTokens: -1 } }
+  ]);
+};
+
+// Static method to get the tokens a user has used since a date
+aiInteractionLogSchema.statics.getTokensUsedSince = async function(userId, since) {
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        createdAt: { $gte: since }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        tokensUsed: { $sum: '$response.tokensUsed' },
+        cost: { $sum: '$response.cost' }
+      }
+    }
+  ]);
+
+  return result ? { tokensUsed: result.tokensUsed, cost: result.cost } : { tokensUsed: 0, cost: 0 };
+};
+
 // Instance method to sanitize log for export
 aiInteractionLogSchema.methods.toSafeJSON = function() {
   const log = this.toObject();
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// AI response cache schema - model responses reused for identical prompts until they expire
+const aiResponseCacheSchema = new mongoose.Schema({
+  // Hash of provider, model, normalized prompt and response schema
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    index: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// TTL index to automatically delete entries once they expire
+aiResponseCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AIResponseCache = mongoose.model('AIResponseCache', aiResponseCacheSchema);
+
+module.exports = AIResponseCache;
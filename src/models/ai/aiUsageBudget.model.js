@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Per-user monthly token budget, overriding the default (AI_MONTHLY_TOKEN_BUDGET)
+const aiUsageBudgetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Tokens per calendar month (UTC); 0 means unlimited
+  monthlyTokens: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+const AIUsageBudget = mongoose.model('AIUsageBudget', aiUsageBudgetSchema);
+
+module.exports = AIUsageBudget;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Oldest messages are dropped beyond this many (prompts only use a recent window anyway)
+const MAX_STORED_MESSAGES = 500;
+
+// Single chat turn
+const conversationMessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 20000
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Conversation schema - persistent multi-turn AI chat, optionally tied to a trip
+const conversationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: 'New conversation'
+  },
+  messages: {
+    type: [conversationMessageSchema],
+    default: []
+  },
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+conversationSchema.index({ userId: 1, lastMessageAt: -1 });
+conversationSchema.index({ userId: 1, tripId: 1, lastMessageAt: -1 });
+
+// Method to get conversation summary without the message history
+conversationSchema.methods.getSummary = function() {
+  const lastMessage = this.messages[this.messages.length - 1];
+  return {
+    _id: this._id,
+    tripId: this.tripId,
+    title: this.title,
+    messageCount: this.messageCount,
+    lastMessage: lastMessage ? {
+      role: lastMessage.role,
+      content: lastMessage.content.slice(0, 200),
+      createdAt: lastMessage.createdAt
+    } : null,
+    lastMessageAt: this.lastMessageAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+Conversation.MAX_STORED_MESSAGES = MAX_STORED_MESSAGES;
+
+module.exports = Conversation;
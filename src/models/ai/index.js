@@ -1,7 +1,23 @@
 const AIInteractionLog = require('./aiInteractionLog.model');
 const RateLimitTracker = require('./rateLimitTracker.model');
+const ItineraryJob = require('./itineraryJob.model');
+const Conversation = require('./conversation.model');
+const TripInfoProposal = require('./tripInfoProposal.model');
+const AIResponseCache = require('./aiResponseCache.model');
+const AIUsageBudget = require('./aiUsageBudget.model');
+const PromptTemplate = require('./promptTemplate.model');
+const PromptExperiment = require('./promptExperiment.model');
+const PromptExperimentExposure = require('./promptExperimentExposure.model');
 
 module.exports = {
   AIInteractionLog,
-  RateLimitTracker
+  RateLimitTracker,
+  ItineraryJob,
+  Conversation,
+  TripInfoProposal,
+  AIResponseCache,
+  AIUsageBudget,
+  PromptTemplate,
+  PromptExperiment,
+  PromptExperimentExposure
 };
\ No newline at end of file
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+// One chunk of consecutive trip days, generated and checkpointed on its own
+const jobChunkSchema = new mongoose.Schema({
+  chunkId: {
+    type: String,
+    required: true
+  },
+  startDay: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  endDay: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Generated days of this chunk, kept so a resumed job does not regenerate them
+  days: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  tokensUsed: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    maxlength: 1000
+  },
+  startedAt: Date,
+  completedAt: Date
+}, { _id: false });
+
+// Itinerary generation job schema - background generation with per-chunk progress
+const itineraryJobSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+  // Current step of a running job: generating chunk days, generating tips, saving to the trip
+  stage: {
+    type: String,
+    enum: ['days', 'tips', 'saving'],
+    default: 'days'
+  },
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  chunks: {
+    type: [jobChunkSchema],
+    default: []
+  },
+  tips: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  tipsTokensUsed: {
+    type: Number,
+    default: 0
+  },
+  timeConflicts: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  error: {
+    code: String,
+    message: String
+  },
+  // Worker lease: a job whose lease expired (process restart) is picked up again
+  workerId: String,
+  leaseExpiresAt: Date,
+  resumeCount: {
+    type: Number,
+    default: 0
+  },
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes for performance
+itineraryJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+itineraryJobSchema.index({ tripId: 1, createdAt: -1 });
+
+// TTL index to automatically delete finished jobs after 7 days
+itineraryJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 604800 });
+
+// Method to check if the job can still make progress
+itineraryJobSchema.methods.isActive = function() {
+  return this.status === 'queued' || this.status === 'running';
+};
+
+// Method to get job progress and partial results for API responses
+itineraryJobSchema.methods.toPublicJSON = function() {
+  const completedChunks = this.chunks.filter(chunk => chunk.status === 'completed');
+  // Tips count as one extra step after the chunks
+  const totalSteps = this.chunks.length + 1;
+  const completedSteps = completedChunks.length + (this.tips ? 1 : 0);
+
+  return {
+    _id: this._id,
+    tripId: this.tripId,
+    userId: this.userId,
+    status: this.status,
+    stage: this.stage,
+    progress: {
+      completedChunks: completedChunks.length,
+      totalChunks: this.chunks.length,
+      percentage: this.status === 'completed' ? 100 : Math.round((completedSteps / totalSteps) * 100)
+    },
+    chunks: this.chunks.map(chunk => ({
+      chunkId: chunk.chunkId,
+      startDay: chunk.startDay,
+      endDay: chunk.endDay,
+      status: chunk.status,
+      attempts: chunk.attempts,
+      daysGenerated: chunk.days.length,
+      tokensUsed: chunk.tokensUsed,
+      error: chunk.error,
+      startedAt: chunk.startedAt,
+      completedAt: chunk.completedAt
+    })),
+    days: completedChunks.flatMap(chunk => chunk.days),
+    tokensUsed: this.chunks.reduce((sum, chunk) => sum + (chunk.tokensUsed || 0), 0) + (this.tipsTokensUsed || 0),
+    timeConflicts: this.timeConflicts,
+    error: this.error && this.error.code ? this.error : undefined,
+    resumeCount: this.resumeCount,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt
+  };
+};
+
+const ItineraryJob = mongoose.model('ItineraryJob', itineraryJobSchema);
+
+module.exports = ItineraryJob;
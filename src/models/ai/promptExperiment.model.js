@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Endpoints whose prompts and models can be experimented with
+const EXPERIMENT_ENDPOINTS = ['chat', 'extract-trip-info', 'generate-itinerary'];
+
+// A prompt/model variant; unset fields keep the endpoint's default
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // Relative share of users bucketed into the variant
+  weight: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Version of the endpoint's prompt template
+  templateVersion: {
+    type: Number,
+    min: 1
+  },
+  templateLocale: {
+    type: String,
+    lowercase: true,
+    default: 'en'
+  },
+  model: {
+    type: String,
+    enum: ['flash', 'pro']
+  }
+}, { _id: false });
+
+// Prompt experiment schema - users of an endpoint are split between variants; the first is the control
+const promptExperimentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    enum: EXPERIMENT_ENDPOINTS
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'running', 'stopped'],
+    default: 'draft'
+  },
+  variants: {
+    type: [variantSchema],
+    validate: {
+      validator: variants => variants.length >= 2,
+      message: 'An experiment needs at least two variants'
+    }
+  },
+  startedAt: Date,
+  stoppedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// At most one running experiment per endpoint
+promptExperimentSchema.index(
+  { endpoint: 1 },
+  { unique: true, partialFilterExpression: { status: 'running' } }
+);
+promptExperimentSchema.index({ status: 1, createdAt: -1 });
+
+promptExperimentSchema.statics.ENDPOINTS = EXPERIMENT_ENDPOINTS;
+
+const PromptExperiment = mongoose.model('PromptExperiment', promptExperimentSchema);
+
+module.exports = PromptExperiment;
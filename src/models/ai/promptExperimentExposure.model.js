@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// Numeric outcomes compared between variants by mean
+const MEAN_METRICS = ['validationScore', 'activitiesEdited', 'activitiesDeleted', 'latencyMs', 'tokensUsed'];
+
+// Prompt experiment exposure schema - one AI call made under a variant and what came of it
+const promptExperimentExposureSchema = new mongoose.Schema({
+  experimentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromptExperiment',
+    required: true
+  },
+  variant: {
+    type: String,
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
+  // Template version and model the call actually used
+  promptTemplate: {
+    key: String,
+    version: Number,
+    locale: String
+  },
+  model: String,
+  success: {
+    type: Boolean,
+    required: true
+  },
+  latencyMs: Number,
+  tokensUsed: Number,
+  // Whether the model output could be parsed (unset where nothing is parsed, e.g. chat replies)
+  parseSuccess: Boolean,
+  // Generated itineraries: constraint validation score, then user edits and deletes afterwards
+  validationScore: Number,
+  activitiesGenerated: Number,
+  activitiesEdited: Number,
+  activitiesDeleted: Number
+}, {
+  timestamps: true
+});
+
+promptExperimentExposureSchema.index({ experimentId: 1, variant: 1 });
+promptExperimentExposureSchema.index({ tripId: 1, endpoint: 1, createdAt: -1 });
+
+/**
+ * Count activity edits and deletes against the trip's latest generated itinerary
+ * @param {string} tripId - Trip ID
+ * @param {Object} changes - { edited, deleted }
+ * @returns {Promise<Object|null>} Updated exposure, null when the itinerary was not part of an experiment
+ */
+promptExperimentExposureSchema.statics.recordActivityChanges = function(tripId, { edited = 0, deleted = 0 }) {
+  return this.findOneAndUpdate(
+    { tripId, endpoint: 'generate-itinerary', success: true },
+    { $inc: { activitiesEdited: edited, activitiesDeleted: deleted } },
+    { sort: { createdAt: -1 }, new: true }
+  );
+};
+
+/**
+ * Per-variant outcome totals: rates as counts, numeric outcomes as { mean, stdDev, count }
+ * @param {string} experimentId - Experiment ID
+ * @returns {Promise<Array>} [{ variant, exposures, successes, parseAttempts, parseSuccesses,
+ *   itineraries, modifiedItineraries, validationScore, activitiesEdited, ... }]
+ */
+promptExperimentExposureSchema.statics.getVariantStats = async function(experimentId) {
+  const countIf = condition => ({ $sum: { $cond: [condition, 1, 0] } });
+
+  const group = {
+    _id: '$variant',
+    exposures: { $sum: 1 },
+    successes: countIf('$success'),
+    parseAttempts: countIf({ $ne: [{ $type: '$parseSuccess' }, 'missing'] }),
+    parseSuccesses: countIf({ $eq: ['$parseSuccess', true] }),
+    itineraries: countIf({ $isNumber: '$activitiesGenerated' }),
+    modifiedItineraries: countIf({ $gt: [{ $add: [{ $ifNull: ['$activitiesEdited', 0] }, { $ifNull: ['$activitiesDeleted', 0] }] }, 0] })
+  };
+  const project = {
+    _id: 0,
+    variant: '$_id',
+    exposures: 1,
+    successes: 1,
+    parseAttempts: 1,
+    parseSuccesses: 1,
+    itineraries: 1,
+    modifiedItineraries: 1
+  };
+
+  MEAN_METRICS.forEach(metric => {
+    // Itineraries that were never edited count as 0 edits
+    const value = metric === 'activitiesEdited' || metric === 'activitiesDeleted'
+      ? { $cond: [{ $isNumber: '$activitiesGenerated' }, { $ifNull: [`$${metric}`, 0] }, null] }
+      : `$${metric}`;
+    group[`${metric}Mean`] = { $avg: value };
+    group[`${metric}StdDev`] = { $stdDevSamp: value };
+    group[`${metric}Count`] = countIf({ $isNumber: value });
+    project[metric] = {
+      mean: `$${metric}Mean`,
+      stdDev: { $ifNull: [`$${metric}StdDev`, 0] },
+      count: `$${metric}Count`
+    };
+  });
+
+  return await this.aggregate([
+    { $match: { experimentId: new mongoose.Types.ObjectId(experimentId) } },
+    { $group: group },
+    { $project: project }
+  ]);
+};
+
+promptExperimentExposureSchema.statics.MEAN_METRICS = MEAN_METRICS;
+
+const PromptExperimentExposure = mongoose.model('PromptExperimentExposure', promptExperimentExposureSchema);
+
+module.exports = PromptExperimentExposure;
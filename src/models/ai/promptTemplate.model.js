@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Prompt template schema - immutable versions of each template per locale; one version is active
+const promptTemplateSchema = new mongoose.Schema({
+  // Template name used by the prompt builder (e.g. 'itinerary', 'chat')
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // Locale variant ('en', 'vi', 'vi-vn', ...)
+  locale: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 10,
+    default: 'en'
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Named text sections (header, instructions, format, ...) with {{variable}} placeholders
+  sections: {
+    type: Map,
+    of: {
+      type: String,
+      maxlength: 20000
+    },
+    required: true
+  },
+  // Placeholders the sections use
+  variables: {
+    type: [String],
+    default: []
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  changeNote: {
+    type: String,
+    maxlength: 500
+  },
+  active: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+promptTemplateSchema.index({ key: 1, locale: 1, version: 1 }, { unique: true });
+
+// At most one active version per template and locale
+promptTemplateSchema.index(
+  { key: 1, locale: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+
+const PromptTemplate = mongoose.model('PromptTemplate', promptTemplateSchema);
+
+module.exports = PromptTemplate;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// One proposed field change, e.g. { field: 'destination.startDate', value: '2025-12-20' }
+const proposedChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Trip value when the change was proposed, to detect edits made before confirmation
+  previousValue: mongoose.Schema.Types.Mixed,
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    required: true
+  }
+}, { _id: false });
+
+// Trip info proposal schema - changes extracted from chat that wait for the user's confirmation
+const tripInfoProposalSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  // Chat message the changes were extracted from
+  message: {
+    type: String,
+    maxlength: 2000
+  },
+  changes: {
+    type: [proposedChangeSchema],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'rejected', 'superseded'],
+    default: 'pending'
+  },
+  appliedFields: {
+    type: [String],
+    default: undefined
+  },
+  resolvedAt: Date,
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+tripInfoProposalSchema.index({ tripId: 1, status: 1, createdAt: -1 });
+
+// TTL index to automatically delete proposals after they expire
+tripInfoProposalSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if the proposal can still be confirmed or rejected
+tripInfoProposalSchema.methods.isPending = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+// Method to get proposal data for API responses
+tripInfoProposalSchema.methods.toPublicJSON = function() {
+  return {
+    _id: this._id,
+    tripId: this.tripId,
+    userId: this.userId,
+    conversationId: this.conversationId,
+    message: this.message,
+    changes: this.changes,
+    status: this.status,
+    appliedFields: this.appliedFields,
+    createdAt: this.createdAt,
+    resolvedAt: this.resolvedAt,
+    expiresAt: this.expiresAt
+  };
+};
+
+const TripInfoProposal = mongoose.model('TripInfoProposal', tripInfoProposalSchema);
+
+module.exports = TripInfoProposal;
@@ -10,13 +10,23 @@ const User = require('./users/user.model');
 
 // Trip models
 const {
-  Trip
+  Trip,
+  TripVersion,
+  ExchangeRate
 } = require('./trips');
 
 // AI models
 const {
   AIInteractionLog,
-  RateLimitTracker
+  RateLimitTracker,
+  ItineraryJob,
+  Conversation,
+  TripInfoProposal,
+  AIResponseCache,
+  AIUsageBudget,
+  PromptTemplate,
+  PromptExperiment,
+  PromptExperimentExposure
 } = require('./ai');
 
 // Authentication models
@@ -37,10 +47,20 @@ module.exports = {
   
   // Trip models
   Trip,
+  TripVersion,
+  ExchangeRate,
   
   // AI models
   AIInteractionLog,
   RateLimitTracker,
+  ItineraryJob,
+  Conversation,
+  TripInfoProposal,
+  AIResponseCache,
+  AIUsageBudget,
+  PromptTemplate,
+  PromptExperiment,
+  PromptExperimentExposure,
   
   // Authentication models
   BlacklistToken,
@@ -67,11 +87,21 @@ module.exports = {
   },
   
   trips: {
-    Trip
+    Trip,
+    TripVersion,
+    ExchangeRate
   },
   
   ai: {
     AIInteractionLog,
-    RateLimitTracker
+    RateLimitTracker,
+    ItineraryJob,
+    Conversation,
+    TripInfoProposal,
+    AIResponseCache,
+    AIUsageBudget,
+    PromptTemplate,
+    PromptExperiment,
+    PromptExperimentExposure
   }
 };
\ No newline at end of file
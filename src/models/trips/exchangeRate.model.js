@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Exchange rate set by an admin, overriding or extending the offline table (utils/currency)
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/ // ISO 4217 currency code format
+  },
+  // Units of the currency per 1 USD
+  perUSD: {
+    type: Number,
+    required: true,
+    min: 0.000001
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
@@ -1,5 +1,9 @@
 const Trip = require('./trip.model');
+const TripVersion = require('./tripVersion.model');
+const ExchangeRate = require('./exchangeRate.model');
 
 module.exports = {
-  Trip
-};
\ No newline at end of file
+  Trip,
+  TripVersion,
+  ExchangeRate
+};
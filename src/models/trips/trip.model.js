@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Activity categories
+const ACTIVITY_CATEGORIES = ['cultural', 'adventure', 'relaxation', 'food', 'shopping', 'nature', 'nightlife', 'transportation', 'accommodation'];
+
 // Activity schema for itinerary days
 const activitySchema = new mongoose.Schema({
   time: {
@@ -56,9 +59,16 @@ const activitySchema = new mongoose.Schema({
     min: 0,
     max: 50000000 // Increased for VND support (50M VND)
   },
+  // Currency of the cost; activities saved without one are priced in the trip's budget currency
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/ // ISO 4217 currency code format
+  },
   category: {
     type: String,
-    enum: ['cultural', 'adventure', 'relaxation', 'food', 'shopping', 'nature', 'nightlife', 'transportation', 'accommodation'],
+    enum: ACTIVITY_CATEGORIES,
     required: true
   },
   notes: {
@@ -83,6 +93,166 @@ const daySchema = new mongoose.Schema({
   versionKey: false
 });
 
+// Itinerary travel tip schema
+const tipSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: ['general', 'transportation', 'accommodation', 'food', 'culture', 'safety', 'budget', 'weather'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  _id: true,
+  versionKey: false
+});
+
+// Language of tips saved before tips were localized
+const LEGACY_TIPS_LOCALE = 'vi';
+
+// Trip member roles ordered by privilege
+const MEMBER_ROLE_LEVELS = {
+  viewer: 1,
+  editor: 2,
+  owner: 3
+};
+
+// Trip member schema for collaborative trips
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: Object.keys(MEMBER_ROLE_LEVELS),
+    default: 'viewer',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'pending',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  },
+  acceptedAt: {
+    type: Date
+  }
+}, {
+  _id: false,
+  versionKey: false
+});
+
+// Public share link schema for read-only trip access
+const shareLinkSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true
+  },
+  includeCosts: {
+    type: Boolean,
+    default: false
+  },
+  includeNotes: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  _id: true,
+  versionKey: false
+});
+
+// Spending categories, matching the planned `budget.breakdown` categories
+const BUDGET_CATEGORIES = ['accommodation', 'transportation', 'food', 'activities', 'shopping', 'other'];
+
+// Actual spending logged by travelers, in the currency it was paid in
+const expenseSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 50000000
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/ // ISO 4217 currency code format
+  },
+  category: {
+    type: String,
+    enum: BUDGET_CATEGORIES,
+    required: true
+  },
+  // Day the money was spent
+  date: {
+    type: Date,
+    required: true
+  },
+  // Itinerary activity the expense belongs to, if any
+  activityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+}, {
+  _id: true,
+  versionKey: false
+});
+
 // Main trip schema
 const tripSchema = new mongoose.Schema({
   userId: {
@@ -91,6 +261,21 @@ const tripSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Members and share links are written with atomic updates, so they do not change the trip revision
+  members: {
+    type: [memberSchema],
+    default: [],
+    validate: {
+      validator: function(arr) {
+        return arr.length <= 50;
+      },
+      message: 'Maximum 50 members per trip'
+    }
+  },
+  shareLinks: {
+    type: [shareLinkSchema],
+    default: []
+  },
   name: {
     type: String,
     required: true,
@@ -251,26 +436,20 @@ const tripSchema = new mongoose.Schema({
   },
   itinerary: {
     days: [daySchema],
-    tips: [{
-      category: {
-        type: String,
-        enum: ['general', 'transportation', 'accommodation', 'food', 'culture', 'safety', 'budget', 'weather'],
-        required: true
-      },
-      title: {
-        type: String,
-        required: true,
-        trim: true,
-        maxlength: 100
-      },
-      content: {
-        type: String,
-        required: true,
-        trim: true,
-        maxlength: 500
+    tips: [tipSchema],
+    // Language of `tips` (unset on trips generated before tips were localized, which are Vietnamese)
+    tipsLocale: String,
+    // The same tips in other languages, keyed by locale
+    localizedTips: {
+      type: Map,
+      of: {
+        type: [tipSchema],
+        default: undefined
       }
-    }]
+    }
   },
+  // Written with atomic updates, so logging spending does not change the trip revision
+  expenses: [expenseSchema],
   status: {
     type: String,
     enum: ['draft', 'planned', 'in-progress', 'completed'],
@@ -279,13 +458,17 @@ const tripSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true, // Adds createdAt and updatedAt automatically
-  versionKey: false
+  // Every save bumps `revision` and fails with a VersionError if the stored revision moved on
+  versionKey: 'revision',
+  optimisticConcurrency: true
 });
 
 // Compound indexes for performance
 tripSchema.index({ userId: 1, status: 1 });
 tripSchema.index({ userId: 1, createdAt: -1 });
 tripSchema.index({ userId: 1, 'destination.startDate': 1 });
+tripSchema.index({ 'members.userId': 1 });
+tripSchema.index({ 'shareLinks.token': 1 });
 
 // Virtual for trip duration in days
 tripSchema.virtual('duration').get(function() {
@@ -306,6 +489,47 @@ tripSchema.methods.isOwnedBy = function(userId) {
   return this.userId.toString() === userId.toString();
 };
 
+// Method to get a user's role on this trip (null if the user has no access)
+tripSchema.methods.getMemberRole = function(userId) {
+  if (!userId) {
+    return null;
+  }
+  if (this.isOwnedBy(userId)) {
+    return 'owner';
+  }
+  const member = (this.members || []).find(m =>
+    m.userId.toString() === userId.toString() && m.status === 'accepted'
+  );
+  return member ? member.role : null;
+};
+
+// Method to check if user has at least the given role on this trip
+tripSchema.methods.hasAccess = function(userId, requiredRole = 'viewer') {
+  const role = this.getMemberRole(userId);
+  return !!role && MEMBER_ROLE_LEVELS[role] >= MEMBER_ROLE_LEVELS[requiredRole];
+};
+
+// Method to replace the itinerary tips; translations of the previous tips are dropped
+tripSchema.methods.setTips = function(tips, locale) {
+  this.itinerary.tips = tips;
+  this.itinerary.tipsLocale = locale;
+  this.itinerary.localizedTips = undefined;
+};
+
+// Method to get the itinerary tips in a language (null if they have not been translated yet)
+tripSchema.methods.getTips = function(locale) {
+  if (locale === (this.itinerary.tipsLocale || LEGACY_TIPS_LOCALE)) {
+    return this.itinerary.tips;
+  }
+  const localized = this.itinerary.localizedTips && this.itinerary.localizedTips.get(locale);
+  return localized || null;
+};
+
+// Method to get the current revision (trips saved before revisions existed count as 0)
+tripSchema.methods.getRevision = function() {
+  return this.revision || 0;
+};
+
 // Method to get trip summary
 tripSchema.methods.getSummary = function() {
   return {
@@ -325,14 +549,59 @@ tripSchema.methods.getSummary = function() {
 // Method to get public trip data (excluding sensitive information)
 tripSchema.methods.toPublicJSON = function() {
   const trip = this.toObject({ virtuals: true });
+  trip.revision = this.getRevision();
   
-  // Include all trip data for now - may need to exclude sensitive info later
+  // Share tokens grant access on their own, so they are only listed by the share link endpoints
+  delete trip.shareLinks;
   return trip;
 };
 
+// Method to get the read-only view served through a public share link
+tripSchema.methods.toSharedJSON = function(options = {}) {
+  const { includeCosts = false, includeNotes = false } = options;
+  const trip = this.toPublicJSON();
+  
+  delete trip.userId;
+  delete trip.members;
+  delete trip.expenses;
+  
+  if (!includeCosts) {
+    delete trip.budget;
+  }
+  
+  if (trip.itinerary && trip.itinerary.days) {
+    trip.itinerary.days.forEach(day => {
+      day.activities.forEach(activity => {
+        if (!includeCosts) {
+          delete activity.cost;
+          delete activity.currency;
+        }
+        if (!includeNotes) {
+          delete activity.notes;
+        }
+      });
+    });
+  }
+  
+  return trip;
+};
+
+tripSchema.statics.ACTIVITY_CATEGORIES = ACTIVITY_CATEGORIES;
+tripSchema.statics.BUDGET_CATEGORIES = BUDGET_CATEGORIES;
+
+// Static method to build a query matching trips owned by or shared with a user
+tripSchema.statics.accessibleBy = function(userId) {
+  return {
+    $or: [
+      { userId },
+      { members: { $elemMatch: { userId, status: 'accepted' } } }
+    ]
+  };
+};
+
 // Static method to find trips by user with filters
 tripSchema.statics.findByUserWithFilters = function(userId, filters = {}) {
-  let query = { userId };
+  let query = this.accessibleBy(userId);
   
   // Apply status filter
   if (filters.status) {
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Trip version schema - one snapshot of the trip content per change
+const tripVersionSchema = new mongoose.Schema({
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'ai-generate', 'ai-optimize', 'chat-extraction', 'import', 'restore'],
+    required: true
+  },
+  summary: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // Trip content at this version (name, destination, travelers, budget, preferences, itinerary, status)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+// Indexes for performance
+tripVersionSchema.index({ tripId: 1, version: -1 }, { unique: true });
+
+// Static method to get the latest version number of a trip (0 if none)
+tripVersionSchema.statics.getLatestVersionNumber = async function(tripId) {
+  const latest = await this.findOne({ tripId }).sort({ version: -1 }).select('version').lean();
+  return latest ? latest.version : 0;
+};
+
+// Method to get version metadata without the snapshot
+tripVersionSchema.methods.getSummary = function() {
+  return {
+    _id: this._id,
+    tripId: this.tripId,
+    version: this.version,
+    authorId: this.authorId,
+    source: this.source,
+    summary: this.summary,
+    createdAt: this.createdAt
+  };
+};
+
+const TripVersion = mongoose.model('TripVersion', tripVersionSchema);
+
+module.exports = TripVersion;
@@ -11,14 +11,14 @@ router.use(auth('admin'));
 
 /**
  * @route GET /api/v1/admin/ai-provider/status
- * @desc Get current AI provider status and configuration
+ * @desc Get AI provider status: chain, circuit breakers, task routes and recent failovers
  * @access Admin only
  */
 router.get('/status', aiProviderController.getProviderStatus);
 
 /**
  * @route POST /api/v1/admin/ai-provider/switch
- * @desc Switch AI provider at runtime
+ * @desc Switch the primary AI provider at runtime (the others stay in the chain as fallbacks)
  * @access Admin only
  */
 router.post('/switch', 
@@ -28,7 +28,7 @@ router.post('/switch',
 
 /**
  * @route POST /api/v1/admin/ai-provider/test
- * @desc Test AI provider with simple request
+ * @desc Test one AI provider with a simple request (no failover)
  * @access Admin only
  */
 router.post('/test', 
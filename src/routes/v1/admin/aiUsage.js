@@ -0,0 +1,53 @@
+const express = require('express');
+const validate = require('../../../middleware/validate');
+const auth = require('../../../middleware/auth');
+const { aiUsageController } = require('../../../controllers/ai');
+const { aiUsageValidation } = require('../../../validations');
+
+const router = express.Router();
+
+// All admin routes require authentication and admin role
+router.use(auth('admin'));
+
+/**
+ * @route GET /api/v1/admin/ai-usage
+ * @desc Get token and cost totals grouped by user, trip, endpoint, provider or day
+ *   (query: groupBy, from, to, userId, tripId, endpoint, provider)
+ * @access Admin only
+ */
+router.get('/',
+  validate(aiUsageValidation.getUsage),
+  aiUsageController.getUsage
+);
+
+/**
+ * @route GET /api/v1/admin/ai-usage/users/:userId/budget
+ * @desc Get a user's monthly token budget and the tokens used this month
+ * @access Admin only
+ */
+router.get('/users/:userId/budget',
+  validate(aiUsageValidation.userBudget),
+  aiUsageController.getUserBudget
+);
+
+/**
+ * @route PUT /api/v1/admin/ai-usage/users/:userId/budget
+ * @desc Set a user's monthly token budget (0 for unlimited)
+ * @access Admin only
+ */
+router.put('/users/:userId/budget',
+  validate(aiUsageValidation.setUserBudget),
+  aiUsageController.setUserBudget
+);
+
+/**
+ * @route DELETE /api/v1/admin/ai-usage/users/:userId/budget
+ * @desc Remove a user's budget so the default applies again
+ * @access Admin only
+ */
+router.delete('/users/:userId/budget',
+  validate(aiUsageValidation.userBudget),
+  aiUsageController.removeUserBudget
+);
+
+module.exports = router;
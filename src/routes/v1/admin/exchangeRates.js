@@ -0,0 +1,39 @@
+const express = require('express');
+const validate = require('../../../middleware/validate');
+const auth = require('../../../middleware/auth');
+const { exchangeRateController } = require('../../../controllers/trips');
+const { exchangeRateValidation } = require('../../../validations');
+
+const router = express.Router();
+
+// All admin routes require authentication and admin role
+router.use(auth('admin'));
+
+/**
+ * @route GET /api/v1/admin/exchange-rates
+ * @desc List exchange rates (units per 1 USD) with their source: offline default or admin
+ * @access Admin only
+ */
+router.get('/', exchangeRateController.listRates);
+
+/**
+ * @route PUT /api/v1/admin/exchange-rates/:currency
+ * @desc Set a currency's rate (body: perUSD), overriding the offline rate or adding a currency
+ * @access Admin only
+ */
+router.put('/:currency',
+  validate(exchangeRateValidation.setRate),
+  exchangeRateController.setRate
+);
+
+/**
+ * @route DELETE /api/v1/admin/exchange-rates/:currency
+ * @desc Remove an admin rate so the offline rate applies again
+ * @access Admin only
+ */
+router.delete('/:currency',
+  validate(exchangeRateValidation.rateCurrency),
+  exchangeRateController.removeRate
+);
+
+module.exports = router;
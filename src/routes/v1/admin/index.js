@@ -4,4 +4,16 @@ const router = express.Router();
 // AI Provider Management
 router.use('/ai-provider', require('./aiProvider'));
 
+// AI Usage and Token Budgets
+router.use('/ai-usage', require('./aiUsage'));
+
+// Prompt Templates
+router.use('/prompt-templates', require('./promptTemplates'));
+
+// Prompt Experiments
+router.use('/prompt-experiments', require('./promptExperiments'));
+
+// Exchange Rates
+router.use('/exchange-rates', require('./exchangeRates'));
+
 module.exports = router;
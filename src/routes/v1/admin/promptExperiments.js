@@ -0,0 +1,63 @@
+const express = require('express');
+const validate = require('../../../middleware/validate');
+const auth = require('../../../middleware/auth');
+const { promptExperimentController } = require('../../../controllers/ai');
+const { promptExperimentValidation } = require('../../../validations');
+
+const router = express.Router();
+
+// All admin routes require authentication and admin role
+router.use(auth('admin'));
+
+/**
+ * @route GET /api/v1/admin/prompt-experiments
+ * @desc List prompt experiments (query: status, endpoint)
+ * @access Admin only
+ */
+router.get('/',
+  validate(promptExperimentValidation.listExperiments),
+  promptExperimentController.listExperiments
+);
+
+/**
+ * @route POST /api/v1/admin/prompt-experiments
+ * @desc Create a draft experiment for an endpoint; the first variant is the control
+ * @access Admin only
+ */
+router.post('/',
+  validate(promptExperimentValidation.createExperiment),
+  promptExperimentController.createExperiment
+);
+
+/**
+ * @route POST /api/v1/admin/prompt-experiments/:id/start
+ * @desc Start a draft experiment (one running experiment per endpoint)
+ * @access Admin only
+ */
+router.post('/:id/start',
+  validate(promptExperimentValidation.experimentId),
+  promptExperimentController.startExperiment
+);
+
+/**
+ * @route POST /api/v1/admin/prompt-experiments/:id/stop
+ * @desc Stop a running experiment
+ * @access Admin only
+ */
+router.post('/:id/stop',
+  validate(promptExperimentValidation.experimentId),
+  promptExperimentController.stopExperiment
+);
+
+/**
+ * @route GET /api/v1/admin/prompt-experiments/:id/report
+ * @desc Per-variant parse success, validation score, edits/deletes, latency and tokens,
+ *   with p-values against the control
+ * @access Admin only
+ */
+router.get('/:id/report',
+  validate(promptExperimentValidation.experimentId),
+  promptExperimentController.getReport
+);
+
+module.exports = router;
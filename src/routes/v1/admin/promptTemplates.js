@@ -0,0 +1,69 @@
+const express = require('express');
+const validate = require('../../../middleware/validate');
+const auth = require('../../../middleware/auth');
+const { promptTemplateController } = require('../../../controllers/ai');
+const { promptTemplateValidation } = require('../../../validations');
+
+const router = express.Router();
+
+// All admin routes require authentication and admin role
+router.use(auth('admin'));
+
+/**
+ * @route GET /api/v1/admin/prompt-templates
+ * @desc List prompt templates with their allowed variables and versions per locale
+ * @access Admin only
+ */
+router.get('/', promptTemplateController.listTemplates);
+
+/**
+ * @route GET /api/v1/admin/prompt-templates/:key
+ * @desc Get the versions of a template, newest first (query: locale)
+ * @access Admin only
+ */
+router.get('/:key',
+  validate(promptTemplateValidation.getVersions),
+  promptTemplateController.getVersions
+);
+
+/**
+ * @route POST /api/v1/admin/prompt-templates/:key/versions
+ * @desc Add a template version for a locale; it becomes active unless activate is false
+ * @access Admin only
+ */
+router.post('/:key/versions',
+  validate(promptTemplateValidation.createVersion),
+  promptTemplateController.createVersion
+);
+
+/**
+ * @route POST /api/v1/admin/prompt-templates/:key/versions/:version/activate
+ * @desc Make a version the active one for its locale, e.g. to roll back (query: locale)
+ * @access Admin only
+ */
+router.post('/:key/versions/:version/activate',
+  validate(promptTemplateValidation.templateVersion),
+  promptTemplateController.activateVersion
+);
+
+/**
+ * @route DELETE /api/v1/admin/prompt-templates/:key/versions/:version
+ * @desc Delete an inactive version (query: locale)
+ * @access Admin only
+ */
+router.delete('/:key/versions/:version',
+  validate(promptTemplateValidation.templateVersion),
+  promptTemplateController.deleteVersion
+);
+
+/**
+ * @route POST /api/v1/admin/prompt-templates/:key/preview
+ * @desc Render the active version, a saved version or unsaved sections against a trip
+ * @access Admin only
+ */
+router.post('/:key/preview',
+  validate(promptTemplateValidation.previewTemplate),
+  promptTemplateController.previewTemplate
+);
+
+module.exports = router;
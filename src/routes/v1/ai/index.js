@@ -7,9 +7,20 @@ const {
   optimizeScheduleValidation,
   validateConstraintsValidation,
   suggestActivitiesValidation,
-  getInteractionStatsValidation
+  getInteractionStatsValidation,
+  itineraryJobIdValidation,
+  conversationIdValidation,
+  listConversationsValidation,
+  continueConversationValidation,
+  renameConversationValidation,
+  updateTripInfoValidation,
+  tripInfoProposalsValidation,
+  tripInfoProposalIdValidation,
+  confirmTripInfoProposalValidation,
+  tripTipsValidation
 } = require('../../../validations/ai.validation');
 const { authenticateToken } = require('../../../validations/user.validation');
+const locale = require('../../../middleware/locale');
 
 /**
  * @swagger
@@ -26,6 +37,9 @@ const { authenticateToken } = require('../../../validations/user.validation');
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Locale'
+ *       - $ref: '#/components/parameters/AcceptLanguage'
  *     requestBody:
  *       required: true
  *       content:
@@ -48,6 +62,17 @@ const { authenticateToken } = require('../../../validations/user.validation');
  *                     type: string
  *                     format: objectId
  *                     description: Related trip ID for context-aware responses
+ *                   conversationId:
+ *                     type: string
+ *                     format: objectId
+ *                     description: Conversation to continue; omit to start a new one (its ID is returned)
+ *                   extractionMode:
+ *                     type: string
+ *                     enum: [auto, confirm]
+ *                     default: auto
+ *                     description: |
+ *                       How trip information found in the message is handled (editors only). `auto` saves confident
+ *                       changes and proposes the rest; `confirm` proposes every change. Date changes are always proposed.
  *                   conversationHistory:
  *                     type: array
  *                     maxItems: 10
@@ -79,9 +104,24 @@ const { authenticateToken } = require('../../../validations/user.validation');
  *                 data:
  *                   type: object
  *                   properties:
- *                     content:
+ *                     message:
  *                       type: string
  *                       description: AI generated response
+ *                     conversationId:
+ *                       type: string
+ *                       description: Conversation the exchange was stored in
+ *                     tripInfo:
+ *                       type: object
+ *                       description: Trip information found in the message (editors of the context trip only)
+ *                       properties:
+ *                         updatedFields:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         proposal:
+ *                           allOf:
+ *                             - $ref: '#/components/schemas/TripInfoProposal'
+ *                           nullable: true
  *                     model:
  *                       type: string
  *                       description: Model used for generation
@@ -107,7 +147,7 @@ const { authenticateToken } = require('../../../validations/user.validation');
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       429:
- *         description: Rate limit exceeded
+ *         description: Rate limit or monthly AI token budget exceeded
  *         content:
  *           application/json:
  *             schema:
@@ -121,13 +161,304 @@ const { authenticateToken } = require('../../../validations/user.validation');
  */
 
 // POST /ai/chat - Chat with AI
-router.post('/chat', authenticateToken, chatWithAIValidation, aiController.chatWithAI);
+router.post('/chat', authenticateToken, locale, chatWithAIValidation, aiController.chatWithAI);
+
+/**
+ * @swagger
+ * /api/v1/ai/chat/stream:
+ *   post:
+ *     summary: Chat with AI, streaming the reply as Server-Sent Events
+ *     description: |
+ *       Same request body as POST /api/v1/ai/chat. The reply is streamed as `text/event-stream`:
+ *       - `delta` - `{ text }` fragment of the reply, in order
+ *       - `done` - final result, same shape as the /ai/chat response data
+ *       - `error` - `{ status, message }` if the request fails after streaming started
+ *
+ *       Errors raised before the first event (validation, rate limit, trip access) are returned as regular JSON errors.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Locale'
+ *       - $ref: '#/components/parameters/AcceptLanguage'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 2000
+ *               context:
+ *                 type: object
+ *                 properties:
+ *                   tripId:
+ *                     type: string
+ *                     format: objectId
+ *               model:
+ *                 type: string
+ *                 enum: [flash, pro]
+ *                 default: flash
+ *     responses:
+ *       200:
+ *         description: Event stream of reply deltas
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "event: delta\ndata: {\"text\":\"Tokyo có\"}\n\nevent: done\ndata: {\"message\":\"Tokyo có ...\",\"tokensUsed\":120}\n\n"
+ *       400:
+ *         description: Bad request - Validation errors
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Access denied to the trip in context
+ *       429:
+ *         description: Rate limit or monthly AI token budget exceeded
+ */
+
+// POST /ai/chat/stream - Chat with AI (SSE)
+router.post('/chat/stream', authenticateToken, locale, chatWithAIValidation, aiController.streamChatWithAI);
+
+/**
+ * @swagger
+ * /api/v1/ai/conversations:
+ *   get:
+ *     summary: List the user's chat conversations
+ *     description: Most recently active first. Each entry includes the last message but not the full history.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tripId
+ *         schema:
+ *           type: string
+ *         description: Only conversations about this trip
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Conversation summaries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 conversations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Conversation'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     totalCount:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     offset:
+ *                       type: integer
+ *                     hasNext:
+ *                       type: boolean
+ *       400:
+ *         description: Validation errors
+ *       401:
+ *         description: Unauthorized
+ */
+
+// GET /ai/conversations - List Chat Conversations
+router.get('/conversations', authenticateToken, listConversationsValidation, aiController.listConversations);
+
+/**
+ * @swagger
+ * /api/v1/ai/conversations/{id}:
+ *   get:
+ *     summary: Get a chat conversation with its messages
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID
+ *     responses:
+ *       200:
+ *         description: Conversation and full message history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 conversation:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Conversation'
+ *                     - type: object
+ *                       properties:
+ *                         messages:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/ConversationMessage'
+ *       400:
+ *         description: Invalid conversation ID
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Conversation not found
+ *   patch:
+ *     summary: Rename a chat conversation
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 200
+ *     responses:
+ *       200:
+ *         description: Conversation renamed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 conversation:
+ *                   $ref: '#/components/schemas/Conversation'
+ *       400:
+ *         description: Validation errors
+ *       404:
+ *         description: Conversation not found
+ *   delete:
+ *     summary: Delete a chat conversation and its history
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Conversation deleted
+ *       400:
+ *         description: Invalid conversation ID
+ *       404:
+ *         description: Conversation not found
+ */
+
+// GET /ai/conversations/:id - Get Chat Conversation
+router.get('/conversations/:id', authenticateToken, conversationIdValidation, aiController.getConversation);
+
+// PATCH /ai/conversations/:id - Rename Chat Conversation
+router.patch('/conversations/:id', authenticateToken, renameConversationValidation, aiController.renameConversation);
+
+// DELETE /ai/conversations/:id - Delete Chat Conversation
+router.delete('/conversations/:id', authenticateToken, conversationIdValidation, aiController.deleteConversation);
+
+/**
+ * @swagger
+ * /api/v1/ai/conversations/{id}/messages:
+ *   post:
+ *     summary: Continue a chat conversation
+ *     description: |
+ *       Same as POST /api/v1/ai/chat with `context.conversationId` set. Recent turns of the conversation
+ *       (within a token budget) are included in the prompt, and the exchange is appended to it.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Locale'
+ *       - $ref: '#/components/parameters/AcceptLanguage'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 2000
+ *               model:
+ *                 type: string
+ *                 enum: [flash, pro]
+ *                 default: flash
+ *     responses:
+ *       200:
+ *         description: AI reply (same shape as POST /api/v1/ai/chat)
+ *       400:
+ *         description: Validation errors
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access to the conversation's trip was revoked
+ *       404:
+ *         description: Conversation not found
+ *       429:
+ *         description: Rate limit or monthly AI token budget exceeded
+ */
+
+// POST /ai/conversations/:id/messages - Continue Chat Conversation
+router.post('/conversations/:id/messages', authenticateToken, locale, continueConversationValidation, aiController.continueConversation);
 
 /**
  * @swagger
  * /api/v1/ai/trips/{tripId}/update-info:
  *   post:
  *     summary: Update trip information from chat conversation
+ *     description: |
+ *       Extracts destination, dates, travelers, budget, interests and constraints with a confidence per field.
+ *       In `auto` mode, changes with confidence >= 0.85 are saved; date changes and less confident changes
+ *       are stored as a pending proposal to confirm with POST /api/v1/ai/proposals/{id}/confirm.
+ *       In `confirm` mode every change is proposed. Editor access required.
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
@@ -145,11 +476,18 @@ router.post('/chat', authenticateToken, chatWithAIValidation, aiController.chatW
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - message
  *             properties:
  *               message:
  *                 type: string
+ *                 maxLength: 2000
  *                 description: User message containing trip information
  *                 example: "Tôi muốn đi Đà Lạt với ngân sách 5 triệu VND, 2 người lớn"
+ *               mode:
+ *                 type: string
+ *                 enum: [auto, confirm]
+ *                 default: auto
  *     responses:
  *       200:
  *         description: Trip information updated successfully
@@ -165,13 +503,20 @@ router.post('/chat', authenticateToken, chatWithAIValidation, aiController.chatW
  *                   type: object
  *                   properties:
  *                     extractedInfo:
- *                       type: object
- *                       description: Information extracted from the message
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TripInfoChange'
+ *                       description: Changes extracted from the message
  *                     updatedFields:
  *                       type: array
  *                       items:
  *                         type: string
- *                       description: Fields that were updated
+ *                       description: Fields that were saved to the trip
+ *                     proposal:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/TripInfoProposal'
+ *                       nullable: true
+ *                       description: Changes waiting for confirmation
  *                     trip:
  *                       type: object
  *                       description: Updated trip data
@@ -208,13 +553,156 @@ router.post('/chat', authenticateToken, chatWithAIValidation, aiController.chatW
  */
 
 // POST /ai/trips/:tripId/update-info - Update Trip Info from Chat
-router.post('/trips/:tripId/update-info', authenticateToken, aiController.updateTripInfoFromChat);
+router.post('/trips/:tripId/update-info', authenticateToken, locale, updateTripInfoValidation, aiController.updateTripInfoFromChat);
+
+/**
+ * @swagger
+ * /api/v1/ai/trips/{tripId}/proposals:
+ *   get:
+ *     summary: List pending trip info proposals
+ *     description: Changes extracted from chat that wait for confirmation, newest first. Proposals expire after 7 days.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pending proposals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 proposals:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TripInfoProposal'
+ *       400:
+ *         description: Invalid trip ID
+ *       403:
+ *         description: Access denied to trip
+ */
+
+// GET /ai/trips/:tripId/proposals - List Trip Info Proposals
+router.get('/trips/:tripId/proposals', authenticateToken, locale, tripInfoProposalsValidation, aiController.listTripInfoProposals);
+
+/**
+ * @swagger
+ * /api/v1/ai/proposals/{id}/confirm:
+ *   post:
+ *     summary: Confirm a trip info proposal
+ *     description: |
+ *       Saves the proposed changes to the trip (all of them, or only `fields`). A field edited on the trip
+ *       since the proposal was made is not overwritten and is reported in `skippedFields`.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fields:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["destination.startDate", "destination.endDate"]
+ *     responses:
+ *       200:
+ *         description: Proposal confirmed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 proposal:
+ *                   $ref: '#/components/schemas/TripInfoProposal'
+ *                 updatedFields:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 skippedFields:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 trip:
+ *                   type: object
+ *       400:
+ *         description: Validation errors or the changes are invalid for the trip (e.g. start date after end date)
+ *       403:
+ *         description: Editor access to the trip required
+ *       404:
+ *         description: Proposal not found
+ *       409:
+ *         description: Proposal is no longer pending, or the trip was modified concurrently
+ */
+
+// POST /ai/proposals/:id/confirm - Confirm Trip Info Proposal
+router.post('/proposals/:id/confirm', authenticateToken, locale, confirmTripInfoProposalValidation, aiController.confirmTripInfoProposal);
+
+/**
+ * @swagger
+ * /api/v1/ai/proposals/{id}/reject:
+ *   post:
+ *     summary: Reject a trip info proposal
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Proposal rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 proposal:
+ *                   $ref: '#/components/schemas/TripInfoProposal'
+ *       403:
+ *         description: Editor access to the trip required
+ *       404:
+ *         description: Proposal not found
+ *       409:
+ *         description: Proposal is no longer pending
+ */
+
+// POST /ai/proposals/:id/reject - Reject Trip Info Proposal
+router.post('/proposals/:id/reject', authenticateToken, locale, tripInfoProposalIdValidation, aiController.rejectTripInfoProposal);
 
 /**
  * @swagger
  * /api/v1/ai/trips/{tripId}/generate-itinerary:
  *   post:
  *     summary: Generate detailed trip itinerary using AI
+ *     description: |
+ *       Starts a background generation job and returns 202 with the job. Long trips are generated
+ *       in chunks of days; poll GET /api/v1/ai/jobs/{id} for progress and partial days. The itinerary
+ *       is saved to the trip when the job completes.
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
@@ -226,6 +714,8 @@ router.post('/trips/:tripId/update-info', authenticateToken, aiController.update
  *           type: string
  *           format: objectId
  *         description: Trip ID to generate itinerary for
+ *       - $ref: '#/components/parameters/Locale'
+ *       - $ref: '#/components/parameters/AcceptLanguage'
  *     requestBody:
  *       required: false
  *       content:
@@ -301,8 +791,13 @@ router.post('/trips/:tripId/update-info', authenticateToken, aiController.update
  *                 description: Places or activities to avoid
  *                 example: ["crowded tourist spots", "spicy food", "early mornings"]
  *     responses:
- *       200:
- *         description: Itinerary generated successfully
+ *       202:
+ *         description: Itinerary generation job queued
+ *         headers:
+ *           Location:
+ *             description: URL of the job to poll
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -310,48 +805,11 @@ router.post('/trips/:tripId/update-info', authenticateToken, aiController.update
  *               properties:
  *                 message:
  *                   type: string
- *                   example: "Itinerary generated successfully"
- *                 data:
- *                   type: object
- *                   properties:
- *                     itinerary:
- *                       type: object
- *                       properties:
- *                         days:
- *                           type: array
- *                           items:
- *                             type: object
- *                             properties:
- *                               date:
- *                                 type: string
- *                                 format: date
- *                               activities:
- *                                 type: array
- *                                 items:
- *                                   type: object
- *                                   properties:
- *                                     time:
- *                                       type: string
- *                                     title:
- *                                       type: string
- *                                     description:
- *                                       type: string
- *                                     location:
- *                                       type: object
- *                                     duration:
- *                                       type: number
- *                                     cost:
- *                                       type: number
- *                                     category:
- *                                       type: string
- *                     tokensUsed:
- *                       type: number
- *                     processingTime:
- *                       type: number
- *                     rateLimitRemaining:
- *                       type: number
+ *                   example: "Itinerary generation started"
+ *                 job:
+ *                   $ref: '#/components/schemas/ItineraryJob'
  *       400:
- *         description: Bad request - Trip already has itinerary or validation errors
+ *         description: Validation errors
  *         content:
  *           application/json:
  *             schema:
@@ -374,8 +832,14 @@ router.post('/trips/:tripId/update-info', authenticateToken, aiController.update
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Trip already has an itinerary, or a generation job is already running (jobId returned)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       429:
- *         description: Rate limit exceeded
+ *         description: Rate limit or monthly AI token budget exceeded
  *         content:
  *           application/json:
  *             schema:
@@ -389,7 +853,164 @@ router.post('/trips/:tripId/update-info', authenticateToken, aiController.update
  */
 
 // POST /ai/trips/:tripId/generate-itinerary - Generate Trip Itinerary
-router.post('/trips/:tripId/generate-itinerary', authenticateToken, generateItineraryValidation, aiController.generateItinerary);
+router.post('/trips/:tripId/generate-itinerary', authenticateToken, locale, generateItineraryValidation, aiController.generateItinerary);
+
+/**
+ * @swagger
+ * /api/v1/ai/trips/{tripId}/generate-itinerary/stream:
+ *   post:
+ *     summary: Generate trip itinerary, streaming each day as Server-Sent Events
+ *     description: |
+ *       Generates the itinerary in the request and streams days as soon as the AI has written them
+ *       (`text/event-stream`). The itinerary is saved to the trip after the last day.
+ *       - `start` - `{ totalDays, chunks: [{ startDay, endDay }] }`
+ *       - `day` - `{ dayIndex, date, day, timeConflicts }` for every completed day
+ *       - `done` - `{ itinerary, tokensUsed, timeConflicts, status, saved }`
+ *       - `error` - `{ status, message }` if generation or saving fails after streaming started
+ *
+ *       Errors raised before the first event are returned as regular JSON errors. Disconnecting cancels
+ *       generation and nothing is saved.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *       - $ref: '#/components/parameters/Locale'
+ *       - $ref: '#/components/parameters/AcceptLanguage'
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               focus:
+ *                 type: string
+ *               pace:
+ *                 type: string
+ *                 enum: [easy, balanced, intense]
+ *               nightlife:
+ *                 type: string
+ *                 enum: [none, some, heavy]
+ *               dayStart:
+ *                 type: string
+ *                 example: "08:00"
+ *               dayEnd:
+ *                 type: string
+ *                 example: "22:00"
+ *               quietMorningAfterLateNight:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Event stream of generated days
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Validation errors
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Editor access to the trip required
+ *       404:
+ *         description: Trip not found
+ *       409:
+ *         description: Trip already has an itinerary, or the trip was edited during generation
+ *       503:
+ *         description: No AI provider configured
+ */
+
+// POST /ai/trips/:tripId/generate-itinerary/stream - Generate Trip Itinerary (SSE)
+router.post('/trips/:tripId/generate-itinerary/stream', authenticateToken, locale, generateItineraryValidation, aiController.streamItinerary);
+
+/**
+ * @swagger
+ * /api/v1/ai/jobs/{id}:
+ *   get:
+ *     summary: Get itinerary generation job progress
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job progress, partial days and failures
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/ItineraryJob'
+ *       400:
+ *         description: Invalid job ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Access denied to the job's trip
+ *       404:
+ *         description: Job not found
+ */
+
+// GET /ai/jobs/:id - Get Itinerary Generation Job
+router.get('/jobs/:id', authenticateToken, itineraryJobIdValidation, aiController.getItineraryJob);
+
+/**
+ * @swagger
+ * /api/v1/ai/jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel an itinerary generation job
+ *     description: Stops a queued or running job. Nothing is saved to the trip; days generated so far stay visible on the job.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/ItineraryJob'
+ *       400:
+ *         description: Invalid job ID
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Editor access to the trip required
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job has already finished
+ */
+
+// POST /ai/jobs/:id/cancel - Cancel Itinerary Generation Job
+router.post('/jobs/:id/cancel', authenticateToken, itineraryJobIdValidation, aiController.cancelItineraryJob);
 
 /**
  * @swagger
@@ -407,6 +1028,14 @@ router.post('/trips/:tripId/generate-itinerary', authenticateToken, generateItin
  *           type: string
  *           format: objectId
  *         description: Trip ID to optimize schedule for
+ *       - in: header
+ *         name: Cache-Control
+ *         schema:
+ *           type: string
+ *           example: no-cache
+ *         description: Send "no-cache" to skip the AI response cache and call the model
+ *       - $ref: '#/components/parameters/Locale'
+ *       - $ref: '#/components/parameters/AcceptLanguage'
  *     requestBody:
  *       required: false
  *       content:
@@ -467,7 +1096,7 @@ router.post('/trips/:tripId/generate-itinerary', authenticateToken, generateItin
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       429:
- *         description: Rate limit exceeded
+ *         description: Rate limit or monthly AI token budget exceeded
  *         content:
  *           application/json:
  *             schema:
@@ -481,7 +1110,7 @@ router.post('/trips/:tripId/generate-itinerary', authenticateToken, generateItin
  */
 
 // POST /ai/trips/:tripId/optimize-schedule - Optimize Trip Schedule
-router.post('/trips/:tripId/optimize-schedule', authenticateToken, optimizeScheduleValidation, aiController.optimizeSchedule);
+router.post('/trips/:tripId/optimize-schedule', authenticateToken, locale, optimizeScheduleValidation, aiController.optimizeSchedule);
 
 /**
  * @swagger
@@ -499,6 +1128,8 @@ router.post('/trips/:tripId/optimize-schedule', authenticateToken, optimizeSched
  *           type: string
  *           format: objectId
  *         description: Trip ID to validate constraints for
+ *       - $ref: '#/components/parameters/Locale'
+ *       - $ref: '#/components/parameters/AcceptLanguage'
  *     requestBody:
  *       required: false
  *       content:
@@ -577,7 +1208,7 @@ router.post('/trips/:tripId/optimize-schedule', authenticateToken, optimizeSched
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       429:
- *         description: Rate limit exceeded
+ *         description: Rate limit or monthly AI token budget exceeded
  *         content:
  *           application/json:
  *             schema:
@@ -591,16 +1222,115 @@ router.post('/trips/:tripId/optimize-schedule', authenticateToken, optimizeSched
  */
 
 // POST /ai/trips/:tripId/validate-constraints - Validate Trip Constraints
-router.post('/trips/:tripId/validate-constraints', authenticateToken, validateConstraintsValidation, aiController.validateConstraints);
+router.post('/trips/:tripId/validate-constraints', authenticateToken, locale, validateConstraintsValidation, aiController.validateConstraints);
+
+/**
+ * @swagger
+ * /api/v1/ai/trips/{tripId}/tips:
+ *   get:
+ *     summary: Get the travel tips of a trip's itinerary in a language
+ *     description: |
+ *       Tips are stored per language. Tips missing in the requested language are generated with AI
+ *       (default tips without a configured provider) and stored for later requests.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tripId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: objectId
+ *       - $ref: '#/components/parameters/Locale'
+ *       - $ref: '#/components/parameters/AcceptLanguage'
+ *     responses:
+ *       200:
+ *         description: Tips retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Trip tips retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     locale:
+ *                       type: string
+ *                       example: en
+ *                     tips:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           category:
+ *                             type: string
+ *                             enum: [general, transportation, accommodation, food, culture, safety, budget, weather]
+ *                           title:
+ *                             type: string
+ *                           content:
+ *                             type: string
+ *                     generated:
+ *                       type: boolean
+ *                       description: Whether the tips were generated by this request
+ *                     tokensUsed:
+ *                       type: number
+ *       400:
+ *         description: Bad request - Validation errors or the trip has no itinerary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - Access denied to trip
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Trip not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Rate limit or monthly AI token budget exceeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// GET /ai/trips/:tripId/tips - Trip Tips in the request locale
+router.get('/trips/:tripId/tips', authenticateToken, locale, tripTipsValidation, aiController.getTripTips);
 
 /**
  * @swagger
  * /api/v1/ai/suggest-activities:
  *   post:
  *     summary: Generate activity suggestions using AI
+ *     description: Identical requests are answered from the AI response cache until it expires.
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Cache-Control
+ *         schema:
+ *           type: string
+ *           example: no-cache
+ *         description: Send "no-cache" to skip the AI response cache and call the model
+ *       - $ref: '#/components/parameters/Locale'
+ *       - $ref: '#/components/parameters/AcceptLanguage'
  *     requestBody:
  *       required: false
  *       content:
@@ -702,7 +1432,7 @@ router.post('/trips/:tripId/validate-constraints', authenticateToken, validateCo
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       429:
- *         description: Rate limit exceeded
+ *         description: Rate limit or monthly AI token budget exceeded
  *         content:
  *           application/json:
  *             schema:
@@ -716,7 +1446,7 @@ router.post('/trips/:tripId/validate-constraints', authenticateToken, validateCo
  */
 
 // POST /ai/suggest-activities - Generate Activity Suggestions
-router.post('/suggest-activities', authenticateToken, suggestActivitiesValidation, aiController.suggestActivities);
+router.post('/suggest-activities', authenticateToken, locale, suggestActivitiesValidation, aiController.suggestActivities);
 
 /**
  * @swagger
@@ -776,6 +1506,30 @@ router.post('/suggest-activities', authenticateToken, suggestActivitiesValidatio
  *                             resetTime:
  *                               type: string
  *                               format: date-time
+ *                     tokenBudget:
+ *                       type: object
+ *                       description: AI tokens used this calendar month (UTC) against the user's budget
+ *                       properties:
+ *                         limit:
+ *                           type: number
+ *                           description: Tokens per month (0 means unlimited)
+ *                         used:
+ *                           type: number
+ *                         remaining:
+ *                           type: number
+ *                           nullable: true
+ *                         cost:
+ *                           type: number
+ *                           description: Cost of this month's model calls in USD
+ *                         custom:
+ *                           type: boolean
+ *                           description: Whether an admin set this user's budget
+ *                         periodStart:
+ *                           type: string
+ *                           format: date-time
+ *                         resetsAt:
+ *                           type: string
+ *                           format: date-time
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *         content:
@@ -831,6 +1585,9 @@ router.get('/rate-limits', authenticateToken, aiController.getRateLimitStatus);
  *                           type: number
  *                         totalTokensUsed:
  *                           type: number
+ *                         totalCost:
+ *                           type: number
+ *                           description: Cost of the model calls in USD
  *                         averageProcessingTime:
  *                           type: number
  *                         successRate:
@@ -851,6 +1608,36 @@ router.get('/rate-limits', authenticateToken, aiController.getRateLimitStatus);
  *                                 type: number
  *                               tokens:
  *                                 type: number
+ *                     cache:
+ *                       type: object
+ *                       description: AI response cache statistics since server start
+ *                       properties:
+ *                         enabled:
+ *                           type: boolean
+ *                         since:
+ *                           type: string
+ *                           format: date-time
+ *                         ttls:
+ *                           type: object
+ *                           additionalProperties:
+ *                             type: integer
+ *                           description: Seconds responses are reused, per endpoint
+ *                         entries:
+ *                           type: integer
+ *                           nullable: true
+ *                         hits:
+ *                           type: integer
+ *                         misses:
+ *                           type: integer
+ *                         stores:
+ *                           type: integer
+ *                         bypassed:
+ *                           type: integer
+ *                         hitRate:
+ *                           type: number
+ *                         endpoints:
+ *                           type: object
+ *                           description: Same counters per endpoint
  *       400:
  *         description: Bad request - Invalid timeframe parameter
  *         content:
@@ -8,12 +8,30 @@ const {
   generateDraftScheduleValidation,
   optimizeTripValidation,
   exportTripValidation,
+  importTripValidation,
+  cloneTripValidation,
   activityValidation,
   updateActivityValidation,
   deleteActivityValidation,
+  batchActivitiesValidation,
+  inviteMemberValidation,
+  memberIdValidation,
+  expenseIdValidation,
+  addExpenseValidation,
+  updateExpenseValidation,
+  listExpensesValidation,
+  createShareLinkValidation,
+  shareLinkIdValidation,
+  shareTokenValidation,
+  listVersionsValidation,
+  versionNumberValidation,
+  diffVersionsValidation,
+  ifMatchValidation,
   getTripsQueryValidation
 } = require('../../../validations/trip.validation');
 const { authenticateToken } = require('../../../validations/user.validation');
+const { sharedTripLimiter } = require('../../../middleware/rateLimiters');
+const locale = require('../../../middleware/locale');
 
 /**
  * @swagger
@@ -237,6 +255,144 @@ router.post('/', authenticateToken, createTripValidation, tripController.createT
 // GET /trips - Get User Trips
 router.get('/', authenticateToken, getTripsQueryValidation, tripController.getUserTrips);
 
+/**
+ * @swagger
+ * /api/v1/trips/shared/{token}:
+ *   get:
+ *     summary: View a trip through a public share link
+ *     description: |
+ *       Unauthenticated, read-only view of a shared trip. Owner and member information is
+ *       never included; costs and notes are only shown when enabled on the share link.
+ *     tags: [Trips]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token
+ *     responses:
+ *       200:
+ *         description: Shared trip retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 trip:
+ *                   type: object
+ *       404:
+ *         description: Share link not found or revoked
+ *       410:
+ *         description: Share link has expired
+ *       429:
+ *         description: Too many requests
+ *       500:
+ *         description: Server error
+ */
+
+// GET /trips/shared/:token - Get Shared Trip (public)
+router.get('/shared/:token', sharedTripLimiter, shareTokenValidation, tripController.getSharedTrip);
+
+/**
+ * @swagger
+ * /api/v1/trips/import:
+ *   post:
+ *     summary: Import a trip from a JSON export or an iCalendar file
+ *     description: |
+ *       Creates a new draft trip from data produced by the trip export endpoint (json)
+ *       or from a calendar file (ics). Activities failing schema validation are skipped
+ *       and reported individually instead of failing the whole import.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - format
+ *               - data
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [json, ics]
+ *                 description: Import format
+ *               data:
+ *                 oneOf:
+ *                   - type: object
+ *                   - type: string
+ *                 description: Trip export object (json) or calendar file content (ics)
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: New start date; all itinerary dates are shifted by the same offset
+ *               timezone:
+ *                 type: string
+ *                 example: Asia/Ho_Chi_Minh
+ *                 description: IANA timezone UTC calendar times are converted into (ics; defaults to the calendar's X-WR-TIMEZONE or event TZID, else UTC)
+ *               trip:
+ *                 type: object
+ *                 description: Trip fields overriding the imported ones (destination is required for ics)
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     maxLength: 100
+ *                   destination:
+ *                     type: object
+ *                     properties:
+ *                       origin:
+ *                         type: string
+ *                         maxLength: 100
+ *                       destination:
+ *                         type: string
+ *                         maxLength: 100
+ *                   travelers:
+ *                     type: object
+ *                     properties:
+ *                       adults:
+ *                         type: number
+ *                         minimum: 1
+ *                         maximum: 20
+ *     responses:
+ *       201:
+ *         description: Trip imported successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 trip:
+ *                   type: object
+ *                 report:
+ *                   type: object
+ *                   properties:
+ *                     importedActivities:
+ *                       type: integer
+ *                     skipped:
+ *                       type: integer
+ *                     errors:
+ *                       type: array
+ *                       description: Skipped activities, days or tips with their validation errors
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Bad request - Validation errors, unparseable data or dates in the past
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Server error
+ */
+
+// POST /trips/import - Import Trip
+router.post('/import', authenticateToken, importTripValidation, tripController.importTrip);
+
 /**
  * @swagger
  * /api/v1/trips/{id}:
@@ -255,6 +411,11 @@ router.get('/', authenticateToken, getTripsQueryValidation, tripController.getUs
  *     responses:
  *       200:
  *         description: Trip details retrieved successfully
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *             description: Trip revision, send it back as If-Match on changes
  *         content:
  *           application/json:
  *             schema:
@@ -339,6 +500,8 @@ router.get('/', authenticateToken, getTripsQueryValidation, tripController.getUs
  *                                       type: integer
  *                                     cost:
  *                                       type: number
+ *                                     currency:
+ *                                       type: string
  *                                     category:
  *                                       type: string
  *                     status:
@@ -378,6 +541,11 @@ router.get('/:id', authenticateToken, tripIdValidation, tripController.getTripDe
  *         schema:
  *           type: string
  *         description: Trip ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from GET /trips/{id}; the change is rejected with 409 if the trip was modified since
  *     requestBody:
  *       required: true
  *       content:
@@ -488,12 +656,14 @@ router.get('/:id', authenticateToken, tripIdValidation, tripController.getTripDe
  *         description: Forbidden - Access denied to trip
  *       404:
  *         description: Trip not found
+ *       409:
+ *         description: Conflict - Trip was modified since the given If-Match revision; body contains the current trip and revision
  *       500:
  *         description: Server error
  */
 
 // PUT /trips/:id - Update Trip
-router.put('/:id', authenticateToken, tripIdValidation, updateTripValidation, tripController.updateTrip);
+router.put('/:id', authenticateToken, tripIdValidation, ifMatchValidation, updateTripValidation, tripController.updateTrip);
 
 /**
  * @swagger
@@ -510,6 +680,11 @@ router.put('/:id', authenticateToken, tripIdValidation, updateTripValidation, tr
  *         schema:
  *           type: string
  *         description: Trip ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from GET /trips/{id}; the change is rejected with 409 if the trip was modified since
  *     responses:
  *       200:
  *         description: Trip deleted successfully
@@ -526,12 +701,14 @@ router.put('/:id', authenticateToken, tripIdValidation, updateTripValidation, tr
  *         description: Forbidden - Access denied to trip
  *       404:
  *         description: Trip not found
+ *       409:
+ *         description: Conflict - Trip was modified since the given If-Match revision; body contains the current trip and revision
  *       500:
  *         description: Server error
  */
 
 // DELETE /trips/:id - Delete Trip
-router.delete('/:id', authenticateToken, tripIdValidation, tripController.deleteTrip);
+router.delete('/:id', authenticateToken, tripIdValidation, ifMatchValidation, tripController.deleteTrip);
 
 /**
  * @swagger
@@ -548,6 +725,11 @@ router.delete('/:id', authenticateToken, tripIdValidation, tripController.delete
  *         schema:
  *           type: string
  *         description: Trip ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from GET /trips/{id}; the change is rejected with 409 if the trip was modified since
  *     requestBody:
  *       required: false
  *       content:
@@ -555,6 +737,10 @@ router.delete('/:id', authenticateToken, tripIdValidation, tripController.delete
  *           schema:
  *             type: object
  *             properties:
+ *               focus:
+ *                 type: string
+ *                 enum: [cultural, adventure, relaxation, family, business, romantic]
+ *                 description: Focus for the generated activities
  *               pace:
  *                 type: string
  *                 enum: [easy, balanced, intense]
@@ -609,7 +795,9 @@ router.delete('/:id', authenticateToken, tripIdValidation, tripController.delete
  *                 description: Places or activities to avoid
  *     responses:
  *       200:
- *         description: Draft schedule generated successfully
+ *         description: |
+ *           Draft schedule generated successfully. Uses the multi-step AI pipeline when an AI
+ *           provider is configured and falls back to destination activity templates otherwise.
  *         content:
  *           application/json:
  *             schema:
@@ -617,36 +805,27 @@ router.delete('/:id', authenticateToken, tripIdValidation, tripController.delete
  *               properties:
  *                 message:
  *                   type: string
- *                 itinerary:
+ *                 trip:
+ *                   type: object
+ *                   description: Updated trip with itinerary days (status planned)
+ *                 generation:
  *                   type: object
  *                   properties:
- *                     days:
+ *                     source:
+ *                       type: string
+ *                       enum: [ai, template]
+ *                     tokensUsed:
+ *                       type: integer
+ *                     skipped:
  *                       type: array
+ *                       description: AI-generated entries dropped because they failed validation
+ *                       items:
+ *                         type: object
+ *                     timeConflicts:
+ *                       type: array
+ *                       description: Overlapping or past-midnight activities flagged for review
  *                       items:
  *                         type: object
- *                         properties:
- *                           date:
- *                             type: string
- *                             format: date
- *                           activities:
- *                             type: array
- *                             items:
- *                               type: object
- *                               properties:
- *                                 time:
- *                                   type: string
- *                                 title:
- *                                   type: string
- *                                 description:
- *                                   type: string
- *                                 location:
- *                                   type: object
- *                                 duration:
- *                                   type: integer
- *                                 cost:
- *                                   type: number
- *                                 category:
- *                                   type: string
  *       400:
  *         description: Bad request - Trip already has itinerary or validation errors
  *       401:
@@ -655,12 +834,14 @@ router.delete('/:id', authenticateToken, tripIdValidation, tripController.delete
  *         description: Forbidden - Access denied to trip
  *       404:
  *         description: Trip not found
+ *       409:
+ *         description: Conflict - Trip was modified since the given If-Match revision; body contains the current trip and revision
  *       500:
  *         description: Server error
  */
 
 // POST /trips/:id/generate-draft - Generate Draft Schedule
-router.post('/:id/generate-draft', authenticateToken, generateDraftScheduleValidation, tripController.generateDraftSchedule);
+router.post('/:id/generate-draft', authenticateToken, locale, generateDraftScheduleValidation, ifMatchValidation, tripController.generateDraftSchedule);
 
 /**
  * @swagger
@@ -677,6 +858,11 @@ router.post('/:id/generate-draft', authenticateToken, generateDraftScheduleValid
  *         schema:
  *           type: string
  *         description: Trip ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from GET /trips/{id}; the change is rejected with 409 if the trip was modified since
  *     requestBody:
  *       required: false
  *       content:
@@ -686,9 +872,9 @@ router.post('/:id/generate-draft', authenticateToken, generateDraftScheduleValid
  *             properties:
  *               focus:
  *                 type: string
- *                 maxLength: 200
- *                 description: Optimization focus (e.g., "minimize travel time", "balance activities")
- *                 example: "minimize travel time between activities"
+ *                 enum: [time, cost, distance]
+ *                 description: Optimization focus
+ *                 example: "time"
  *               constraints:
  *                 type: array
  *                 maxItems: 10
@@ -698,7 +884,10 @@ router.post('/:id/generate-draft', authenticateToken, generateDraftScheduleValid
  *                 description: Additional optimization constraints
  *     responses:
  *       200:
- *         description: Trip schedule optimized successfully
+ *         description: |
+ *           Trip schedule optimized successfully. Uses AI schedule optimization when an AI
+ *           provider is configured; otherwise (or if the AI result fails validation) activities
+ *           are re-sequenced locally so they no longer overlap.
  *         content:
  *           application/json:
  *             schema:
@@ -706,48 +895,24 @@ router.post('/:id/generate-draft', authenticateToken, generateDraftScheduleValid
  *               properties:
  *                 message:
  *                   type: string
- *                 optimizedItinerary:
+ *                 trip:
  *                   type: object
- *                   properties:
- *                     days:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           date:
- *                             type: string
- *                             format: date
- *                           activities:
- *                             type: array
- *                             items:
- *                               type: object
- *                               properties:
- *                                 time:
- *                                   type: string
- *                                 title:
- *                                   type: string
- *                                 description:
- *                                   type: string
- *                                 location:
- *                                   type: object
- *                                 duration:
- *                                   type: integer
- *                                 cost:
- *                                   type: number
- *                                 category:
- *                                   type: string
- *                 optimizationDetails:
+ *                   description: Updated trip with the optimized itinerary
+ *                 optimization:
  *                   type: object
  *                   properties:
- *                     focus:
+ *                     source:
  *                       type: string
+ *                       enum: [ai, template]
+ *                     tokensUsed:
+ *                       type: integer
  *                     improvements:
+ *                       type: object
+ *                     timeConflicts:
  *                       type: array
+ *                       description: Overlaps that could not be resolved
  *                       items:
- *                         type: string
- *                     travelTimeSaved:
- *                       type: integer
- *                       description: Time saved in minutes
+ *                         type: object
  *       400:
  *         description: Bad request - No itinerary to optimize or validation errors
  *       401:
@@ -756,12 +921,14 @@ router.post('/:id/generate-draft', authenticateToken, generateDraftScheduleValid
  *         description: Forbidden - Access denied to trip
  *       404:
  *         description: Trip not found
+ *       409:
+ *         description: Conflict - Trip was modified since the given If-Match revision; body contains the current trip and revision
  *       500:
  *         description: Server error
  */
 
 // POST /trips/:id/optimize - Optimize Trip
-router.post('/:id/optimize', authenticateToken, optimizeTripValidation, tripController.optimizeTrip);
+router.post('/:id/optimize', authenticateToken, locale, optimizeTripValidation, ifMatchValidation, tripController.optimizeTrip);
 
 /**
  * @swagger
@@ -789,20 +956,24 @@ router.post('/:id/optimize', authenticateToken, optimizeTripValidation, tripCont
  *             properties:
  *               format:
  *                 type: string
- *                 enum: [pdf, json, csv, ical]
+ *                 enum: [pdf, ics, json]
  *                 description: Export format
- *               include:
- *                 type: array
- *                 items:
- *                   type: string
- *                   enum: [itinerary, budget, notes, contacts]
- *                 description: What to include in export
- *                 example: ["itinerary", "budget", "notes"]
- *               language:
- *                 type: string
- *                 enum: [vi, en]
- *                 default: vi
- *                 description: Export language
+ *               options:
+ *                 type: object
+ *                 properties:
+ *                   includeCosts:
+ *                     type: boolean
+ *                     default: false
+ *                     description: Include budget and activity costs (totals are converted into the trip currency)
+ *                   includeNotes:
+ *                     type: boolean
+ *                     default: false
+ *                     description: Include activity notes
+ *                   timezone:
+ *                     type: string
+ *                     default: UTC
+ *                     description: IANA timezone activity times are expressed in (used by ics export)
+ *                     example: "Asia/Ho_Chi_Minh"
  *     responses:
  *       200:
  *         description: Trip exported successfully
@@ -813,15 +984,20 @@ router.post('/:id/optimize', authenticateToken, optimizeTripValidation, tripCont
  *               properties:
  *                 message:
  *                   type: string
- *                 downloadUrl:
+ *                 format:
  *                   type: string
- *                   description: URL to download the exported file
- *                 expiresAt:
+ *                 data:
+ *                   description: Exported trip object (json, with activityCostTotal when costs are included) or iCalendar text (ics)
+ *                 filename:
  *                   type: string
- *                   format: date-time
- *                   description: When the download link expires
+ *                   description: Suggested file name for the export
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *               description: Printable itinerary, returned as an attachment when format is pdf
  *       400:
- *         description: Bad request - Validation errors or unsupported format
+ *         description: Bad request - Validation errors, unsupported format or invalid timezone
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
@@ -835,6 +1011,66 @@ router.post('/:id/optimize', authenticateToken, optimizeTripValidation, tripCont
 // POST /trips/:id/export - Export Trip
 router.post('/:id/export', authenticateToken, exportTripValidation, tripController.exportTrip);
 
+/**
+ * @swagger
+ * /api/v1/trips/{id}/clone:
+ *   post:
+ *     summary: Clone a trip into a new draft
+ *     description: |
+ *       Deep-copies the itinerary, tips, budget and preferences into a new draft trip owned
+ *       by the caller. When startDate is given, every itinerary day shifts by the same offset.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: New start date (cannot be in the past)
+ *                 example: "2026-06-01"
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Name for the copy (defaults to the original name with "(Copy)")
+ *     responses:
+ *       201:
+ *         description: Trip cloned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 trip:
+ *                   type: object
+ *       400:
+ *         description: Bad request - Validation errors or start date in the past
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Access denied to trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Server error
+ */
+
+// POST /trips/:id/clone - Clone Trip
+router.post('/:id/clone', authenticateToken, cloneTripValidation, tripController.cloneTrip);
+
 /**
  * @swagger
  * /api/v1/trips/{id}/days/{dayId}/activities:
@@ -850,6 +1086,11 @@ router.post('/:id/export', authenticateToken, exportTripValidation, tripControll
  *         schema:
  *           type: string
  *         description: Trip ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from GET /trips/{id}; the change is rejected with 409 if the trip was modified since
  *       - in: path
  *         name: dayId
  *         required: true
@@ -909,17 +1150,16 @@ router.post('/:id/export', authenticateToken, exportTripValidation, tripControll
  *                 description: Duration in minutes
  *                 example: 120
  *               cost:
- *                 type: object
- *                 properties:
- *                   amount:
- *                     type: number
- *                     minimum: 0
- *                     description: Cost amount
- *                   currency:
- *                     type: string
- *                     pattern: '^[A-Z]{3}$'
- *                     description: Currency code
- *                     example: "EUR"
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 50000000
+ *                 description: Cost amount
+ *                 example: 25
+ *               currency:
+ *                 type: string
+ *                 pattern: '^[A-Z]{3}$'
+ *                 description: Currency of the cost (defaults to the trip budget currency)
+ *                 example: "EUR"
  *               category:
  *                 type: string
  *                 maxLength: 50
@@ -954,18 +1194,58 @@ router.post('/:id/export', authenticateToken, exportTripValidation, tripControll
  *                   description: Day the activity was added to
  *       400:
  *         description: Bad request - Validation errors or time conflict
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 conflicts:
+ *                   type: array
+ *                   description: Present on time conflicts - overlapping activity pairs or activities running past midnight
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       dayId:
+ *                         type: string
+ *                       date:
+ *                         type: string
+ *                         format: date-time
+ *                       type:
+ *                         type: string
+ *                         enum: [overlap, past_midnight]
+ *                       activities:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             activityId:
+ *                               type: string
+ *                             title:
+ *                               type: string
+ *                             time:
+ *                               type: string
+ *                             endTime:
+ *                               type: string
+ *                       overlapMinutes:
+ *                         type: integer
+ *                       overflowMinutes:
+ *                         type: integer
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
  *         description: Forbidden - Access denied to trip
  *       404:
  *         description: Trip or day not found
+ *       409:
+ *         description: Conflict - Trip was modified since the given If-Match revision; body contains the current trip and revision
  *       500:
  *         description: Server error
  */
 
 // POST /trips/:id/days/:dayId/activities - Add Activity to Day
-router.post('/:id/days/:dayId/activities', authenticateToken, activityValidation, tripController.addActivityToDay);
+router.post('/:id/days/:dayId/activities', authenticateToken, activityValidation, ifMatchValidation, tripController.addActivityToDay);
 
 /**
  * @swagger
@@ -982,6 +1262,11 @@ router.post('/:id/days/:dayId/activities', authenticateToken, activityValidation
  *         schema:
  *           type: string
  *         description: Trip ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from GET /trips/{id}; the change is rejected with 409 if the trip was modified since
  *       - in: path
  *         name: dayId
  *         required: true
@@ -1041,16 +1326,14 @@ router.post('/:id/days/:dayId/activities', authenticateToken, activityValidation
  *                 maximum: 1440
  *                 description: Duration in minutes
  *               cost:
- *                 type: object
- *                 properties:
- *                   amount:
- *                     type: number
- *                     minimum: 0
- *                     description: Cost amount
- *                   currency:
- *                     type: string
- *                     pattern: '^[A-Z]{3}$'
- *                     description: Currency code
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 50000000
+ *                 description: Cost amount
+ *               currency:
+ *                 type: string
+ *                 pattern: '^[A-Z]{3}$'
+ *                 description: Currency of the cost (defaults to the trip budget currency)
  *               category:
  *                 type: string
  *                 maxLength: 50
@@ -1084,18 +1367,58 @@ router.post('/:id/days/:dayId/activities', authenticateToken, activityValidation
  *                   description: Day the activity belongs to
  *       400:
  *         description: Bad request - Validation errors or time conflict
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 conflicts:
+ *                   type: array
+ *                   description: Present on time conflicts - overlapping activity pairs or activities running past midnight
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       dayId:
+ *                         type: string
+ *                       date:
+ *                         type: string
+ *                         format: date-time
+ *                       type:
+ *                         type: string
+ *                         enum: [overlap, past_midnight]
+ *                       activities:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             activityId:
+ *                               type: string
+ *                             title:
+ *                               type: string
+ *                             time:
+ *                               type: string
+ *                             endTime:
+ *                               type: string
+ *                       overlapMinutes:
+ *                         type: integer
+ *                       overflowMinutes:
+ *                         type: integer
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
  *         description: Forbidden - Access denied to trip
  *       404:
  *         description: Trip, day, or activity not found
+ *       409:
+ *         description: Conflict - Trip was modified since the given If-Match revision; body contains the current trip and revision
  *       500:
  *         description: Server error
  */
 
 // PUT /trips/:id/days/:dayId/activities/:activityId - Update Activity
-router.put('/:id/days/:dayId/activities/:activityId', authenticateToken, updateActivityValidation, tripController.updateActivity);
+router.put('/:id/days/:dayId/activities/:activityId', authenticateToken, updateActivityValidation, ifMatchValidation, tripController.updateActivity);
 
 /**
  * @swagger
@@ -1112,6 +1435,11 @@ router.put('/:id/days/:dayId/activities/:activityId', authenticateToken, updateA
  *         schema:
  *           type: string
  *         description: Trip ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from GET /trips/{id}; the change is rejected with 409 if the trip was modified since
  *       - in: path
  *         name: dayId
  *         required: true
@@ -1143,12 +1471,958 @@ router.put('/:id/days/:dayId/activities/:activityId', authenticateToken, updateA
  *         description: Forbidden - Access denied to trip
  *       404:
  *         description: Trip, day, or activity not found
+ *       409:
+ *         description: Conflict - Trip was modified since the given If-Match revision; body contains the current trip and revision
  *       500:
  *         description: Server error
  */
 
 // DELETE /trips/:id/days/:dayId/activities/:activityId - Delete Activity
-router.delete('/:id/days/:dayId/activities/:activityId', authenticateToken, deleteActivityValidation, tripController.deleteActivity);
+router.delete('/:id/days/:dayId/activities/:activityId', authenticateToken, deleteActivityValidation, ifMatchValidation, tripController.deleteActivity);
+
+/**
+ * @swagger
+ * /api/v1/trips/{id}/activities/batch:
+ *   post:
+ *     summary: Apply several activity operations atomically
+ *     description: |
+ *       Operations are applied in order and saved together; if any operation fails
+ *       nothing is changed. Supported operations:
+ *       - `add` - add `activity` to `dayId` at optional `position`
+ *       - `update` - apply `data` to `activityId`
+ *       - `delete` - remove `activityId`
+ *       - `move` - move `activityId` to `toDayId` at optional `position`
+ *       - `reorder` - set the order of `dayId` to `activityIds` (every activity of the day exactly once)
+ *       - `swapDays` - exchange the activities of `dayId` and `otherDayId` (dates stay in place)
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from GET /trips/{id}; the change is rejected with 409 if the trip was modified since
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               operations:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - type
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [add, update, delete, move, reorder, swapDays]
+ *                     dayId:
+ *                       type: string
+ *                     otherDayId:
+ *                       type: string
+ *                     toDayId:
+ *                       type: string
+ *                     activityId:
+ *                       type: string
+ *                     activityIds:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     position:
+ *                       type: integer
+ *                       minimum: 0
+ *                     activity:
+ *                       type: object
+ *                       description: Activity to add (same fields as the add activity endpoint)
+ *                     data:
+ *                       type: object
+ *                       description: Activity fields to update
+ *           example:
+ *             operations:
+ *               - type: move
+ *                 activityId: "60d5ecb74b24a1234567890c"
+ *                 toDayId: "60d5ecb74b24a1234567890b"
+ *                 position: 0
+ *               - type: reorder
+ *                 dayId: "60d5ecb74b24a1234567890a"
+ *                 activityIds: ["60d5ecb74b24a1234567890e", "60d5ecb74b24a1234567890d"]
+ *     responses:
+ *       200:
+ *         description: Operations applied successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 trip:
+ *                   type: object
+ *                   description: Updated trip object
+ *       400:
+ *         description: Bad request - Invalid operation, time conflict (see `conflicts`) or resulting itinerary fails validation
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Access denied to trip
+ *       404:
+ *         description: Trip, day, or activity not found; `operationIndex` identifies the failing operation
+ *       409:
+ *         description: Conflict - Trip was modified since the given If-Match revision; body contains the current trip and revision
+ *       500:
+ *         description: Server error
+ */
+
+// POST /trips/:id/activities/batch - Batch Update Activities
+router.post('/:id/activities/batch', authenticateToken, batchActivitiesValidation, ifMatchValidation, tripController.batchUpdateActivities);
+
+/**
+ * @swagger
+ * /api/v1/trips/{id}/members:
+ *   get:
+ *     summary: List trip owner and members
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *     responses:
+ *       200:
+ *         description: Members retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 owner:
+ *                   type: object
+ *                 members:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       userId:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                         enum: [owner, editor, viewer]
+ *                       status:
+ *                         type: string
+ *                         enum: [pending, accepted]
+ *                       email:
+ *                         type: string
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Access denied to trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Invite a user to the trip
+ *     description: Only trip owners can invite. The invited user must accept before gaining access.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Email of a registered user
+ *               role:
+ *                 type: string
+ *                 enum: [owner, editor, viewer]
+ *                 default: viewer
+ *                 description: Viewers can read, editors can change the itinerary, owners can also manage members
+ *     responses:
+ *       201:
+ *         description: Member invited successfully
+ *       400:
+ *         description: Bad request - Validation errors or inviting the trip owner
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Only owners can invite members
+ *       404:
+ *         description: Trip or user not found
+ *       409:
+ *         description: User is already a member of this trip
+ *       500:
+ *         description: Server error
+ */
+
+// GET /trips/:id/members - Get Trip Members
+router.get('/:id/members', authenticateToken, tripIdValidation, tripController.getTripMembers);
+
+// POST /trips/:id/members - Invite Trip Member
+router.post('/:id/members', authenticateToken, inviteMemberValidation, tripController.inviteTripMember);
+
+/**
+ * @swagger
+ * /api/v1/trips/{id}/members/accept:
+ *   post:
+ *     summary: Accept a pending invitation to the trip
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *     responses:
+ *       200:
+ *         description: Invitation accepted successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Trip or pending invitation not found
+ *       500:
+ *         description: Server error
+ */
+
+// POST /trips/:id/members/accept - Accept Trip Invitation
+router.post('/:id/members/accept', authenticateToken, tripIdValidation, tripController.acceptTripInvitation);
+
+/**
+ * @swagger
+ * /api/v1/trips/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from the trip
+ *     description: Owners can remove any member; members can remove themselves to leave or decline.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID of the member
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       400:
+ *         description: Bad request - Cannot remove the trip owner
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Only owners can remove other members
+ *       404:
+ *         description: Trip or member not found
+ *       500:
+ *         description: Server error
+ */
+
+// DELETE /trips/:id/members/:userId - Remove Trip Member
+router.delete('/:id/members/:userId', authenticateToken, memberIdValidation, tripController.removeTripMember);
+
+/**
+ * @swagger
+ * /api/v1/trips/{id}/expenses:
+ *   get:
+ *     summary: List the spending logged on a trip
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [accommodation, transportation, food, activities, shopping, other]
+ *         description: Only expenses of this category
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only expenses of this day (YYYY-MM-DD)
+ *     responses:
+ *       200:
+ *         description: Expenses retrieved successfully (newest first)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 expenses:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Expense'
+ *                 total:
+ *                   type: object
+ *                   description: Sum of the listed expenses in the trip currency
+ *                   properties:
+ *                     total:
+ *                       type: number
+ *                     currency:
+ *                       type: string
+ *                     unconverted:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Currencies without an exchange rate, left out of the total
+ *       400:
+ *         description: Bad request - Validation errors
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Access denied to trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Log actual spending on a trip
+ *     description: Requires editor access. Logging spending does not change the trip revision.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExpenseInput'
+ *     responses:
+ *       201:
+ *         description: Expense added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 expense:
+ *                   $ref: '#/components/schemas/Expense'
+ *       400:
+ *         description: Bad request - Validation errors or payer is not on the trip
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Editor access required
+ *       404:
+ *         description: Trip or linked activity not found
+ *       500:
+ *         description: Server error
+ */
+
+// GET /trips/:id/expenses - Get Trip Expenses
+router.get('/:id/expenses', authenticateToken, listExpensesValidation, tripController.getTripExpenses);
+
+// POST /trips/:id/expenses - Add Trip Expense
+router.post('/:id/expenses', authenticateToken, addExpenseValidation, tripController.addTripExpense);
+
+/**
+ * @swagger
+ * /api/v1/trips/{id}/expenses/{expenseId}:
+ *   put:
+ *     summary: Update logged spending
+ *     description: Requires editor access. Only the fields sent are changed.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *       - in: path
+ *         name: expenseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Expense ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExpenseInput'
+ *     responses:
+ *       200:
+ *         description: Expense updated successfully
+ *       400:
+ *         description: Bad request - Validation errors or payer is not on the trip
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Editor access required
+ *       404:
+ *         description: Trip, expense or linked activity not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete logged spending
+ *     description: Requires editor access.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *       - in: path
+ *         name: expenseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Expense ID
+ *     responses:
+ *       204:
+ *         description: Expense deleted successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Editor access required
+ *       404:
+ *         description: Trip or expense not found
+ *       500:
+ *         description: Server error
+ */
+
+// PUT /trips/:id/expenses/:expenseId - Update Trip Expense
+router.put('/:id/expenses/:expenseId', authenticateToken, updateExpenseValidation, tripController.updateTripExpense);
+
+// DELETE /trips/:id/expenses/:expenseId - Delete Trip Expense
+router.delete('/:id/expenses/:expenseId', authenticateToken, expenseIdValidation, tripController.deleteTripExpense);
+
+/**
+ * @swagger
+ * /api/v1/trips/{id}/budget:
+ *   get:
+ *     summary: Planned vs. actual spending
+ *     description: |
+ *       Compares logged expenses with the plan, in the trip currency. Planned amounts per category come
+ *       from budget.breakdown, per day from the costs of that day's activities. A line is `warning` from
+ *       80% of its planned amount, `over` above it and `unplanned` when spending has nothing planned.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *     responses:
+ *       200:
+ *         description: Budget summary retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 budget:
+ *                   type: object
+ *                   properties:
+ *                     currency:
+ *                       type: string
+ *                     total:
+ *                       $ref: '#/components/schemas/BudgetLine'
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/BudgetLine'
+ *                           - type: object
+ *                             properties:
+ *                               category:
+ *                                 type: string
+ *                     days:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/BudgetLine'
+ *                           - type: object
+ *                             properties:
+ *                               date:
+ *                                 type: string
+ *                                 format: date
+ *                               dayId:
+ *                                 type: string
+ *                                 nullable: true
+ *                                 description: Null for spending outside the itinerary days
+ *                     alerts:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           scope:
+ *                             type: string
+ *                             enum: [total, category, day]
+ *                           category:
+ *                             type: string
+ *                           date:
+ *                             type: string
+ *                             format: date
+ *                           severity:
+ *                             type: string
+ *                             enum: [warning, over]
+ *                           planned:
+ *                             type: number
+ *                           actual:
+ *                             type: number
+ *                     unconverted:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Currencies without an exchange rate, left out of the amounts
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Access denied to trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Server error
+ */
+
+// GET /trips/:id/budget - Get Trip Budget
+router.get('/:id/budget', authenticateToken, tripIdValidation, tripController.getTripBudget);
+
+/**
+ * @swagger
+ * /api/v1/trips/{id}/share-links:
+ *   get:
+ *     summary: List public share links of a trip
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *     responses:
+ *       200:
+ *         description: Share links retrieved successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Only owners can manage share links
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create a public read-only share link
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional expiry; links without one stay valid until revoked
+ *               includeCosts:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Show budget and activity costs
+ *               includeNotes:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Show activity notes
+ *     responses:
+ *       201:
+ *         description: Share link created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 shareLink:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     token:
+ *                       type: string
+ *                     path:
+ *                       type: string
+ *                       example: /api/v1/trips/shared/3f2a...
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     status:
+ *                       type: string
+ *                       enum: [active, expired, revoked]
+ *       400:
+ *         description: Bad request - Validation errors or expiry in the past
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Only owners can manage share links
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Server error
+ */
+
+// GET /trips/:id/share-links - Get Share Links
+router.get('/:id/share-links', authenticateToken, tripIdValidation, tripController.getShareLinks);
+
+// POST /trips/:id/share-links - Create Share Link
+router.post('/:id/share-links', authenticateToken, createShareLinkValidation, tripController.createShareLink);
+
+/**
+ * @swagger
+ * /api/v1/trips/{id}/share-links/{linkId}:
+ *   delete:
+ *     summary: Revoke a public share link
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share link ID
+ *     responses:
+ *       200:
+ *         description: Share link revoked successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Only owners can manage share links
+ *       404:
+ *         description: Trip or share link not found
+ *       500:
+ *         description: Server error
+ */
+
+// DELETE /trips/:id/share-links/:linkId - Revoke Share Link
+router.delete('/:id/share-links/:linkId', authenticateToken, shareLinkIdValidation, tripController.revokeShareLink);
+
+/**
+ * @swagger
+ * /api/v1/trips/{id}/versions:
+ *   get:
+ *     summary: List trip revision history
+ *     description: |
+ *       Every change to the trip (manual edits, AI generation and optimization, chat
+ *       extraction, imports and restores) is recorded as a version, newest first.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Versions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 versions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       version:
+ *                         type: integer
+ *                       authorId:
+ *                         type: string
+ *                       source:
+ *                         type: string
+ *                         enum: [manual, ai-generate, ai-optimize, chat-extraction, import, restore]
+ *                       summary:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Access denied to trip
+ *       404:
+ *         description: Trip not found
+ *       500:
+ *         description: Server error
+ */
+
+// GET /trips/:id/versions - Get Trip Versions
+router.get('/:id/versions', authenticateToken, listVersionsValidation, tripController.getTripVersions);
+
+/**
+ * @swagger
+ * /api/v1/trips/{id}/versions/diff:
+ *   get:
+ *     summary: Compare two trip versions at the activity level
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Base version number
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Target version number (defaults to the latest version)
+ *     responses:
+ *       200:
+ *         description: Diff computed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 diff:
+ *                   type: object
+ *                   properties:
+ *                     tripChanges:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     activities:
+ *                       type: object
+ *                       properties:
+ *                         added:
+ *                           type: array
+ *                         removed:
+ *                           type: array
+ *                         modified:
+ *                           type: array
+ *                     hasChanges:
+ *                       type: boolean
+ *       400:
+ *         description: Bad request - Invalid version numbers
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Access denied to trip
+ *       404:
+ *         description: Trip or version not found
+ *       500:
+ *         description: Server error
+ */
+
+// GET /trips/:id/versions/diff - Diff Trip Versions
+router.get('/:id/versions/diff', authenticateToken, diffVersionsValidation, tripController.diffTripVersions);
+
+/**
+ * @swagger
+ * /api/v1/trips/{id}/versions/{version}:
+ *   get:
+ *     summary: Get a trip version including its snapshot
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Version number
+ *     responses:
+ *       200:
+ *         description: Version retrieved successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Access denied to trip
+ *       404:
+ *         description: Trip or version not found
+ *       500:
+ *         description: Server error
+ */
+
+// GET /trips/:id/versions/:version - Get Trip Version
+router.get('/:id/versions/:version', authenticateToken, versionNumberValidation, tripController.getTripVersion);
+
+/**
+ * @swagger
+ * /api/v1/trips/{id}/versions/{version}/restore:
+ *   post:
+ *     summary: Restore a trip to an earlier version
+ *     description: The restore itself is recorded as a new version, so it can be undone.
+ *     tags: [Trips]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Trip ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from GET /trips/{id}; the change is rejected with 409 if the trip was modified since
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Version number to restore
+ *     responses:
+ *       200:
+ *         description: Trip restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 trip:
+ *                   type: object
+ *                 version:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Editor access required
+ *       404:
+ *         description: Trip or version not found
+ *       409:
+ *         description: Conflict - Trip was modified since the given If-Match revision; body contains the current trip and revision
+ *       500:
+ *         description: Server error
+ */
+
+// POST /trips/:id/versions/:version/restore - Restore Trip Version
+router.post('/:id/versions/:version/restore', authenticateToken, versionNumberValidation, ifMatchValidation, tripController.restoreTripVersion);
 
 // Health check endpoint for trips service
 router.get('/health', (req, res) => {
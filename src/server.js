@@ -1,11 +1,22 @@
 const app = require('./app');
 const config = require('./config/config');
 const logger = require('./config/logger');
+const { itineraryJobService, promptTemplateService } = require('./services/ai');
+const { exchangeRateService } = require('./services/common');
 
 const port = process.env.PORT || config.port || 3001;
 
 const server = app.listen(port, () => {
   logger.info(`Server running on port ${port}`);
+
+  // Resume itinerary generation jobs interrupted by a restart
+  itineraryJobService.startWorker();
+
+  // Seed and load the active prompt template versions
+  promptTemplateService.startSync();
+
+  // Load the exchange rates set by admins
+  exchangeRateService.startSync();
 });
 
 // Handle unhandled promise rejections
@@ -23,6 +34,9 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully');
+  itineraryJobService.stopWorker();
+  promptTemplateService.stopSync();
+  exchangeRateService.stopSync();
   server.close(() => {
     logger.info('Process terminated');
   });
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { readEventStream } = require('../../../utils/sse');
 
 /**
  * GeminiApiClient - Handles direct communication with Google Gemini API
@@ -21,11 +22,13 @@ class GeminiApiClient {
     this.modelConfigs = {
       flash: {
         name: 'gemini-2.5-flash',
-        endpoint: `${this.baseUrl}/gemini-2.5-flash:generateContent`
+        endpoint: `${this.baseUrl}/gemini-2.5-flash:generateContent`,
+        streamEndpoint: `${this.baseUrl}/gemini-2.5-flash:streamGenerateContent?alt=sse`
       },
       pro: {
         name: 'gemini-2.5-pro',
-        endpoint: `${this.baseUrl}/gemini-2.5-pro:generateContent`
+        endpoint: `${this.baseUrl}/gemini-2.5-pro:generateContent`,
+        streamEndpoint: `${this.baseUrl}/gemini-2.5-pro:streamGenerateContent?alt=sse`
       }
     };
 
@@ -166,6 +169,96 @@ class GeminiApiClient {
     return await this._executeWithRetry(modelConfig, requestPayload, true);
   }
 
+  /**
+   * Stream a Gemini response, calling onDelta with each text fragment as it arrives.
+   * Not retried: a retry after partial output would repeat text the caller already received.
+   * @param {string} model - Model type ('flash' or 'pro')
+   * @param {string} prompt - Prompt to send
+   * @param {Object} options - Additional options (responseSchema, generationConfig, signal to abort)
+   * @param {Function} onDelta - Called with each text fragment
+   * @returns {Promise<Object>} Complete response with the full text content
+   */
+  async streamGeminiAPI(model, prompt, options = {}, onDelta = () => {}) {
+    if (!this.hasValidApiKey()) {
+      console.warn(' No valid Gemini API key found.');
+      throw new Error('NO_VALID_API_KEY');
+    }
+
+    const modelConfig = this.modelConfigs[model] || this.modelConfigs.flash;
+    const requestPayload = this._buildRequestPayload(prompt, options);
+
+    console.log(`Streaming Gemini API call to ${modelConfig.name}...`);
+
+    const response = await axios.post(modelConfig.streamEndpoint, requestPayload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': this.apiKey
+      },
+      responseType: 'stream',
+      timeout: 60000, // 60 second timeout
+      signal: options.signal
+    });
+
+    let content = '';
+    let usage = {};
+    let finishReason = 'STOP';
+
+    await readEventStream(response.data, (data) => {
+      const chunk = JSON.parse(data);
+      const candidate = chunk.candidates?.[0];
+
+      if (chunk.usageMetadata) {
+        usage = chunk.usageMetadata;
+      }
+      if (candidate?.finishReason) {
+        finishReason = candidate.finishReason;
+      }
+
+      const text = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+      if (text) {
+        content += text;
+        onDelta(text);
+      }
+    });
+
+    if (finishReason === 'SAFETY') {
+      throw new Error('Content was blocked by safety filters. Please modify your request.');
+    }
+
+    if (!content.trim()) {
+      throw new Error('Gemini API returned empty content - this may be due to safety filters, quota limits, or invalid API key');
+    }
+
+    const tokensUsed = usage.totalTokenCount ||
+                      usage.candidatesTokenCount ||
+                      Math.ceil((prompt.length + content.length) / 4);
+
+    console.log(`✅ Gemini API stream completed (${tokensUsed} tokens estimated)`);
+
+    return {
+      content,
+      tokensUsed,
+      usage,
+      model: modelConfig.name,
+      finishReason,
+      isStructured: false
+    };
+  }
+
+  /**
+   * Stream a structured output (JSON) response. Deltas are raw JSON text;
+   * the returned content is the unparsed JSON string.
+   * @param {string} model - Model type ('flash' or 'pro')
+   * @param {string} prompt - Prompt to send
+   * @param {Object} structuredConfig - Structured output configuration
+   * @param {Object} options - Additional options
+   * @param {Function} onDelta - Called with each text fragment
+   * @returns {Promise<Object>} Complete response
+   */
+  async streamGeminiWithStructuredOutput(model, prompt, structuredConfig, options = {}, onDelta = () => {}) {
+    return await this.streamGeminiAPI(model, prompt, { ...options, responseSchema: structuredConfig }, onDelta);
+  }
+
   /**
    * Execute API call with retry logic
    * @param {Object} modelConfig - Model configuration
@@ -363,6 +456,7 @@ class GeminiApiClient {
         return {
           content: parsedData, // Return parsed JSON directly
           tokensUsed: tokensUsed,
+          usage: usage,
           model: modelName,
           finishReason: candidate.finishReason || 'STOP',
           raw: responseData,
@@ -381,6 +475,7 @@ class GeminiApiClient {
             return {
               content: JSON.parse(fixedJson),
               tokensUsed: tokensUsed,
+              usage: usage,
               model: modelName,
               finishReason: candidate.finishReason || 'STOP',
               raw: responseData,
@@ -403,6 +498,7 @@ class GeminiApiClient {
     return {
       content: content,
       tokensUsed: tokensUsed,
+      usage: usage,
       model: modelName,
       finishReason: candidate.finishReason || 'STOP',
       raw: responseData,
@@ -0,0 +1,428 @@
+const axios = require('axios');
+const { readEventStream } = require('../../../utils/sse');
+
+/**
+ * LocalLLMApiClient - Handles communication with a self-hosted, OpenAI-compatible server
+ * (Ollama, vLLM, llama.cpp server, ...) through /chat/completions.
+ * Structured output uses the server's JSON mode (LOCAL_LLM_JSON_MODE):
+ * - json_schema: response_format with the JSON schema (Ollama, vLLM, llama.cpp)
+ * - json_object: response_format json_object, schema described in the prompt
+ * - guided_json: vLLM guided decoding with the JSON schema
+ * - none: prompt instructions only
+ * A GBNF grammar passed as structuredConfig.grammar is sent as is (llama.cpp).
+ */
+class LocalLLMApiClient {
+  constructor() {
+    this.baseUrl = (process.env.LOCAL_LLM_BASE_URL || '').replace(/\/+$/, '');
+    this.apiKey = process.env.LOCAL_LLM_API_KEY || '';
+    this.jsonMode = process.env.LOCAL_LLM_JSON_MODE || 'json_schema';
+    this.timeout = parseInt(process.env.LOCAL_LLM_TIMEOUT_MS) || 120000; // Local models are slower
+
+    if (this.hasValidApiKey()) {
+      console.log(`Local LLM endpoint is configured: ${this.baseUrl}`);
+    }
+
+    // Model served for each model type; flash/pro fall back to the default model
+    this.defaultModel = process.env.LOCAL_LLM_MODEL || 'llama3.1';
+    this.availableModels = {
+      flash: process.env.LOCAL_LLM_FLASH_MODEL || this.defaultModel,
+      pro: process.env.LOCAL_LLM_PRO_MODEL || this.defaultModel
+    };
+
+    // Default generation config
+    this.defaultGenerationConfig = {
+      temperature: 0.7,
+      max_tokens: 8000,
+      top_p: 0.95
+    };
+  }
+
+  /**
+   * Check if the endpoint is configured (local servers usually need no API key)
+   * @returns {boolean} Whether a base URL is set
+   */
+  hasValidApiKey() {
+    return Boolean(this.baseUrl);
+  }
+
+  /**
+   * Get the model name to use
+   * @param {string} model - Model type ('flash', 'pro') or a model served by the endpoint
+   * @returns {string} Model name
+   */
+  getModelName(model = 'default') {
+    if (model === 'default') {
+      return this.defaultModel;
+    }
+    return this.availableModels[model] || model;
+  }
+
+  /**
+   * Main method to call the local model with retry logic
+   * @param {string} model - Model type or name
+   * @param {string} prompt - Prompt to send
+   * @param {Object} options - Additional options (generationConfig)
+   * @returns {Promise<Object>} API response
+   */
+  async callLocalAPI(model, prompt, options = {}) {
+    this._assertConfigured();
+
+    const modelName = this.getModelName(model);
+    const requestPayload = this._buildRequestPayload(modelName, prompt, options);
+
+    console.log(`Making local LLM call to ${modelName}...`);
+
+    return await this._executeWithRetry(requestPayload);
+  }
+
+  /**
+   * Call the local model with structured (JSON) output
+   * @param {string} model - Model type or name
+   * @param {string} prompt - Prompt to send
+   * @param {Object} structuredConfig - Schema configuration ({ responseSchema } in Gemini format, optional grammar)
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Structured API response (content is the parsed JSON)
+   */
+  async callLocalWithStructuredOutput(model, prompt, structuredConfig, options = {}) {
+    this._assertConfigured();
+
+    if (!structuredConfig) {
+      throw new Error('Structured configuration is required');
+    }
+
+    const modelName = this.getModelName(model);
+    const requestPayload = this._buildStructuredPayload(modelName, prompt, structuredConfig, options);
+
+    console.log(`Making structured local LLM call to ${modelName} (JSON mode: ${this.jsonMode})...`);
+
+    const response = await this._executeWithRetry(requestPayload);
+    return this._parseStructuredResponse(response);
+  }
+
+  /**
+   * Stream a local model response, calling onDelta with each text fragment as it arrives.
+   * Not retried: a retry after partial output would repeat text the caller already received.
+   * @param {string} model - Model type or name
+   * @param {string} prompt - Prompt to send
+   * @param {Object} options - Additional options (generationConfig, signal to abort)
+   * @param {Function} onDelta - Called with each text fragment
+   * @returns {Promise<Object>} Complete response with the full text content
+   */
+  async streamLocalAPI(model, prompt, options = {}, onDelta = () => {}) {
+    this._assertConfigured();
+
+    const modelName = this.getModelName(model);
+    return await this._stream(this._buildRequestPayload(modelName, prompt, options), options, onDelta);
+  }
+
+  /**
+   * Stream a structured (JSON) response.
+   * Deltas are raw JSON text; the returned content is the unparsed JSON string.
+   * @param {string} model - Model type or name
+   * @param {string} prompt - Prompt to send
+   * @param {Object} structuredConfig - Schema configuration
+   * @param {Object} options - Additional options (signal to abort)
+   * @param {Function} onDelta - Called with each text fragment
+   * @returns {Promise<Object>} Complete response
+   */
+  async streamLocalWithStructuredOutput(model, prompt, structuredConfig, options = {}, onDelta = () => {}) {
+    this._assertConfigured();
+
+    const modelName = this.getModelName(model);
+    return await this._stream(this._buildStructuredPayload(modelName, prompt, structuredConfig || {}, options), options, onDelta);
+  }
+
+  /**
+   * @private
+   */
+  _assertConfigured() {
+    if (!this.hasValidApiKey()) {
+      console.warn('No local LLM endpoint configured.');
+      throw new Error('NO_LOCAL_LLM_BASE_URL');
+    }
+  }
+
+  /**
+   * Send a streaming request and collect the text
+   * @private
+   */
+  async _stream(payload, options, onDelta) {
+    const requestPayload = {
+      ...payload,
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+
+    console.log(`Streaming local LLM call to ${requestPayload.model}...`);
+
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, requestPayload, {
+      headers: this._buildHeaders(),
+      responseType: 'stream',
+      timeout: this.timeout,
+      signal: options.signal
+    });
+
+    let content = '';
+    let usage = {};
+    let finishReason = 'stop';
+
+    await readEventStream(response.data, (data) => {
+      if (data === '[DONE]') {
+        return;
+      }
+
+      const chunk = JSON.parse(data);
+      if (chunk.error) {
+        throw new Error(chunk.error.message || 'Local LLM stream error');
+      }
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      const choice = chunk.choices?.[0];
+      if (choice?.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+
+      const text = choice?.delta?.content;
+      if (text) {
+        content += text;
+        onDelta(text);
+      }
+    });
+
+    const tokensUsed = usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+
+    console.log(`Local LLM stream completed - Model: ${requestPayload.model}, tokens: ${tokensUsed}`);
+
+    return {
+      content,
+      tokensUsed,
+      model: requestPayload.model,
+      usage,
+      processingTime: 0,
+      rateLimitRemaining: 0,
+      finishReason
+    };
+  }
+
+  /**
+   * Execute API call with retry logic
+   * @param {Object} requestPayload - Request payload
+   * @returns {Promise<Object>} API response
+   */
+  async _executeWithRetry(requestPayload) {
+    const maxRetries = 2;
+    let attempt = 1;
+
+    while (attempt <= maxRetries) {
+      try {
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, requestPayload, {
+          headers: this._buildHeaders(),
+          timeout: this.timeout
+        });
+
+        return this._processResponse(response, requestPayload.model);
+
+      } catch (error) {
+        console.log(` Local LLM attempt ${attempt}/${maxRetries} failed: ${error.message}`);
+
+        if (error.response) {
+          console.error(` HTTP ${error.response.status}: ${error.response.statusText}`);
+        }
+
+        if (attempt === maxRetries) {
+          throw error;
+        }
+
+        // Wait before retry (exponential backoff)
+        await this._delay(Math.pow(2, attempt) * 1000); // 2s, 4s
+
+        attempt++;
+      }
+    }
+  }
+
+  /**
+   * Build request headers; the API key is optional for local servers
+   * @returns {Object} Request headers
+   */
+  _buildHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Build a chat completions request payload
+   * @param {string} modelName - Model name
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Additional options
+   * @returns {Object} Request payload
+   */
+  _buildRequestPayload(modelName, prompt, options = {}) {
+    return {
+      model: modelName,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      ...this.defaultGenerationConfig,
+      ...(options.generationConfig || {}),
+      stream: false
+    };
+  }
+
+  /**
+   * Build a request payload that constrains the output to JSON according to the JSON mode
+   * @param {string} modelName - Model name
+   * @param {string} prompt - Prompt text
+   * @param {Object} structuredConfig - Schema configuration
+   * @param {Object} options - Additional options
+   * @returns {Object} Request payload
+   */
+  _buildStructuredPayload(modelName, prompt, structuredConfig, options = {}) {
+    const schema = structuredConfig.responseSchema ? this._toJsonSchema(structuredConfig.responseSchema) : null;
+    const payload = this._buildRequestPayload(modelName, this._enhancePromptForStructuredOutput(prompt, schema), options);
+
+    if (structuredConfig.grammar) {
+      payload.grammar = structuredConfig.grammar;
+    } else if (this.jsonMode === 'json_schema' && schema) {
+      payload.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema }
+      };
+    } else if (this.jsonMode === 'guided_json' && schema) {
+      payload.guided_json = schema;
+    } else if (this.jsonMode !== 'none') {
+      payload.response_format = { type: 'json_object' };
+    }
+
+    return payload;
+  }
+
+  /**
+   * Convert a Gemini response schema (uppercase types, nullable, propertyOrdering) to JSON Schema
+   * @param {Object} schema - Gemini schema
+   * @returns {Object} JSON Schema
+   */
+  _toJsonSchema(schema) {
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+
+    const { type, nullable, propertyOrdering, properties, items, ...rest } = schema;
+    const jsonSchema = { ...rest };
+
+    if (type) {
+      const jsonType = String(type).toLowerCase();
+      jsonSchema.type = nullable ? [jsonType, 'null'] : jsonType;
+    }
+    if (properties) {
+      jsonSchema.properties = {};
+      for (const [key, value] of Object.entries(properties)) {
+        jsonSchema.properties[key] = this._toJsonSchema(value);
+      }
+    }
+    if (items) {
+      jsonSchema.items = this._toJsonSchema(items);
+    }
+
+    return jsonSchema;
+  }
+
+  /**
+   * Add JSON output instructions to the prompt; smaller local models follow the schema
+   * more reliably when it is also part of the prompt
+   * @param {string} originalPrompt - Original prompt
+   * @param {Object} schema - JSON Schema (optional)
+   * @returns {string} Enhanced prompt
+   */
+  _enhancePromptForStructuredOutput(originalPrompt, schema) {
+    let enhancedPrompt = originalPrompt;
+
+    enhancedPrompt += '\n\nQuy định về format trả về:';
+    enhancedPrompt += '\n- PHẢI trả về JSON hợp lệ';
+    enhancedPrompt += '\n- KHÔNG bao gồm markdown code blocks (```json)';
+    enhancedPrompt += '\n- KHÔNG có text giải thích thêm';
+
+    if (schema) {
+      enhancedPrompt += `\n- JSON phải theo schema: ${JSON.stringify(schema)}`;
+    }
+
+    return enhancedPrompt;
+  }
+
+  /**
+   * Process API response and normalize to match Gemini format
+   * @param {Object} response - Axios response
+   * @param {string} modelName - Model name
+   * @returns {Object} Normalized response
+   */
+  _processResponse(response, modelName) {
+    const data = response.data;
+
+    if (!data.choices || data.choices.length === 0) {
+      throw new Error('No choices returned from local LLM');
+    }
+
+    const choice = data.choices[0];
+    const usage = data.usage || {};
+    const tokensUsed = usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+
+    console.log(`Local LLM call successful - Model: ${modelName}, tokens: ${tokensUsed}`);
+
+    return {
+      content: choice.message?.content || '',
+      tokensUsed,
+      model: modelName,
+      usage,
+      processingTime: 0,
+      rateLimitRemaining: 0,
+      finishReason: choice.finish_reason || 'stop'
+    };
+  }
+
+  /**
+   * Parse the JSON content of a structured response
+   * @param {Object} response - Normalized response
+   * @returns {Object} Response with parsed content
+   */
+  _parseStructuredResponse(response) {
+    const content = response.content
+      .trim()
+      .replace(/^```(?:json)?\s*/, '')
+      .replace(/```\s*$/, '')
+      .trim();
+
+    try {
+      return { ...response, content: JSON.parse(content) };
+    } catch (parseError) {
+      // Some models still wrap the JSON in text
+      const jsonMatch = content.match(/\{[\s\S]*\}|\[[\s\S]*\]/);
+      if (!jsonMatch) {
+        throw new Error('NO_JSON_FOUND');
+      }
+      try {
+        return { ...response, content: JSON.parse(jsonMatch[0]) };
+      } catch (extractError) {
+        throw new Error('INVALID_JSON_RESPONSE');
+      }
+    }
+  }
+
+  /**
+   * Delay utility for retry logic
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise} Promise that resolves after delay
+   */
+  _delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = LocalLLMApiClient;
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { readEventStream } = require('../../../utils/sse');
 
 /**
  * OpenRouterApiClient - Handles communication with OpenRouter API
@@ -115,6 +116,96 @@ class OpenRouterApiClient {
     return this._parseStructuredResponse(response, structuredConfig);
   }
 
+  /**
+   * Stream an OpenRouter response, calling onDelta with each text fragment as it arrives.
+   * Not retried: a retry after partial output would repeat text the caller already received.
+   * @param {string} model - Model type or alias
+   * @param {string} prompt - Prompt to send
+   * @param {Object} options - Additional options (generationConfig, signal to abort)
+   * @param {Function} onDelta - Called with each text fragment
+   * @returns {Promise<Object>} Complete response with the full text content
+   */
+  async streamOpenRouterAPI(model, prompt, options = {}, onDelta = () => {}) {
+    if (!this.hasValidApiKey()) {
+      console.warn('No valid OpenRouter API key found.');
+      throw new Error('NO_VALID_OPENROUTER_API_KEY');
+    }
+
+    const modelName = this.getModelName(model);
+    const requestPayload = {
+      ...this._buildRequestPayload(modelName, prompt, options),
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+
+    console.log(`Streaming OpenRouter API call to ${modelName}...`);
+
+    const response = await axios.post(`${this.baseUrl}/chat/completions`, requestPayload, {
+      headers: this._buildHeaders(),
+      responseType: 'stream',
+      timeout: 60000, // 60 second timeout
+      signal: options.signal
+    });
+
+    let content = '';
+    let usage = {};
+    let finishReason = 'stop';
+
+    await readEventStream(response.data, (data) => {
+      if (data === '[DONE]') {
+        return;
+      }
+
+      const chunk = JSON.parse(data);
+      if (chunk.error) {
+        throw new Error(chunk.error.message || 'OpenRouter stream error');
+      }
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      const choice = chunk.choices?.[0];
+      if (choice?.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+
+      const text = choice?.delta?.content;
+      if (text) {
+        content += text;
+        onDelta(text);
+      }
+    });
+
+    const tokensUsed = usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+
+    console.log(`OpenRouter stream completed - Model: ${modelName}, tokens: ${tokensUsed}`);
+
+    return {
+      content,
+      tokensUsed,
+      model: modelName,
+      usage,
+      processingTime: 0,
+      rateLimitRemaining: 0,
+      finishReason
+    };
+  }
+
+  /**
+   * Stream a response requested as JSON through prompt engineering.
+   * Deltas are raw JSON text; the returned content is the unparsed JSON string.
+   * @param {string} model - Model type
+   * @param {string} prompt - Prompt to send
+   * @param {Object} structuredConfig - Schema configuration (for compatibility)
+   * @param {Object} options - Additional options
+   * @param {Function} onDelta - Called with each text fragment
+   * @returns {Promise<Object>} Complete response
+   */
+  async streamOpenRouterWithStructuredOutput(model, prompt, structuredConfig, options = {}, onDelta = () => {}) {
+    const enhancedPrompt = this._enhancePromptForStructuredOutput(prompt, structuredConfig);
+    return await this.streamOpenRouterAPI(model, enhancedPrompt, options, onDelta);
+  }
+
   /**
    * Execute API call with retry logic
    * @param {Object} requestPayload - Request payload
@@ -129,12 +220,7 @@ class OpenRouterApiClient {
         console.log(`Attempt ${attempt}/${maxRetries}...`);
 
         const response = await axios.post(`${this.baseUrl}/chat/completions`, requestPayload, {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': this.siteUrl,
-            'X-Title': this.siteName
-          },
+          headers: this._buildHeaders(),
           timeout: 60000 // 60 second timeout
         });
 
@@ -164,6 +250,19 @@ class OpenRouterApiClient {
     }
   }
 
+  /**
+   * Build request headers for OpenRouter API
+   * @returns {Object} Request headers
+   */
+  _buildHeaders() {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json',
+      'HTTP-Referer': this.siteUrl,
+      'X-Title': this.siteName
+    };
+  }
+
   /**
    * Build request payload for OpenRouter API
    * @param {string} modelName - Full model name
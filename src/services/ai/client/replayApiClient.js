@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const { stableHash } = require('../../../utils/stableHash');
+
+// Default fixture location, next to the jest suites
+const DEFAULT_FIXTURES_DIR = path.resolve(__dirname, '../../../tests/fixtures/ai');
+
+// Replayed streams are delivered in fragments of this many characters
+const REPLAY_CHUNK_SIZE = 64;
+
+/**
+ * ReplayApiClient - Records real AI request/response pairs to fixture files and replays them
+ * deterministically, so tests and offline development exercise the real parsing paths
+ * without network access.
+ * Modes (AI_REPLAY_MODE):
+ * - replay: answer from fixtures only; a missing fixture throws AI_FIXTURE_NOT_FOUND
+ * - record: call the upstream provider and (over)write the fixture
+ * - auto: replay when a fixture exists, record otherwise
+ * Fixtures are keyed by a hash of the call type, model, prompt and structured config.
+ */
+class ReplayApiClient {
+  /**
+   * @param {Object} options - { fixturesDir, mode, upstream: { name, client, methods } }
+   */
+  constructor(options = {}) {
+    this.upstream = null;
+    this.configure({
+      fixturesDir: process.env.AI_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+      mode: process.env.AI_REPLAY_MODE || 'replay',
+      ...options
+    });
+  }
+
+  /**
+   * Change where fixtures are read from / written to, the mode or the upstream provider
+   * (e.g. per test suite). Resets the hit/miss counters.
+   * @param {Object} options - { fixturesDir, mode, upstream }
+   */
+  configure(options = {}) {
+    if (options.mode && !['replay', 'record', 'auto'].includes(options.mode)) {
+      throw new Error(`Invalid replay mode: ${options.mode}`);
+    }
+
+    this.fixturesDir = options.fixturesDir || this.fixturesDir;
+    this.mode = options.mode || this.mode;
+    this.upstream = options.upstream || this.upstream;
+    this.resetStats();
+  }
+
+  /**
+   * Replay needs no API key; recording needs a configured upstream provider
+   * @returns {boolean} Whether calls can be answered
+   */
+  hasValidApiKey() {
+    if (this.mode === 'replay') {
+      return true;
+    }
+    return Boolean(this.upstream && this.upstream.client.hasValidApiKey());
+  }
+
+  /**
+   * Fixture usage since the last configure/reset; tests can assert that nothing was missing
+   * @returns {Object} { mode, fixturesDir, hits, recorded, misses: [fixture file] }
+   */
+  getStats() {
+    return {
+      mode: this.mode,
+      fixturesDir: this.fixturesDir,
+      hits: this.hits,
+      recorded: this.recorded,
+      misses: [...this.misses]
+    };
+  }
+
+  resetStats() {
+    this.hits = 0;
+    this.recorded = 0;
+    this.misses = [];
+  }
+
+  /**
+   * Replay (or record) a text call
+   * @param {string} model - Model type
+   * @param {string} prompt - Prompt to send
+   * @param {Object} options - Additional options (passed to the upstream when recording)
+   * @returns {Promise<Object>} API response
+   */
+  async callReplayAPI(model, prompt, options = {}) {
+    return await this._replayOrRecord('call', model, prompt, null,
+      (method) => this.upstream.client[method](model, prompt, options));
+  }
+
+  /**
+   * Replay (or record) a structured output call
+   * @param {string} model - Model type
+   * @param {string} prompt - Prompt to send
+   * @param {Object} structuredConfig - Schema configuration (part of the fixture key)
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} Structured API response
+   */
+  async callReplayWithStructuredOutput(model, prompt, structuredConfig, options = {}) {
+    return await this._replayOrRecord('structured', model, prompt, structuredConfig,
+      (method) => this.upstream.client[method](model, prompt, structuredConfig, options));
+  }
+
+  /**
+   * Replay (or record) a streaming call; replayed content is delivered in fixed-size fragments
+   * @param {string} model - Model type
+   * @param {string} prompt - Prompt to send
+   * @param {Object} options - Additional options (signal to abort)
+   * @param {Function} onDelta - Called with each text fragment
+   * @returns {Promise<Object>} Complete response
+   */
+  async streamReplayAPI(model, prompt, options = {}, onDelta = () => {}) {
+    return await this._replayOrRecord('stream', model, prompt, null,
+      (method) => this.upstream.client[method](model, prompt, options, onDelta),
+      onDelta);
+  }
+
+  /**
+   * Replay (or record) a streaming structured output call
+   * @param {string} model - Model type
+   * @param {string} prompt - Prompt to send
+   * @param {Object} structuredConfig - Schema configuration (part of the fixture key)
+   * @param {Object} options - Additional options (signal to abort)
+   * @param {Function} onDelta - Called with each raw JSON fragment
+   * @returns {Promise<Object>} Complete response (content is the unparsed JSON text)
+   */
+  async streamReplayWithStructuredOutput(model, prompt, structuredConfig, options = {}, onDelta = () => {}) {
+    return await this._replayOrRecord('streamStructured', model, prompt, structuredConfig,
+      (method) => this.upstream.client[method](model, prompt, structuredConfig, options, onDelta),
+      onDelta);
+  }
+
+  /**
+   * Fixture file for a call
+   * @param {string} callType - call, structured, stream or streamStructured
+   * @param {string} model - Model type
+   * @param {string} prompt - Prompt
+   * @param {Object} structuredConfig - Schema configuration (optional)
+   * @returns {string} Absolute fixture path
+   */
+  getFixturePath(callType, model, prompt, structuredConfig = null) {
+    const hash = stableHash({ callType, model, prompt, structuredConfig }, 32);
+    return path.join(this.fixturesDir, `${hash}.json`);
+  }
+
+  /**
+   * @private
+   */
+  async _replayOrRecord(callType, model, prompt, structuredConfig, callUpstream, onDelta = null) {
+    const fixturePath = this.getFixturePath(callType, model, prompt, structuredConfig);
+
+    if (this.mode !== 'record') {
+      const fixture = await this._readFixture(fixturePath);
+      if (fixture) {
+        this.hits++;
+        if (onDelta) {
+          this._replayStream(fixture.response.content, onDelta);
+        }
+        return fixture.response;
+      }
+      if (this.mode === 'replay') {
+        this.misses.push(fixturePath);
+        console.warn(`No AI fixture for ${callType} call (${model}): ${fixturePath}`);
+        throw new Error('AI_FIXTURE_NOT_FOUND');
+      }
+    }
+
+    if (!this.upstream) {
+      throw new Error('AI_REPLAY_UPSTREAM_NOT_CONFIGURED');
+    }
+
+    const response = await callUpstream(this.upstream.methods[callType]);
+    await this._writeFixture(fixturePath, {
+      callType,
+      model,
+      prompt,
+      structuredConfig,
+      upstream: this.upstream.name,
+      recordedAt: new Date().toISOString(),
+      response
+    });
+    this.recorded++;
+    console.log(`Recorded AI fixture: ${fixturePath}`);
+
+    return response;
+  }
+
+  /**
+   * @private
+   */
+  _replayStream(content, onDelta) {
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+    for (let start = 0; start < text.length; start += REPLAY_CHUNK_SIZE) {
+      onDelta(text.slice(start, start + REPLAY_CHUNK_SIZE));
+    }
+  }
+
+  /**
+   * Read a fixture; a fresh copy every time so callers cannot alter later replays
+   * @private
+   */
+  async _readFixture(fixturePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(fixturePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _writeFixture(fixturePath, fixture) {
+    await fs.promises.mkdir(path.dirname(fixturePath), { recursive: true });
+    await fs.promises.writeFile(fixturePath, `${JSON.stringify(fixture, null, 2)}\n`);
+  }
+}
+
+module.exports = ReplayApiClient;
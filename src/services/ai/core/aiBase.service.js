@@ -9,6 +9,7 @@ class AIBaseService {
     this.responseParser = null;
     this.templateService = null;
     this.longTripHandler = null;
+    this.experimentService = null;
   }
 
   /**
@@ -23,6 +24,7 @@ class AIBaseService {
     this.responseParser = dependencies.responseParser;
     this.templateService = dependencies.templateService;
     this.longTripHandler = dependencies.longTripHandler;
+    this.experimentService = dependencies.experimentService;
     
     // Verify initialization
     const initialized = {
@@ -30,7 +32,8 @@ class AIBaseService {
       promptBuilder: !!this.promptBuilder,
       responseParser: !!this.responseParser,
       templateService: !!this.templateService,
-      longTripHandler: !!this.longTripHandler
+      longTripHandler: !!this.longTripHandler,
+      experimentService: !!this.experimentService
     };
     
     console.log(` ${this.constructor.name} initialized:`, initialized);
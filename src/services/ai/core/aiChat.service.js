@@ -1,6 +1,30 @@
-const { AIInteractionLog, RateLimitTracker } = require('../../../models/ai');
+const { AIInteractionLog, RateLimitTracker, TripInfoProposal } = require('../../../models/ai');
 const { Trip } = require('../../../models/trips');
 const AIBaseService = require('./aiBase.service');
+const AISchemaService = require('../utils/aiSchema.service');
+const { getAIProvider } = require('./aiProvider.service');
+const { t, formatDate } = require('../../../utils/i18n');
+
+// Extracted values below this confidence are ignored
+const MIN_CONFIDENCE = 0.5;
+
+// Extracted values at or above this confidence are saved without asking (except dates)
+const AUTO_APPLY_CONFIDENCE = 0.85;
+
+// Trip fields that can be extracted from chat, keyed by the extraction schema property
+// (labels are the chat.fields catalog entries of the same key)
+const EXTRACTED_FIELDS = {
+  destination: { path: 'destination.destination' },
+  startDate: { path: 'destination.startDate', isDate: true },
+  endDate: { path: 'destination.endDate', isDate: true },
+  adults: { path: 'travelers.adults', min: 1, max: 20 },
+  children: { path: 'travelers.children', min: 0, max: 20 },
+  infants: { path: 'travelers.infants', min: 0, max: 20 },
+  budgetTotal: { path: 'budget.total' },
+  budgetCurrency: { path: 'budget.currency' },
+  interests: { path: 'preferences.interests', maxItems: 20, maxLength: 50 },
+  constraints: { path: 'preferences.constraints', maxItems: 10, maxLength: 100 }
+};
 
 /**
  * AIChatService - Handles chat conversations and trip information extraction
@@ -9,14 +33,16 @@ const AIBaseService = require('./aiBase.service');
 class AIChatService extends AIBaseService {
   constructor() {
     super();
+    this.schemaService = new AISchemaService();
   }
 
   /**
    * Initialize service with dependencies
-   * @param {Object} dependencies - Service dependencies
+   * @param {Object} dependencies - Service dependencies (conversationService stores chat history)
    */
   initialize(dependencies = {}) {
     super.initialize(dependencies);
+    this.conversationService = dependencies.conversationService;
   }
 
 
@@ -24,12 +50,37 @@ class AIChatService extends AIBaseService {
   /**
    * Chat with AI for trip planning and information gathering
    * @param {string} userId - User ID
-   * @param {Object} chatData - Chat request data
+   * @param {Object} chatData - Chat request data (context.conversationId continues a conversation,
+   *   locale is the reply language)
    * @returns {Promise<Object>} AI response with information gathering
    */
   async chatWithAI(userId, chatData) {
-    const { message, context = {}, model = 'flash' } = chatData;
+    return await this._runChat(userId, chatData);
+  }
+
+  /**
+   * Chat with AI, streaming the reply as it is generated.
+   * Uses the configured AI provider; without one the templated reply is sent as a single delta.
+   * @param {string} userId - User ID
+   * @param {Object} chatData - Chat request data
+   * @param {Function} onEvent - Called with (event, data) for each 'delta' ({ text })
+   * @param {Object} options - Stream options
+   * @param {AbortSignal} options.signal - Aborts the provider request when the client disconnects
+   * @returns {Promise<Object>} Final chat result (same shape as chatWithAI)
+   */
+  async streamChatWithAI(userId, chatData, onEvent, options = {}) {
+    return await this._runChat(userId, chatData, { onEvent, signal: options.signal });
+  }
+
+  /**
+   * Answer a chat message within its conversation and store the exchange
+   * @private
+   * @param {Object|null} stream - { onEvent, signal } to stream the reply, null for a single response
+   */
+  async _runChat(userId, chatData, stream = null) {
+    const { message, context = {}, model = 'flash', locale } = chatData;
     const startTime = Date.now();
+    let tripId = context.tripId;
 
     try {
       // Check rate limits
@@ -38,46 +89,88 @@ class AIChatService extends AIBaseService {
         throw new Error('RATE_LIMIT_EXCEEDED');
       }
 
-      let responseContent = '';
-      let tokensUsed = 0;
-      let trip = null;
-
-      // If tripId is provided, get trip data and analyze what's missing
-      if (context.tripId) {
-        trip = await Trip.findById(context.tripId);
-        if (!trip || !trip.isOwnedBy(userId)) {
-          throw new Error('TRIP_ACCESS_DENIED');
-        }
+      // Continue the given conversation (which may carry the trip) or start a new one
+      const conversation = await this.conversationService.resolveConversation(userId, {
+        conversationId: context.conversationId,
+        tripId,
+        message
+      });
+      tripId = tripId || conversation.tripId;
+      const conversationHistory = this.conversationService.getHistoryWindow(conversation, context.conversationHistory);
 
-        // Check what information is missing
-        const missingInfo = this._analyzeMissingTripInfo(trip);
+      // If a trip is involved, get trip data and analyze what's missing
+      const trip = tripId ? await this._getChatTrip(userId, tripId) : null;
+      const missingInfo = trip ? this._analyzeMissingTripInfo(trip) : [];
 
-        if (missingInfo.length > 0) {
-          // Ask for missing information
-          responseContent = await this._askForMissingInfo(message, trip, missingInfo);
-        } else {
-          // All information is complete, provide helpful response
-          responseContent = await this._provideCompleteTripResponse(message, trip);
+      let responseContent = '';
+      let tokensUsed = 0;
+      const addReply = (text) => {
+        responseContent += text;
+        if (stream) {
+          stream.onEvent('delta', { text });
         }
+      };
 
-        // Try to extract information from user message and update trip
-        const extractedInfo = await this._extractTripInfoFromMessage(message, trip);
-        if (extractedInfo && Object.keys(extractedInfo).length > 0) {
-          await this._updateTripWithExtractedInfo(trip._id, extractedInfo);
-          responseContent += '\n\nĐã cập nhật thông tin chuyến đi!';
+      const aiProvider = getAIProvider();
+      if (aiProvider.isProviderConfigured('chat')) {
+        // Users in a prompt experiment get their variant's template version and model
+        const experiment = await this.experimentService.assign('chat', userId);
+        const templateVersion = experiment ? experiment.templateVersion : undefined;
+        const callModel = (experiment && experiment.model) || model;
+        // A model asked for by the variant or the request overrides the chat route's model
+        const pinModel = Boolean((experiment && experiment.model) || chatData.model);
+
+        const prompt = this._buildChatPrompt(message, { ...context, tripId, conversationHistory, templateVersion, locale }, trip, missingInfo);
+        const promptTemplate = this.promptBuilder.getTemplateRef('chat', locale, templateVersion);
+        const providerOptions = { task: 'chat', endpoint: 'chat', userId, tripId, promptTemplate, pinModel };
+        const response = await this.experimentService.measure(experiment, { userId, tripId, promptTemplate, model: callModel }, () => (stream
+          ? aiProvider.streamAPI(callModel, prompt, { ...providerOptions, signal: stream.signal }, addReply)
+          : aiProvider.callAPI(callModel, prompt, providerOptions)));
+        if (!stream) {
+          addReply(response.content);
         }
-
+        tokensUsed = response.tokensUsed || 0;
+      } else if (trip) {
+        // Ask for missing information, or summarize a complete trip
+        addReply(missingInfo.length > 0
+          ? await this._askForMissingInfo(message, trip, missingInfo, locale)
+          : await this._provideCompleteTripResponse(message, trip, locale));
       } else {
         // General chat without trip context
-        responseContent = await this._handleGeneralChat(message);
+        addReply(await this._handleGeneralChat(message, locale));
+      }
+
+      // Extract trip information from the message (viewers cannot edit)
+      let tripInfo = null;
+      if (trip && trip.hasAccess(userId, 'editor')) {
+        try {
+          tripInfo = await this._applyTripInfoFromMessage(message, trip, userId, {
+            conversationHistory,
+            conversationId: conversation._id,
+            mode: context.extractionMode,
+            locale
+          });
+          tokensUsed += tripInfo.tokensUsed;
+        } catch (error) {
+          // The reply is still useful without the trip update
+          console.warn(`Trip info extraction failed for trip ${tripId}:`, error.message);
+        }
+      }
+      if (tripInfo && tripInfo.updatedFields.length > 0) {
+        addReply(`\n\n${t(locale, 'chat.tripUpdated')}`);
+      }
+      if (tripInfo && tripInfo.proposal) {
+        addReply(this._describeProposal(tripInfo.proposal, locale));
       }
 
+      const savedConversation = await this.conversationService.appendExchange(conversation, message, responseContent);
+
       const processingTime = Date.now() - startTime;
 
       // Log interaction
       await this._logInteraction({
         userId,
-        tripId: context.tripId,
+        tripId,
         endpoint: 'chat',
         model,
         prompt: message,
@@ -86,13 +179,17 @@ class AIChatService extends AIBaseService {
         processingTime,
         success: true,
         metadata: {
-          hasTripId: !!context.tripId,
-          hasTrip: !!trip
+          hasTripId: !!tripId,
+          hasTrip: !!trip,
+          conversationId: savedConversation._id,
+          historyMessages: conversationHistory.length,
+          streamed: !!stream
         }
       });
 
       return {
         message: responseContent,
+        conversationId: savedConversation._id,
         model,
         tokensUsed,
         processingTime,
@@ -100,7 +197,11 @@ class AIChatService extends AIBaseService {
         workflow: {
           hasTrip: !!trip,
           infoComplete: trip ? this._analyzeMissingTripInfo(trip).length === 0 : false
-        }
+        },
+        tripInfo: tripInfo ? {
+          updatedFields: tripInfo.updatedFields,
+          proposal: tripInfo.proposal
+        } : undefined
       };
 
     } catch (error) {
@@ -109,7 +210,7 @@ class AIChatService extends AIBaseService {
       // Log failed interaction
       await this._logInteraction({
         userId,
-        tripId: context.tripId,
+        tripId,
         endpoint: 'chat',
         model,
         prompt: message,
@@ -122,6 +223,313 @@ class AIChatService extends AIBaseService {
     }
   }
 
+  /**
+   * Load the trip a chat message refers to (viewer access required)
+   * @private
+   */
+  async _getChatTrip(userId, tripId) {
+    const trip = await Trip.findById(tripId);
+    if (!trip || !trip.hasAccess(userId, 'viewer')) {
+      throw new Error('TRIP_ACCESS_DENIED');
+    }
+    return trip;
+  }
+
+  /**
+   * Update trip information from a single message (outside a chat conversation)
+   * @param {string} userId - User ID (needs editor access)
+   * @param {string} tripId - Trip ID
+   * @param {string} message - Message containing trip information
+   * @param {Object} options - { mode: 'auto' saves confident non-date changes, 'confirm' proposes every change,
+   *   locale of the proposed change labels }
+   * @returns {Promise<Object>} Extracted changes, updated fields, pending proposal and the trip
+   */
+  async updateTripInfoFromChat(userId, tripId, message, options = {}) {
+    try {
+      const trip = await Trip.findById(tripId);
+      if (!trip) {
+        throw new Error('TRIP_NOT_FOUND');
+      }
+      if (!trip.hasAccess(userId, 'editor')) {
+        throw new Error('TRIP_ACCESS_DENIED');
+      }
+
+      const result = await this._applyTripInfoFromMessage(message, trip, userId, { mode: options.mode, locale: options.locale });
+      if (result.changes.length === 0) {
+        throw new Error('NO_TRIP_INFO_EXTRACTED');
+      }
+
+      return {
+        extractedInfo: result.changes,
+        updatedFields: result.updatedFields,
+        proposal: result.proposal,
+        trip: result.trip || trip.toPublicJSON(),
+        tokensUsed: result.tokensUsed
+      };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_TRIP_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List pending trip info proposals of a trip
+   * @param {string} userId - User ID (needs viewer access)
+   * @param {string} tripId - Trip ID
+   * @param {Object} options - { locale of the change labels }
+   * @returns {Promise<Array>} Pending proposals, newest first
+   */
+  async listTripInfoProposals(userId, tripId, options = {}) {
+    try {
+      await this._getChatTrip(userId, tripId);
+
+      const proposals = await TripInfoProposal.find({
+        tripId,
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      }).sort({ createdAt: -1 });
+
+      return proposals.map(proposal => this._toProposalJSON(proposal, options.locale));
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_TRIP_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm a trip info proposal and save its changes to the trip.
+   * Fields edited on the trip since the proposal was made are skipped rather than overwritten.
+   * @param {string} userId - User ID (needs editor access)
+   * @param {string} proposalId - Proposal ID
+   * @param {Object} options - { fields: only apply these field paths (default all), locale of the change labels }
+   * @returns {Promise<Object>} Proposal, updated and skipped fields, and the trip
+   */
+  async confirmTripInfoProposal(userId, proposalId, options = {}) {
+    const { proposal, trip } = await this._getPendingProposal(proposalId, userId);
+
+    // Claim the proposal first so a double confirmation cannot apply it twice
+    const claimed = await TripInfoProposal.findOneAndUpdate(
+      { _id: proposal._id, status: 'pending' },
+      { status: 'confirmed', resolvedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new Error('PROPOSAL_NOT_PENDING');
+    }
+
+    const selected = options.fields
+      ? proposal.changes.filter(change => options.fields.includes(change.field))
+      : proposal.changes;
+    const fresh = selected.filter(change =>
+      this._isSameValue(this._getTripValue(trip, change.field), change.previousValue)
+    );
+    const skippedFields = selected
+      .filter(change => !fresh.includes(change))
+      .map(change => change.field);
+
+    try {
+      const updatedTrip = fresh.length > 0
+        ? await this._saveTripChanges(trip, fresh, userId)
+        : trip.toPublicJSON();
+
+      claimed.appliedFields = fresh.map(change => change.field);
+      await claimed.save();
+
+      return {
+        proposal: this._toProposalJSON(claimed, options.locale),
+        updatedFields: claimed.appliedFields,
+        skippedFields,
+        trip: updatedTrip
+      };
+    } catch (error) {
+      // Leave the proposal pending so the user can retry
+      await TripInfoProposal.updateOne(
+        { _id: proposal._id },
+        { status: 'pending', $unset: { resolvedAt: 1 } }
+      ).catch(revertError => console.error(`Failed to reopen proposal ${proposal._id}:`, revertError.message));
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a trip info proposal
+   * @param {string} userId - User ID (needs editor access)
+   * @param {string} proposalId - Proposal ID
+   * @param {Object} options - { locale of the change labels }
+   * @returns {Promise<Object>} Rejected proposal
+   */
+  async rejectTripInfoProposal(userId, proposalId, options = {}) {
+    const { proposal } = await this._getPendingProposal(proposalId, userId);
+
+    const rejected = await TripInfoProposal.findOneAndUpdate(
+      { _id: proposal._id, status: 'pending' },
+      { status: 'rejected', resolvedAt: new Date() },
+      { new: true }
+    );
+    if (!rejected) {
+      throw new Error('PROPOSAL_NOT_PENDING');
+    }
+
+    return this._toProposalJSON(rejected, options.locale);
+  }
+
+  /**
+   * Extract trip information from a message, save confident changes and propose the rest.
+   * Date changes are always proposed: a wrongly guessed date is the costliest silent mistake.
+   * @private
+   * @param {Object} options - { conversationHistory, conversationId, mode: 'auto' | 'confirm', locale }
+   * @returns {Promise<Object>} { changes, updatedFields, proposal, trip, tokensUsed }
+   */
+  async _applyTripInfoFromMessage(message, trip, userId, options = {}) {
+    const { changes, tokensUsed } = await this._extractTripInfoFromMessage(message, trip, options.conversationHistory, userId);
+
+    const toApply = options.mode === 'confirm'
+      ? []
+      : changes.filter(change => change.confidence >= AUTO_APPLY_CONFIDENCE && !this._getFieldConfig(change.field).isDate);
+    const toPropose = changes.filter(change => !toApply.includes(change));
+
+    const updatedTrip = toApply.length > 0 ? await this._saveTripChanges(trip, toApply, userId) : null;
+
+    let proposal = null;
+    if (toPropose.length > 0) {
+      // A newer proposal replaces older unanswered ones from the same user
+      await TripInfoProposal.updateMany(
+        { tripId: trip._id, userId, status: 'pending' },
+        { status: 'superseded', resolvedAt: new Date() }
+      );
+      proposal = await TripInfoProposal.create({
+        tripId: trip._id,
+        userId,
+        conversationId: options.conversationId,
+        message,
+        changes: toPropose
+      });
+    }
+
+    return {
+      changes,
+      updatedFields: toApply.map(change => change.field),
+      proposal: proposal ? this._toProposalJSON(proposal, options.locale) : null,
+      trip: updatedTrip,
+      tokensUsed
+    };
+  }
+
+  /**
+   * Save extracted changes through the trip service (date checks, revision and version history)
+   * @private
+   */
+  async _saveTripChanges(trip, changes, userId) {
+    const tripService = require('../../trips/trip.service');
+
+    const updateData = {};
+    changes.forEach(({ field, value }) => {
+      const [group, key] = field.split('.');
+      updateData[group] = updateData[group] || {};
+      updateData[group][key] = this._getFieldConfig(field).isDate ? new Date(value) : value;
+    });
+
+    return await tripService.updateTrip(trip._id, userId, updateData, {
+      source: 'chat-extraction',
+      summary: `Updated ${changes.map(change => change.field).join(', ')} from chat`.slice(0, 200)
+    });
+  }
+
+  /**
+   * Load a pending proposal and its trip (editor access required)
+   * @private
+   */
+  async _getPendingProposal(proposalId, userId) {
+    let proposal;
+    try {
+      proposal = await TripInfoProposal.findById(proposalId);
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_PROPOSAL_ID');
+      }
+      throw error;
+    }
+    if (!proposal) {
+      throw new Error('PROPOSAL_NOT_FOUND');
+    }
+
+    const trip = await Trip.findById(proposal.tripId);
+    if (!trip) {
+      throw new Error('TRIP_NOT_FOUND');
+    }
+    if (!trip.hasAccess(userId, 'editor')) {
+      throw new Error('TRIP_ACCESS_DENIED');
+    }
+    if (!proposal.isPending()) {
+      throw new Error('PROPOSAL_NOT_PENDING');
+    }
+
+    return { proposal, trip };
+  }
+
+  /**
+   * Chat reply text asking the user to confirm proposed changes
+   * @private
+   */
+  _describeProposal(proposal, locale) {
+    let text = `\n\n${t(locale, 'chat.proposalIntro')}\n`;
+    proposal.changes.forEach(change => {
+      const value = Array.isArray(change.value) ? change.value.join(', ') : change.value;
+      text += `• ${this._getFieldLabel(change.field, locale)}: ${value}\n`;
+    });
+    text += t(locale, 'chat.proposalConfirm');
+    return text;
+  }
+
+  /**
+   * Public proposal data with each change labelled in the request language
+   * @private
+   */
+  _toProposalJSON(proposal, locale) {
+    const data = proposal.toPublicJSON();
+    data.changes = data.changes.map(change => ({
+      ...(change.toObject ? change.toObject() : change),
+      label: this._getFieldLabel(change.field, locale)
+    }));
+    return data;
+  }
+
+  /**
+   * Label of an extracted trip field (chat.fields catalog entry), the field path if it has none
+   * @private
+   */
+  _getFieldLabel(field, locale) {
+    const key = Object.keys(EXTRACTED_FIELDS).find(name => EXTRACTED_FIELDS[name].path === field);
+    return key ? t(locale, `chat.fields.${key}`) : field;
+  }
+
+  /**
+   * Build the model prompt for a chat reply, with trip context when available
+   * @private
+   */
+  _buildChatPrompt(message, context, trip, missingInfo) {
+    let prompt = this.promptBuilder.buildConversationPrompt(message, context);
+
+    if (trip) {
+      prompt += `\n\nTrip "${trip.name}":\n`;
+      if (trip.destination?.destination) prompt += `- Destination: ${trip.destination.destination}\n`;
+      if (trip.destination?.startDate) prompt += `- Dates: ${new Date(trip.destination.startDate).toISOString().split('T')[0]} to ${new Date(trip.destination.endDate).toISOString().split('T')[0]}\n`;
+      if (trip.travelers?.adults) prompt += `- Travelers: ${trip.travelers.adults} adults, ${trip.travelers.children || 0} children\n`;
+      if (trip.budget?.total) prompt += `- Budget: ${trip.budget.total} ${trip.budget.currency}\n`;
+      if (missingInfo.length > 0) {
+        prompt += `- Still missing: ${missingInfo.join(', ')}. Ask the user for this information.\n`;
+      }
+    }
+
+    // Without a request locale the model picks the language from the message
+    prompt += context.locale ? `\nReply in plain text.` : `\nReply in the user's language, in plain text.`;
+    return prompt;
+  }
+
   /**
    * Analyze what information is missing from the trip
    * @param {Object} trip - Trip data
@@ -144,25 +552,18 @@ class AIChatService extends AIBaseService {
    * @param {string} message - User message
    * @param {Object} trip - Trip data
    * @param {Array} missingInfo - Missing information fields
+   * @param {string} locale - Reply language
    * @returns {Promise<string>} Response asking for missing info
    */
-  async _askForMissingInfo(message, trip, missingInfo) {
-    const fieldNames = {
-      destination: 'điểm đến',
-      startDate: 'ngày khởi hành',
-      endDate: 'ngày kết thúc',
-      travelers: 'số lượng người',
-      budget: 'ngân sách'
-    };
-
-    let response = `Đã nhận thông tin chuyến đi "${trip.name}". `;
+  async _askForMissingInfo(message, trip, missingInfo, locale) {
+    let response = `${t(locale, 'chat.tripReceived', { name: trip.name })} `;
 
     if (missingInfo.length > 0) {
-      response += `Để tạo lịch trình hoàn chỉnh, tôi cần thêm thông tin:\n`;
+      response += `${t(locale, 'chat.missingInfoIntro')}\n`;
       missingInfo.forEach(field => {
-        response += `• ${fieldNames[field] || field}\n`;
+        response += `• ${t(locale, `chat.missingFields.${field}`)}\n`;
       });
-      response += `\nBạn có thể cho tôi biết thêm không?`;
+      response += `\n${t(locale, 'chat.missingInfoQuestion')}`;
     }
 
     return response;
@@ -172,76 +573,217 @@ class AIChatService extends AIBaseService {
    * Provide response when trip information is complete
    * @param {string} message - User message
    * @param {Object} trip - Trip data
+   * @param {string} locale - Reply language
    * @returns {Promise<string>} Helpful response
    */
-  async _provideCompleteTripResponse(message, trip) {
-    return `Chuyến đi "${trip.name}" của bạn đã có đủ thông tin! 🎉\n\n📅 Thời gian: ${new Date(trip.destination.startDate).toLocaleDateString('vi-VN')} - ${new Date(trip.destination.endDate).toLocaleDateString('vi-VN')}\n📍 Điểm đến: ${trip.destination.destination}\n👥 Số người: ${trip.travelers.adults} người lớn${trip.travelers.children ? `, ${trip.travelers.children} trẻ em` : ''}\n💰 Ngân sách: ${trip.budget.total.toLocaleString()} ${trip.budget.currency}\n\nBạn có muốn tôi tạo lịch trình chi tiết không?`;
+  async _provideCompleteTripResponse(message, trip, locale) {
+    const lines = [
+      t(locale, 'chat.tripComplete', { name: trip.name }),
+      '',
+      t(locale, 'chat.tripDates', {
+        start: formatDate(locale, trip.destination.startDate),
+        end: formatDate(locale, trip.destination.endDate)
+      }),
+      t(locale, 'chat.tripDestination', { destination: trip.destination.destination }),
+      t(locale, 'chat.tripTravelers', { adults: trip.travelers.adults }) +
+        (trip.travelers.children ? t(locale, 'chat.tripChildren', { children: trip.travelers.children }) : ''),
+      t(locale, 'chat.tripBudget', { amount: trip.budget.total.toLocaleString(), currency: trip.budget.currency }),
+      '',
+      t(locale, 'chat.offerItinerary')
+    ];
+    return lines.join('\n');
   }
 
   /**
    * Handle general chat without trip context
    * @param {string} message - User message
+   * @param {string} locale - Reply language
    * @returns {Promise<string>} General response
    */
-  async _handleGeneralChat(message) {
-    return `Xin chào! Tôi có thể giúp bạn lập kế hoạch du lịch. Bạn muốn đi đâu và khi nào?`;
+  async _handleGeneralChat(message, locale) {
+    return t(locale, 'chat.greeting');
   }
 
   /**
-   * Extract trip information from user message
+   * Extract trip information from user message with per-field confidence.
+   * Uses structured output from the AI provider, falling back to simple pattern matching.
    * @param {string} message - User message
    * @param {Object} trip - Current trip data
-   * @returns {Promise<Object>} Extracted information
+   * @param {Array} conversationHistory - Recent messages for resolving references
+   * @param {string} userId - User the model call is charged to
+   * @returns {Promise<Object>} { changes: [{ field, value, previousValue, confidence }], tokensUsed }
+   */
+  async _extractTripInfoFromMessage(message, trip, conversationHistory = [], userId = null) {
+    let extracted = null;
+    let tokensUsed = 0;
+
+    const aiProvider = getAIProvider();
+    if (aiProvider.isProviderConfigured('extraction')) {
+      try {
+        const experiment = await this.experimentService.assign('extract-trip-info', userId);
+        const templateVersion = experiment ? experiment.templateVersion : undefined;
+        const model = (experiment && experiment.model) || 'flash';
+
+        const prompt = this.promptBuilder.buildTripInfoExtractionPrompt(message, trip, conversationHistory, { templateVersion });
+        const promptTemplate = this.promptBuilder.getTemplateRef('tripInfoExtraction', undefined, templateVersion);
+        const response = await this.experimentService.measure(experiment, {
+          userId,
+          tripId: trip._id,
+          promptTemplate,
+          model,
+          isParsed: result => result.content && typeof result.content === 'object'
+        }, () => aiProvider.callStructuredAPI(model, prompt, this.schemaService.getTemplate('tripInfoExtraction'), {
+          task: 'extraction',
+          endpoint: 'extract-trip-info',
+          userId,
+          tripId: trip._id,
+          promptTemplate,
+          pinModel: Boolean(experiment && experiment.model)
+        }));
+        extracted = response.content;
+        tokensUsed = response.tokensUsed || 0;
+      } catch (error) {
+        console.warn('Structured trip info extraction failed, using pattern matching:', error.message);
+      }
+    }
+
+    if (!extracted || typeof extracted !== 'object') {
+      extracted = this._matchTripInfoPatterns(message, trip);
+    }
+
+    const changes = [];
+    Object.entries(EXTRACTED_FIELDS).forEach(([key, config]) => {
+      const field = extracted[key];
+      if (!field || field.value === null || field.value === undefined) {
+        return;
+      }
+
+      const confidence = Math.min(Math.max(Number(field.confidence) || 0, 0), 1);
+      if (confidence < MIN_CONFIDENCE) {
+        return;
+      }
+
+      const previousValue = this._getTripValue(trip, config.path);
+      const value = this._normalizeExtractedValue(config, field.value, previousValue);
+      if (value === null || this._isSameValue(value, previousValue)) {
+        return;
+      }
+
+      changes.push({ field: config.path, value, previousValue, confidence });
+    });
+
+    return { changes, tokensUsed };
+  }
+
+  /**
+   * Pattern-matching extraction used when no AI provider is available.
+   * Only fills budget and travelers when the trip has none, as before structured extraction.
+   * @private
    */
-  async _extractTripInfoFromMessage(message, trip) {
-    // Simple extraction logic - can be enhanced with AI
-    const extractedInfo = {};
-    const lowerMessage = message.toLowerCase();
+  _matchTripInfoPatterns(message, trip) {
+    const extracted = {};
 
     // Extract budget (simple pattern matching)
     const budgetMatch = message.match(/(\d+(?:\.\d+)?)\s*(triệu|tr|k|vnd|usd|đ)/i);
     if (budgetMatch && !trip.budget?.total) {
       const amount = parseFloat(budgetMatch[1]);
-      const currency = budgetMatch[2].toLowerCase();
-      extractedInfo.budget = {
-        total: currency.includes('triệu') || currency.includes('tr') ? amount * 1000000 : amount,
-        currency: currency.includes('usd') ? 'USD' : 'VND'
+      const unit = budgetMatch[2].toLowerCase();
+      extracted.budgetTotal = {
+        value: unit.includes('triệu') || unit === 'tr' ? amount * 1000000 : unit === 'k' ? amount * 1000 : amount,
+        confidence: 0.9
       };
+      extracted.budgetCurrency = { value: unit === 'usd' ? 'USD' : 'VND', confidence: 0.9 };
     }
 
     // Extract number of travelers
     const travelerMatch = message.match(/(\d+)\s*người/i);
     if (travelerMatch && (!trip.travelers?.adults || trip.travelers.adults === 0)) {
-      extractedInfo.travelers = {
-        adults: parseInt(travelerMatch[1]),
-        children: 0,
-        infants: 0
-      };
+      extracted.adults = { value: parseInt(travelerMatch[1]), confidence: 0.9 };
     }
 
-    return extractedInfo;
+    return extracted;
   }
 
   /**
-   * Update trip with extracted information
-   * @param {string} tripId - Trip ID
-   * @param {Object} extractedInfo - Information to update
-   * @returns {Promise<void>}
+   * Validate an extracted value against the trip schema limits
+   * @private
+   * @returns {*} Normalized value, or null if it cannot be saved
    */
-  async _updateTripWithExtractedInfo(tripId, extractedInfo) {
-    const updateData = {};
+  _normalizeExtractedValue(config, value, previousValue) {
+    if (config.isDate) {
+      const text = String(value).trim();
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(new Date(text).getTime())) {
+        return null;
+      }
+      return text;
+    }
 
-    if (extractedInfo.budget) {
-      updateData.budget = extractedInfo.budget;
+    if (config.maxItems) {
+      if (!Array.isArray(value)) {
+        return null;
+      }
+      // New items are added to the existing list, not replacing it
+      const current = Array.isArray(previousValue) ? previousValue : [];
+      const known = new Set(current.map(item => item.toLowerCase()));
+      const added = value
+        .map(item => String(item).trim())
+        .filter(item => item && item.length <= config.maxLength && !known.has(item.toLowerCase()));
+      if (added.length === 0) {
+        return null;
+      }
+      return [...current, ...new Set(added)].slice(0, config.maxItems);
     }
 
-    if (extractedInfo.travelers) {
-      updateData.travelers = extractedInfo.travelers;
+    switch (config.path) {
+      case 'destination.destination': {
+        const text = String(value).trim();
+        return text && text.length <= 100 ? text : null;
+      }
+      case 'budget.total': {
+        const amount = Number(value);
+        return Number.isFinite(amount) && amount >= 0 && amount <= 1000000 ? amount : null;
+      }
+      case 'budget.currency': {
+        const code = String(value).trim().toUpperCase();
+        return /^[A-Z]{3}$/.test(code) ? code : null;
+      }
+      default: {
+        // Traveler counts
+        const count = Number(value);
+        return Number.isInteger(count) && count >= config.min && count <= config.max ? count : null;
+      }
     }
+  }
 
-    if (Object.keys(updateData).length > 0) {
-      await Trip.findByIdAndUpdate(tripId, updateData);
+  /**
+   * Current trip value of an extracted field path (dates as YYYY-MM-DD)
+   * @private
+   */
+  _getTripValue(trip, path) {
+    const value = trip.get(path);
+    if (value instanceof Date) {
+      return value.toISOString().split('T')[0];
+    }
+    if (Array.isArray(value)) {
+      return [...value];
     }
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Compare extracted and stored values
+   * @private
+   */
+  _isSameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+
+  /**
+   * Field config by trip path
+   * @private
+   */
+  _getFieldConfig(path) {
+    return Object.values(EXTRACTED_FIELDS).find(config => config.path === path) || {};
   }
 
 }
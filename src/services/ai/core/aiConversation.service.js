@@ -0,0 +1,203 @@
+const { Conversation } = require('../../../models/ai');
+
+// Tokens of prior turns included in a chat prompt
+const HISTORY_TOKEN_BUDGET = 2000;
+
+// Length of the title derived from the first message
+const TITLE_LENGTH = 60;
+
+/**
+ * AIConversationService - Stores multi-turn chat history per user (optionally per trip)
+ * and selects the recent turns that fit in the prompt.
+ */
+class AIConversationService {
+  constructor(dependencies = {}) {
+    this.tokenEstimator = dependencies.tokenEstimator;
+  }
+
+  /**
+   * Load the conversation a chat message continues, or prepare a new one.
+   * A new conversation is only saved once its first exchange is appended.
+   * @param {string} userId - User ID
+   * @param {Object} options - { conversationId, tripId, message }
+   * @returns {Promise<Object>} Conversation document
+   */
+  async resolveConversation(userId, { conversationId, tripId, message }) {
+    if (!conversationId) {
+      return new Conversation({
+        userId,
+        tripId,
+        title: this._deriveTitle(message)
+      });
+    }
+
+    const conversation = await this._getOwnConversation(conversationId, userId);
+
+    if (tripId && conversation.tripId && conversation.tripId.toString() !== tripId.toString()) {
+      throw new Error('CONVERSATION_TRIP_MISMATCH');
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Recent turns of a conversation that fit in the prompt history budget
+   * @param {Object} conversation - Conversation document
+   * @param {Array} fallbackHistory - Client-supplied history, used while the conversation has no stored turns
+   * @returns {Array} Messages ({ role, content }), oldest first
+   */
+  getHistoryWindow(conversation, fallbackHistory = []) {
+    const messages = conversation.messages.length > 0
+      ? conversation.messages.map(({ role, content }) => ({ role, content }))
+      : fallbackHistory;
+
+    return this.tokenEstimator.fitMessagesToBudget(messages, HISTORY_TOKEN_BUDGET);
+  }
+
+  /**
+   * Append a user message and the assistant reply to a conversation
+   * @param {Object} conversation - Conversation document (from resolveConversation)
+   * @param {string} userMessage - User message
+   * @param {string} assistantMessage - Assistant reply
+   * @returns {Promise<Object>} Saved conversation
+   */
+  async appendExchange(conversation, userMessage, assistantMessage) {
+    const now = new Date();
+    const messages = [
+      { role: 'user', content: userMessage, createdAt: now },
+      { role: 'assistant', content: assistantMessage, createdAt: now }
+    ];
+
+    if (conversation.isNew) {
+      conversation.messages = messages;
+      conversation.messageCount = messages.length;
+      conversation.lastMessageAt = now;
+      return await conversation.save();
+    }
+
+    // Atomic push so concurrent messages to the same conversation are all kept
+    return await Conversation.findByIdAndUpdate(
+      conversation._id,
+      {
+        $push: { messages: { $each: messages, $slice: -Conversation.MAX_STORED_MESSAGES } },
+        $inc: { messageCount: messages.length },
+        lastMessageAt: now
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * List the user's conversations, most recently active first
+   * @param {string} userId - User ID
+   * @param {Object} options - { tripId, limit, offset }
+   * @returns {Promise<Object>} Conversation summaries with pagination metadata
+   */
+  async listConversations(userId, options = {}) {
+    try {
+      const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 100);
+      const offset = Math.max(parseInt(options.offset) || 0, 0);
+
+      const filters = { userId };
+      if (options.tripId) {
+        filters.tripId = options.tripId;
+      }
+
+      const [conversations, totalCount] = await Promise.all([
+        Conversation.find(filters)
+          .sort({ lastMessageAt: -1 })
+          .skip(offset)
+          .limit(limit)
+          .select({ messages: { $slice: -1 } }),
+        Conversation.countDocuments(filters)
+      ]);
+
+      return {
+        conversations: conversations.map(conversation => conversation.getSummary()),
+        pagination: {
+          totalCount,
+          limit,
+          offset,
+          hasNext: offset + conversations.length < totalCount
+        }
+      };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_TRIP_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a conversation with its full message history
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID (must own the conversation)
+   * @returns {Promise<Object>} Conversation summary and messages
+   */
+  async getConversation(conversationId, userId) {
+    const conversation = await this._getOwnConversation(conversationId, userId);
+    return {
+      ...conversation.getSummary(),
+      messages: conversation.messages
+    };
+  }
+
+  /**
+   * Rename a conversation
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID (must own the conversation)
+   * @param {string} title - New title
+   * @returns {Promise<Object>} Updated conversation summary
+   */
+  async renameConversation(conversationId, userId, title) {
+    const conversation = await this._getOwnConversation(conversationId, userId);
+    conversation.title = title;
+    await conversation.save();
+    return conversation.getSummary();
+  }
+
+  /**
+   * Delete a conversation and its history
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID (must own the conversation)
+   * @returns {Promise<void>}
+   */
+  async deleteConversation(conversationId, userId) {
+    const conversation = await this._getOwnConversation(conversationId, userId);
+    await conversation.deleteOne();
+  }
+
+  /**
+   * Load a conversation owned by the user (other users' conversations are reported as not found)
+   * @private
+   */
+  async _getOwnConversation(conversationId, userId) {
+    try {
+      const conversation = await Conversation.findOne({ _id: conversationId, userId });
+      if (!conversation) {
+        throw new Error('CONVERSATION_NOT_FOUND');
+      }
+      return conversation;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_CONVERSATION_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Title of a new conversation: start of its first message
+   * @private
+   */
+  _deriveTitle(message) {
+    const text = String(message || '').replace(/\s+/g, ' ').trim();
+    if (!text) {
+      return undefined;
+    }
+    return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1)}…` : text;
+  }
+}
+
+module.exports = AIConversationService;
@@ -1,9 +1,134 @@
 const GeminiApiClient = require('../client/geminiApiClient');
 const OpenRouterApiClient = require('../client/openrouterApiClient');
+const LocalLLMApiClient = require('../client/localLlmApiClient');
+const ReplayApiClient = require('../client/replayApiClient');
+const { AIInteractionLog, RateLimitTracker } = require('../../../models/ai');
+const AIResponseCacheService = require('./aiResponseCache.service');
+const AIUsageService = require('./aiUsage.service');
+
+// Client method names per call type, for each provider
+const PROVIDER_METHODS = {
+  gemini: {
+    call: 'callGeminiAPI',
+    structured: 'callGeminiWithStructuredOutput',
+    stream: 'streamGeminiAPI',
+    streamStructured: 'streamGeminiWithStructuredOutput'
+  },
+  openrouter: {
+    call: 'callOpenRouterAPI',
+    structured: 'callOpenRouterWithStructuredOutput',
+    stream: 'streamOpenRouterAPI',
+    streamStructured: 'streamOpenRouterWithStructuredOutput'
+  },
+  local: {
+    call: 'callLocalAPI',
+    structured: 'callLocalWithStructuredOutput',
+    stream: 'streamLocalAPI',
+    streamStructured: 'streamLocalWithStructuredOutput'
+  },
+  replay: {
+    call: 'callReplayAPI',
+    structured: 'callReplayWithStructuredOutput',
+    stream: 'streamReplayAPI',
+    streamStructured: 'streamReplayWithStructuredOutput'
+  }
+};
+
+// Per-task routing: providers restricts (and orders) the chain, models picks the model per provider.
+// Overridable with AI_TASK_ROUTES (JSON, merged per task).
+const DEFAULT_TASK_ROUTES = {
+  chat: { models: { gemini: 'flash', openrouter: 'claude-haiku', local: 'flash' } },
+  extraction: { models: { gemini: 'flash', openrouter: 'claude-haiku', local: 'flash' } },
+  itinerary: { models: { gemini: 'pro', openrouter: 'claude-sonnet', local: 'pro' } },
+  embeddings: { providers: ['gemini'] }
+};
+
+// Provider models for the 'flash' and 'pro' tiers of a pinned model (Gemini and local clients take the tier as is)
+const PROVIDER_MODEL_TIERS = {
+  openrouter: { flash: 'claude-haiku', pro: 'claude-sonnet' }
+};
+
+// Consecutive failover errors that open a provider's circuit, and how long it stays open
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 3;
+const CIRCUIT_COOLDOWN_MS = parseInt(process.env.AI_CIRCUIT_COOLDOWN_MS) || 60000;
+
+// Failover events kept in memory for the status endpoint
+const RECENT_FAILOVERS_LIMIT = 20;
+
+// Network errors worth retrying on another provider
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * CircuitBreaker - Stops sending requests to a provider after repeated failures.
+ * Closed: requests flow. Open: requests are skipped until the cooldown ends.
+ * Half-open: one trial request decides whether to close or re-open.
+ */
+class CircuitBreaker {
+  constructor(threshold, cooldownMs) {
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a request may be sent now (moves an expired open circuit to half-open)
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+      this.trialInFlight = false;
+    }
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+    }
+    return this.state !== 'open';
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(reason) {
+    this.failures++;
+    this.lastError = { reason, at: new Date() };
+    this.trialInFlight = false;
+    if (this.state === 'half-open' || this.failures >= this.threshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  // The request failed for a reason unrelated to provider health; let another trial through
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openUntil: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs) : null,
+      lastError: this.lastError
+    };
+  }
+}
 
 /**
  * AIProviderService - Manages different AI providers
- * Allows easy switching between Gemini, OpenRouter, and future providers
+ * Calls go through an ordered provider chain: when a provider is rate limited, failing (5xx)
+ * or times out, the call is retried on the next provider. Each provider has a circuit breaker,
+ * and tasks (chat, itinerary, ...) can be routed to specific providers and models.
  */
 class AIProviderService {
   constructor() {
@@ -13,8 +138,14 @@ class AIProviderService {
     // Initialize clients
     this.providers = {
       gemini: new GeminiApiClient(),
-      openrouter: new OpenRouterApiClient()
+      openrouter: new OpenRouterApiClient(),
+      local: new LocalLLMApiClient()
     };
+    // Fixture record/replay for tests and offline development; only used when selected explicitly
+    this.providers.replay = new ReplayApiClient({
+      upstream: this._getReplayUpstream(process.env.AI_REPLAY_UPSTREAM || 'gemini')
+    });
+    this.chainBeforeReplay = null;
 
     // Validate provider
     if (!this.providers[this.selectedProvider]) {
@@ -22,13 +153,25 @@ class AIProviderService {
       this.selectedProvider = 'gemini';
     }
 
+    this.providerChain = this._buildProviderChain(process.env.AI_PROVIDER_CHAIN);
+    this.selectedProvider = this.providerChain[0];
+    this.taskRoutes = this._buildTaskRoutes(process.env.AI_TASK_ROUTES);
+
+    this.circuitBreakers = {};
+    for (const name of Object.keys(this.providers)) {
+      this.circuitBreakers[name] = new CircuitBreaker(CIRCUIT_FAILURE_THRESHOLD, CIRCUIT_COOLDOWN_MS);
+    }
+    this.recentFailovers = [];
+    this.responseCache = new AIResponseCacheService();
+    this.usage = new AIUsageService();
+
     console.log(`AI Provider initialized: ${this.selectedProvider.toUpperCase()}`);
-    console.log(`Available providers: ${Object.keys(this.providers).join(', ')}`);
+    console.log(`Provider chain: ${this.providerChain.join(' -> ')}`);
   }
 
   /**
    * Get the current active provider client
-   * @returns {GeminiApiClient|OpenRouterApiClient} Active provider client
+   * @returns {GeminiApiClient|OpenRouterApiClient|LocalLLMApiClient|ReplayApiClient} Active provider client
    */
   getActiveProvider() {
     return this.providers[this.selectedProvider];
@@ -44,7 +187,8 @@ class AIProviderService {
 
   /**
    * Switch provider (useful for admin controls)
-   * @param {string} providerName - Provider name ('gemini' or 'openrouter')
+   * Moves the provider to the head of the chain; the others stay as fallbacks.
+   * @param {string} providerName - Provider name ('gemini', 'openrouter' or 'local')
    * @returns {boolean} Success status
    */
   switchProvider(providerName) {
@@ -54,22 +198,53 @@ class AIProviderService {
     }
 
     this.selectedProvider = providerName;
+    this.providerChain = [providerName, ...this.providerChain.filter(name => name !== providerName)];
     console.log(`Switched to provider: ${providerName.toUpperCase()}`);
     return true;
   }
 
   /**
-   * Check if current provider has valid API key
-   * @returns {boolean} Whether current provider is properly configured
+   * Send every call (whatever the task route) to the replay client, e.g. in a test suite's setup;
+   * useReplay(false) restores the previous chain
+   * @param {Object|boolean} options - { fixturesDir, mode: 'replay'|'record'|'auto', upstream: provider
+   *   name used when recording }, or false
    */
-  isProviderConfigured() {
-    const provider = this.getActiveProvider();
-    return provider.hasValidApiKey();
+  useReplay(options = {}) {
+    if (options === false) {
+      if (this.chainBeforeReplay) {
+        this.providerChain = this.chainBeforeReplay;
+        this.selectedProvider = this.providerChain[0];
+        this.chainBeforeReplay = null;
+      }
+      return;
+    }
+
+    const { upstream, ...replayOptions } = options;
+    this.providers.replay.configure({
+      ...replayOptions,
+      ...(upstream && { upstream: this._getReplayUpstream(upstream) })
+    });
+
+    if (!this.chainBeforeReplay) {
+      this.chainBeforeReplay = this.providerChain;
+    }
+    this.providerChain = ['replay'];
+    this.selectedProvider = 'replay';
+  }
+
+  /**
+   * Check if a provider that can serve the task has a valid API key
+   * @param {string} task - Task name (optional, e.g. 'chat', 'itinerary')
+   * @returns {boolean} Whether a provider is properly configured
+   */
+  isProviderConfigured(task) {
+    return this._getRouteChain(task).some(name => this.providers[name].hasValidApiKey());
   }
 
   /**
    * Get provider status information
-   * @returns {Object} Provider status details
+   * @returns {Object} Provider status details, including the chain, circuit breakers,
+   *   task routes and recent failovers
    */
   getProviderStatus() {
     const status = {};
@@ -77,54 +252,95 @@ class AIProviderService {
     for (const [name, client] of Object.entries(this.providers)) {
       status[name] = {
         configured: client.hasValidApiKey(),
-        active: name === this.selectedProvider
+        active: name === this.selectedProvider,
+        inChain: this.providerChain.includes(name),
+        circuit: this.circuitBreakers[name].getStatus()
       };
     }
 
     return {
       current: this.selectedProvider,
+      chain: this.providerChain,
       providers: status,
-      isConfigured: this.isProviderConfigured()
+      isConfigured: this.isProviderConfigured(),
+      taskRoutes: this.taskRoutes,
+      recentFailovers: this.recentFailovers
     };
   }
 
   /**
-   * Unified API call method - delegates to active provider
+   * Unified API call method - runs on the provider chain
    * @param {string} model - Model type ('flash', 'pro', or provider-specific)
    * @param {string} prompt - Prompt to send
-   * @param {Object} options - Additional options
-   * @returns {Promise<Object>} API response
+   * @param {Object} options - Additional options:
+   *   - task: routes the call (chat, itinerary, ...); provider: pins it to one provider
+   *   - pinModel: the requested model (e.g. a prompt experiment variant's) overrides the task route's model
+   *   - endpoint: caches the response for the endpoint's TTL; cache: false opts out
+   *   - rateLimit: rate limit model ('flash', 'pro') charged to userId, only when a model is called
+   *   - userId/tripId: model calls count towards the user's monthly token budget and, with an
+   *     endpoint, are logged with their tokens and cost; also recorded with failover events
+   *   - promptTemplate: { key, version, locale } of the template the prompt was built from, logged with the call
+   * @returns {Promise<Object>} API response (cached: true when answered from the cache)
    */
   async callAPI(model, prompt, options = {}) {
-    const provider = this.getActiveProvider();
-    
-    if (this.selectedProvider === 'gemini') {
-      return await provider.callGeminiAPI(model, prompt, options);
-    } else if (this.selectedProvider === 'openrouter') {
-      return await provider.callOpenRouterAPI(model, prompt, options);
-    } else {
-      throw new Error(`Unsupported provider: ${this.selectedProvider}`);
-    }
+    return await this._executeWithFailover('call', { model, prompt }, options,
+      (client, method, providerModel, clientOptions) => client[method](providerModel, prompt, clientOptions));
   }
 
   /**
-   * Unified structured output API call - delegates to active provider
+   * Unified structured output API call - runs on the provider chain
    * @param {string} model - Model type
    * @param {string} prompt - Prompt to send
    * @param {Object} structuredConfig - Schema configuration
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (see callAPI)
    * @returns {Promise<Object>} Structured API response
    */
   async callStructuredAPI(model, prompt, structuredConfig, options = {}) {
-    const provider = this.getActiveProvider();
-    
-    if (this.selectedProvider === 'gemini') {
-      return await provider.callGeminiWithStructuredOutput(model, prompt, structuredConfig, options);
-    } else if (this.selectedProvider === 'openrouter') {
-      return await provider.callOpenRouterWithStructuredOutput(model, prompt, structuredConfig, options);
-    } else {
-      throw new Error(`Unsupported provider: ${this.selectedProvider}`);
-    }
+    return await this._executeWithFailover('structured', { model, prompt, structuredConfig }, options,
+      (client, method, providerModel, clientOptions) => client[method](providerModel, prompt, structuredConfig, clientOptions));
+  }
+
+  /**
+   * Unified streaming call - runs on the provider chain.
+   * Fails over only until the first fragment has been delivered.
+   * @param {string} model - Model type
+   * @param {string} prompt - Prompt to send
+   * @param {Object} options - Additional options (see callAPI, plus signal to abort; never cached)
+   * @param {Function} onDelta - Called with each text fragment as it arrives
+   * @returns {Promise<Object>} Complete response
+   */
+  async streamAPI(model, prompt, options = {}, onDelta = () => {}) {
+    let delivered = false;
+    const trackDelta = (delta) => {
+      delivered = true;
+      onDelta(delta);
+    };
+
+    return await this._executeWithFailover('stream', { model, prompt }, options,
+      (client, method, providerModel, clientOptions) => client[method](providerModel, prompt, clientOptions, trackDelta),
+      () => !delivered);
+  }
+
+  /**
+   * Unified streaming structured output call - runs on the provider chain.
+   * Fails over only until the first fragment has been delivered.
+   * @param {string} model - Model type
+   * @param {string} prompt - Prompt to send
+   * @param {Object} structuredConfig - Schema configuration
+   * @param {Object} options - Additional options (see callAPI, plus signal to abort)
+   * @param {Function} onDelta - Called with each raw JSON fragment as it arrives
+   * @returns {Promise<Object>} Complete response (content is the unparsed JSON text)
+   */
+  async streamStructuredAPI(model, prompt, structuredConfig, options = {}, onDelta = () => {}) {
+    let delivered = false;
+    const trackDelta = (delta) => {
+      delivered = true;
+      onDelta(delta);
+    };
+
+    return await this._executeWithFailover('streamStructured', { model, prompt, structuredConfig }, options,
+      (client, method, providerModel, clientOptions) => client[method](providerModel, prompt, structuredConfig, clientOptions, trackDelta),
+      () => !delivered);
   }
 
   /**
@@ -144,6 +360,13 @@ class AIProviderService {
         quality: 'claude-sonnet',
         default: 'claude-sonnet'
       };
+    } else if (this.selectedProvider === 'local') {
+      const provider = this.getActiveProvider();
+      return {
+        fast: provider.getModelName('flash'),
+        quality: provider.getModelName('pro'),
+        default: provider.getModelName('flash')
+      };
     }
     
     return { default: 'flash' };
@@ -170,10 +393,320 @@ class AIProviderService {
         features: ['multiple_models', 'prompt_engineering', 'vietnamese_support'],
         maxTokens: 10000
       };
+    } else if (this.selectedProvider === 'local') {
+      return {
+        name: 'Local LLM (OpenAI-compatible)',
+        baseUrl: provider.baseUrl,
+        models: [...new Set(Object.values(provider.availableModels))],
+        jsonMode: provider.jsonMode,
+        features: ['self_hosted', 'json_mode', 'grammar'],
+        maxTokens: provider.defaultGenerationConfig.max_tokens
+      };
+    } else if (this.selectedProvider === 'replay') {
+      return {
+        name: 'Replay (recorded fixtures)',
+        upstream: provider.upstream ? provider.upstream.name : null,
+        ...provider.getStats()
+      };
     }
     
     return {};
   }
+
+  /**
+   * Run a call on each provider of the chain until one succeeds, answering from the response
+   * cache when possible. Only rate limits, server errors and timeouts move on to the next provider;
+   * other errors (bad request, missing API key, aborted by the client) are thrown as is.
+   * @private
+   * @param {string} callType - Key of PROVIDER_METHODS
+   * @param {Object} request - { model, prompt, structuredConfig } (cache key, failover events)
+   * @param {Object} options - Call options
+   * @param {Function} invoke - (client, method, model, clientOptions) => Promise
+   * @param {Function} canFailover - Whether the call may still be retried elsewhere
+   */
+  async _executeWithFailover(callType, request, options, invoke, canFailover = () => true) {
+    const { task, provider, userId, tripId, endpoint, promptTemplate, cache = true, rateLimit, pinModel, ...clientOptions } = options;
+    const { model, prompt, structuredConfig } = request;
+    const candidates = this._getCandidates(task, provider);
+
+    const cacheable = (callType === 'call' || callType === 'structured') && this.responseCache.getTtl(endpoint) > 0;
+    if (cacheable && !cache) {
+      this.responseCache.recordBypass(endpoint);
+    }
+
+    let lastError = null;
+    let failedFrom = null;
+    let modelCalled = false;
+
+    for (const name of candidates) {
+      const providerModel = this._resolveModel(task, name, model, pinModel);
+      const cacheKey = cacheable && cache && name !== 'replay'
+        ? this.responseCache.buildKey({ provider: name, model: providerModel, prompt, structuredConfig })
+        : null;
+
+      if (cacheKey) {
+        const cached = await this.responseCache.get(cacheKey);
+        if (cached) {
+          this.responseCache.recordLookup(endpoint, true);
+          return cached;
+        }
+      }
+
+      const breaker = this.circuitBreakers[name];
+      if (!breaker.allowRequest()) {
+        continue;
+      }
+
+      if (failedFrom) {
+        this._recordFailover({ ...failedFrom, to: name, task, model, prompt, userId, tripId, promptTemplate });
+        failedFrom = null;
+      }
+
+      // Checked once per request, and only when a model is actually called
+      if (!modelCalled) {
+        modelCalled = true;
+        if (cacheKey) {
+          this.responseCache.recordLookup(endpoint, false);
+        }
+        if (userId) {
+          await this._checkUserLimits(userId, rateLimit, breaker);
+        }
+      }
+
+      try {
+        const startTime = Date.now();
+        const response = await invoke(
+          this.providers[name],
+          PROVIDER_METHODS[name][callType],
+          providerModel,
+          clientOptions
+        );
+        breaker.recordSuccess();
+        if (userId && endpoint) {
+          this.usage.record({
+            userId,
+            tripId,
+            endpoint,
+            promptTemplate,
+            task,
+            provider: name,
+            model,
+            prompt,
+            response,
+            processingTime: Date.now() - startTime
+          });
+        }
+        if (cacheKey) {
+          await this.responseCache.set(cacheKey, { endpoint, provider: name, model: providerModel, response });
+        }
+        return response;
+      } catch (error) {
+        if (!this._isFailoverError(error, clientOptions.signal)) {
+          breaker.releaseTrial();
+          throw error;
+        }
+
+        const reason = this._describeFailure(error);
+        breaker.recordFailure(reason);
+        console.warn(`AI provider ${name} failed (${reason})`);
+
+        if (!canFailover()) {
+          throw error;
+        }
+        lastError = error;
+        failedFrom = { from: name, reason, statusCode: error.response?.status };
+      }
+    }
+
+    // The whole chain failed
+    if (failedFrom && candidates.length > 1) {
+      this._recordFailover({ ...failedFrom, to: null, task, model, prompt, userId, tripId, promptTemplate });
+    }
+
+    // Every circuit was open
+    throw lastError || new Error('AI_SERVICE_UNAVAILABLE');
+  }
+
+  /**
+   * Check the user's monthly token budget and count the call against their rate limit (if any)
+   * @private
+   */
+  async _checkUserLimits(userId, rateLimitModel, breaker) {
+    let rateLimitCheck = { allowed: true };
+    try {
+      await this.usage.checkBudget(userId);
+      if (rateLimitModel) {
+        rateLimitCheck = await RateLimitTracker.checkRateLimit(userId, rateLimitModel);
+      }
+    } catch (error) {
+      // No request is sent, so a half-open trial slot is free again
+      breaker.releaseTrial();
+      throw error;
+    }
+
+    if (!rateLimitCheck.allowed) {
+      breaker.releaseTrial();
+      throw new Error('RATE_LIMIT_EXCEEDED');
+    }
+  }
+
+  /**
+   * Providers to try for a call, in order. Providers without an API key are skipped,
+   * unless none has one (the first then reports the missing key).
+   * @private
+   */
+  _getCandidates(task, pinnedProvider) {
+    if (pinnedProvider) {
+      if (!this.providers[pinnedProvider]) {
+        throw new Error(`Unsupported provider: ${pinnedProvider}`);
+      }
+      return [pinnedProvider];
+    }
+
+    const chain = this._getRouteChain(task);
+    const configured = chain.filter(name => this.providers[name].hasValidApiKey());
+    return configured.length > 0 ? configured : chain.slice(0, 1);
+  }
+
+  /**
+   * Provider chain for a task: the task route's providers, or the global chain
+   * @private
+   */
+  _getRouteChain(task) {
+    if (this.chainBeforeReplay) {
+      return this.providerChain;
+    }
+    const route = this.taskRoutes[task];
+    return route && route.providers ? route.providers : this.providerChain;
+  }
+
+  /**
+   * Model to request from a provider: the requested one when pinned, else the task route's
+   * model for the provider, or the requested one
+   * @private
+   */
+  _resolveModel(task, providerName, model, pinModel = false) {
+    if (pinModel) {
+      const tiers = PROVIDER_MODEL_TIERS[providerName];
+      return (tiers && tiers[model]) || model;
+    }
+    const route = this.taskRoutes[task];
+    return (route && route.models && route.models[providerName]) || model;
+  }
+
+  /**
+   * Whether an error should be retried on another provider (429, 5xx, timeouts, network errors)
+   * @private
+   */
+  _isFailoverError(error, signal) {
+    if (error.code === 'ERR_CANCELED' || (signal && signal.aborted)) {
+      return false;
+    }
+
+    const status = error.response?.status;
+    if (status) {
+      return status === 429 || status >= 500;
+    }
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * Short failure reason for status and logs
+   * @private
+   */
+  _describeFailure(error) {
+    const status = error.response?.status;
+    if (status) {
+      return status === 429 ? 'HTTP 429 rate limited' : `HTTP ${status}`;
+    }
+    return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 'timeout' : error.code;
+  }
+
+  /**
+   * Keep a failover event for the status endpoint and record it in AIInteractionLog
+   * @private
+   */
+  _recordFailover({ from, to, reason, statusCode, task, model, prompt, userId, tripId, promptTemplate }) {
+    const event = { at: new Date(), task: task || null, from, to, reason, statusCode };
+
+    this.recentFailovers = [event, ...this.recentFailovers].slice(0, RECENT_FAILOVERS_LIMIT);
+    console.warn(to
+      ? `AI failover: ${from} -> ${to} (${reason})`
+      : `AI failover: ${from} failed (${reason}) and no provider is left`);
+
+    AIInteractionLog.createLog({
+      userId,
+      tripId,
+      endpoint: 'provider-failover',
+      promptTemplate,
+      prompt: String(prompt || '').slice(0, 10000),
+      parameters: { task, model },
+      success: Boolean(to),
+      error: reason,
+      failover: { task, fromProvider: from, toProvider: to, reason, statusCode }
+    }).save().catch(error => {
+      console.error('Failed to record AI failover:', error.message);
+    });
+  }
+
+  /**
+   * Provider a replay client records from
+   * @private
+   */
+  _getReplayUpstream(providerName) {
+    if (!this.providers[providerName] || providerName === 'replay') {
+      throw new Error(`Unsupported provider: ${providerName}`);
+    }
+    return { name: providerName, client: this.providers[providerName], methods: PROVIDER_METHODS[providerName] };
+  }
+
+  /**
+   * Ordered provider chain from AI_PROVIDER_CHAIN (comma-separated); defaults to the
+   * selected provider followed by the others (except replay)
+   * @private
+   */
+  _buildProviderChain(chainSetting) {
+    const chain = String(chainSetting || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter((name, index, names) => this.providers[name] && names.indexOf(name) === index);
+
+    if (chain.length > 0) {
+      return chain;
+    }
+    return [
+      this.selectedProvider,
+      ...Object.keys(this.providers).filter(name => name !== this.selectedProvider && name !== 'replay')
+    ];
+  }
+
+  /**
+   * Task routes: defaults merged with AI_TASK_ROUTES (JSON, e.g. {"chat":{"providers":["openrouter"]}})
+   * @private
+   */
+  _buildTaskRoutes(routesSetting) {
+    let overrides = {};
+    if (routesSetting) {
+      try {
+        overrides = JSON.parse(routesSetting);
+      } catch (error) {
+        console.warn(`Invalid AI_TASK_ROUTES, using default routes: ${error.message}`);
+      }
+    }
+
+    const routes = {};
+    for (const task of new Set([...Object.keys(DEFAULT_TASK_ROUTES), ...Object.keys(overrides)])) {
+      const route = { ...DEFAULT_TASK_ROUTES[task], ...overrides[task] };
+      if (route.providers) {
+        route.providers = route.providers.filter(name => this.providers[name]);
+        if (route.providers.length === 0) {
+          delete route.providers;
+        }
+      }
+      routes[task] = route;
+    }
+    return routes;
+  }
 }
 
 // Singleton instance
@@ -0,0 +1,188 @@
+const { AIResponseCache } = require('../../../models/ai');
+const { stableHash } = require('../../../utils/stableHash');
+
+// Seconds a response is reused, per endpoint; endpoints not listed (e.g. chat) are not cached.
+// Overridable with AI_CACHE_TTLS (JSON, e.g. {"suggest-activities": 3600}).
+const DEFAULT_TTLS = {
+  'suggest-activities': 6 * 60 * 60,
+  'generate-itinerary': 24 * 60 * 60,
+  'optimize-schedule': 60 * 60
+};
+
+/**
+ * AIResponseCacheService - Reuses model responses for identical requests.
+ * Entries are keyed on provider, model, normalized prompt and response schema and expire
+ * after the endpoint's TTL. Hit/miss counters cover this process since startup.
+ */
+class AIResponseCacheService {
+  constructor() {
+    this.enabled = process.env.AI_CACHE_ENABLED !== 'false';
+    this.ttls = { ...DEFAULT_TTLS, ...this._parseTtls(process.env.AI_CACHE_TTLS) };
+    this.resetStats();
+  }
+
+  /**
+   * Cache lifetime for an endpoint
+   * @param {string} endpoint - Endpoint name (as in AIInteractionLog)
+   * @returns {number} TTL in seconds (0: not cached)
+   */
+  getTtl(endpoint) {
+    return this.enabled ? (this.ttls[endpoint] || 0) : 0;
+  }
+
+  /**
+   * Cache key for a request; prompts differing only in whitespace share a key
+   * @param {Object} request - { provider, model, prompt, structuredConfig }
+   * @returns {string} Key
+   */
+  buildKey({ provider, model, prompt, structuredConfig = null }) {
+    return stableHash({
+      provider,
+      model,
+      prompt: String(prompt || '').replace(/\s+/g, ' ').trim(),
+      structuredConfig
+    });
+  }
+
+  /**
+   * Cached response for a key, or null. Lookup failures are treated as misses.
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Response marked cached, with no tokens used
+   */
+  async get(key) {
+    try {
+      const entry = await AIResponseCache.findOneAndUpdate(
+        { key, expiresAt: { $gt: new Date() } },
+        { $inc: { hits: 1 }, lastHitAt: new Date() },
+        { new: true }
+      ).lean();
+      return entry ? { ...entry.response, tokensUsed: 0, cached: true } : null;
+    } catch (error) {
+      console.warn('AI response cache lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Count a request answered from the cache (hit) or sent to a model (miss)
+   * @param {string} endpoint - Endpoint name
+   * @param {boolean} hit - Whether the cache answered
+   */
+  recordLookup(endpoint, hit) {
+    this._getEndpointStats(endpoint)[hit ? 'hits' : 'misses']++;
+  }
+
+  /**
+   * Store a response. Failures are logged and ignored.
+   * @param {string} key - Cache key
+   * @param {Object} entry - { endpoint, provider, model, response }
+   * @returns {Promise<void>}
+   */
+  async set(key, { endpoint, provider, model, response }) {
+    const ttl = this.getTtl(endpoint);
+    if (!ttl) {
+      return;
+    }
+
+    // The raw provider payload duplicates the content
+    const { raw, ...storedResponse } = response;
+
+    try {
+      await AIResponseCache.findOneAndUpdate(
+        { key },
+        {
+          endpoint,
+          provider,
+          model,
+          response: storedResponse,
+          hits: 0,
+          expiresAt: new Date(Date.now() + ttl * 1000)
+        },
+        { upsert: true }
+      );
+      this._getEndpointStats(endpoint).stores++;
+    } catch (error) {
+      console.warn('AI response cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Count a request that opted out of the cache
+   * @param {string} endpoint - Endpoint name
+   */
+  recordBypass(endpoint) {
+    this._getEndpointStats(endpoint).bypassed++;
+  }
+
+  /**
+   * Hit/miss statistics per endpoint and the number of live entries
+   * @returns {Promise<Object>} Cache statistics
+   */
+  async getStats() {
+    const totals = { hits: 0, misses: 0, stores: 0, bypassed: 0 };
+    const endpoints = {};
+
+    for (const [endpoint, stats] of Object.entries(this.stats)) {
+      endpoints[endpoint] = { ...stats, hitRate: this._hitRate(stats) };
+      for (const field of Object.keys(totals)) {
+        totals[field] += stats[field];
+      }
+    }
+
+    let entries = null;
+    try {
+      entries = await AIResponseCache.countDocuments({ expiresAt: { $gt: new Date() } });
+    } catch (error) {
+      console.warn('AI response cache count failed:', error.message);
+    }
+
+    return {
+      enabled: this.enabled,
+      since: this.since,
+      ttls: this.ttls,
+      entries,
+      ...totals,
+      hitRate: this._hitRate(totals),
+      endpoints
+    };
+  }
+
+  resetStats() {
+    this.stats = {};
+    this.since = new Date();
+  }
+
+  /**
+   * @private
+   */
+  _getEndpointStats(endpoint) {
+    if (!this.stats[endpoint]) {
+      this.stats[endpoint] = { hits: 0, misses: 0, stores: 0, bypassed: 0 };
+    }
+    return this.stats[endpoint];
+  }
+
+  /**
+   * @private
+   */
+  _hitRate({ hits, misses }) {
+    return hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : 0;
+  }
+
+  /**
+   * @private
+   */
+  _parseTtls(ttlsSetting) {
+    if (!ttlsSetting) {
+      return {};
+    }
+    try {
+      return JSON.parse(ttlsSetting);
+    } catch (error) {
+      console.warn(`Invalid AI_CACHE_TTLS, using default TTLs: ${error.message}`);
+      return {};
+    }
+  }
+}
+
+module.exports = AIResponseCacheService;
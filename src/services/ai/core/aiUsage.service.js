@@ -0,0 +1,217 @@
+const { AIInteractionLog, AIUsageBudget } = require('../../../models/ai');
+
+// USD per million tokens, keyed by the model name the provider reports.
+// Overridable with AI_MODEL_PRICES (JSON, e.g. {"gemini-2.5-flash": {"input": 0.3, "output": 2.5}}).
+// Models not listed (e.g. self-hosted ones) cost nothing.
+const DEFAULT_MODEL_PRICES = {
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+  'anthropic/claude-3.5-sonnet': { input: 3.00, output: 15.00 },
+  'anthropic/claude-3-haiku': { input: 0.25, output: 1.25 },
+  'openai/gpt-4-turbo': { input: 10.00, output: 30.00 },
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'meta-llama/llama-3.1-70b-instruct': { input: 0.40, output: 0.40 },
+  'google/gemini-pro-1.5': { input: 1.25, output: 5.00 }
+};
+
+// Tokens a user may spend per calendar month (UTC) unless an admin set a budget for them; 0 disables
+const DEFAULT_MONTHLY_TOKENS = 1000000;
+
+// Costs are kept to a millionth of a dollar
+const roundCost = (cost) => Math.round(cost * 1000000) / 1000000;
+
+/**
+ * AIUsageService - Token and cost accounting for model calls.
+ * Every model call made for a user is logged in AIInteractionLog with its prompt/completion
+ * tokens and cost, and counts towards the user's monthly token budget.
+ */
+class AIUsageService {
+  constructor() {
+    this.prices = { ...DEFAULT_MODEL_PRICES, ...this._parsePrices(process.env.AI_MODEL_PRICES) };
+    const monthlyTokens = parseInt(process.env.AI_MONTHLY_TOKEN_BUDGET);
+    this.defaultMonthlyTokens = Number.isNaN(monthlyTokens) ? DEFAULT_MONTHLY_TOKENS : monthlyTokens;
+  }
+
+  /**
+   * Prompt/completion tokens of a provider response (Gemini usageMetadata or OpenAI-style usage)
+   * @param {Object} response - Provider response
+   * @returns {Object} { promptTokens, completionTokens, totalTokens }
+   */
+  getTokenUsage(response) {
+    const usage = response.usage || {};
+
+    if (usage.promptTokenCount !== undefined || usage.candidatesTokenCount !== undefined) {
+      // Gemini bills thinking tokens as output
+      const promptTokens = usage.promptTokenCount || 0;
+      const completionTokens = (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0);
+      return { promptTokens, completionTokens, totalTokens: usage.totalTokenCount || promptTokens + completionTokens };
+    }
+
+    if (usage.prompt_tokens !== undefined || usage.completion_tokens !== undefined) {
+      const promptTokens = usage.prompt_tokens || 0;
+      const completionTokens = usage.completion_tokens || 0;
+      return { promptTokens, completionTokens, totalTokens: usage.total_tokens || promptTokens + completionTokens };
+    }
+
+    // Provider gave no breakdown, only a (possibly estimated) total
+    return { promptTokens: 0, completionTokens: 0, totalTokens: response.tokensUsed || 0 };
+  }
+
+  /**
+   * Cost of a call in USD
+   * @param {string} modelName - Model name reported by the provider
+   * @param {Object} tokenUsage - { promptTokens, completionTokens, totalTokens }
+   * @returns {number} Cost (0 for models without a price)
+   */
+  calculateCost(modelName, { promptTokens, completionTokens, totalTokens }) {
+    const price = this.prices[modelName];
+    if (!price) {
+      return 0;
+    }
+
+    // Tokens without a breakdown are charged at the output price
+    const unsplitTokens = Math.max(0, totalTokens - promptTokens - completionTokens);
+    return roundCost((promptTokens * price.input + (completionTokens + unsplitTokens) * price.output) / 1000000);
+  }
+
+  /**
+   * Log a successful model call. Failures are logged and ignored.
+   * @param {Object} call - { userId, tripId, endpoint, promptTemplate, task, provider, model, prompt, response, processingTime }
+   */
+  record({ userId, tripId, endpoint, promptTemplate, task, provider, model, prompt, response, processingTime }) {
+    const tokenUsage = this.getTokenUsage(response);
+    // Replayed fixtures were paid for when they were recorded
+    const cost = provider === 'replay' ? 0 : this.calculateCost(response.model, tokenUsage);
+
+    AIInteractionLog.createLog({
+      userId,
+      tripId,
+      endpoint,
+      promptTemplate,
+      model,
+      provider,
+      providerModel: response.model,
+      prompt: String(prompt || '').slice(0, 10000),
+      parameters: { task },
+      tokensUsed: tokenUsage.totalTokens,
+      promptTokens: tokenUsage.promptTokens,
+      completionTokens: tokenUsage.completionTokens,
+      cost,
+      processingTime,
+      success: true
+    }).save().catch(error => {
+      console.error('Failed to record AI usage:', error.message);
+    });
+  }
+
+  /**
+   * Tokens a user used this month against their budget
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { limit (0: unlimited), used, remaining, cost, custom, periodStart, resetsAt }
+   */
+  async getBudgetStatus(userId) {
+    const now = new Date();
+    const periodStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+    const [budget, usage] = await Promise.all([
+      AIUsageBudget.findOne({ userId }).lean(),
+      AIInteractionLog.getTokensUsedSince(userId, periodStart)
+    ]);
+    const limit = budget ? budget.monthlyTokens : this.defaultMonthlyTokens;
+
+    return {
+      limit,
+      used: usage.tokensUsed,
+      remaining: limit > 0 ? Math.max(0, limit - usage.tokensUsed) : null,
+      cost: roundCost(usage.cost),
+      custom: Boolean(budget),
+      periodStart,
+      resetsAt
+    };
+  }
+
+  /**
+   * Reject a model call once the user has used up this month's tokens.
+   * The call that crosses the limit still completes.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Budget status
+   */
+  async checkBudget(userId) {
+    const status = await this.getBudgetStatus(userId);
+    if (status.limit > 0 && status.used >= status.limit) {
+      const error = new Error('TOKEN_BUDGET_EXCEEDED');
+      error.data = { tokenBudget: status };
+      throw error;
+    }
+    return status;
+  }
+
+  /**
+   * Set a user's monthly token budget (0: unlimited)
+   * @param {string} userId - User ID
+   * @param {number} monthlyTokens - Tokens per month
+   * @param {string} updatedBy - Admin user ID
+   * @returns {Promise<Object>} Budget status
+   */
+  async setUserBudget(userId, monthlyTokens, updatedBy) {
+    await AIUsageBudget.findOneAndUpdate(
+      { userId },
+      { monthlyTokens, updatedBy },
+      { upsert: true, runValidators: true }
+    );
+    return await this.getBudgetStatus(userId);
+  }
+
+  /**
+   * Remove a user's budget so the default applies again
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Budget status
+   */
+  async removeUserBudget(userId) {
+    await AIUsageBudget.deleteOne({ userId });
+    return await this.getBudgetStatus(userId);
+  }
+
+  /**
+   * Token and cost totals
+   * @param {Object} query - { groupBy: user|trip|endpoint|provider|day, from, to, userId, tripId, endpoint, provider }
+   * @returns {Promise<Object>} { groupBy, from, to, totals, groups: [{ key, requests, promptTokens, completionTokens, totalTokens, cost }] }
+   */
+  async getUsageReport({ groupBy = 'day', from, to, userId, tripId, endpoint, provider } = {}) {
+    const rows = await AIInteractionLog.getUsageStats({
+      groupBy,
+      from,
+      to,
+      filters: { userId, tripId, endpoint, provider }
+    });
+
+    const totals = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+    const groups = rows.map(({ _id, ...row }) => {
+      for (const field of Object.keys(totals)) {
+        totals[field] += row[field];
+      }
+      return { key: _id, ...row, cost: roundCost(row.cost) };
+    });
+    totals.cost = roundCost(totals.cost);
+
+    return { groupBy, from: from || null, to: to || null, totals, groups };
+  }
+
+  /**
+   * @private
+   */
+  _parsePrices(pricesSetting) {
+    if (!pricesSetting) {
+      return {};
+    }
+    try {
+      return JSON.parse(pricesSetting);
+    } catch (error) {
+      console.warn(`Invalid AI_MODEL_PRICES, using default prices: ${error.message}`);
+      return {};
+    }
+  }
+}
+
+module.exports = AIUsageService;
@@ -53,7 +53,9 @@ class GeminiService {
       responseParser: services.responseParser,
       promptBuilder: services.promptBuilder,
       templateService: services.templateService,
-      longTripHandler: services.longTripHandler
+      longTripHandler: services.longTripHandler,
+      conversationService: services.conversationService,
+      experimentService: services.experimentService
     };
 
     console.log('Initializing GeminiService dependencies...');
@@ -89,6 +91,13 @@ class GeminiService {
     return await this.chatService.chatWithAI(userId, chatData);
   }
 
+  /**
+   * Stream chat reply deltas - Delegate to chat service
+   */
+  async streamChatWithAI(userId, chatData, onEvent, options = {}) {
+    return await this.chatService.streamChatWithAI(userId, chatData, onEvent, options);
+  }
+
   /**
    * Generate trip itinerary - Delegate to trip service
    */
@@ -96,6 +105,20 @@ class GeminiService {
     return await this.tripService.generateItinerary(userId, tripId, options);
   }
 
+  /**
+   * Stream trip itinerary day by day - Delegate to trip service
+   */
+  async streamItinerary(userId, tripId, options = {}, onEvent) {
+    return await this.tripService.streamItinerary(userId, tripId, options, onEvent);
+  }
+
+  /**
+   * Get itinerary tips in a language - Delegate to trip service
+   */
+  async getTripTips(userId, tripId, locale) {
+    return await this.tripService.getTripTips(userId, tripId, locale);
+  }
+
   /**
    * Optimize trip schedule - Delegate to itinerary service
    */
@@ -120,8 +143,29 @@ class GeminiService {
   /**
    * Update trip information from chat message - Delegate to chat service
    */
-  async updateTripInfoFromChat(userId, tripId, message) {
-    return await this.chatService.updateTripInfoFromChat(userId, tripId, message);
+  async updateTripInfoFromChat(userId, tripId, message, options = {}) {
+    return await this.chatService.updateTripInfoFromChat(userId, tripId, message, options);
+  }
+
+  /**
+   * List pending trip info proposals - Delegate to chat service
+   */
+  async listTripInfoProposals(userId, tripId, options = {}) {
+    return await this.chatService.listTripInfoProposals(userId, tripId, options);
+  }
+
+  /**
+   * Confirm trip info proposal - Delegate to chat service
+   */
+  async confirmTripInfoProposal(userId, proposalId, options = {}) {
+    return await this.chatService.confirmTripInfoProposal(userId, proposalId, options);
+  }
+
+  /**
+   * Reject trip info proposal - Delegate to chat service
+   */
+  async rejectTripInfoProposal(userId, proposalId, options = {}) {
+    return await this.chatService.rejectTripInfoProposal(userId, proposalId, options);
   }
 
   /**
@@ -0,0 +1,415 @@
+const mongoose = require('mongoose');
+const { PromptExperiment, PromptExperimentExposure, PromptTemplate } = require('../../../models/ai');
+const { stableHash } = require('../../../utils/stableHash');
+const { twoProportionTest, meanDifferenceTest } = require('../../../utils/statistics');
+
+// Prompt template each experiment endpoint builds its prompt from
+const ENDPOINT_TEMPLATES = {
+  chat: 'chat',
+  'extract-trip-info': 'tripInfoExtraction',
+  'generate-itinerary': 'itinerary'
+};
+
+// How long running experiments are cached before they are reloaded
+const CACHE_TTL_MS = 30000;
+
+// Differences with a p-value below this are reported as significant
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// Fewer exposures per variant than this are never reported as significant
+const MIN_SAMPLE_SIZE = 30;
+
+// Rates compared between variants: [successes, total] fields of the variant stats
+const RATE_METRICS = {
+  successRate: ['successes', 'exposures'],
+  parseSuccessRate: ['parseSuccesses', 'parseAttempts'],
+  modifiedItineraryRate: ['modifiedItineraries', 'itineraries']
+};
+
+/**
+ * PromptExperimentService - A/B tests of prompt template versions and models per endpoint.
+ * Users are bucketed into variants by a hash of the experiment and user ID, so a user keeps
+ * their variant for the whole experiment. Each AI call made under a variant is stored as an
+ * exposure with its outcomes, which the report compares against the control (first variant).
+ */
+class PromptExperimentService {
+  /**
+   * @param {Object} dependencies - { templateRegistry: PromptTemplateService, constraintValidator: scores generated itineraries }
+   */
+  constructor({ templateRegistry, constraintValidator } = {}) {
+    this.templateRegistry = templateRegistry;
+    this.constraintValidator = constraintValidator;
+    this.runningExperiments = [];
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Variant a user is in for an endpoint's running experiment
+   * @param {string} endpoint - Endpoint (chat, extract-trip-info, generate-itinerary)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} { experimentId, endpoint, variant, model, templateVersion, templateLocale }, null without an experiment
+   */
+  async assign(endpoint, userId) {
+    if (!userId) {
+      return null;
+    }
+
+    let experiment;
+    try {
+      experiment = (await this._getRunningExperiments()).find(entry => entry.endpoint === endpoint);
+    } catch (error) {
+      // Calls go on with the default prompt
+      console.error('Failed to load prompt experiments:', error.message);
+      return null;
+    }
+    if (!experiment) {
+      return null;
+    }
+
+    const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let bucket = parseInt(stableHash({ experimentId: experiment._id.toString(), userId: userId.toString() }, 8), 16) % totalWeight;
+    const variant = experiment.variants.find(entry => (bucket -= entry.weight) < 0);
+
+    return {
+      experimentId: experiment._id,
+      endpoint,
+      variant: variant.name,
+      model: variant.model,
+      templateVersion: variant.templateVersion,
+      templateLocale: variant.templateLocale
+    };
+  }
+
+  /**
+   * Run an AI call under a variant and record its latency, tokens and (optionally) parse success
+   * @param {Object|null} assignment - From assign; without one the call just runs
+   * @param {Object} details - { userId, tripId, promptTemplate, model, isParsed: response => boolean }
+   * @param {Function} call - Makes the AI call, resolving to the provider response
+   * @returns {Promise<Object>} Provider response
+   */
+  async measure(assignment, details, call) {
+    if (!assignment) {
+      return await call();
+    }
+
+    const { isParsed, ...context } = details;
+    const startTime = Date.now();
+    try {
+      const response = await call();
+      this.record(assignment, {
+        ...context,
+        success: true,
+        latencyMs: Date.now() - startTime,
+        tokensUsed: response.tokensUsed || 0,
+        parseSuccess: isParsed ? Boolean(isParsed(response)) : undefined
+      });
+      return response;
+    } catch (error) {
+      this.record(assignment, {
+        ...context,
+        success: false,
+        latencyMs: Date.now() - startTime,
+        parseSuccess: isParsed ? false : undefined
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a generated itinerary with its constraint validation score
+   * @param {Object|null} assignment - From assign
+   * @param {Object} trip - Trip document with the saved itinerary
+   * @param {Object} outcome - { userId, promptTemplate, model, latencyMs, tokensUsed }
+   * @returns {Promise<void>}
+   */
+  async recordItinerary(assignment, trip, outcome) {
+    if (!assignment) {
+      return;
+    }
+
+    let validationScore;
+    try {
+      validationScore = await this.constraintValidator.scoreTrip(trip);
+    } catch (error) {
+      console.warn('Failed to score itinerary for prompt experiment:', error.message);
+    }
+
+    this.record(assignment, {
+      ...outcome,
+      tripId: trip._id,
+      success: true,
+      parseSuccess: true,
+      validationScore,
+      activitiesGenerated: trip.itinerary.days.reduce((sum, day) => sum + day.activities.length, 0),
+      activitiesEdited: 0,
+      activitiesDeleted: 0
+    });
+  }
+
+  /**
+   * Store an exposure (fire and forget)
+   * @param {Object|null} assignment - From assign
+   * @param {Object} outcome - Exposure fields (userId, tripId, success, latencyMs, ...)
+   */
+  record(assignment, outcome) {
+    if (!assignment) {
+      return;
+    }
+
+    PromptExperimentExposure.create({
+      ...outcome,
+      experimentId: assignment.experimentId,
+      variant: assignment.variant,
+      endpoint: assignment.endpoint
+    }).catch(error => {
+      console.error('Failed to record prompt experiment exposure:', error.message);
+    });
+  }
+
+  /**
+   * Count user edits and deletes of activities against the trip's generated itinerary
+   * @param {string} tripId - Trip ID
+   * @param {Object} changes - { edited, deleted }
+   */
+  recordActivityChanges(tripId, { edited = 0, deleted = 0 }) {
+    if (edited === 0 && deleted === 0) {
+      return;
+    }
+
+    PromptExperimentExposure.recordActivityChanges(tripId, { edited, deleted }).catch(error => {
+      console.error('Failed to record activity changes for prompt experiment:', error.message);
+    });
+  }
+
+  /**
+   * List experiments, newest first
+   * @param {Object} filters - { status, endpoint }
+   * @returns {Promise<Array>} Experiments
+   */
+  async listExperiments({ status, endpoint } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (endpoint) filter.endpoint = endpoint;
+    return await PromptExperiment.find(filter).sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Create a draft experiment; template versions must exist for the endpoint's template
+   * @param {Object} data - { name, description, endpoint, variants: [{ name, weight, templateVersion, templateLocale, model }] }
+   * @param {string} userId - Admin creating the experiment
+   * @returns {Promise<Object>} Created experiment
+   */
+  async createExperiment({ name, description, endpoint, variants }, userId) {
+    const key = ENDPOINT_TEMPLATES[endpoint];
+    for (const variant of variants) {
+      if (!variant.templateVersion) {
+        continue;
+      }
+      const exists = await PromptTemplate.exists({
+        key,
+        locale: (variant.templateLocale || 'en').toLowerCase(),
+        version: variant.templateVersion
+      });
+      if (!exists) {
+        const error = new Error('PROMPT_TEMPLATE_VERSION_NOT_FOUND');
+        error.data = { variant: variant.name, templateKey: key, templateVersion: variant.templateVersion };
+        throw error;
+      }
+    }
+
+    const experiment = await PromptExperiment.create({ name, description, endpoint, variants, createdBy: userId });
+    return experiment.toObject();
+  }
+
+  /**
+   * Start a draft experiment
+   * @param {string} experimentId - Experiment ID
+   * @returns {Promise<Object>} Running experiment
+   */
+  async startExperiment(experimentId) {
+    const experiment = await this._getExperiment(experimentId);
+    if (experiment.status !== 'draft') {
+      throw new Error('PROMPT_EXPERIMENT_STATUS_CONFLICT');
+    }
+
+    const running = await PromptExperiment.exists({ endpoint: experiment.endpoint, status: 'running' });
+    if (running) {
+      throw new Error('PROMPT_EXPERIMENT_ALREADY_RUNNING');
+    }
+
+    experiment.status = 'running';
+    experiment.startedAt = new Date();
+    try {
+      await experiment.save();
+    } catch (error) {
+      // Another experiment was started for the endpoint at the same time
+      if (error.code === 11000) {
+        throw new Error('PROMPT_EXPERIMENT_ALREADY_RUNNING');
+      }
+      throw error;
+    }
+
+    this.loadedAt = 0;
+    return experiment.toObject();
+  }
+
+  /**
+   * Stop a running experiment; its exposures stay available for the report
+   * @param {string} experimentId - Experiment ID
+   * @returns {Promise<Object>} Stopped experiment
+   */
+  async stopExperiment(experimentId) {
+    const experiment = await this._getExperiment(experimentId);
+    if (experiment.status !== 'running') {
+      throw new Error('PROMPT_EXPERIMENT_STATUS_CONFLICT');
+    }
+
+    experiment.status = 'stopped';
+    experiment.stoppedAt = new Date();
+    await experiment.save();
+
+    this.loadedAt = 0;
+    return experiment.toObject();
+  }
+
+  /**
+   * Per-variant metrics, each compared with the control
+   * @param {string} experimentId - Experiment ID
+   * @returns {Promise<Object>} { experiment, control, significanceLevel, minSampleSize, variants: [{ name, ..., metrics, comparison }] }
+   */
+  async getReport(experimentId) {
+    const experiment = await this._getExperiment(experimentId);
+    const stats = await PromptExperimentExposure.getVariantStats(experimentId);
+
+    const variants = experiment.variants.map(variant => {
+      const variantStats = stats.find(entry => entry.variant === variant.name) || this._emptyStats(variant.name);
+      return { variant, stats: variantStats, metrics: this._getMetrics(variantStats) };
+    });
+    const control = variants[0];
+
+    return {
+      experiment: {
+        id: experiment._id,
+        name: experiment.name,
+        endpoint: experiment.endpoint,
+        status: experiment.status,
+        startedAt: experiment.startedAt,
+        stoppedAt: experiment.stoppedAt
+      },
+      control: control.variant.name,
+      significanceLevel: SIGNIFICANCE_LEVEL,
+      minSampleSize: MIN_SAMPLE_SIZE,
+      variants: variants.map(({ variant, stats: variantStats, metrics }, index) => ({
+        name: variant.name,
+        weight: variant.weight,
+        templateVersion: variant.templateVersion || null,
+        model: variant.model || null,
+        exposures: variantStats.exposures,
+        metrics,
+        comparison: index === 0 ? null : this._compare(control.stats, variantStats)
+      }))
+    };
+  }
+
+  /**
+   * Running experiments, reloaded after CACHE_TTL_MS; their template versions are pinned
+   * @private
+   */
+  async _getRunningExperiments() {
+    if (Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.runningExperiments;
+    }
+
+    const experiments = await PromptExperiment.find({ status: 'running' }).lean();
+    for (const experiment of experiments) {
+      for (const variant of experiment.variants.filter(entry => entry.templateVersion)) {
+        try {
+          await this.templateRegistry.pinVersion(ENDPOINT_TEMPLATES[experiment.endpoint], variant.templateLocale, variant.templateVersion);
+        } catch (error) {
+          // The variant falls back to the active version, which its exposures record
+          console.warn(`Prompt experiment ${experiment._id}: template version ${variant.templateVersion} unavailable`);
+        }
+      }
+    }
+
+    this.runningExperiments = experiments;
+    this.loadedAt = Date.now();
+    return experiments;
+  }
+
+  /**
+   * @private
+   */
+  async _getExperiment(experimentId) {
+    if (!mongoose.Types.ObjectId.isValid(experimentId)) {
+      throw new Error('PROMPT_EXPERIMENT_NOT_FOUND');
+    }
+    const experiment = await PromptExperiment.findById(experimentId);
+    if (!experiment) {
+      throw new Error('PROMPT_EXPERIMENT_NOT_FOUND');
+    }
+    return experiment;
+  }
+
+  /**
+   * Rates and means of a variant (null where the variant has no data)
+   * @private
+   */
+  _getMetrics(stats) {
+    const metrics = {};
+    Object.entries(RATE_METRICS).forEach(([metric, [successes, total]]) => {
+      metrics[metric] = stats[total] > 0 ? stats[successes] / stats[total] : null;
+    });
+    PromptExperimentExposure.MEAN_METRICS.forEach(metric => {
+      metrics[metric] = stats[metric].count > 0 ? stats[metric] : null;
+    });
+    return metrics;
+  }
+
+  /**
+   * Difference of each metric from the control, with its p-value
+   * @private
+   */
+  _compare(controlStats, variantStats) {
+    const enoughData = controlStats.exposures >= MIN_SAMPLE_SIZE && variantStats.exposures >= MIN_SAMPLE_SIZE;
+    const describe = (test) => (test ? {
+      difference: test.difference,
+      pValue: test.pValue,
+      significant: enoughData && test.pValue < SIGNIFICANCE_LEVEL
+    } : null);
+
+    const comparison = {};
+    Object.entries(RATE_METRICS).forEach(([metric, [successes, total]]) => {
+      comparison[metric] = describe(twoProportionTest(
+        { successes: controlStats[successes], total: controlStats[total] },
+        { successes: variantStats[successes], total: variantStats[total] }
+      ));
+    });
+    PromptExperimentExposure.MEAN_METRICS.forEach(metric => {
+      comparison[metric] = describe(meanDifferenceTest(controlStats[metric], variantStats[metric]));
+    });
+    return comparison;
+  }
+
+  /**
+   * Stats of a variant without exposures
+   * @private
+   */
+  _emptyStats(variant) {
+    const stats = {
+      variant,
+      exposures: 0,
+      successes: 0,
+      parseAttempts: 0,
+      parseSuccesses: 0,
+      itineraries: 0,
+      modifiedItineraries: 0
+    };
+    PromptExperimentExposure.MEAN_METRICS.forEach(metric => {
+      stats[metric] = { mean: null, stdDev: 0, count: 0 };
+    });
+    return stats;
+  }
+}
+
+module.exports = PromptExperimentService;
@@ -0,0 +1,456 @@
+const { PromptTemplate } = require('../../../models/ai');
+const DEFAULT_PROMPT_TEMPLATES = require('../utils/defaultPromptTemplates');
+
+// Locale of the built-in templates, used when a template has no variant for the requested locale
+const DEFAULT_LOCALE = 'en';
+
+// How often active versions are reloaded, so edits made through another instance are picked up
+const REFRESH_INTERVAL_MS = parseInt(process.env.PROMPT_TEMPLATE_REFRESH_MS) || 60000;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Message and focus used when previewing templates that need them
+const PREVIEW_MESSAGE = 'We would like to travel with 2 adults next month';
+
+// Prompt builder call that renders each template for a preview
+const PREVIEW_BUILDERS = {
+  itinerary: (builder, trip) => builder.buildItineraryPrompt(trip),
+  optimization: (builder, trip, input) => builder.buildOptimizationPrompt(trip, input.focus),
+  validation: (builder, trip) => builder.buildValidationPrompt(trip, 'all'),
+  chat: (builder, trip, input) => builder.buildConversationPrompt(input.message || PREVIEW_MESSAGE, { tripId: trip._id }),
+  suggestions: (builder, trip) => builder.buildSuggestionPrompt(trip),
+  tripInfoExtraction: (builder, trip, input) => builder.buildTripInfoExtractionPrompt(input.message || PREVIEW_MESSAGE, trip)
+};
+
+/**
+ * PromptTemplateService - Registry of versioned, per-locale prompt templates.
+ * Versions are stored in PromptTemplate and never edited; admins add versions and choose the
+ * active one. Active versions are kept in memory so prompts are built synchronously; the
+ * built-in templates are used until the registry is loaded.
+ */
+class PromptTemplateService {
+  constructor() {
+    this.defaults = DEFAULT_PROMPT_TEMPLATES;
+    this.activeTemplates = {};
+    // Inactive versions kept loaded for prompt experiments
+    this.pinnedTemplates = {};
+    this.loadedAt = null;
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Seed the built-in templates and keep the active versions up to date
+   * @returns {Promise<void>}
+   */
+  async startSync() {
+    if (this.refreshTimer) {
+      return;
+    }
+    this.refreshTimer = setInterval(() => this._loadQuietly(), REFRESH_INTERVAL_MS);
+    this.refreshTimer.unref();
+
+    try {
+      await this.seedDefaults();
+    } catch (error) {
+      console.error('Failed to seed prompt templates:', error.message);
+    }
+    await this._loadQuietly();
+  }
+
+  stopSync() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Store the built-in templates as version 1 of templates that have no version yet
+   * @returns {Promise<void>}
+   */
+  async seedDefaults() {
+    for (const [key, template] of Object.entries(this.defaults)) {
+      const exists = await PromptTemplate.exists({ key, locale: DEFAULT_LOCALE });
+      if (exists) {
+        continue;
+      }
+      try {
+        await PromptTemplate.create({
+          key,
+          locale: DEFAULT_LOCALE,
+          version: 1,
+          sections: template.sections,
+          variables: this._findPlaceholders(template.sections),
+          description: template.description,
+          changeNote: 'Built-in template',
+          active: true
+        });
+      } catch (error) {
+        // Another instance seeded it first
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Reload the active versions from the database
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const templates = await PromptTemplate.find({ active: true }).lean();
+
+    const activeTemplates = {};
+    for (const template of templates) {
+      activeTemplates[`${template.key}:${template.locale}`] = this._toTemplate(template);
+    }
+    this.activeTemplates = activeTemplates;
+    this.loadedAt = new Date();
+  }
+
+  /**
+   * Load a version so prompts can be built from it while it is not active
+   * @param {string} key - Template key
+   * @param {string} locale - Locale
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} Pinned version
+   */
+  async pinVersion(key, locale, version) {
+    const template = await PromptTemplate.findOne({ key, locale: locale.toLowerCase(), version }).lean();
+    if (!template) {
+      throw new Error('PROMPT_TEMPLATE_VERSION_NOT_FOUND');
+    }
+    this.pinnedTemplates[`${key}:${template.locale}:${version}`] = this._toTemplate(template);
+    return this.pinnedTemplates[`${key}:${template.locale}:${version}`];
+  }
+
+  /**
+   * Active template for a locale, falling back to the language ('vi-vn' -> 'vi'), then to 'en'
+   * @param {string} key - Template key
+   * @param {string} locale - Requested locale (optional)
+   * @param {number} version - Pinned version to use instead of the active one (optional)
+   * @returns {Object} { key, locale, version, sections, variables }
+   */
+  getTemplate(key, locale = DEFAULT_LOCALE, version) {
+    const defaultTemplate = this.defaults[key];
+    if (!defaultTemplate) {
+      throw new Error(`Unknown prompt template: ${key}`);
+    }
+
+    const localeChain = this._localeChain(locale);
+    if (version) {
+      const pinned = localeChain
+        .map(candidate => this.pinnedTemplates[`${key}:${candidate}:${version}`])
+        .find(Boolean);
+      if (pinned) {
+        return pinned;
+      }
+    }
+
+    for (const candidate of localeChain) {
+      const template = this.activeTemplates[`${key}:${candidate}`];
+      if (template) {
+        return template;
+      }
+    }
+
+    // Not loaded yet: the built-in template is what version 1 holds
+    return {
+      key,
+      locale: DEFAULT_LOCALE,
+      version: 1,
+      sections: defaultTemplate.sections,
+      variables: this._findPlaceholders(defaultTemplate.sections)
+    };
+  }
+
+  /**
+   * Template version to record with an AI interaction
+   * @param {string} key - Template key
+   * @param {string} locale - Requested locale (optional)
+   * @param {number} version - Pinned version (optional)
+   * @returns {Object} { key, version, locale }
+   */
+  getTemplateRef(key, locale, version) {
+    const { version: templateVersion, locale: templateLocale } = this.getTemplate(key, locale, version);
+    return { key, version: templateVersion, locale: templateLocale };
+  }
+
+  /**
+   * Fill a section's {{variable}} placeholders; missing values render as empty text.
+   * Versions saved before a section was added to the built-in template use its built-in text.
+   * @param {Object} template - Template from getTemplate
+   * @param {string} section - Section name
+   * @param {Object} variables - Placeholder values
+   * @returns {string} Rendered text
+   */
+  render(template, section, variables = {}) {
+    const defaultTemplate = this.defaults[template.key];
+    const text = template.sections[section] || (defaultTemplate && defaultTemplate.sections[section]) || '';
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+      (variables[name] === undefined || variables[name] === null ? '' : String(variables[name])));
+  }
+
+  /**
+   * Every template with its allowed variables and the versions of each locale
+   * @returns {Promise<Array>} [{ key, description, sections, variables, locales: [{ locale, activeVersion, latestVersion, versions }] }]
+   */
+  async listTemplates() {
+    const versions = await PromptTemplate.find({}, { key: 1, locale: 1, version: 1, active: 1 }).lean();
+
+    return Object.entries(this.defaults).map(([key, template]) => {
+      const locales = {};
+      for (const version of versions.filter(entry => entry.key === key)) {
+        const locale = locales[version.locale] || { locale: version.locale, activeVersion: null, latestVersion: 0, versions: 0 };
+        locale.versions++;
+        locale.latestVersion = Math.max(locale.latestVersion, version.version);
+        if (version.active) {
+          locale.activeVersion = version.version;
+        }
+        locales[version.locale] = locale;
+      }
+
+      return {
+        key,
+        description: template.description,
+        sections: Object.keys(template.sections),
+        variables: template.variables,
+        locales: Object.values(locales)
+      };
+    });
+  }
+
+  /**
+   * Versions of a template, newest first
+   * @param {string} key - Template key
+   * @param {string} locale - Only this locale (optional)
+   * @returns {Promise<Array>} Versions
+   */
+  async getVersions(key, locale) {
+    this._getDefaultTemplate(key);
+    const filter = locale ? { key, locale: locale.toLowerCase() } : { key };
+    const versions = await PromptTemplate.find(filter).sort({ locale: 1, version: -1 }).lean();
+    return versions.map(version => this._toTemplate(version, true));
+  }
+
+  /**
+   * Add a version of a template for a locale
+   * @param {string} key - Template key
+   * @param {Object} data - { locale, sections (every section of the template), description, changeNote, activate }
+   * @param {string} userId - Admin creating the version
+   * @returns {Promise<Object>} Created version
+   */
+  async createVersion(key, { locale = DEFAULT_LOCALE, sections, description, changeNote, activate = true }, userId) {
+    const draft = this.buildDraft(key, { locale, sections });
+
+    let created = null;
+    for (let attempt = 0; !created; attempt++) {
+      const latest = await PromptTemplate.findOne({ key, locale: draft.locale }).sort({ version: -1 }).lean();
+      try {
+        created = await PromptTemplate.create({
+          key,
+          locale: draft.locale,
+          version: latest ? latest.version + 1 : 1,
+          sections: draft.sections,
+          variables: draft.variables,
+          description: description || this.defaults[key].description,
+          changeNote,
+          createdBy: userId
+        });
+      } catch (error) {
+        // Someone else took this version number
+        if (error.code !== 11000 || attempt >= 2) {
+          throw error;
+        }
+      }
+    }
+
+    if (activate) {
+      return await this.activateVersion(key, draft.locale, created.version);
+    }
+    return this._toTemplate(created.toObject(), true);
+  }
+
+  /**
+   * Make a version the one used for its locale (also used to roll back)
+   * @param {string} key - Template key
+   * @param {string} locale - Locale
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} Activated version
+   */
+  async activateVersion(key, locale, version) {
+    this._getDefaultTemplate(key);
+    const normalizedLocale = locale.toLowerCase();
+
+    const target = await PromptTemplate.findOne({ key, locale: normalizedLocale, version });
+    if (!target) {
+      throw new Error('PROMPT_TEMPLATE_VERSION_NOT_FOUND');
+    }
+
+    if (!target.active) {
+      await PromptTemplate.updateMany({ key, locale: normalizedLocale, active: true }, { active: false });
+      target.active = true;
+      await target.save();
+    }
+
+    await this._loadQuietly();
+    return this._toTemplate(target.toObject(), true);
+  }
+
+  /**
+   * Delete an inactive version
+   * @param {string} key - Template key
+   * @param {string} locale - Locale
+   * @param {number} version - Version number
+   * @returns {Promise<void>}
+   */
+  async deleteVersion(key, locale, version) {
+    this._getDefaultTemplate(key);
+
+    const target = await PromptTemplate.findOne({ key, locale: locale.toLowerCase(), version });
+    if (!target) {
+      throw new Error('PROMPT_TEMPLATE_VERSION_NOT_FOUND');
+    }
+    if (target.active) {
+      throw new Error('PROMPT_TEMPLATE_VERSION_ACTIVE');
+    }
+    await target.deleteOne();
+  }
+
+  /**
+   * Validate unsaved sections as a template: every section of the template, known variables only
+   * @param {string} key - Template key
+   * @param {Object} data - { locale, sections }
+   * @returns {Object} Template (version null)
+   */
+  buildDraft(key, { locale = DEFAULT_LOCALE, sections = {} }) {
+    const defaultTemplate = this._getDefaultTemplate(key);
+    const expectedSections = Object.keys(defaultTemplate.sections);
+
+    const missingSections = expectedSections.filter(name => typeof sections[name] !== 'string' || !sections[name].trim());
+    const unknownSections = Object.keys(sections).filter(name => !expectedSections.includes(name));
+    const variables = this._findPlaceholders(sections);
+    const unknownVariables = variables.filter(name => !defaultTemplate.variables.includes(name));
+
+    if (missingSections.length > 0 || unknownSections.length > 0 || unknownVariables.length > 0) {
+      const error = new Error('INVALID_PROMPT_TEMPLATE');
+      error.data = {
+        missingSections,
+        unknownSections,
+        unknownVariables,
+        allowedVariables: defaultTemplate.variables
+      };
+      throw error;
+    }
+
+    return { key, locale: locale.toLowerCase(), version: null, sections, variables };
+  }
+
+  /**
+   * Render a template against a trip, as the prompt builder would send it
+   * @param {string} key - Template key
+   * @param {Object} input - { tripId, locale, version (saved version) or sections (draft), message, focus }
+   * @returns {Promise<Object>} { template: { key, locale, version }, prompt }
+   */
+  async previewTemplate(key, { tripId, locale, version, sections, message, focus }) {
+    const { Trip } = require('../../../models/trips');
+    const PromptBuilder = require('../utils/promptBuilder');
+
+    let template;
+    if (sections) {
+      template = this.buildDraft(key, { locale, sections });
+    } else if (version) {
+      const saved = await PromptTemplate.findOne({ key, locale: (locale || DEFAULT_LOCALE).toLowerCase(), version }).lean();
+      if (!saved) {
+        throw new Error('PROMPT_TEMPLATE_VERSION_NOT_FOUND');
+      }
+      template = this._toTemplate(saved);
+    } else {
+      template = this.getTemplate(key, locale);
+    }
+
+    const trip = await Trip.findById(tripId);
+    if (!trip) {
+      throw new Error('TRIP_NOT_FOUND');
+    }
+
+    // Same builder, with the previewed template in place of the active one
+    const registry = Object.create(this);
+    registry.getTemplate = (templateKey, templateLocale, templateVersion) =>
+      (templateKey === key ? template : this.getTemplate(templateKey, templateLocale, templateVersion));
+    const builder = new PromptBuilder({ templateRegistry: registry });
+
+    return {
+      template: { key, locale: template.locale, version: template.version },
+      prompt: PREVIEW_BUILDERS[key](builder, trip, { message, focus })
+    };
+  }
+
+  /**
+   * @private
+   */
+  _getDefaultTemplate(key) {
+    const template = this.defaults[key];
+    if (!template) {
+      throw new Error('PROMPT_TEMPLATE_NOT_FOUND');
+    }
+    return template;
+  }
+
+  /**
+   * @private
+   */
+  _localeChain(locale) {
+    const normalized = String(locale || DEFAULT_LOCALE).toLowerCase();
+    return [...new Set([normalized, normalized.split('-')[0], DEFAULT_LOCALE])];
+  }
+
+  /**
+   * @private
+   */
+  _findPlaceholders(sections) {
+    const names = new Set();
+    for (const text of Object.values(sections)) {
+      for (const match of String(text).matchAll(PLACEHOLDER_PATTERN)) {
+        names.add(match[1]);
+      }
+    }
+    return [...names];
+  }
+
+  /**
+   * Plain template from a stored version (sections may be a Map or, from lean(), an object)
+   * @private
+   */
+  _toTemplate(doc, withDetails = false) {
+    const template = {
+      key: doc.key,
+      locale: doc.locale,
+      version: doc.version,
+      sections: doc.sections instanceof Map ? Object.fromEntries(doc.sections) : doc.sections,
+      variables: doc.variables || []
+    };
+    if (withDetails) {
+      Object.assign(template, {
+        active: doc.active,
+        description: doc.description,
+        changeNote: doc.changeNote,
+        createdBy: doc.createdBy,
+        createdAt: doc.createdAt
+      });
+    }
+    return template;
+  }
+
+  /**
+   * @private
+   */
+  async _loadQuietly() {
+    try {
+      await this.load();
+    } catch (error) {
+      console.error('Failed to load prompt templates:', error.message);
+    }
+  }
+}
+
+module.exports = PromptTemplateService;
@@ -1,7 +1,10 @@
 // Core Services
 const GeminiService = require('./core/gemini.service');
 const AIChatService = require('./core/aiChat.service');
+const AIConversationService = require('./core/aiConversation.service');
 const AIValidationService = require('./core/aiValidation.service');
+const PromptTemplateService = require('./core/promptTemplate.service');
+const PromptExperimentService = require('./core/promptExperiment.service');
 
 // Itinerary Services
 const AITripService = require('./itinerary/aiTrip.service');
@@ -10,6 +13,7 @@ const AIItineraryService = require('./itinerary/aiItinerary.service');
 const AIScheduleOptimizationService = require('./itinerary/aiScheduleOptimization.service');
 const AIConstraintValidationService = require('./itinerary/aiConstraintValidation.service');
 const AIItineraryAnalysisService = require('./itinerary/aiItineraryAnalysis.service');
+const ItineraryJobService = require('./itinerary/itineraryJob.service');
 
 // Long Trip Handler Microservices
 const LongTripHandlerService = require('./longtrip/longTripHandler.service');
@@ -31,7 +35,9 @@ const GeminiApiClient = require('./client/geminiApiClient');
 // Create instances of AI services
 const geminiApiClient = new GeminiApiClient();
 const responseParser = new ResponseParser();
-const promptBuilder = new PromptBuilder();
+// Admin-editable prompt templates, read by the prompt builder
+const promptTemplateService = new PromptTemplateService();
+const promptBuilder = new PromptBuilder({ templateRegistry: promptTemplateService });
 const activityTemplateService = new ActivityTemplateService();
 
 // Create instances of long trip handler services FIRST
@@ -53,13 +59,26 @@ const aiItineraryAnalysisService = new AIItineraryAnalysisService();
 const aiChatService = new AIChatService();
 const aiValidationService = new AIValidationService();
 
+// Prompt A/B experiments, scoring generated itineraries with the constraint validator
+const promptExperimentService = new PromptExperimentService({
+  templateRegistry: promptTemplateService,
+  constraintValidator: aiConstraintValidationService
+});
+
+// Chat history store, used by the chat service
+const aiConversationService = new AIConversationService({
+  tokenEstimator: tokenEstimationService
+});
+
 // Initialize AI services with dependencies
 const dependencies = {
   apiClient: geminiApiClient,
   responseParser: responseParser,
   promptBuilder: promptBuilder,
   templateService: activityTemplateService,
-  longTripHandler: longTripHandlerService
+  longTripHandler: longTripHandlerService,
+  conversationService: aiConversationService,
+  experimentService: promptExperimentService
 };
 
 // Initialize services that extend AIBaseService
@@ -71,6 +90,15 @@ const dependencies = {
   }
 });
 
+// Background itinerary generation jobs
+const itineraryJobService = new ItineraryJobService({
+  tripService: aiTripService,
+  chunkingService: tripChunkingService,
+  responseParser: responseParser,
+  promptBuilder: promptBuilder,
+  experimentService: promptExperimentService
+});
+
 // Create GeminiService with initialized services and dependencies
 const geminiService = new GeminiService({
   tripService: aiTripService,
@@ -83,7 +111,9 @@ const geminiService = new GeminiService({
   responseParser: responseParser,
   promptBuilder: promptBuilder,
   templateService: activityTemplateService,
-  longTripHandler: longTripHandlerService
+  longTripHandler: longTripHandlerService,
+  conversationService: aiConversationService,
+  experimentService: promptExperimentService
 });
 
 module.exports = {
@@ -96,12 +126,16 @@ module.exports = {
   aiConstraintValidationService,
   aiItineraryAnalysisService,
   aiChatService,
+  aiConversationService,
   aiValidationService,
+  itineraryJobService,
   
   // API Client and utilities
   geminiApiClient,
   responseParser,
   promptBuilder,
+  promptTemplateService,
+  promptExperimentService,
   activityTemplateService,
   
   // Long trip handler service instances
@@ -122,12 +156,16 @@ module.exports = {
   AIConstraintValidationService,
   AIItineraryAnalysisService,
   AIChatService,
+  AIConversationService,
   AIValidationService,
+  ItineraryJobService,
   
   // API Client and utility classes
   GeminiApiClient,
   ResponseParser,
   PromptBuilder,
+  PromptTemplateService,
+  PromptExperimentService,
   ActivityTemplateService,
   
   // Long trip handler service classes
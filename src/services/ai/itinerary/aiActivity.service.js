@@ -1,5 +1,6 @@
 const AIBaseService = require('../core/aiBase.service');
 const AISchemaService = require('../utils/aiSchema.service');
+const { getAIProvider } = require('../core/aiProvider.service');
 
 /**
  * AIActivityService - Handles activity-related AI operations
@@ -14,7 +15,7 @@ class AIActivityService extends AIBaseService {
   /**
    * Generate activity suggestions with structured output
    * @param {string} userId - User ID
-   * @param {Object} suggestionData - Suggestion parameters
+   * @param {Object} suggestionData - Suggestion parameters (locale of the suggestions, cache: false to skip the response cache)
    * @returns {Promise<Object>} Structured suggestions
    */
   async generateActivitySuggestions(userId, suggestionData) {
@@ -30,7 +31,7 @@ class AIActivityService extends AIBaseService {
           throw new Error('TRIP_NOT_FOUND');
         }
 
-        if (!trip.isOwnedBy(userId)) {
+        if (!trip.hasAccess(userId, 'viewer')) {
           throw new Error('TRIP_ACCESS_DENIED');
         }
       }
@@ -44,17 +45,19 @@ class AIActivityService extends AIBaseService {
       );
 
       // Build prompt for activity suggestions
-      const prompt = this._buildActivitySuggestionPrompt(suggestionData, trip);
+      const prompt = this.promptBuilder.buildSuggestionPrompt(trip, suggestionData);
 
-      // Call Gemini with structured output
-      const response = await this.apiClient.callGeminiWithStructuredOutput(
-        'flash',
-        prompt,
-        suggestionSchema
-      );
+      // Call the AI provider with structured output; identical requests are served from the cache
+      const response = await getAIProvider().callStructuredAPI('flash', prompt, suggestionSchema, {
+        endpoint: 'suggest-activities',
+        userId,
+        tripId: suggestionData.tripId,
+        cache: suggestionData.cache !== false,
+        promptTemplate: this.promptBuilder.getTemplateRef('suggestions', suggestionData.locale)
+      });
 
       // Process structured response
-      const structuredData = response.isStructured ? response.content :
+      const structuredData = typeof response.content !== 'string' ? response.content :
         this.responseParser.extractStructuredData(
           response.content,
           'json',
@@ -80,6 +83,7 @@ class AIActivityService extends AIBaseService {
       return {
         suggestions: structuredData,
         tokensUsed: response.tokensUsed,
+        cached: Boolean(response.cached),
         processingTime: response.processingTime || 0,
         rateLimitRemaining: response.rateLimitRemaining || 0
       };
@@ -134,74 +138,6 @@ class AIActivityService extends AIBaseService {
       throw error;
     }
   }
-
-  /**
-   * Build activity suggestion prompt
-   * @private
-   * @param {Object} suggestionData - Suggestion parameters
-   * @param {Object} trip - Trip object (optional)
-   * @returns {string} Generated prompt
-   */
-  _buildActivitySuggestionPrompt(suggestionData, trip = null) {
-    const {
-      destination,
-      date,
-      timePeriod,
-      interests = [],
-      budget,
-      travelers
-    } = suggestionData;
-
-    let prompt = `Gợi ý các hoạt động thú vị tại ${destination || (trip ? trip.destination.destination : 'địa điểm này')}`;
-
-    if (date) {
-      prompt += ` vào ngày ${date}`;
-    }
-
-    if (timePeriod) {
-      const timeMap = {
-        'morning': 'buổi sáng',
-        'afternoon': 'buổi chiều',
-        'evening': 'buổi tối',
-        'night': 'ban đêm'
-      };
-      prompt += ` ${timeMap[timePeriod] || timePeriod}`;
-    }
-
-    prompt += '.\n\n';
-
-    if (interests && interests.length > 0) {
-      prompt += `Sở thích: ${interests.join(', ')}\n`;
-    }
-
-    if (budget) {
-      prompt += `Ngân sách: ${budget.toLocaleString()} VND\n`;
-    }
-
-    if (travelers) {
-      prompt += `Số người: ${travelers.adults || 1} người lớn`;
-      if (travelers.children > 0) {
-        prompt += `, ${travelers.children} trẻ em`;
-      }
-      prompt += '\n';
-    }
-
-    prompt += `
-Vui lòng gợi ý 5-8 hoạt động phù hợp bằng tiếng Việt, bao gồm:
-- Tên hoạt động rõ ràng
-- Mô tả chi tiết và hấp dẫn
-- Phân loại hoạt động
-- Thời lượng dự kiến (phút)
-- Chi phí ước tính (VND)
-- Địa điểm cụ thể
-- Thời gian trong ngày phù hợp
-- Mức độ ưu tiên
-- Các tag liên quan
-
-Tập trung vào những trải nghiệm địa phương độc đáo và phù hợp với sở thích đã nêu.`;
-
-    return prompt;
-  }
 }
 
 module.exports = AIActivityService;
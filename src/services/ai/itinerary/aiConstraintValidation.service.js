@@ -1,5 +1,8 @@
 const { Trip } = require('../../../models/trips');
 const AIBaseService = require('../core/aiBase.service');
+const { t } = require('../../../utils/i18n');
+const { convertAmount, roundAmount, sumInCurrency, getTripCurrency, getActivityCurrency } = require('../../../utils/currency');
+const { exchangeRateService } = require('../../common');
 
 /**
  * AIConstraintValidationService - Handles trip constraint validation
@@ -14,11 +17,11 @@ class AIConstraintValidationService extends AIBaseService {
    * Validate trip constraints and feasibility
    * @param {string} userId - User ID
    * @param {string} tripId - Trip ID
-   * @param {Object} options - Validation options
+   * @param {Object} options - Validation options (locale of the issue messages and suggestions)
    * @returns {Promise<Object>} Validation results
    */
   async validateConstraints(userId, tripId, options = {}) {
-    const { checkType = 'all', strictMode = false } = options;
+    const { checkType = 'all', strictMode = false, locale } = options;
     const startTime = Date.now();
 
     try {
@@ -31,7 +34,7 @@ class AIConstraintValidationService extends AIBaseService {
       console.log('Validating trip constraints...');
 
       // Perform validation checks
-      const validationResults = await this._performConstraintValidation(trip, checkType, strictMode);
+      const validationResults = await this._performConstraintValidation(trip, checkType, strictMode, locale);
 
       const processingTime = Date.now() - startTime;
 
@@ -70,17 +73,30 @@ class AIConstraintValidationService extends AIBaseService {
     }
   }
 
+  /**
+   * Score a trip against every constraint check, without access checks or logging
+   * @param {Object} trip - Trip document
+   * @returns {Promise<number>} Score from 0 to 100
+   */
+  async scoreTrip(trip) {
+    const { score } = await this._performConstraintValidation(trip, 'all', false);
+    return score;
+  }
+
   // ============================================
   // PRIVATE HELPER METHODS
   // ============================================
 
   /**
    * Validate user access to trip
+   * @param {string} userId - User ID
+   * @param {string} tripId - Trip ID
+   * @param {string} requiredRole - Minimum member role (viewer, editor, owner)
    * @private
    */
-  async _validateAccess(userId, tripId) {
+  async _validateAccess(userId, tripId, requiredRole = 'viewer') {
     const trip = await Trip.findById(tripId);
-    if (!trip || !trip.isOwnedBy(userId)) {
+    if (!trip || !trip.hasAccess(userId, requiredRole)) {
       throw new Error('TRIP_ACCESS_DENIED');
     }
     return trip;
@@ -90,32 +106,32 @@ class AIConstraintValidationService extends AIBaseService {
    * Perform constraint validation
    * @private
    */
-  async _performConstraintValidation(trip, checkType, strictMode) {
+  async _performConstraintValidation(trip, checkType, strictMode, locale) {
     const issues = [];
     const suggestions = [];
     let score = 100;
 
     // Budget validation
     if (checkType === 'all' || checkType === 'budget') {
-      const budgetIssues = this._validateBudget(trip);
+      const budgetIssues = this._validateBudget(trip, locale);
       issues.push(...budgetIssues);
     }
 
     // Time validation
     if (checkType === 'all' || checkType === 'time') {
-      const timeIssues = this._validateTiming(trip);
+      const timeIssues = this._validateTiming(trip, locale);
       issues.push(...timeIssues);
     }
 
     // Logistics validation
     if (checkType === 'all' || checkType === 'logistics') {
-      const logisticsIssues = this._validateLogistics(trip);
+      const logisticsIssues = this._validateLogistics(trip, locale);
       issues.push(...logisticsIssues);
     }
 
     // Generate suggestions based on issues
     if (issues.length > 0) {
-      suggestions.push(...this._generateValidationSuggestions(issues, strictMode));
+      suggestions.push(...this._generateValidationSuggestions(issues, strictMode, locale));
     }
 
     // Calculate score
@@ -133,27 +149,48 @@ class AIConstraintValidationService extends AIBaseService {
    * Validate budget constraints
    * @private
    */
-  _validateBudget(trip) {
+  _validateBudget(trip, locale) {
     const issues = [];
     
     if (trip.budget && trip.budget.total) {
-      // Basic budget validation logic
-      const estimatedCost = this._estimateTripCost(trip);
+      // Basic budget validation logic (amounts in the trip currency)
+      const currency = getTripCurrency(trip);
+      const actualSpent = this._getActualSpent(trip);
+      if (actualSpent !== null && actualSpent > trip.budget.total) {
+        issues.push({
+          type: 'budget',
+          severity: 'high',
+          message: t(locale, 'validation.budgetSpentOver'),
+          actualSpent,
+          budgetLimit: trip.budget.total,
+          currency
+        });
+        return issues;
+      }
+
+      const estimatedCost = this._estimateTripCost(trip, actualSpent);
+      if (estimatedCost === null) {
+        return issues;
+      }
       if (estimatedCost > trip.budget.total * 1.2) {
         issues.push({
           type: 'budget',
           severity: 'high',
-          message: 'Trip cost may exceed budget by more than 20%',
+          message: t(locale, 'validation.budgetFarOver'),
           estimatedCost,
-          budgetLimit: trip.budget.total
+          ...(actualSpent !== null && { actualSpent }),
+          budgetLimit: trip.budget.total,
+          currency
         });
       } else if (estimatedCost > trip.budget.total) {
         issues.push({
           type: 'budget',
           severity: 'medium',
-          message: 'Trip cost may slightly exceed budget',
+          message: t(locale, 'validation.budgetOver'),
           estimatedCost,
-          budgetLimit: trip.budget.total
+          ...(actualSpent !== null && { actualSpent }),
+          budgetLimit: trip.budget.total,
+          currency
         });
       }
     }
@@ -165,7 +202,7 @@ class AIConstraintValidationService extends AIBaseService {
    * Validate timing constraints
    * @private
    */
-  _validateTiming(trip) {
+  _validateTiming(trip, locale) {
     const issues = [];
 
     if (trip.itinerary?.days) {
@@ -174,7 +211,7 @@ class AIConstraintValidationService extends AIBaseService {
           issues.push({
             type: 'time',
             severity: 'medium',
-            message: `Day ${index + 1} has too many activities (${day.activities.length})`,
+            message: t(locale, 'validation.tooManyActivities', { day: index + 1, count: day.activities.length }),
             dayIndex: index,
             activityCount: day.activities.length
           });
@@ -182,7 +219,7 @@ class AIConstraintValidationService extends AIBaseService {
           issues.push({
             type: 'time',
             severity: 'low',
-            message: `Day ${index + 1} has no activities planned`,
+            message: t(locale, 'validation.noActivities', { day: index + 1 }),
             dayIndex: index,
             activityCount: 0
           });
@@ -197,7 +234,7 @@ class AIConstraintValidationService extends AIBaseService {
    * Validate logistics constraints
    * @private
    */
-  _validateLogistics(trip) {
+  _validateLogistics(trip, locale) {
     const issues = [];
     
     // Basic logistics validation
@@ -210,7 +247,7 @@ class AIConstraintValidationService extends AIBaseService {
         issues.push({
           type: 'logistics',
           severity: 'medium',
-          message: 'High activity density may cause fatigue',
+          message: t(locale, 'validation.highDensity'),
           avgActivitiesPerDay: Math.round(avgActivitiesPerDay * 10) / 10
         });
       }
@@ -232,7 +269,7 @@ class AIConstraintValidationService extends AIBaseService {
         issues.push({
           type: 'logistics',
           severity: 'medium',
-          message: `${maxConsecutiveBusy} consecutive busy days may cause exhaustion`,
+          message: t(locale, 'validation.consecutiveBusyDays', { count: maxConsecutiveBusy }),
           consecutiveBusyDays: maxConsecutiveBusy
         });
       }
@@ -245,7 +282,7 @@ class AIConstraintValidationService extends AIBaseService {
    * Generate validation suggestions
    * @private
    */
-  _generateValidationSuggestions(issues, strictMode) {
+  _generateValidationSuggestions(issues, strictMode, locale) {
     const suggestions = [];
 
     // Group issues by type
@@ -259,7 +296,7 @@ class AIConstraintValidationService extends AIBaseService {
     if (issuesByType.budget) {
       suggestions.push({
         type: 'budget',
-        suggestion: 'Consider reducing accommodation costs or number of paid activities',
+        suggestion: t(locale, 'validation.suggestions.reduceCosts'),
         priority: 'high'
       });
     }
@@ -272,7 +309,7 @@ class AIConstraintValidationService extends AIBaseService {
       if (busyDays.length > 0) {
         suggestions.push({
           type: 'time',
-          suggestion: 'Redistribute activities from busy days to lighter days',
+          suggestion: t(locale, 'validation.suggestions.redistribute'),
           priority: 'medium'
         });
       }
@@ -280,7 +317,7 @@ class AIConstraintValidationService extends AIBaseService {
       if (emptyDays.length > 0) {
         suggestions.push({
           type: 'time',
-          suggestion: 'Add activities to empty days for better trip experience',
+          suggestion: t(locale, 'validation.suggestions.fillEmptyDays'),
           priority: 'low'
         });
       }
@@ -290,7 +327,7 @@ class AIConstraintValidationService extends AIBaseService {
     if (issuesByType.logistics) {
       suggestions.push({
         type: 'logistics',
-        suggestion: 'Add rest days between busy periods to prevent fatigue',
+        suggestion: t(locale, 'validation.suggestions.addRestDays'),
         priority: 'medium'
       });
     }
@@ -299,21 +336,62 @@ class AIConstraintValidationService extends AIBaseService {
   }
 
   /**
-   * Estimate trip cost
+   * Amount already spent on an in-progress trip, from its logged expenses
+   * @returns {number|null} Spending in the trip currency, or null if the trip is not in progress or has none
    * @private
    */
-  _estimateTripCost(trip) {
+  _getActualSpent(trip) {
+    if (trip.status !== 'in-progress' || !trip.expenses?.length) {
+      return null;
+    }
+    return sumInCurrency(trip.expenses, getTripCurrency(trip), exchangeRateService.getRates()).total;
+  }
+
+  /**
+   * Estimate trip cost in the trip currency: a daily base cost plus the planned activity
+   * costs (converted from their own currency), or a flat estimate for activities without a cost.
+   * With actual spending, only the days from today on are estimated and added to it.
+   * @param {Object} trip - Trip document
+   * @param {number|null} actualSpent - Amount already spent (see _getActualSpent)
+   * @returns {number|null} Estimated cost, or null if the trip currency has no exchange rate
+   * @private
+   */
+  _estimateTripCost(trip, actualSpent = null) {
+    const rates = exchangeRateService.getRates();
+    const currency = getTripCurrency(trip);
+
     // Basic cost estimation logic
-    const baseCostPerDay = 1000000; // 1M VND per day
+    const baseCostPerDay = convertAmount(1000000, 'VND', currency, rates); // 1M VND per day
+    const activityEstimate = convertAmount(200000, 'VND', currency, rates); // 200K VND per activity
+    if (baseCostPerDay === null) {
+      return null;
+    }
+
+    let days = trip.itinerary?.days || [];
     let estimatedCost = trip.duration * baseCostPerDay;
 
-    // Adjust based on activities
-    if (trip.itinerary?.days) {
-      const totalActivities = trip.itinerary.days.reduce((total, day) => total + (day.activities?.length || 0), 0);
-      estimatedCost += totalActivities * 200000; // 200K VND per activity
+    if (actualSpent !== null) {
+      const today = new Date();
+      today.setUTCHours(0, 0, 0, 0);
+      const remainingDays = Math.max(0, Math.ceil((trip.destination.endDate - today) / (1000 * 3600 * 24)));
+      days = days.filter(day => day.date >= today);
+      estimatedCost = actualSpent + Math.min(remainingDays, trip.duration) * baseCostPerDay;
     }
 
-    return estimatedCost;
+    // Adjust based on activities
+    const plannedCosts = [];
+    days.forEach(day => {
+      (day.activities || []).forEach(activity => {
+        if (typeof activity.cost === 'number') {
+          plannedCosts.push({ amount: activity.cost, currency: getActivityCurrency(activity, currency) });
+        } else {
+          estimatedCost += activityEstimate;
+        }
+      });
+    });
+    estimatedCost += sumInCurrency(plannedCosts, currency, rates).total;
+
+    return roundAmount(estimatedCost, currency);
   }
 
   /**
@@ -110,11 +110,14 @@ class AIItineraryAnalysisService extends AIBaseService {
 
   /**
    * Validate user access to trip
+   * @param {string} userId - User ID
+   * @param {string} tripId - Trip ID
+   * @param {string} requiredRole - Minimum member role (viewer, editor, owner)
    * @private
    */
-  async _validateAccess(userId, tripId) {
+  async _validateAccess(userId, tripId, requiredRole = 'viewer') {
     const trip = await Trip.findById(tripId);
-    if (!trip || !trip.isOwnedBy(userId)) {
+    if (!trip || !trip.hasAccess(userId, requiredRole)) {
       throw new Error('TRIP_ACCESS_DENIED');
     }
     return trip;
@@ -1,6 +1,7 @@
-const { RateLimitTracker } = require('../../../models/ai');
 const { Trip } = require('../../../models/trips');
 const AIBaseService = require('../core/aiBase.service');
+const { getAIProvider } = require('../core/aiProvider.service');
+const { t } = require('../../../utils/i18n');
 
 /**
  * AIScheduleOptimizationService - Handles trip schedule optimization
@@ -15,16 +16,17 @@ class AIScheduleOptimizationService extends AIBaseService {
    * Optimize existing trip schedule using AI
    * @param {string} userId - User ID
    * @param {string} tripId - Trip ID
-   * @param {Object} options - Optimization options
+   * @param {Object} options - Optimization options (focus, constraints, locale of the text,
+   *   cache: false to skip the response cache)
    * @returns {Promise<Object>} Optimized schedule
    */
   async optimizeSchedule(userId, tripId, options = {}) {
-    const { focus = 'time', constraints = [] } = options;
+    const { focus = 'time', constraints = [], locale, cache = true } = options;
     const startTime = Date.now();
 
     try {
-      // Validate inputs
-      await this._validateOptimizationRequest(userId, tripId);
+      // Validate trip access
+      await this._validateAccess(userId, tripId);
 
       // Get trip data
       const trip = await Trip.findById(tripId);
@@ -37,13 +39,17 @@ class AIScheduleOptimizationService extends AIBaseService {
       console.log('Optimizing schedule...');
 
       // Prepare optimization request
-      const optimizationData = await this._prepareOptimizationData(trip, focus, constraints);
+      const optimizationData = await this._prepareOptimizationData(trip, focus, constraints, locale);
       
-      // Call AI for optimization
-      const optimizedSchedule = await this._generateOptimizedSchedule(optimizationData);
+      // Call AI for optimization (rate limited only when the response is not cached)
+      const optimizedSchedule = await this._generateOptimizedSchedule(optimizationData, {
+        userId,
+        tripId,
+        cache
+      });
 
       // Validate optimization results
-      const validationResult = await this._validateOptimization(trip, optimizedSchedule);
+      const validationResult = await this._validateOptimization(trip, optimizedSchedule, locale);
 
       const processingTime = Date.now() - startTime;
 
@@ -62,6 +68,7 @@ class AIScheduleOptimizationService extends AIBaseService {
         optimizedSchedule: validationResult.schedule,
         improvements: validationResult.improvements,
         tokensUsed: optimizedSchedule.tokensUsed || 0,
+        cached: optimizedSchedule.cached,
         processingTime,
         validationPassed: validationResult.isValid
       };
@@ -87,28 +94,16 @@ class AIScheduleOptimizationService extends AIBaseService {
   // PRIVATE HELPER METHODS
   // ============================================
 
-  /**
-   * Validate optimization request
-   * @private
-   */
-  async _validateOptimizationRequest(userId, tripId) {
-    // Check rate limits
-    const rateLimitCheck = await RateLimitTracker.checkRateLimit(userId, 'pro');
-    if (!rateLimitCheck.allowed) {
-      throw new Error('RATE_LIMIT_EXCEEDED');
-    }
-
-    // Validate trip access
-    await this._validateAccess(userId, tripId);
-  }
-
   /**
    * Validate user access to trip
+   * @param {string} userId - User ID
+   * @param {string} tripId - Trip ID
+   * @param {string} requiredRole - Minimum member role (viewer, editor, owner)
    * @private
    */
-  async _validateAccess(userId, tripId) {
+  async _validateAccess(userId, tripId, requiredRole = 'editor') {
     const trip = await Trip.findById(tripId);
-    if (!trip || !trip.isOwnedBy(userId)) {
+    if (!trip || !trip.hasAccess(userId, requiredRole)) {
       throw new Error('TRIP_ACCESS_DENIED');
     }
     return trip;
@@ -118,13 +113,15 @@ class AIScheduleOptimizationService extends AIBaseService {
    * Prepare optimization data for AI processing
    * @private
    */
-  async _prepareOptimizationData(trip, focus, constraints) {
+  async _prepareOptimizationData(trip, focus, constraints, locale) {
     return {
+      trip,
       currentSchedule: trip.itinerary.days,
       focus,
       constraints,
+      locale,
       tripMeta: {
-        destination: trip.destination.city,
+        destination: trip.destination.destination,
         duration: trip.duration,
         budget: trip.budget,
         preferences: trip.preferences
@@ -136,41 +133,27 @@ class AIScheduleOptimizationService extends AIBaseService {
    * Generate optimized schedule using AI
    * @private
    */
-  async _generateOptimizedSchedule(optimizationData) {
+  async _generateOptimizedSchedule(optimizationData, { userId, tripId, cache }) {
+    const { trip, focus, constraints, locale } = optimizationData;
+
     // Build optimization prompt
-    const prompt = this._buildOptimizationPrompt(optimizationData);
+    const prompt = this.promptBuilder.buildOptimizationPrompt(trip, focus, locale, { constraints });
 
     // Call AI API
-    const response = await this._callGeminiAPI('pro', prompt);
+    const response = await getAIProvider().callAPI('pro', prompt, {
+      task: 'itinerary',
+      endpoint: 'optimize-schedule',
+      rateLimit: 'pro',
+      userId,
+      tripId,
+      cache,
+      promptTemplate: this.promptBuilder.getTemplateRef('optimization', locale)
+    });
 
     // Parse response
     return this._parseOptimizationResponse(response);
   }
 
-  /**
-   * Build optimization prompt
-   * @private
-   */
-  _buildOptimizationPrompt(data) {
-    return `
-Optimize this travel itinerary focusing on ${data.focus}:
-
-Current Schedule:
-${JSON.stringify(data.currentSchedule, null, 2)}
-
-Constraints:
-${data.constraints.join(', ')}
-
-Trip Details:
-- Destination: ${data.tripMeta.destination}
-- Duration: ${data.tripMeta.duration} days
-- Budget: ${data.tripMeta.budget} VND
-
-Provide an optimized schedule that improves ${data.focus} while respecting the constraints.
-Return response as valid JSON with the same structure as the current schedule.
-`;
-  }
-
   /**
    * Parse optimization response
    * @private
@@ -182,7 +165,8 @@ Return response as valid JSON with the same structure as the current schedule.
 
       return {
         schedule: optimizedSchedule,
-        tokensUsed: response.tokensUsed
+        tokensUsed: response.tokensUsed,
+        cached: Boolean(response.cached)
       };
     } catch (error) {
       throw new Error(`Failed to parse optimization response: ${error.message}`);
@@ -193,7 +177,7 @@ Return response as valid JSON with the same structure as the current schedule.
    * Validate optimization results
    * @private
    */
-  async _validateOptimization(originalTrip, optimizedSchedule) {
+  async _validateOptimization(originalTrip, optimizedSchedule, locale) {
     // Basic validation
     if (!optimizedSchedule.schedule || !Array.isArray(optimizedSchedule.schedule)) {
       throw new Error('Invalid optimization result structure');
@@ -208,7 +192,7 @@ Return response as valid JSON with the same structure as the current schedule.
     }
 
     // Calculate improvements
-    const improvements = this._calculateImprovements(originalTrip, optimizedSchedule.schedule);
+    const improvements = this._calculateImprovements(originalTrip, optimizedSchedule.schedule, locale);
 
     return {
       isValid: true,
@@ -221,12 +205,12 @@ Return response as valid JSON with the same structure as the current schedule.
    * Calculate improvements from optimization
    * @private
    */
-  _calculateImprovements(originalTrip, optimizedSchedule) {
+  _calculateImprovements(originalTrip, optimizedSchedule, locale) {
     // Simple improvement metrics
     return {
-      timeEfficiency: 'Improved by reducing travel time between activities',
-      budgetOptimization: 'Optimized activity costs and timing',
-      logisticsImprovement: 'Better activity sequencing and routing'
+      timeEfficiency: t(locale, 'optimization.improvements.timeEfficiency'),
+      budgetOptimization: t(locale, 'optimization.improvements.budgetOptimization'),
+      logisticsImprovement: t(locale, 'optimization.improvements.logisticsImprovement')
     };
   }
 
@@ -1,5 +1,9 @@
 const AIBaseService = require('../core/aiBase.service');
 const AISchemaService = require('../utils/aiSchema.service');
+const TripChunkingService = require('../longtrip/tripChunking.service');
+const { getAIProvider } = require('../core/aiProvider.service');
+const { t, DEFAULT_LOCALE } = require('../../../utils/i18n');
+const { getTripCurrency, assignActivityCurrency } = require('../../../utils/currency');
 
 /**
  * AITripService - Handles trip-specific AI operations
@@ -9,10 +13,12 @@ class AITripService extends AIBaseService {
   constructor() {
     super();
     this.schemaService = new AISchemaService();
+    this.chunkingService = new TripChunkingService();
   }
 
   /**
    * Generate trip itinerary using multi-step approach
+   * @param {Object} options - Generation options; options.locale is the language of the content
    */
   async generateItinerary(userId, tripId, options = {}) {
     try {
@@ -23,7 +29,7 @@ class AITripService extends AIBaseService {
         throw new Error('TRIP_NOT_FOUND');
       }
 
-      if (!trip.isOwnedBy(userId)) {
+      if (!trip.hasAccess(userId, 'editor')) {
         throw new Error('TRIP_ACCESS_DENIED');
       }
 
@@ -35,7 +41,7 @@ class AITripService extends AIBaseService {
           processingTime: 0,
           rateLimitRemaining: 0,
           status: 'exists',
-          message: 'Itinerary already exists for this trip'
+          message: t(options.locale, 'itinerary.alreadyExists')
         };
       }
 
@@ -44,23 +50,8 @@ class AITripService extends AIBaseService {
 
       // Save itinerary to database
       if (result.itinerary && result.itinerary.length > 0) {
-        const tipsToSave = result.tips && Array.isArray(result.tips) ? result.tips : [
-          { category: 'general', title: 'Đặt phòng trước', content: 'Đặt phòng khách sạn và hoạt động trước để có giá tốt nhất và đảm bảo chỗ.' },
-          { category: 'weather', title: 'Chuẩn bị trang phục', content: 'Mang theo kem chống nắng, mũ nón và nước uống để bảo vệ sức khỏe.' },
-          { category: 'culture', title: 'Học tiếng Việt cơ bản', content: 'Học một vài từ tiếng Việt cơ bản để giao tiếp với người dân địa phương.' },
-          { category: 'food', title: 'Thử món ăn đường phố', content: 'Thử các món ăn đường phố đặc trưng của vùng miền để trải nghiệm văn hóa ẩm thực.' },
-          { category: 'transportation', title: 'Sử dụng Grab', content: 'Sử dụng ứng dụng Grab hoặc taxi để di chuyển an toàn và tiện lợi.' }
-        ];
-
-        trip.itinerary = {
-          destination: trip.destination.destination,
-          overview: `Lịch trình ${trip.duration} ngày tại ${trip.destination.destination} được tạo bởi AI`,
-          days: result.itinerary,
-          totalCost: trip.budget?.total || 0,
-          tips: tipsToSave
-        };
-        trip.status = 'completed';
-        await trip.save();
+        await this.saveGeneratedItinerary(trip, userId, { ...result, locale: options.locale });
+        await this.experimentService.recordItinerary(result.experiment, trip, result.experimentOutcome);
       }
 
       return {
@@ -68,19 +59,34 @@ class AITripService extends AIBaseService {
         tokensUsed: result.tokensUsed,
         processingTime: result.processingTime,
         rateLimitRemaining: result.rateLimitRemaining,
+        // Overlapping or past-midnight activities are saved as generated but reported for review
+        timeConflicts: this.responseParser.findItineraryTimeConflicts(trip.itinerary.days),
         status: 'success',
         saved: true
       };
 
     } catch (error) {
+      // The trip was edited while the itinerary was being generated
+      if (error.name === 'VersionError') {
+        const tripVersionService = require('../../trips/tripVersion.service');
+        throw await tripVersionService.revisionConflict(tripId);
+      }
       throw error;
     }
   }
 
   /**
-   * Generate structured itinerary using multi-step approach
+   * Generate a trip itinerary, streaming each day as soon as the AI has written it.
+   * Long trips are generated chunk by chunk; the itinerary is saved once all days are complete.
+   * @param {string} userId - User ID (needs editor access)
+   * @param {string} tripId - Trip ID
+   * @param {Object} options - Generation options (focus, pace, nightlife, ...) and the abort signal
+   * @param {Function} onEvent - Called with (event, data): 'start' ({ totalDays, chunks }) then 'day' per day
+   * @returns {Promise<Object>} Saved itinerary, tokens used and time conflicts
    */
-  async generateStructuredItinerary(userId, tripId, options = {}) {
+  async streamItinerary(userId, tripId, options = {}, onEvent) {
+    const { signal, ...promptOptions } = options;
+
     try {
       const { Trip } = require('../../../models/trips');
       const trip = await Trip.findById(tripId);
@@ -89,33 +95,167 @@ class AITripService extends AIBaseService {
         throw new Error('TRIP_NOT_FOUND');
       }
 
-      if (!trip.isOwnedBy(userId)) {
+      if (!trip.hasAccess(userId, 'editor')) {
         throw new Error('TRIP_ACCESS_DENIED');
       }
 
-      // Calculate actual dates for the trip
-      const startDate = new Date(trip.destination.startDate);
-      const actualDates = [];
-      for (let i = 0; i < trip.duration; i++) {
-        const date = new Date(startDate);
-        date.setDate(startDate.getDate() + i);
-        actualDates.push(date.toISOString().split('T')[0]);
+      if (trip.itinerary && trip.itinerary.days && trip.itinerary.days.length > 0) {
+        throw new Error('TRIP_ALREADY_HAS_ITINERARY');
+      }
+
+      const aiProvider = getAIProvider();
+      if (!aiProvider.isProviderConfigured('itinerary')) {
+        throw new Error('AI_SERVICE_UNAVAILABLE');
+      }
+
+      const dates = this.getTripDates(trip);
+      const { chunks } = this.chunkingService.analyzeTrip(trip);
+      onEvent('start', {
+        totalDays: dates.length,
+        chunks: chunks.map(chunk => ({ startDay: chunk.startDay, endDay: chunk.endDay }))
+      });
+
+      // Users in a prompt experiment get their variant's template version and model
+      const experiment = await this.experimentService.assign('generate-itinerary', userId);
+      const templateVersion = experiment ? experiment.templateVersion : undefined;
+      const model = (experiment && experiment.model) || 'flash';
+      const promptTemplate = this.promptBuilder.getTemplateRef('itinerary', promptOptions.locale, templateVersion);
+      const generationStart = Date.now();
+
+      const days = [];
+      let tokensUsed = 0;
+
+      try {
+        for (const chunk of chunks) {
+          const chunkDates = dates.slice(chunk.startDay - 1, chunk.endDay);
+          const prompt = this.promptBuilder.buildItineraryPrompt(
+            { ...trip.toObject(), duration: chunkDates.length },
+            { ...promptOptions, dates: chunkDates, templateVersion }
+          );
+
+          const parser = this.responseParser.createItineraryStreamParser(trip, (day, index) => {
+            // Extra days beyond the requested dates are dropped
+            if (index >= chunkDates.length) {
+              return;
+            }
+            // Trust the requested date over whatever the AI wrote
+            day.date = new Date(chunkDates[index]);
+            days.push(day);
+            onEvent('day', {
+              dayIndex: days.length - 1,
+              date: chunkDates[index],
+              day,
+              timeConflicts: this.responseParser.findItineraryTimeConflicts([day])
+            });
+          });
+
+          const response = await aiProvider.streamAPI(model, prompt, {
+            signal,
+            task: 'itinerary',
+            endpoint: 'generate-itinerary',
+            userId,
+            tripId,
+            promptTemplate,
+            pinModel: Boolean(experiment && experiment.model)
+          }, delta => parser.push(delta));
+          tokensUsed += response.tokensUsed || 0;
+
+          if (parser.finish() === 0) {
+            throw new Error('AI_PROCESSING_ERROR');
+          }
+        }
+      } catch (error) {
+        // Abandoned generations say nothing about the variant
+        if (!(signal && signal.aborted)) {
+          this.experimentService.record(experiment, {
+            userId,
+            tripId,
+            promptTemplate,
+            model,
+            success: false,
+            latencyMs: Date.now() - generationStart,
+            tokensUsed,
+            parseSuccess: error.message === 'AI_PROCESSING_ERROR' ? false : undefined
+          });
+        }
+        throw error;
+      }
+      const experimentOutcome = { userId, promptTemplate, model, latencyMs: Date.now() - generationStart, tokensUsed };
+
+      let tips;
+      try {
+        const generatedTips = await this.generateTipsForTrip(trip, userId, { locale: promptOptions.locale, experiment });
+        tips = generatedTips.tips.length > 0 ? generatedTips.tips : undefined;
+        tokensUsed += generatedTips.tokensUsed;
+      } catch (error) {
+        // Default tips are saved instead
+        console.warn('Tip generation failed during streamed itinerary:', error.message);
       }
 
-      // Use multi-step service
-      const MultiStepItineraryService = require('./multiStepItinerary.service');
-      const multiStepService = new MultiStepItineraryService(this.apiClient, this.schemaService);
+      await this.saveGeneratedItinerary(trip, userId, { itinerary: days, tips, locale: promptOptions.locale });
+      await this.experimentService.recordItinerary(experiment, trip, experimentOutcome);
 
-      const tripData = {
-        destination: trip.destination,
-        duration: trip.duration,
-        dates: actualDates,
-        budget: trip.budget,
-        travelers: trip.travelers
+      return {
+        itinerary: trip.itinerary.days,
+        tokensUsed,
+        timeConflicts: this.responseParser.findItineraryTimeConflicts(trip.itinerary.days),
+        status: 'success',
+        saved: true
       };
 
+    } catch (error) {
+      // The trip was edited while the itinerary was being generated
+      if (error.name === 'VersionError') {
+        const tripVersionService = require('../../trips/tripVersion.service');
+        throw await tripVersionService.revisionConflict(tripId);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Generate structured itinerary using multi-step approach.
+   * Users in a prompt experiment get their variant's template version and model; a failed
+   * generation is recorded here, a successful one by the caller once the itinerary is saved
+   * (experimentService.recordItinerary with the returned experiment and experimentOutcome).
+   * @param {Object} options - Generation options; options.locale is the language of the content
+   * @returns {Promise<Object>} Generated days, tips, tokens used, experiment and experimentOutcome
+   */
+  async generateStructuredItinerary(userId, tripId, options = {}) {
+    try {
+      const { Trip } = require('../../../models/trips');
+      const trip = await Trip.findById(tripId);
+
+      if (!trip) {
+        throw new Error('TRIP_NOT_FOUND');
+      }
+
+      if (!trip.hasAccess(userId, 'editor')) {
+        throw new Error('TRIP_ACCESS_DENIED');
+      }
+
+      const experiment = await this.experimentService.assign('generate-itinerary', userId);
+      const multiStepService = this._createMultiStepService();
+      const tripData = this._buildTripData(trip, this.getTripDates(trip), userId, options.locale, experiment);
+      const promptTemplate = this.promptBuilder.getTemplateRef('itinerary', tripData.locale, tripData.templateVersion);
+      const model = tripData.model || 'flash';
+      const generationStart = Date.now();
+
       // Generate using multi-step approach
-      const result = await multiStepService.generateDetailedItinerary(tripData, options);
+      let result;
+      try {
+        result = await multiStepService.generateDetailedItinerary(tripData, options);
+      } catch (error) {
+        this.experimentService.record(experiment, {
+          userId,
+          tripId,
+          promptTemplate,
+          model,
+          success: false,
+          latencyMs: Date.now() - generationStart
+        });
+        throw error;
+      }
 
       return {
         itinerary: result.days || [],
@@ -123,13 +263,191 @@ class AITripService extends AIBaseService {
         processingTime: 0,
         rateLimitRemaining: 0,
         tips: result.tips || [],
-        approach: result.approach
+        approach: result.approach,
+        experiment,
+        experimentOutcome: { userId, promptTemplate, model, latencyMs: Date.now() - generationStart, tokensUsed: result.tokensUsed }
       };
 
     } catch (error) {
       throw error;
     }
   }
+
+  /**
+   * Generate detailed days for part of a trip (no tips), used for chunked generation
+   * @param {Object} trip - Trip document
+   * @param {Array<string>} dates - Dates (YYYY-MM-DD) to generate
+   * @param {string} userId - User the generation is charged to
+   * @param {Object} options - { locale of the content, experiment assignment (optional) }
+   * @returns {Promise<Object>} Generated days and tokens used
+   */
+  async generateDaysForDates(trip, dates, userId, options = {}) {
+    return await this._createMultiStepService().generateDays(this._buildTripData(trip, dates, userId, options.locale, options.experiment));
+  }
+
+  /**
+   * Generate travel tips for a trip
+   * @param {Object} trip - Trip document
+   * @param {string} userId - User the generation is charged to
+   * @param {Object} options - { locale of the tips, experiment assignment (optional) }
+   * @returns {Promise<Object>} Tips and tokens used
+   */
+  async generateTipsForTrip(trip, userId, options = {}) {
+    const tips = await this._createMultiStepService().generateTips(this._buildTripData(trip, this.getTripDates(trip), userId, options.locale, options.experiment));
+    return {
+      tips: Array.isArray(tips.content) ? tips.content : [],
+      tokensUsed: tips.tokensUsed || 0
+    };
+  }
+
+  /**
+   * Save a generated itinerary to the trip and record it in the version history
+   * @param {Object} trip - Trip document
+   * @param {string} userId - User who requested the generation
+   * @param {Object} result - Generated itinerary ({ itinerary: days, tips, locale of the content })
+   * @returns {Promise<Object>} Saved trip
+   */
+  async saveGeneratedItinerary(trip, userId, result) {
+    const tripVersionService = require('../../trips/tripVersion.service');
+    await tripVersionService.ensureBaseline(trip);
+
+    const locale = result.locale || DEFAULT_LOCALE;
+    const tipsToSave = result.tips && Array.isArray(result.tips) ? result.tips : t(locale, 'itinerary.defaultTips');
+
+    trip.itinerary = {
+      destination: trip.destination.destination,
+      overview: t(locale, 'itinerary.overview', { duration: trip.duration, destination: trip.destination.destination }),
+      // Generated costs are in the trip currency (the prompts ask for it)
+      days: assignActivityCurrency(result.itinerary, getTripCurrency(trip)),
+      totalCost: trip.budget?.total || 0
+    };
+    trip.setTips(tipsToSave, locale);
+    trip.status = 'completed';
+    await trip.save();
+
+    await tripVersionService.recordVersion(trip, {
+      authorId: userId,
+      source: 'ai-generate',
+      summary: 'Itinerary generated by AI'
+    });
+
+    return trip;
+  }
+
+  /**
+   * Itinerary tips in a language. Tips missing in that language are generated (default tips
+   * without an AI provider) and stored next to the existing ones.
+   * @param {string} userId - User ID (needs viewer access)
+   * @param {string} tripId - Trip ID
+   * @param {string} locale - Locale of the tips
+   * @returns {Promise<Object>} { locale, tips, generated, tokensUsed }
+   */
+  async getTripTips(userId, tripId, locale) {
+    try {
+      const { Trip } = require('../../../models/trips');
+      const trip = await Trip.findById(tripId);
+
+      if (!trip) {
+        throw new Error('TRIP_NOT_FOUND');
+      }
+
+      if (!trip.hasAccess(userId, 'viewer')) {
+        throw new Error('TRIP_ACCESS_DENIED');
+      }
+
+      if (!trip.itinerary || !trip.itinerary.days || trip.itinerary.days.length === 0) {
+        throw new Error('NO_ITINERARY_FOR_TIPS');
+      }
+
+      const storedTips = trip.getTips(locale);
+      if (storedTips) {
+        return { locale, tips: storedTips, generated: false, tokensUsed: 0 };
+      }
+
+      let tips = [];
+      let tokensUsed = 0;
+      if (getAIProvider().isProviderConfigured('itinerary')) {
+        try {
+          const generated = await this.generateTipsForTrip(trip, userId, { locale });
+          tips = this._filterValidTips(generated.tips);
+          tokensUsed = generated.tokensUsed;
+        } catch (error) {
+          console.warn(`Tip generation failed for trip ${tripId} (${locale}), using default tips:`, error.message);
+        }
+      }
+      if (tips.length === 0) {
+        tips = t(locale, 'itinerary.defaultTips');
+      }
+
+      // Stored without a revision bump: translated tips are not an edit of the trip
+      await Trip.updateOne(
+        { _id: trip._id },
+        { $set: { [`itinerary.localizedTips.${locale}`]: tips } }
+      );
+
+      return { locale, tips, generated: true, tokensUsed };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_TRIP_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Calculate the actual dates (YYYY-MM-DD) of every trip day
+   * @param {Object} trip - Trip document
+   * @returns {Array<string>} Trip dates
+   */
+  getTripDates(trip) {
+    const startDate = new Date(trip.destination.startDate);
+    const actualDates = [];
+    for (let i = 0; i < trip.duration; i++) {
+      const date = new Date(startDate);
+      date.setDate(startDate.getDate() + i);
+      actualDates.push(date.toISOString().split('T')[0]);
+    }
+    return actualDates;
+  }
+
+  /**
+   * Trip data passed to the multi-step generator, with the template version and model
+   * of the user's prompt experiment variant (if any)
+   * @private
+   */
+  _buildTripData(trip, dates, userId, locale, experiment = null) {
+    return {
+      tripId: trip._id,
+      userId,
+      locale: locale || DEFAULT_LOCALE,
+      destination: trip.destination,
+      duration: dates.length,
+      dates,
+      budget: trip.budget,
+      travelers: trip.travelers,
+      templateVersion: experiment ? experiment.templateVersion : undefined,
+      model: experiment ? experiment.model : undefined
+    };
+  }
+
+  /**
+   * Generated tips that pass the trip tip schema
+   * @private
+   */
+  _filterValidTips(tips) {
+    const { Trip } = require('../../../models/trips');
+    return tips.filter(tip => !new Trip({ itinerary: { tips: [tip] } }).validateSync(['itinerary.tips']));
+  }
+
+  /**
+   * Create the multi-step generator. It calls the configured provider (not the legacy client)
+   * so each step is routed, charged and logged with its itinerary template version.
+   * @private
+   */
+  _createMultiStepService() {
+    const MultiStepItineraryService = require('./multiStepItinerary.service');
+    return new MultiStepItineraryService(null, this.schemaService, { promptBuilder: this.promptBuilder });
+  }
 }
 
 module.exports = AITripService;
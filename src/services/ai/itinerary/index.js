@@ -4,5 +4,6 @@ module.exports = {
   AIItineraryService: require('./aiItinerary.service'),
   AIScheduleOptimizationService: require('./aiScheduleOptimization.service'),
   AIConstraintValidationService: require('./aiConstraintValidation.service'),
-  AIItineraryAnalysisService: require('./aiItineraryAnalysis.service')
+  AIItineraryAnalysisService: require('./aiItineraryAnalysis.service'),
+  ItineraryJobService: require('./itineraryJob.service')
 };
@@ -0,0 +1,458 @@
+const crypto = require('crypto');
+const os = require('os');
+const { ItineraryJob } = require('../../../models/ai');
+const { Trip } = require('../../../models/trips');
+
+// A chunk is retried this many times before the job fails
+const MAX_CHUNK_ATTEMPTS = 2;
+
+// Lease held by the process running a job; renewed while it runs
+const LEASE_MS = 2 * 60 * 1000;
+
+// How often to look for queued jobs and jobs whose worker died
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * ItineraryJobService - Runs itinerary generation in the background
+ * Splits the trip into chunks of days, checkpoints each chunk on the job document
+ * and resumes from the last completed chunk after a process restart.
+ */
+class ItineraryJobService {
+  constructor(dependencies = {}) {
+    this.tripService = dependencies.tripService;
+    this.chunkingService = dependencies.chunkingService;
+    this.responseParser = dependencies.responseParser;
+    this.experimentService = dependencies.experimentService;
+    this.promptBuilder = dependencies.promptBuilder;
+
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Queue itinerary generation for a trip and start it in the background
+   * @param {string} userId - User ID (needs editor access)
+   * @param {string} tripId - Trip ID
+   * @param {Object} options - Generation options (locale: language of the days and tips)
+   * @returns {Promise<Object>} Created job
+   */
+  async createJob(userId, tripId, options = {}) {
+    try {
+      const trip = await this._getTripForGeneration(tripId, userId);
+
+      const activeJob = await ItineraryJob.findOne({ tripId, status: { $in: ['queued', 'running'] } });
+      if (activeJob) {
+        const error = new Error('ITINERARY_JOB_IN_PROGRESS');
+        error.data = { jobId: activeJob._id };
+        throw error;
+      }
+
+      const analysis = this.chunkingService.analyzeTrip(trip);
+      const job = await ItineraryJob.create({
+        tripId,
+        userId,
+        options,
+        chunks: analysis.chunks.map(chunk => ({
+          chunkId: chunk.id || 'full_trip',
+          startDay: chunk.startDay,
+          endDay: chunk.endDay
+        }))
+      });
+
+      this._startJob(job._id);
+
+      return job.toPublicJSON();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_TRIP_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get job progress, partial days and failures
+   * @param {string} jobId - Job ID
+   * @param {string} userId - User ID (needs viewer access to the trip)
+   * @returns {Promise<Object>} Job data
+   */
+  async getJob(jobId, userId) {
+    try {
+      const job = await this._getJobWithAccess(jobId, userId, 'viewer');
+      return job.toPublicJSON();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_JOB_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a queued or running job. A chunk already sent to the AI provider
+   * finishes, but its result is discarded and nothing is saved to the trip.
+   * @param {string} jobId - Job ID
+   * @param {string} userId - User ID (needs editor access to the trip)
+   * @returns {Promise<Object>} Cancelled job
+   */
+  async cancelJob(jobId, userId) {
+    try {
+      const job = await this._getJobWithAccess(jobId, userId, 'editor');
+
+      const cancelled = await ItineraryJob.findOneAndUpdate(
+        { _id: job._id, status: { $in: ['queued', 'running'] } },
+        {
+          status: 'cancelled',
+          finishedAt: new Date(),
+          error: { code: 'JOB_CANCELLED', message: 'Cancelled by user' },
+          $unset: { workerId: 1, leaseExpiresAt: 1 }
+        },
+        { new: true }
+      );
+
+      if (!cancelled) {
+        throw new Error('JOB_ALREADY_FINISHED');
+      }
+
+      return cancelled.toPublicJSON();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_JOB_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Start picking up queued jobs and jobs left behind by a stopped process
+   */
+  startWorker() {
+    if (this.sweepTimer) {
+      return;
+    }
+
+    this._sweep();
+    this.sweepTimer = setInterval(() => this._sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Stop looking for new jobs (running jobs are resumed by the next process)
+   */
+  stopWorker() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  /**
+   * Resume every job without a live worker
+   * @private
+   */
+  async _sweep() {
+    try {
+      const jobs = await ItineraryJob.find({
+        status: { $in: ['queued', 'running'] },
+        $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: new Date() } }]
+      }).select('_id').limit(10);
+
+      jobs.forEach(job => this._startJob(job._id));
+    } catch (error) {
+      console.error('Itinerary job sweep failed:', error.message);
+    }
+  }
+
+  /**
+   * Run a job without blocking the caller
+   * @private
+   */
+  _startJob(jobId) {
+    setImmediate(() => {
+      this._runJob(jobId).catch(error => {
+        console.error(`Itinerary job ${jobId} crashed:`, error);
+      });
+    });
+  }
+
+  /**
+   * Claim a job and generate its remaining chunks, tips and the final save
+   * @private
+   */
+  async _runJob(jobId) {
+    let job = await this._claimJob(jobId);
+    if (!job) {
+      return;
+    }
+
+    const heartbeat = setInterval(() => this._renewLease(jobId), LEASE_MS / 3);
+    heartbeat.unref();
+
+    // Users in a prompt experiment get their variant's template version and model; the
+    // assignment is stable per user, so a resumed job keeps generating with the same variant
+    const experiment = await this.experimentService.assign('generate-itinerary', job.userId);
+    const promptTemplate = this.promptBuilder.getTemplateRef('itinerary', this._getLocale(job), experiment ? experiment.templateVersion : undefined);
+    const model = (experiment && experiment.model) || 'flash';
+
+    try {
+      const trip = await this._getTripForGeneration(job.tripId, job.userId);
+      const dates = this.tripService.getTripDates(trip);
+
+      // Generate every chunk that is not checkpointed yet
+      for (let index = 0; index < job.chunks.length; index++) {
+        const chunk = job.chunks[index];
+        if (chunk.status === 'completed') {
+          continue;
+        }
+
+        job = await this._runChunk(job, index, trip, dates, experiment);
+        if (!job) {
+          return;
+        }
+      }
+
+      if (!job.tips) {
+        job = await this._updateJob(jobId, { stage: 'tips' });
+        if (!job) {
+          return;
+        }
+
+        const { tips, tokensUsed } = await this.tripService.generateTipsForTrip(trip, job.userId, { locale: this._getLocale(job), experiment });
+        job = await this._updateJob(jobId, { tips, tipsTokensUsed: tokensUsed, stage: 'saving' });
+        if (!job) {
+          return;
+        }
+      }
+
+      await this._saveToTrip(job, experiment, { userId: job.userId, promptTemplate, model });
+    } catch (error) {
+      console.error(`Itinerary job ${jobId} failed:`, error.message);
+      this.experimentService.record(experiment, {
+        userId: job.userId,
+        tripId: job.tripId,
+        promptTemplate,
+        model,
+        success: false,
+        latencyMs: Date.now() - job.startedAt
+      });
+      // The trip was edited between reloading it and saving the itinerary
+      const code = error.name === 'VersionError' ? 'TRIP_REVISION_CONFLICT' : error.message.split(':')[0];
+      await this._updateJob(jobId, {
+        status: 'failed',
+        finishedAt: new Date(),
+        error: { code, message: error.message },
+        $unset: { workerId: 1, leaseExpiresAt: 1 }
+      });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Generate one chunk with retries and checkpoint its days
+   * @private
+   * @returns {Promise<Object|null>} Updated job, null if the job was cancelled or taken over
+   */
+  async _runChunk(job, index, trip, dates, experiment) {
+    const chunk = job.chunks[index];
+    const chunkDates = dates.slice(chunk.startDay - 1, chunk.endDay);
+    let lastError;
+
+    for (let attempt = 0; attempt < MAX_CHUNK_ATTEMPTS; attempt++) {
+      const started = await this._updateJob(job._id, {
+        stage: 'days',
+        [`chunks.${index}.status`]: 'running',
+        [`chunks.${index}.startedAt`]: new Date(),
+        $inc: { [`chunks.${index}.attempts`]: 1 }
+      });
+      if (!started) {
+        return null;
+      }
+
+      try {
+        console.log(`Itinerary job ${job._id}: generating chunk ${chunk.chunkId} (days ${chunk.startDay}-${chunk.endDay})`);
+        const result = await this.tripService.generateDaysForDates(trip, chunkDates, job.userId, { locale: this._getLocale(job), experiment });
+
+        return await this._updateJob(job._id, {
+          [`chunks.${index}.status`]: 'completed',
+          [`chunks.${index}.days`]: result.days,
+          [`chunks.${index}.tokensUsed`]: result.tokensUsed || 0,
+          [`chunks.${index}.completedAt`]: new Date(),
+          $unset: { [`chunks.${index}.error`]: 1 }
+        });
+      } catch (error) {
+        lastError = error;
+        console.warn(`Itinerary job ${job._id}: chunk ${chunk.chunkId} attempt ${attempt + 1} failed:`, error.message);
+
+        const failed = await this._updateJob(job._id, {
+          [`chunks.${index}.status`]: 'failed',
+          [`chunks.${index}.error`]: error.message
+        });
+        if (!failed) {
+          return null;
+        }
+      }
+    }
+
+    throw new Error(`CHUNK_GENERATION_FAILED: ${chunk.chunkId}: ${lastError.message}`);
+  }
+
+  /**
+   * Language the job generates content in (requested when the job was created)
+   * @private
+   */
+  _getLocale(job) {
+    return job.options ? job.options.locale : undefined;
+  }
+
+  /**
+   * Save the generated days and tips to the trip, record the prompt experiment outcome
+   * and complete the job
+   * @private
+   */
+  async _saveToTrip(job, experiment, outcome) {
+    // Reload the trip: it may have been edited or deleted while the job ran
+    const trip = await this._getTripForGeneration(job.tripId, job.userId);
+
+    // Stop if the job was cancelled during tip generation
+    const current = await ItineraryJob.findOne({ _id: job._id, status: 'running', workerId: this.workerId }).select('_id');
+    if (!current) {
+      return;
+    }
+
+    const days = job.chunks.flatMap(chunk => chunk.days);
+    await this.tripService.saveGeneratedItinerary(trip, job.userId, {
+      itinerary: days,
+      tips: job.tips && job.tips.length > 0 ? job.tips : undefined,
+      locale: this._getLocale(job)
+    });
+    await this.experimentService.recordItinerary(experiment, trip, {
+      ...outcome,
+      latencyMs: Date.now() - job.startedAt,
+      tokensUsed: job.chunks.reduce((sum, chunk) => sum + (chunk.tokensUsed || 0), 0) + (job.tipsTokensUsed || 0)
+    });
+
+    await this._updateJob(job._id, {
+      status: 'completed',
+      finishedAt: new Date(),
+      // Overlapping or past-midnight activities are saved as generated but reported for review
+      timeConflicts: this.responseParser.findItineraryTimeConflicts(trip.itinerary.days),
+      $unset: { workerId: 1, leaseExpiresAt: 1 }
+    });
+  }
+
+  /**
+   * Atomically take a job that has no live worker
+   * @private
+   */
+  async _claimJob(jobId) {
+    const now = new Date();
+    const job = await ItineraryJob.findOneAndUpdate(
+      {
+        _id: jobId,
+        status: { $in: ['queued', 'running'] },
+        $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: now } }]
+      },
+      {
+        status: 'running',
+        workerId: this.workerId,
+        leaseExpiresAt: new Date(now.getTime() + LEASE_MS)
+      },
+      { new: false }
+    );
+
+    if (!job) {
+      return null;
+    }
+
+    const update = {};
+    if (job.status === 'running') {
+      // Previous worker stopped mid-job: chunks it was generating start over
+      update.$inc = { resumeCount: 1 };
+      job.chunks.forEach((chunk, index) => {
+        if (chunk.status !== 'completed') {
+          update[`chunks.${index}.status`] = 'pending';
+        }
+      });
+      console.log(`Resuming itinerary job ${jobId} from chunk ${job.chunks.filter(c => c.status === 'completed').length + 1}/${job.chunks.length}`);
+    } else {
+      update.startedAt = now;
+    }
+
+    return await this._updateJob(jobId, update);
+  }
+
+  /**
+   * Extend the lease of a job this process is running
+   * @private
+   */
+  async _renewLease(jobId) {
+    try {
+      await ItineraryJob.updateOne(
+        { _id: jobId, status: 'running', workerId: this.workerId },
+        { leaseExpiresAt: new Date(Date.now() + LEASE_MS) }
+      );
+    } catch (error) {
+      console.warn(`Could not renew lease of itinerary job ${jobId}:`, error.message);
+    }
+  }
+
+  /**
+   * Update a job only while this process still owns it
+   * @private
+   * @returns {Promise<Object|null>} Updated job, null if it was cancelled or taken over
+   */
+  async _updateJob(jobId, update) {
+    // Finishing updates release the lease instead of renewing it
+    const lease = update.status ? {} : { leaseExpiresAt: new Date(Date.now() + LEASE_MS) };
+    return await ItineraryJob.findOneAndUpdate(
+      { _id: jobId, status: 'running', workerId: this.workerId },
+      { ...update, ...lease },
+      { new: true }
+    );
+  }
+
+  /**
+   * Load a trip and check it can receive a generated itinerary
+   * @private
+   */
+  async _getTripForGeneration(tripId, userId) {
+    const trip = await Trip.findById(tripId);
+
+    if (!trip) {
+      throw new Error('TRIP_NOT_FOUND');
+    }
+
+    if (!trip.hasAccess(userId, 'editor')) {
+      throw new Error('TRIP_ACCESS_DENIED');
+    }
+
+    if (trip.itinerary && trip.itinerary.days && trip.itinerary.days.length > 0) {
+      throw new Error('TRIP_ALREADY_HAS_ITINERARY');
+    }
+
+    return trip;
+  }
+
+  /**
+   * Load a job and check the user's role on its trip
+   * @private
+   */
+  async _getJobWithAccess(jobId, userId, requiredRole) {
+    const job = await ItineraryJob.findById(jobId);
+
+    if (!job) {
+      throw new Error('JOB_NOT_FOUND');
+    }
+
+    const trip = await Trip.findById(job.tripId);
+    const isRequester = job.userId.toString() === userId.toString();
+    if (trip ? !trip.hasAccess(userId, requiredRole) : !isRequester) {
+      throw new Error('TRIP_ACCESS_DENIED');
+    }
+
+    return job;
+  }
+}
+
+module.exports = ItineraryJobService;
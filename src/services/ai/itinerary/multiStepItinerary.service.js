@@ -1,4 +1,5 @@
 const { getAIProvider } = require('../core/aiProvider.service');
+const PromptBuilder = require('../utils/promptBuilder');
 
 /**
  * Multi-step itinerary generation service
@@ -6,10 +7,16 @@ const { getAIProvider } = require('../core/aiProvider.service');
  * Now supports multiple AI providers through AIProviderService
  */
 class MultiStepItineraryService {
-  constructor(apiClient = null, schemaService) {
+  /**
+   * @param {Object} apiClient - Legacy Gemini client (optional)
+   * @param {Object} schemaService - Schema service
+   * @param {Object} options - { promptBuilder: builds the step prompts from the itinerary template }
+   */
+  constructor(apiClient = null, schemaService, { promptBuilder } = {}) {
     // Use AIProviderService for modern provider-agnostic approach
     this.aiProvider = getAIProvider();
     this.schemaService = schemaService;
+    this.promptBuilder = promptBuilder || new PromptBuilder();
     
     // Keep backward compatibility with old geminiClient parameter
     if (apiClient) {
@@ -27,24 +34,17 @@ class MultiStepItineraryService {
    */
   async generateDetailedItinerary(tripData, options = {}) {
     try {
-      const { destination, duration, dates, budget, travelers } = tripData;
-      
-      // Step 1: Generate skeleton itinerary (lightweight)
-      const skeleton = await this.generateSkeleton(tripData);
-      
-      // Step 2: Enhance each day with details (parallel processing)
-      const detailedDays = await this.enhanceWithDetails(skeleton, tripData);
-      
+      // Steps 1-2: Skeleton and detailed days
+      const generatedDays = await this.generateDays(tripData);
+
       // Step 3: Generate travel tips
       const tips = await this.generateTips(tripData);
-      
-      const totalTokens = skeleton.tokensUsed + 
-        detailedDays.reduce((sum, day) => sum + day.tokensUsed, 0) + 
-        tips.tokensUsed;
-      
+
+      const totalTokens = generatedDays.tokensUsed + tips.tokensUsed;
+
       return {
-        days: detailedDays.map(day => day.content),
-        itinerary: detailedDays.map(day => day.content), // For backward compatibility
+        days: generatedDays.days,
+        itinerary: generatedDays.days, // For backward compatibility
         tips: tips.content, // This should be the array from generateTips
         tokensUsed: totalTokens,
         processingSteps: 3,
@@ -56,12 +56,27 @@ class MultiStepItineraryService {
     }
   }
 
+  /**
+   * Generate detailed days only (skeleton + enhancement, no tips).
+   * Used on its own to generate long trips chunk by chunk.
+   */
+  async generateDays(tripData) {
+    // Step 1: Generate skeleton itinerary (lightweight)
+    const skeleton = await this.generateSkeleton(tripData);
+
+    // Step 2: Enhance each day with details
+    const detailedDays = await this.enhanceWithDetails(skeleton, tripData);
+
+    return {
+      days: detailedDays.map(day => day.content),
+      tokensUsed: skeleton.tokensUsed + detailedDays.reduce((sum, day) => sum + day.tokensUsed, 0)
+    };
+  }
+
   /**
    * Step 1: Generate basic skeleton with time slots and activity names
    */
   async generateSkeleton(tripData) {
-    const { destination, duration, dates, budget } = tripData;
-    
     const skeletonSchema = {
       responseMimeType: 'application/json',
       responseSchema: {
@@ -100,21 +115,7 @@ class MultiStepItineraryService {
       }
     };
 
-    const skeletonPrompt = `Tạo khung lịch trình ${duration} ngày cho chuyến du lịch ${destination.destination}.
-
-Thông tin chuyến đi:
-- Ngày: ${dates.join(', ')}
-- Budget: ${budget?.total ? budget.total.toLocaleString() + ' ' + budget.currency : 'Linh hoạt'}
-
-Yêu cầu:
-- Mỗi ngày 4-8 hoạt động
-- Thông tin cơ bản: time, title, location (name + address), duration, cost, category
-- Thời gian: 7:00-22:00
-- Categories: cultural, food, shopping, nature, adventure, relaxation, nightlife, transportation
-- Location format: {"name": "Tên địa điểm", "address": "Địa chỉ đầy đủ"}
-- Tất cả nội dung bằng tiếng Việt
-
-Trả về JSON array.`;
+    const skeletonPrompt = this.promptBuilder.buildItinerarySkeletonPrompt(tripData, { templateVersion: tripData.templateVersion });
 
     console.log(` Skeleton prompt length: ${skeletonPrompt.length}`);
     console.log(` Using ${this.aiProvider.getProviderName().toUpperCase()} provider for skeleton generation`);
@@ -123,16 +124,17 @@ Trả về JSON array.`;
     if (this.legacyClient) {
       // Backward compatibility mode
       return await this.legacyClient.callGeminiWithStructuredOutput(
-        'flash',
+        tripData.model || 'flash',
         skeletonPrompt,
         skeletonSchema
       );
     } else {
       // Modern provider-agnostic mode
       return await this.aiProvider.callStructuredAPI(
-        'flash',
+        tripData.model || 'flash',
         skeletonPrompt,
-        skeletonSchema
+        skeletonSchema,
+        this._callOptions(tripData)
       );
     }
   }
@@ -141,8 +143,6 @@ Trả về JSON array.`;
    * Step 2: Enhance each day with detailed descriptions
    */
   async enhanceWithDetails(skeleton, tripData) {
-    const { destination, travelers } = tripData;
-    
     // Validate skeleton response
     if (!skeleton || !skeleton.content) {
       throw new Error('Invalid skeleton response - no content found');
@@ -162,7 +162,7 @@ Trả về JSON array.`;
       const day = skeletonData[i];
       console.log(`Enhancing day ${i + 1}: ${day?.date || 'unknown date'}`);
       
-      const enhancedDay = await this.enhanceSingleDay(day, destination, travelers);
+      const enhancedDay = await this.enhanceSingleDay(day, tripData);
       enhancedDays.push(enhancedDay);
       
       // Add small delay to avoid rate limiting
@@ -176,8 +176,10 @@ Trả về JSON array.`;
 
   /**
    * Enhance a single day with detailed descriptions
+   * @param {Object} dayData - Skeleton day ({ date, activities })
+   * @param {Object} tripData - Trip data (destination, travelers, locale, templateVersion)
    */
-  async enhanceSingleDay(dayData, destination, travelers) {
+  async enhanceSingleDay(dayData, tripData) {
     // Validate input data
     if (!dayData || !dayData.date || !dayData.activities) {
       console.warn(' Invalid day data:', dayData);
@@ -224,23 +226,7 @@ Trả về JSON array.`;
       }
     };
 
-    const activities = dayData.activities.map(act => 
-      `${act.time} - ${act.title} tại ${act.location?.name || act.location} (${act.category})`
-    ).join('\n');
-
-    const detailPrompt = `Bổ sung mô tả chi tiết cho ngày ${dayData.date} tại ${destination.destination}:
-
-${activities}
-
-Yêu cầu cho mỗi hoạt động:
-- Description: 50-80 từ tiếng Việt (điểm nổi bật, trải nghiệm)
-- Notes: 20-40 từ tiếng Việt (tips thực tế, giờ mở cửa)
-- Giữ nguyên: time, title, location object, duration, cost, category
-- Location format: {"name": "Tên địa điểm", "address": "Địa chỉ đầy đủ"}
-- Phù hợp cho ${travelers.adults} người lớn, ${travelers.children || 0} trẻ em
-- Tất cả nội dung bằng tiếng Việt
-
-Trả về JSON đầy đủ.`;
+    const detailPrompt = this.promptBuilder.buildItineraryDayPrompt(dayData, tripData, { templateVersion: tripData.templateVersion });
 
     console.log(`Using ${this.aiProvider.getProviderName().toUpperCase()} provider for day enhancement`);
     
@@ -248,16 +234,17 @@ Trả về JSON đầy đủ.`;
     if (this.legacyClient) {
       // Backward compatibility mode
       return await this.legacyClient.callGeminiWithStructuredOutput(
-        'flash',
+        tripData.model || 'flash',
         detailPrompt,
         detailSchema
       );
     } else {
       // Modern provider-agnostic mode
       return await this.aiProvider.callStructuredAPI(
-        'flash',
+        tripData.model || 'flash',
         detailPrompt,
-        detailSchema
+        detailSchema,
+        this._callOptions(tripData)
       );
     }
   }
@@ -266,8 +253,6 @@ Trả về JSON đầy đủ.`;
    * Step 3: Generate travel tips
    */
   async generateTips(tripData) {
-    const { destination, duration, budget, travelers } = tripData;
-    
     const tipsSchema = {
       responseMimeType: 'application/json',
       responseSchema: {
@@ -289,26 +274,7 @@ Trả về JSON đầy đủ.`;
       }
     };
 
-    const tipsPrompt = `Tạo danh sách tips du lịch thực tế cho chuyến đi ${duration} ngày tại ${destination.destination}.
-    
-Thông tin chuyến đi:
-- Budget: ${budget?.total ? budget.total.toLocaleString() + ' ' + budget.currency : 'Linh hoạt'}
-- Số người: ${travelers.adults} người lớn, ${travelers.children || 0} trẻ em
-
-Tạo 6-10 tips thực tế cho các categories:
-- transportation: Giao thông, di chuyển
-- food: Ẩm thực, nhà hàng
-- accommodation: Nơi ở, khách sạn  
-- culture: Văn hóa, phong tục
-- safety: An toàn, sức khỏe
-- budget: Tiết kiệm chi phí
-- weather: Thời tiết, trang phục
-- general: Tips chung
-
-Format: {"category": "...", "title": "...", "content": "..."}
-Title: 5-10 từ
-Content: 1-2 câu thực tế, hữu ích
-Tất cả bằng tiếng Việt.`;
+    const tipsPrompt = this.promptBuilder.buildItineraryTipsPrompt(tripData, { templateVersion: tripData.templateVersion });
 
     console.log(`Using ${this.aiProvider.getProviderName().toUpperCase()} provider for tips generation`);
     
@@ -316,19 +282,37 @@ Tất cả bằng tiếng Việt.`;
     if (this.legacyClient) {
       // Backward compatibility mode
       return await this.legacyClient.callGeminiWithStructuredOutput(
-        'flash',
+        tripData.model || 'flash',
         tipsPrompt,
         tipsSchema
       );
     } else {
       // Modern provider-agnostic mode
       return await this.aiProvider.callStructuredAPI(
-        'flash',
+        tripData.model || 'flash',
         tipsPrompt,
-        tipsSchema
+        tipsSchema,
+        this._callOptions(tripData)
       );
     }
   }
+
+  /**
+   * AI provider options for the generation calls; usage is charged to tripData.userId
+   * and the calls are logged against the itinerary template they were built from
+   * @private
+   */
+  _callOptions(tripData) {
+    return {
+      task: 'itinerary',
+      endpoint: 'generate-itinerary',
+      userId: tripData.userId,
+      tripId: tripData.tripId,
+      // A prompt experiment variant's model overrides the itinerary route's model
+      pinModel: Boolean(tripData.model),
+      promptTemplate: this.promptBuilder.getTemplateRef('itinerary', tripData.locale, tripData.templateVersion)
+    };
+  }
 }
 
 module.exports = MultiStepItineraryService;
@@ -1,3 +1,6 @@
+const { getTripCurrency } = require('../../../utils/currency');
+const { exchangeRateService } = require('../../common');
+
 /**
  * FallbackGenerationService - Handles fallback itinerary generation
  * Focuses on generating backup itineraries when AI generation fails
@@ -233,7 +236,7 @@ class FallbackGenerationService {
         coordinates: this._generateCoordinates(trip.destination.destination || trip.destination.city)
       },
       duration: template.duration || 180, // Default 3 hours
-      cost: this._estimateActivityCost(template.type, trip.destination),
+      ...this._estimateActivityCost(template.type, trip.destination, getTripCurrency(trip)),
       category: template.category || 'leisure',
       notes: `Fallback activity for ${chunk.focus} - ${template.type}`,
       fallbackGenerated: true,
@@ -293,9 +296,10 @@ class FallbackGenerationService {
    * Estimate activity cost based on type and destination
    * @param {string} activityType - Type of activity
    * @param {Object} destination - Destination object
-   * @returns {number} Estimated cost in local currency
+   * @param {string} currency - Trip currency
+   * @returns {Object} { cost, currency } in the trip currency (USD if it has no exchange rate)
    */
-  _estimateActivityCost(activityType, destination) {
+  _estimateActivityCost(activityType, destination, currency) {
     const destLower = (destination.city || destination.destination || '').toLowerCase();
     
     // Base cost multipliers by destination type
@@ -321,12 +325,11 @@ class FallbackGenerationService {
     const baseCost = baseCosts[activityType] || 15;
     const adjustedCost = baseCost * baseMultiplier;
     
-    // Convert to VND if Vietnamese destination
-    if (destLower.includes('vietnam') || destLower.includes('saigon') || destLower.includes('ho chi minh')) {
-      return Math.round(adjustedCost * 23000); // USD to VND conversion
+    const cost = exchangeRateService.convert(adjustedCost, 'USD', currency);
+    if (cost === null) {
+      return { cost: Math.round(adjustedCost), currency: 'USD' };
     }
-    
-    return Math.round(adjustedCost);
+    return { cost: Math.round(cost), currency };
   }
 
   /**
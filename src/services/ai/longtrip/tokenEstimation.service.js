@@ -20,7 +20,8 @@ class TokenEstimationService {
         comprehensive: 120, // Detailed descriptions, tips, logistics
         balanced: 85,       // Good descriptions
         simplified: 50      // Basic descriptions
-      }
+      },
+      charsPerToken: 4
     };
   }
 
@@ -171,6 +172,37 @@ class TokenEstimationService {
     };
   }
 
+  /**
+   * Rough token count of free text (about 4 characters per token)
+   * @param {string} text - Text to estimate
+   * @returns {number} Estimated tokens
+   */
+  estimateTextTokens(text) {
+    return Math.ceil(String(text || '').length / this.constants.charsPerToken);
+  }
+
+  /**
+   * Keep the most recent messages that fit in a token budget
+   * @param {Array} messages - Messages ({ role, content }), oldest first
+   * @param {number} maxTokens - Token budget for all kept messages
+   * @returns {Array} Most recent messages within the budget, oldest first
+   */
+  fitMessagesToBudget(messages = [], maxTokens) {
+    const window = [];
+    let usedTokens = 0;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+      const tokens = this.estimateTextTokens(messages[i].content);
+      if (usedTokens + tokens > maxTokens) {
+        break;
+      }
+      usedTokens += tokens;
+      window.unshift(messages[i]);
+    }
+
+    return window;
+  }
+
   /**
    * Analyze token efficiency for different approaches
    * @param {Object} trip - Trip object
@@ -1,17 +1,12 @@
+const { timeToMinutes, minutesToTime } = require('../../../utils/activitySchedule');
+const { convertAmount, getTripCurrency } = require('../../../utils/currency');
+const { exchangeRateService } = require('../../common');
+
 /**
  * ActivityTemplateService - Manages destination-specific activity templates
  * Responsible for: Template generation, destination detection, budget-aware selection, time management
  */
 class ActivityTemplateService {
-  constructor() {
-    // Currency conversion rates (approximate)
-    this.currencyRates = {
-      'japan': { fromUSD: 150, symbol: '¥' }, // Yen
-      'vietnam': { fromUSD: 24000, symbol: '₫' }, // VND
-      'usa': { fromUSD: 1, symbol: '$' },
-      'default': { fromUSD: 24000, symbol: '₫' } // VND as default
-    };
-  }
 
   /**
    * Generate template-based itinerary (fallback method)
@@ -27,7 +22,7 @@ class ActivityTemplateService {
     const budget = trip.budget?.total || 1000;
     const dailyBudget = Math.floor(budget / duration / 2);
     
-    const activityTemplates = this.getActivityTemplates(destination, interests, dailyBudget);
+    const activityTemplates = this.getActivityTemplates(destination, interests, dailyBudget, getTripCurrency(trip));
     
     for (let i = 0; i < duration; i++) {
       const dayDate = new Date(startDate);
@@ -48,6 +43,7 @@ class ActivityTemplateService {
           },
           duration: template.duration,
           cost: template.cost,
+          currency: template.currency,
           category: template.category,
           notes: template.notes || 'AI-generated activity based on your preferences'
         });
@@ -66,49 +62,56 @@ class ActivityTemplateService {
    * Get activity templates based on destination and interests
    * @param {string} destination - Destination name
    * @param {Array} interests - User interests
-   * @param {number} dailyBudget - Daily budget in USD
-   * @returns {Array} Activity templates
+   * @param {number} dailyBudget - Daily budget in the trip currency
+   * @param {string} currency - Trip budget currency
+   * @returns {Array} Activity templates, priced in the trip currency
    */
-  getActivityTemplates(destination, interests, dailyBudget) {
+  getActivityTemplates(destination, interests, dailyBudget, currency) {
     // Normalize destination to detect location
     const destinationLower = destination.toLowerCase();
     
-    // Determine which activity set to use based on destination
-    let templates;
+    // Determine which activity set to use based on destination (template costs are in local currency)
+    let localTemplates;
+    let localCurrency;
     
     if (destinationLower.includes('tokyo') || destinationLower.includes('japan')) {
-      templates = this._getTokyoActivityTemplates();
+      localTemplates = this._getTokyoActivityTemplates();
+      localCurrency = 'JPY';
     } else if (destinationLower.includes('da lat') || destinationLower.includes('dalat') ||
                destinationLower.includes('da-lat') || destinationLower.includes('dalát')) {
-      templates = this._getDaLatActivityTemplates();
+      localTemplates = this._getDaLatActivityTemplates();
+      localCurrency = 'VND';
     } else if (destinationLower.includes('saigon') || destinationLower.includes('ho chi minh') || destinationLower.includes('vietnam') ||
                destinationLower.includes('hanoi') || destinationLower.includes('hcmc') ||
                destinationLower.includes('ho chi minh city') || destinationLower.includes('sai gon')) {
-      templates = this._getVietnamActivityTemplates();
+      localTemplates = this._getVietnamActivityTemplates();
+      localCurrency = 'VND';
     } else {
       // Default to a generic international template or Tokyo as fallback
-      templates = this._getTokyoActivityTemplates();
+      localTemplates = this._getTokyoActivityTemplates();
+      localCurrency = 'JPY';
     }
     
+    const tripCurrency = currency || 'USD';
+    const templates = {};
+    Object.keys(localTemplates).forEach(category => {
+      templates[category] = localTemplates[category].map(activity => this._priceTemplate(activity, localCurrency, tripCurrency));
+    });
+    
+    // Costs that could not be converted are not compared with the budget
+    const withinBudget = (activity, factor) => activity.currency !== tripCurrency || activity.cost <= dailyBudget * factor;
+    
     // Filter templates based on interests and budget
-    const tripCurrency = trip.budget?.currency || 'VND'; // Default to VND
     let selectedTemplates = [];
     interests.forEach(interest => {
       // Handle nightlife interests
       if (interest === 'nightlife' && templates.nightlife) {
         selectedTemplates = selectedTemplates.concat(
-          templates.nightlife.filter(activity => {
-            const costInUSD = this._convertCostToUSD(activity.cost, destination, tripCurrency);
-            return costInUSD <= dailyBudget * 2; // Allow higher budget for nightlife
-          })
+          templates.nightlife.filter(activity => withinBudget(activity, 2)) // Allow higher budget for nightlife
         );
       } else if (templates[interest]) {
         selectedTemplates = selectedTemplates.concat(
-          templates[interest].filter(activity => {
-            // Convert cost to USD if needed
-            const costInUSD = this._convertCostToUSD(activity.cost, destination, tripCurrency);
-            return costInUSD <= dailyBudget * 1.5;
-          })
+          templates[interest].filter(activity => withinBudget(activity, 1.5))
         );
       }
     });
@@ -117,17 +120,11 @@ class ActivityTemplateService {
       if (selectedTemplates.length < 8) {
         // Add cultural activities (usually free/low cost)
         selectedTemplates = selectedTemplates.concat(
-          templates.cultural.slice(0, 3).filter(activity => {
-            const costInUSD = this._convertCostToUSD(activity.cost, destination, tripCurrency);
-            return costInUSD <= dailyBudget * 1.5;
-          })
+          templates.cultural.slice(0, 3).filter(activity => withinBudget(activity, 1.5))
         );
         // Add some food experiences
         selectedTemplates = selectedTemplates.concat(
-          templates.food.slice(0, 2).filter(activity => {
-            const costInUSD = this._convertCostToUSD(activity.cost, destination, tripCurrency);
-            return costInUSD <= dailyBudget * 1.5;
-          })
+          templates.food.slice(0, 2).filter(activity => withinBudget(activity, 1.5))
         );
       }
     
@@ -135,26 +132,63 @@ class ActivityTemplateService {
   }
 
   /**
-   * Convert activity costs to USD based on destination
-   * @param {number} cost - Original cost
-   * @param {string} destination - Destination name
-   * @returns {number} Cost in USD
+   * Re-sequence each day without AI: sort activities by start time and push
+   * overlapping ones back so every activity starts after the previous one ends
+   * plus a transfer buffer. Activities that would then run past midnight keep
+   * their original time.
+   * @param {Array} days - Itinerary days
+   * @param {Object} options - Optimization options
+   * @param {number} options.bufferMinutes - Gap kept between activities (default 15)
+   * @returns {Object} Optimized days (plain objects, IDs kept) and number of moved activities
    */
-  _convertCostToUSD(cost, destination, currency = 'VND') {
-    const destinationLower = destination.toLowerCase();
+  optimizeDaySchedule(days, options = {}) {
+    const { bufferMinutes = 15 } = options;
+    let movedActivities = 0;
 
-    // If already in VND, convert to USD for comparison
-    if (currency === 'VND' || destinationLower.includes('vietnam') ||
-        destinationLower.includes('saigon') || destinationLower.includes('hanoi')) {
-      // Convert VND to USD (approximate 1 USD = 24,000 VND)
-      return cost / 24000;
-    } else if (destinationLower.includes('japan') || destinationLower.includes('tokyo')) {
-      // Convert yen to USD (approximate 1 USD = 150 yen)
-      return cost / 150;
-    } else {
-      // Assume already in USD or similar scale
-      return cost;
-    }
+    const optimizedDays = days.map(day => {
+      const dayData = typeof day.toObject === 'function' ? day.toObject() : { ...day };
+      const activities = [...(dayData.activities || [])]
+        .sort((a, b) => (timeToMinutes(a.time) ?? 0) - (timeToMinutes(b.time) ?? 0));
+
+      let previousEnd = null;
+      dayData.activities = activities.map(activity => {
+        let start = timeToMinutes(activity.time);
+        if (start === null) {
+          return activity;
+        }
+
+        const duration = activity.duration || 0;
+        if (previousEnd !== null && start < previousEnd + bufferMinutes) {
+          // Round up to the next 5 minutes so the schedule stays readable
+          const shiftedStart = Math.ceil((previousEnd + bufferMinutes) / 5) * 5;
+          if (shiftedStart + duration <= 24 * 60) {
+            start = shiftedStart;
+            movedActivities++;
+          }
+        }
+
+        previousEnd = start + duration;
+        return { ...activity, time: minutesToTime(start) };
+      });
+
+      return dayData;
+    });
+
+    return { days: optimizedDays, movedActivities };
+  }
+
+  /**
+   * Price a template in the trip currency, keeping the local price if there is no exchange rate
+   * @param {Object} template - Activity template (cost in local currency)
+   * @param {string} localCurrency - Currency of the template costs
+   * @param {string} tripCurrency - Trip budget currency
+   * @returns {Object} Template with cost and currency
+   */
+  _priceTemplate(template, localCurrency, tripCurrency) {
+    const cost = convertAmount(template.cost, localCurrency, tripCurrency, exchangeRateService.getRates());
+    return cost === null
+      ? { ...template, currency: localCurrency }
+      : { ...template, cost, currency: tripCurrency };
   }
 
   /**
@@ -331,7 +365,8 @@ class ActivityTemplateService {
           address: selectedTemplate.address,
           coordinates: selectedTemplate.coordinates,
           duration: selectedTemplate.duration,
-          cost: Math.round(this._convertCostToUSD(selectedTemplate.cost, trip.destination.destination) * 100) / 100, // Convert to USD with proper rounding
+          cost: selectedTemplate.cost,
+          currency: selectedTemplate.currency,
           category: selectedTemplate.category,
           notes: selectedTemplate.notes || 'AI-generated activity based on your preferences and budget'
         });
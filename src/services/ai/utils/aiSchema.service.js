@@ -31,6 +31,17 @@ class AISchemaService {
    * @private
    */
   _initializeTemplates() {
+    // A value the model read from the user's message, with how sure it is (0-1)
+    const extractedField = (valueSchema) => ({
+      type: "OBJECT",
+      nullable: true,
+      properties: {
+        value: valueSchema,
+        confidence: { type: "NUMBER", minimum: 0, maximum: 1 }
+      },
+      required: ["value", "confidence"]
+    });
+
     this.templates = {
       // Activity suggestion template
       activitySuggestion: {
@@ -104,6 +115,27 @@ class AISchemaService {
         },
         required: ["date", "activities"],
         propertyOrdering: ["date", "activities"]
+      },
+
+      // Trip information mentioned in a chat message (null for anything not mentioned)
+      tripInfoExtraction: {
+        type: "OBJECT",
+        properties: {
+          destination: extractedField({ type: "STRING" }),
+          startDate: extractedField({ type: "STRING", format: "date" }),
+          endDate: extractedField({ type: "STRING", format: "date" }),
+          adults: extractedField({ type: "INTEGER", minimum: 1, maximum: 20 }),
+          children: extractedField({ type: "INTEGER", minimum: 0, maximum: 20 }),
+          infants: extractedField({ type: "INTEGER", minimum: 0, maximum: 20 }),
+          budgetTotal: extractedField({ type: "NUMBER", minimum: 0 }),
+          budgetCurrency: extractedField({ type: "STRING" }),
+          interests: extractedField({ type: "ARRAY", items: { type: "STRING" } }),
+          constraints: extractedField({ type: "ARRAY", items: { type: "STRING" } })
+        },
+        propertyOrdering: [
+          "destination", "startDate", "endDate", "adults", "children", "infants",
+          "budgetTotal", "budgetCurrency", "interests", "constraints"
+        ]
       }
     };
   }
@@ -235,7 +267,7 @@ class AISchemaService {
                       description: "Detailed location name and full address findable on Google Maps" 
                     },
                     duration: { type: "INTEGER", minimum: 30, maximum: 480, description: "Duration in minutes" },
-                    cost: { type: "NUMBER", minimum: 0, description: "Estimated cost in VND" },
+                    cost: { type: "NUMBER", minimum: 0, description: "Estimated cost in the trip currency" },
                     category: { 
                       type: "STRING",
                       description: "Activity category",
@@ -0,0 +1,163 @@
+// Built-in prompt templates, seeded into the PromptTemplate collection as version 1 of the
+// 'en' locale. Sections may use {{variable}} placeholders; variables lists the ones the
+// prompt builder supplies for each template. The itinerary template also holds the
+// skeleton, dayDetails and tips steps of multi-step generation.
+module.exports = {
+  itinerary: {
+    description: 'Day-by-day itinerary generation',
+    variables: ['destination', 'origin', 'duration', 'currency', 'date'],
+    sections: {
+      header: "You are a professional travel planner. Create a detailed, day-by-day itinerary for the following trip:",
+      format: `You must respond with ONLY a JSON array. No other text or explanation.
+
+The response must be a valid JSON array in this exact format:
+[
+  {
+    "date": "2024-12-25",
+    "activities": [
+      {
+        "time": "09:00",
+        "title": "Visit Ben Thanh Market",
+        "description": "Explore the famous local market",
+        "location": {
+          "name": "Ben Thanh Market",
+          "address": "135 Nam Ky Khoi Nghia, District 1, Ho Chi Minh City",
+          "coordinates": {
+            "lat": 10.7720,
+            "lng": 106.6988
+          }
+        },
+        "duration": 120,
+        "cost": 50000,
+        "category": "shopping",
+        "notes": "Famous local market for shopping and street food"
+      },
+      {
+        "time": "14:00",
+        "title": "Explore Independence Palace",
+        "description": "Visit the historic presidential palace",
+        "location": {
+          "name": "Independence Palace",
+          "address": "135 Nam Ky Khoi Nghia, District 1, Ho Chi Minh City",
+          "coordinates": {
+            "lat": 10.7769,
+            "lng": 106.6955
+          }
+        },
+        "duration": 90,
+        "cost": 120000,
+        "category": "cultural",
+        "notes": "Historic palace with beautiful architecture"
+      }
+    ]
+  }
+]
+
+IMPORTANT REQUIREMENTS FOR EXTREMELY DETAILED OUTPUT:
+- Generate COMPREHENSIVE and EXTREMELY DETAILED itineraries
+- Use Gemini 2.5's full 1M token capacity - don't hold back on detail!
+- For each activity, provide:
+  * Extensive descriptions (minimum 100-200 words each)
+  * Historical context and cultural significance
+  * Practical tips (what to wear, best time to visit, insider recommendations)
+  * Photo opportunities and must-see highlights
+  * Local customs and etiquette to observe
+  * Approximate costs breakdown (entrance fees, food, transportation)
+  * Alternative options for different weather conditions
+  * Accessibility information
+  * Nearby amenities (restrooms, ATMs, restaurants)
+- Include multiple activity options per time slot when possible
+- Add detailed transportation instructions between locations
+- Provide restaurant recommendations with specific dishes to try
+- Include cultural context and local stories for each location
+- Add shopping suggestions and bargaining tips where relevant
+- Include emergency contact information and safety tips
+- Start your response with [
+- End your response with ]
+- No text before or after the JSON
+- Use real venue names and addresses from your knowledge
+- Always include accurate coordinates for each location
+- Categories: cultural, adventure, relaxation, food, shopping, nature, nightlife, transportation, accommodation
+- Include realistic duration (in minutes) and cost estimates
+- Create the most comprehensive, detailed itinerary possible - utilize every available token!`,
+      skeleton: `- 4-8 activities per day between 07:00 and 22:00
+- Basic details only: time, title, location (name + address), duration in minutes, cost, category
+- Categories: cultural, food, shopping, nature, adventure, relaxation, nightlife, transportation
+- Location format: {"name": "Place name", "address": "Full address"}
+- Give every cost in {{currency}}
+
+Return a JSON array with one entry per date.`,
+      dayDetails: `For each activity:
+- Description: 50-80 words (highlights, what to expect)
+- Notes: 20-40 words (practical tips, opening hours)
+- Keep time, title, location object, duration, cost and category unchanged
+- Location format: {"name": "Place name", "address": "Full address"}
+
+Return the complete day as JSON.`,
+      tips: `Write 6-10 practical tips covering these categories:
+- transportation: getting around
+- food: local food and restaurants
+- accommodation: where to stay
+- culture: culture and customs
+- safety: safety and health
+- budget: saving money
+- weather: weather and what to wear
+- general: general advice
+
+Format: {"category": "...", "title": "...", "content": "..."}
+Title: 5-10 words
+Content: 1-2 practical, useful sentences`
+    }
+  },
+  optimization: {
+    description: 'Schedule optimization',
+    variables: ['tripName', 'destination', 'focus'],
+    sections: {
+      header: "Optimize the following trip schedule for better flow and efficiency:",
+      instructions: "Please optimize this schedule considering travel time, logical flow, and user preferences."
+    }
+  },
+  validation: {
+    description: 'Trip validation against user constraints',
+    variables: ['tripName', 'destination', 'checkType'],
+    sections: {
+      header: "Validate the following trip against user constraints:",
+      instructions: "Please identify any constraint violations or potential conflicts."
+    }
+  },
+  chat: {
+    description: 'Chat replies',
+    variables: [],
+    sections: {
+      header: "You are a helpful AI travel assistant. Provide personalized travel advice based on the user's question:",
+      instructions: "Provide helpful, practical travel recommendations."
+    }
+  },
+  suggestions: {
+    description: 'Activity suggestions',
+    variables: ['destination', 'date', 'timePeriod'],
+    sections: {
+      header: "Suggest travel activities based on the following criteria:",
+      instructions: `Suggest 5-8 activities, each with:
+- A clear name and an engaging, detailed description
+- Category, expected duration in minutes and estimated cost
+- A specific location and the best time of day
+- Priority and related tags
+
+Focus on distinctive local experiences that match the stated interests.`
+    }
+  },
+  tripInfoExtraction: {
+    description: 'Trip information extraction from a chat message',
+    variables: ['today'],
+    sections: {
+      header: "Extract the trip information the user states in their latest message.",
+      instructions: `- Only fill fields the user explicitly states or clearly changes in the latest message; use null for everything else
+- Use the conversation only to resolve references (e.g. "there", "the same dates"), never to repeat earlier values
+- Dates as YYYY-MM-DD; resolve relative dates ("next Friday") against today's date
+- budgetCurrency as an ISO 4217 code (VND, USD, EUR, ...); "triệu" means million
+- interests and constraints: only items newly mentioned in the latest message
+- confidence: 0.9-1.0 when stated explicitly and unambiguously; 0.5-0.8 when inferred, ambiguous or missing parts (e.g. a date without a year); below 0.5 when guessing`
+    }
+  }
+};
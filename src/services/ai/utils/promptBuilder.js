@@ -1,135 +1,112 @@
+const PromptTemplateService = require('../core/promptTemplate.service');
+const { getLanguageName } = require('../../../utils/i18n');
+const { getTripCurrency } = require('../../../utils/currency');
+
 /**
  * PromptBuilder - Handles generation of structured prompts for different AI use cases
  * Responsible for: Conversation context, itinerary prompts, optimization prompts, validation prompts
  */
 class PromptBuilder {
-  constructor() {
-    // Base templates for different prompt types
-    this.templates = {
-
-      itinerary: {
-        header: "You are a professional travel planner. Create a detailed, day-by-day itinerary for the following trip:",
-        format: `You must respond with ONLY a JSON array. No other text or explanation.
-
-The response must be a valid JSON array in this exact format:
-[
-  {
-    "date": "2024-12-25",
-    "activities": [
-      {
-        "time": "09:00",
-        "title": "Visit Ben Thanh Market",
-        "description": "Explore the famous local market",
-        "location": {
-          "name": "Ben Thanh Market",
-          "address": "135 Nam Ky Khoi Nghia, District 1, Ho Chi Minh City",
-          "coordinates": {
-            "lat": 10.7720,
-            "lng": 106.6988
-          }
-        },
-        "duration": 120,
-        "cost": 50000,
-        "category": "shopping",
-        "notes": "Famous local market for shopping and street food"
-      },
-      {
-        "time": "14:00",
-        "title": "Explore Independence Palace",
-        "description": "Visit the historic presidential palace",
-        "location": {
-          "name": "Independence Palace",
-          "address": "135 Nam Ky Khoi Nghia, District 1, Ho Chi Minh City",
-          "coordinates": {
-            "lat": 10.7769,
-            "lng": 106.6955
-          }
-        },
-        "duration": 90,
-        "cost": 120000,
-        "category": "cultural",
-        "notes": "Historic palace with beautiful architecture"
-      }
-    ]
+  /**
+   * @param {Object} options - { templateRegistry: PromptTemplateService holding the active templates }
+   */
+  constructor({ templateRegistry } = {}) {
+    this.templateRegistry = templateRegistry || new PromptTemplateService();
   }
-]
-
-IMPORTANT REQUIREMENTS FOR EXTREMELY DETAILED OUTPUT:
-- Generate COMPREHENSIVE and EXTREMELY DETAILED itineraries
-- Use Gemini 2.5's full 1M token capacity - don't hold back on detail!
-- For each activity, provide:
-  * Extensive descriptions (minimum 100-200 words each)
-  * Historical context and cultural significance
-  * Practical tips (what to wear, best time to visit, insider recommendations)
-  * Photo opportunities and must-see highlights
-  * Local customs and etiquette to observe
-  * Approximate costs breakdown (entrance fees, food, transportation)
-  * Alternative options for different weather conditions
-  * Accessibility information
-  * Nearby amenities (restrooms, ATMs, restaurants)
-- Include multiple activity options per time slot when possible
-- Add detailed transportation instructions between locations
-- Provide restaurant recommendations with specific dishes to try
-- Include cultural context and local stories for each location
-- Add shopping suggestions and bargaining tips where relevant
-- Include emergency contact information and safety tips
-- Start your response with [
-- End your response with ]
-- No text before or after the JSON
-- Use real venue names and addresses from your knowledge
-- Always include accurate coordinates for each location
-- Categories: cultural, adventure, relaxation, food, shopping, nature, nightlife, transportation, accommodation
-- Include realistic duration (in minutes) and cost estimates
-- Create the most comprehensive, detailed itinerary possible - utilize every available token!`
-      },
-      optimization: {
-        header: "Optimize the following trip schedule for better flow and efficiency:",
-        instructions: "Please optimize this schedule considering travel time, logical flow, and user preferences."
-      },
-      validation: {
-        header: "Validate the following trip against user constraints:",
-        instructions: "Please identify any constraint violations or potential conflicts."
-      },
-      chat: {
-        header: "You are a helpful AI travel assistant. Provide personalized travel advice based on the user's question:",
-        instructions: "Provide helpful, practical travel recommendations."
-      },
-      suggestions: {
-        header: "Suggest travel activities based on the following criteria:",
-        instructions: "Please suggest relevant activities with descriptions and practical information."
-      }
-    };
+
+  /**
+   * Template version a prompt is built from, recorded with the AI interaction
+   * @param {string} key - Template key
+   * @param {string} locale - Locale (optional)
+   * @param {number} version - Version pinned by a prompt experiment (optional)
+   * @returns {Object} { key, version, locale }
+   */
+  getTemplateRef(key, locale, version) {
+    return this.templateRegistry.getTemplateRef(key, locale, version);
+  }
+
+  /**
+   * Instruction to write everything the user reads in the request's language
+   * @param {string} locale - Request locale (optional)
+   * @returns {string} Instruction, empty without a locale
+   */
+  buildLanguageInstruction(locale) {
+    return locale ? `Write all text meant for the user in ${getLanguageName(locale)}.` : '';
   }
 
   /**
    * Build conversation context prompt
    * @param {string} message - User message
-   * @param {Object} context - Conversation context
+   * @param {Object} context - Conversation context (locale selects the template and reply language)
    * @returns {string} Formatted prompt
    */
   buildConversationPrompt(message, context = {}) {
-    let prompt = `${this.templates.chat.header}\n\n`;
-    prompt += `User message: ${message}\n\n`;
+    const template = this.templateRegistry.getTemplate('chat', context.locale, context.templateVersion);
+    let prompt = `${this._renderSection(template, 'header')}\n\n`;
 
     if (context.tripId) {
       prompt += `Context: This is related to trip planning.\n`;
     }
 
+    // History is already trimmed to the prompt's token budget by the caller
     if (context.conversationHistory && context.conversationHistory.length > 0) {
       prompt += `Previous conversation:\n`;
-      context.conversationHistory.slice(-3).forEach(exchange => {
+      context.conversationHistory.forEach(exchange => {
         prompt += `${exchange.role}: ${exchange.content}\n`;
       });
       prompt += `\n`;
     }
 
-    prompt += this.templates.chat.instructions;
+    prompt += `User message: ${message}\n\n`;
+
+    prompt += this._renderSection(template, 'instructions');
+    prompt += this._buildLanguageSuffix(context.locale);
 
     return prompt;
   }
 
 
 
+  /**
+   * Build prompt for structured trip information extraction from a chat message
+   * @param {string} message - Latest user message
+   * @param {Object} trip - Current trip data
+   * @param {Array} conversationHistory - Recent messages ({ role, content }) for resolving references
+   * @param {Object} options - Template locale and version (optional)
+   * @returns {string} Formatted prompt
+   */
+  buildTripInfoExtractionPrompt(message, trip, conversationHistory = [], options = {}) {
+    const formatDate = (date) => (date ? new Date(date).toISOString().split('T')[0] : 'unknown');
+
+    const today = formatDate(new Date());
+    const template = this.templateRegistry.getTemplate('tripInfoExtraction', options.locale, options.templateVersion);
+    const variables = { today };
+
+    let prompt = `${this._renderSection(template, 'header', variables)}\n\n`;
+    prompt += `Today's date: ${today}\n\n`;
+
+    prompt += `**Current trip:**\n`;
+    prompt += `- Destination: ${trip.destination?.destination || 'unknown'}\n`;
+    prompt += `- Dates: ${formatDate(trip.destination?.startDate)} to ${formatDate(trip.destination?.endDate)}\n`;
+    prompt += `- Travelers: ${trip.travelers?.adults || 0} adults, ${trip.travelers?.children || 0} children, ${trip.travelers?.infants || 0} infants\n`;
+    prompt += `- Budget: ${trip.budget?.total ? `${trip.budget.total} ${trip.budget.currency}` : 'not set'}\n`;
+    prompt += `- Interests: ${trip.preferences?.interests?.join(', ') || 'none'}\n`;
+    prompt += `- Constraints: ${trip.preferences?.constraints?.join(', ') || 'none'}\n\n`;
+
+    if (conversationHistory.length > 0) {
+      prompt += `**Previous conversation:**\n`;
+      conversationHistory.forEach(exchange => {
+        prompt += `${exchange.role}: ${exchange.content}\n`;
+      });
+      prompt += `\n`;
+    }
+
+    prompt += `**Latest message:** ${message}\n\n`;
+    prompt += `**Rules:**\n${this._renderSection(template, 'instructions', variables)}`;
+
+    return prompt;
+  }
+
   /**
    * Build itinerary generation prompt with enhanced preferences support
    * @param {Object} trip - Trip object
@@ -137,7 +114,14 @@ IMPORTANT REQUIREMENTS FOR EXTREMELY DETAILED OUTPUT:
    * @returns {string} Formatted prompt
    */
   buildItineraryPrompt(trip, options = {}) {
-    let prompt = `${this.templates.itinerary.header}\n\n`;
+    const template = this.templateRegistry.getTemplate('itinerary', options.locale, options.templateVersion);
+    const variables = {
+      destination: trip.destination.destination,
+      origin: trip.destination.origin,
+      duration: trip.duration
+    };
+
+    let prompt = `${this._renderSection(template, 'header', variables)}\n\n`;
 
     prompt += this._buildTripDetailsV2(trip, options);
 
@@ -145,6 +129,10 @@ IMPORTANT REQUIREMENTS FOR EXTREMELY DETAILED OUTPUT:
       prompt += `- Special Focus: ${options.focus}\n`;
     }
 
+    if (options.dates && options.dates.length > 0) {
+      prompt += `- Dates: ${options.dates.join(', ')} (one array entry per date, in this order)\n`;
+    }
+
     if (options.retry) {
       prompt += `- This is a RETRY attempt - please ensure perfect JSON format\n`;
     }
@@ -164,7 +152,8 @@ IMPORTANT REQUIREMENTS FOR EXTREMELY DETAILED OUTPUT:
     }
 
     prompt += `\n**Instructions:**\n`;
-    prompt += this.templates.itinerary.format;
+    prompt += this._renderSection(template, 'format', variables);
+    prompt += this._buildLanguageSuffix(options.locale);
 
     return prompt;
   }
@@ -188,37 +177,113 @@ IMPORTANT REQUIREMENTS FOR EXTREMELY DETAILED OUTPUT:
     
     prompt += `\n**Format Requirements:**\n`;
     prompt += this._getChunkedFormat(chunk);
+    prompt += this._buildLanguageSuffix(context && context.locale);
     
     return prompt;
   }
 
+  /**
+   * Build the skeleton step of multi-step generation (activities without descriptions)
+   * @param {Object} tripData - Multi-step trip data (destination, duration, dates, budget, locale)
+   * @param {Object} options - Template version pinned by a prompt experiment (optional)
+   * @returns {string} Formatted prompt
+   */
+  buildItinerarySkeletonPrompt(tripData, options = {}) {
+    const template = this.templateRegistry.getTemplate('itinerary', tripData.locale, options.templateVersion);
+    const variables = this._getMultiStepVariables(tripData);
+
+    let prompt = `${this._renderSection(template, 'header', variables)}\n\n`;
+    prompt += `**Trip Details:**\n`;
+    prompt += `- Destination: ${variables.destination}\n`;
+    prompt += `- Dates: ${tripData.dates.join(', ')} (one array entry per date, in this order)\n`;
+    prompt += `- Budget: ${tripData.budget?.total ? `${tripData.budget.total.toLocaleString()} ${variables.currency} total` : 'flexible'}\n`;
+
+    prompt += `\n**Instructions:**\n`;
+    prompt += this._renderSection(template, 'skeleton', variables);
+    prompt += this._buildLanguageSuffix(tripData.locale);
+
+    return prompt;
+  }
+
+  /**
+   * Build the detail step of multi-step generation for one skeleton day
+   * @param {Object} day - Skeleton day ({ date, activities })
+   * @param {Object} tripData - Multi-step trip data (destination, travelers, locale)
+   * @param {Object} options - Template version pinned by a prompt experiment (optional)
+   * @returns {string} Formatted prompt
+   */
+  buildItineraryDayPrompt(day, tripData, options = {}) {
+    const template = this.templateRegistry.getTemplate('itinerary', tripData.locale, options.templateVersion);
+    const variables = { ...this._getMultiStepVariables(tripData), date: day.date };
+
+    let prompt = `Add detailed descriptions to the activities of ${day.date} in ${variables.destination}:\n\n`;
+    day.activities.forEach(activity => {
+      prompt += `${activity.time} - ${activity.title} at ${activity.location?.name || activity.location} (${activity.category})\n`;
+    });
+    prompt += `\nTravelers: ${tripData.travelers?.adults || 1} adults, ${tripData.travelers?.children || 0} children\n`;
+
+    prompt += `\n**Instructions:**\n`;
+    prompt += this._renderSection(template, 'dayDetails', variables);
+    prompt += this._buildLanguageSuffix(tripData.locale);
+
+    return prompt;
+  }
+
+  /**
+   * Build the tips step of multi-step generation
+   * @param {Object} tripData - Multi-step trip data (destination, duration, budget, travelers, locale)
+   * @param {Object} options - Template version pinned by a prompt experiment (optional)
+   * @returns {string} Formatted prompt
+   */
+  buildItineraryTipsPrompt(tripData, options = {}) {
+    const template = this.templateRegistry.getTemplate('itinerary', tripData.locale, options.templateVersion);
+    const variables = this._getMultiStepVariables(tripData);
+
+    let prompt = `Create practical travel tips for a ${tripData.duration}-day trip to ${variables.destination}.\n\n`;
+    prompt += `**Trip Details:**\n`;
+    prompt += `- Budget: ${tripData.budget?.total ? `${tripData.budget.total.toLocaleString()} ${variables.currency}` : 'flexible'}\n`;
+    prompt += `- Travelers: ${tripData.travelers?.adults || 1} adults, ${tripData.travelers?.children || 0} children\n`;
+
+    prompt += `\n**Instructions:**\n`;
+    prompt += this._renderSection(template, 'tips', variables);
+    prompt += this._buildLanguageSuffix(tripData.locale);
+
+    return prompt;
+  }
+
   /**
    * Build optimization prompt
    * @param {Object} trip - Trip object
    * @param {string} focus - Optimization focus
+   * @param {string} locale - Locale of the template and reply (optional)
+   * @param {Object} options - { constraints: extra constraints to respect }
    * @returns {string} Formatted prompt
    */
-  buildOptimizationPrompt(trip, focus) {
-    let prompt = `${this.templates.optimization.header}\n\n`;
-    prompt += `Current itinerary for ${trip.name}:\n`;
-    
-    if (trip.itinerary && trip.itinerary.days) {
-      trip.itinerary.days.forEach((day, index) => {
-        prompt += `Day ${index + 1} (${day.date ? new Date(day.date).toDateString() : 'Day ' + (index + 1)}):\n`;
-        if (day.activities) {
-          day.activities.forEach(activity => {
-            prompt += `- ${activity.time}: ${activity.title} at ${activity.location.name || activity.location}\n`;
-          });
-        }
-        prompt += `\n`;
-      });
+  buildOptimizationPrompt(trip, focus, locale, options = {}) {
+    const template = this.templateRegistry.getTemplate('optimization', locale);
+    const variables = { tripName: trip.name, destination: trip.destination?.destination, focus };
+    const constraints = options.constraints || [];
+
+    let prompt = `${this._renderSection(template, 'header', variables)}\n\n`;
+    prompt += `Current schedule for ${trip.name}:\n`;
+    prompt += `${JSON.stringify((trip.itinerary && trip.itinerary.days) || [], null, 2)}\n\n`;
+
+    prompt += `Trip details:\n`;
+    prompt += `- Destination: ${trip.destination?.destination}\n`;
+    prompt += `- Duration: ${trip.duration} days\n`;
+    prompt += `- Budget: ${trip.budget?.total ? `${trip.budget.total} ${getTripCurrency(trip)}` : 'flexible'}\n`;
+    
+    if (constraints.length > 0) {
+      prompt += `- Constraints: ${constraints.join(', ')}\n`;
     }
     
     if (focus) {
-      prompt += `Optimization focus: ${focus}\n`;
+      prompt += `- Optimization focus: ${focus}\n`;
     }
     
-    prompt += `\n${this.templates.optimization.instructions}`;
+    prompt += `\n${this._renderSection(template, 'instructions', variables)}\n`;
+    prompt += `Return the optimized schedule as valid JSON with the same structure as the current schedule.`;
+    prompt += this._buildLanguageSuffix(locale);
     
     return prompt;
   }
@@ -227,10 +292,14 @@ IMPORTANT REQUIREMENTS FOR EXTREMELY DETAILED OUTPUT:
    * Build validation prompt
    * @param {Object} trip - Trip object
    * @param {string} checkType - Type of validation
+   * @param {string} locale - Locale of the template and reply (optional)
    * @returns {string} Formatted prompt
    */
-  buildValidationPrompt(trip, checkType) {
-    let prompt = `${this.templates.validation.header}\n\n`;
+  buildValidationPrompt(trip, checkType, locale) {
+    const template = this.templateRegistry.getTemplate('validation', locale);
+    const variables = { tripName: trip.name, destination: trip.destination.destination, checkType };
+
+    let prompt = `${this._renderSection(template, 'header', variables)}\n\n`;
     prompt += `Trip: ${trip.name}\n`;
     prompt += `Destination: ${trip.destination.destination}\n`;
     
@@ -243,7 +312,8 @@ IMPORTANT REQUIREMENTS FOR EXTREMELY DETAILED OUTPUT:
     }
     
     prompt += `Validation type: ${checkType}\n`;
-    prompt += `\n${this.templates.validation.instructions}`;
+    prompt += `\n${this._renderSection(template, 'instructions', variables)}`;
+    prompt += this._buildLanguageSuffix(locale);
     
     return prompt;
   }
@@ -251,11 +321,18 @@ IMPORTANT REQUIREMENTS FOR EXTREMELY DETAILED OUTPUT:
   /**
    * Build activity suggestion prompt
    * @param {Object} trip - Trip object (optional)
-   * @param {Object} options - Suggestion options
+   * @param {Object} options - Suggestion options (locale selects the template and reply language)
    * @returns {string} Formatted prompt
    */
   buildSuggestionPrompt(trip, options = {}) {
-    let prompt = `${this.templates.suggestions.header}\n\n`;
+    const template = this.templateRegistry.getTemplate('suggestions', options.locale);
+    const variables = {
+      destination: trip && trip.destination.destination,
+      date: options.date,
+      timePeriod: options.timePeriod
+    };
+
+    let prompt = `${this._renderSection(template, 'header', variables)}\n\n`;
     prompt += `Suggest activities `;
     
     if (trip) {
@@ -282,11 +359,56 @@ IMPORTANT REQUIREMENTS FOR EXTREMELY DETAILED OUTPUT:
       prompt += `Constraints: ${constraints.join(', ')}\n`;
     }
     
-    prompt += `\n${this.templates.suggestions.instructions}`;
+    if (trip && trip.budget && trip.budget.total) {
+      prompt += `Budget: ${trip.budget.total} ${getTripCurrency(trip)}\n`;
+    }
+    
+    if (trip && trip.travelers) {
+      prompt += `Travelers: ${trip.travelers.adults || 1} adults, ${trip.travelers.children || 0} children\n`;
+    }
+    
+    prompt += `\n${this._renderSection(template, 'instructions', variables)}\n`;
+    prompt += `Give estimated costs in ${getTripCurrency(trip)}.`;
+    prompt += this._buildLanguageSuffix(options.locale);
     
     return prompt;
   }
 
+  /**
+   * Render a template section with its {{variable}} placeholders filled
+   * @param {Object} template - Template from the registry
+   * @param {string} section - Section name
+   * @param {Object} variables - Placeholder values
+   * @returns {string} Section text
+   */
+  _renderSection(template, section, variables = {}) {
+    return this.templateRegistry.render(template, section, variables);
+  }
+
+  /**
+   * Template variables of the multi-step generation steps
+   * @param {Object} tripData - Multi-step trip data
+   * @returns {Object} Placeholder values
+   */
+  _getMultiStepVariables(tripData) {
+    return {
+      destination: tripData.destination?.destination,
+      origin: tripData.destination?.origin,
+      duration: tripData.duration,
+      currency: getTripCurrency(tripData)
+    };
+  }
+
+  /**
+   * Language instruction as the closing paragraph of a prompt
+   * @param {string} locale - Request locale (optional)
+   * @returns {string} Paragraph, empty without a locale
+   */
+  _buildLanguageSuffix(locale) {
+    const instruction = this.buildLanguageInstruction(locale);
+    return instruction ? `\n\n${instruction}` : '';
+  }
+
   /**
    * Build trip details section (legacy method)
    * @param {Object} trip - Trip object
@@ -318,8 +440,9 @@ IMPORTANT REQUIREMENTS FOR EXTREMELY DETAILED OUTPUT:
 
     // Enhanced preferences
     if (trip.budget && trip.budget.total) {
-      details += `- Budget: $${trip.budget.total} USD total\n`;
+      details += `- Budget: ${trip.budget.total} ${getTripCurrency(trip)} total\n`;
     }
+    details += `- Currency: give every activity cost in ${getTripCurrency(trip)}\n`;
 
     if (trip.preferences && trip.preferences.interests && trip.preferences.interests.length > 0) {
       details += `- Interests: ${trip.preferences.interests.join(', ')}\n`;
@@ -389,8 +512,9 @@ IMPORTANT REQUIREMENTS FOR EXTREMELY DETAILED OUTPUT:
     
     if (trip.budget && trip.budget.total) {
       const chunkBudget = Math.floor(trip.budget.total / trip.duration * (chunk.endDay - chunk.startDay + 1));
-      details += `- Budget for this segment: ~$${chunkBudget} USD\n`;
+      details += `- Budget for this segment: ~${chunkBudget} ${getTripCurrency(trip)}\n`;
     }
+    details += `- Currency: give every activity cost in ${getTripCurrency(trip)}\n`;
     
     if (trip.preferences && trip.preferences.interests && trip.preferences.interests.length > 0) {
       details += `- Interests: ${trip.preferences.interests.join(', ')}\n`;
@@ -1,3 +1,5 @@
+const { findTimeConflicts } = require('../../../utils/activitySchedule');
+
 /**
  * ResponseParser - Simplified parser for fallback and validation
  * Now mainly used for: Validation, fallback parsing, and complex itinerary processing
@@ -30,7 +32,7 @@ class ResponseParser {
 
     // For structured output, return as-is if it's already in correct format
     if (Array.isArray(jsonData) && jsonData.length > 0 && jsonData[0].date) {
-      return { days: jsonData };
+      return { days: jsonData, timeConflicts: this.findItineraryTimeConflicts(jsonData) };
     }
 
     const parsedItinerary = this._parseJSONItineraryResponse(jsonData, trip);
@@ -39,11 +41,108 @@ class ResponseParser {
     }
 
     console.log('Successfully parsed fallback itinerary response');
-    return parsedItinerary;
+    return { ...parsedItinerary, timeConflicts: this.findItineraryTimeConflicts(parsedItinerary.days) };
+  }
+
+  /**
+   * Flag overlapping or past-midnight activities in AI output (does not reject the itinerary)
+   * @param {Array} days - Itinerary days with activities
+   * @returns {Array} Conflicts with the day index and date they occur on
+   */
+  findItineraryTimeConflicts(days) {
+    const conflicts = [];
+    (days || []).forEach((day, dayIndex) => {
+      findTimeConflicts(day.activities || []).forEach(conflict => {
+        conflicts.push({ dayIndex, date: day.date, ...conflict });
+      });
+    });
+
+    if (conflicts.length > 0) {
+      console.warn(`AI itinerary has ${conflicts.length} activity time conflict(s)`);
+    }
+    return conflicts;
   }
 
 
 
+  /**
+   * Incremental parser for a streamed JSON array of days. Each day is parsed
+   * as soon as its object closes, so callers can forward it before the
+   * rest of the response arrives.
+   * @param {Object} trip - Trip object
+   * @param {Function} onDay - Called with (day, index) for every completed day
+   * @returns {Object} Parser with push(text) for each delta and finish() returning the day count
+   */
+  createItineraryStreamParser(trip, onDay) {
+    let buffer = '';
+    let position = 0;
+    let arrayStarted = false;
+    let depth = 0;
+    let inString = false;
+    let escapeNext = false;
+    let objectStart = -1;
+    let dayCount = 0;
+
+    const emitDay = (json) => {
+      let day;
+      try {
+        day = this._parseJSONItineraryResponse([JSON.parse(json)], trip).days[0];
+      } catch (error) {
+        console.warn('Skipping unparseable streamed itinerary day:', error.message);
+        return;
+      }
+      onDay(day, dayCount++);
+    };
+
+    const scan = () => {
+      for (; position < buffer.length; position++) {
+        const char = buffer[position];
+
+        // Skip any text (e.g. a markdown fence) before the array
+        if (!arrayStarted) {
+          arrayStarted = char === '[';
+          continue;
+        }
+
+        if (inString) {
+          if (escapeNext) {
+            escapeNext = false;
+          } else if (char === '\\') {
+            escapeNext = true;
+          } else if (char === '"') {
+            inString = false;
+          }
+          continue;
+        }
+
+        if (char === '"') {
+          inString = true;
+        } else if (char === '{') {
+          if (depth === 0) {
+            objectStart = position;
+          }
+          depth++;
+        } else if (char === '}') {
+          depth--;
+          if (depth === 0 && objectStart !== -1) {
+            emitDay(buffer.slice(objectStart, position + 1));
+            objectStart = -1;
+          }
+        }
+      }
+    };
+
+    return {
+      push(text) {
+        buffer += text;
+        scan();
+      },
+      finish() {
+        return dayCount;
+      }
+    };
+  }
+
   /**
    * Process chunked itinerary response (simplified for long trips)
    * @param {string} content - AI response content (JSON)
@@ -337,6 +436,18 @@ class ResponseParser {
       }
     });
 
+    // Check activity times within each day
+    this.findItineraryTimeConflicts(itinerary).forEach(conflict => {
+      const titles = conflict.activities.map(activity => `"${activity.title}" (${activity.time}-${activity.endTime})`);
+      issues.push({
+        type: 'time_conflict',
+        message: conflict.type === 'overlap'
+          ? `Day ${conflict.dayIndex + 1}: ${titles.join(' overlaps ')} by ${conflict.overlapMinutes} minutes`
+          : `Day ${conflict.dayIndex + 1}: ${titles[0]} runs ${conflict.overflowMinutes} minutes past midnight`,
+        conflict
+      });
+    });
+
     return { ok: issues.length === 0, issues };
   }
 
@@ -0,0 +1,170 @@
+const { ExchangeRate } = require('../../models/trips');
+const { DEFAULT_EXCHANGE_RATES, normalizeCurrency, convertAmount } = require('../../utils/currency');
+
+// Rates are expressed per 1 USD, so the USD rate cannot change
+const BASE_CURRENCY = 'USD';
+
+// How often admin rates are reloaded, so updates made through another instance are picked up
+const REFRESH_INTERVAL_MS = parseInt(process.env.EXCHANGE_RATE_REFRESH_MS) || 300000;
+
+/**
+ * ExchangeRateService - Exchange rates used to normalize costs into a trip's currency.
+ * Starts from the offline table in utils/currency; rates set by admins are stored in
+ * ExchangeRate and merged over it. The merged table is kept in memory so conversions stay
+ * synchronous; the offline table is used until admin rates are loaded.
+ */
+class ExchangeRateService {
+  constructor() {
+    this.customRates = {};
+    this.rates = { ...DEFAULT_EXCHANGE_RATES };
+    this.loadedAt = null;
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Load admin rates and keep them up to date
+   * @returns {Promise<void>}
+   */
+  async startSync() {
+    if (this.refreshTimer) {
+      return;
+    }
+    this.refreshTimer = setInterval(() => this._loadQuietly(), REFRESH_INTERVAL_MS);
+    this.refreshTimer.unref();
+
+    await this._loadQuietly();
+  }
+
+  stopSync() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Reload admin rates from the database
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const rates = await ExchangeRate.find().lean();
+
+    const customRates = {};
+    for (const rate of rates) {
+      customRates[rate.currency] = rate;
+    }
+    this._apply(customRates);
+    this.loadedAt = new Date();
+  }
+
+  /**
+   * Current rates: units of each currency per 1 USD
+   * @returns {Object} Rates keyed by currency code
+   */
+  getRates() {
+    return this.rates;
+  }
+
+  /**
+   * Convert an amount with the current rates
+   * @param {number} amount - Amount in the source currency
+   * @param {string} from - Source currency code
+   * @param {string} to - Target currency code
+   * @returns {number|null} Converted amount, or null if either currency has no rate
+   */
+  convert(amount, from, to) {
+    return convertAmount(amount, from, to, this.rates);
+  }
+
+  /**
+   * List every known rate with where it comes from
+   * @returns {Promise<Array>} [{ currency, perUSD, source ('default' | 'admin'), defaultPerUSD, updatedAt, updatedBy }]
+   */
+  async listRates() {
+    await this.load();
+
+    return Object.keys(this.rates).sort().map(currency => {
+      const custom = this.customRates[currency];
+      return {
+        currency,
+        perUSD: this.rates[currency],
+        source: custom ? 'admin' : 'default',
+        defaultPerUSD: DEFAULT_EXCHANGE_RATES[currency] || null,
+        updatedAt: custom ? custom.updatedAt : null,
+        updatedBy: custom ? custom.updatedBy : null
+      };
+    });
+  }
+
+  /**
+   * Set the rate of a currency, overriding the offline table
+   * @param {string} currency - Currency code
+   * @param {number} perUSD - Units of the currency per 1 USD
+   * @param {string} adminId - Admin making the change
+   * @returns {Promise<Object>} Saved rate
+   */
+  async setRate(currency, perUSD, adminId) {
+    const code = this._assertEditable(currency);
+
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { currency: code },
+      { perUSD, updatedBy: adminId },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    this._apply({ ...this.customRates, [code]: rate });
+    return { currency: code, perUSD: rate.perUSD, source: 'admin', updatedAt: rate.updatedAt };
+  }
+
+  /**
+   * Remove an admin rate so the offline rate (if any) applies again
+   * @param {string} currency - Currency code
+   * @returns {Promise<Object>} The rate now in effect ({ currency, perUSD: null } if none)
+   */
+  async removeRate(currency) {
+    const code = this._assertEditable(currency);
+
+    const removed = await ExchangeRate.findOneAndDelete({ currency: code });
+    if (!removed) {
+      throw new Error('EXCHANGE_RATE_NOT_FOUND');
+    }
+
+    const customRates = { ...this.customRates };
+    delete customRates[code];
+    this._apply(customRates);
+    return { currency: code, perUSD: this.rates[code] || null, source: this.rates[code] ? 'default' : null };
+  }
+
+  /**
+   * Normalize a currency code whose rate admins may change
+   * @private
+   */
+  _assertEditable(currency) {
+    const code = normalizeCurrency(currency);
+    if (code === BASE_CURRENCY) {
+      throw new Error('BASE_CURRENCY_RATE_FIXED');
+    }
+    return code;
+  }
+
+  /**
+   * Merge admin rates over the offline table
+   * @private
+   */
+  _apply(customRates) {
+    const rates = { ...DEFAULT_EXCHANGE_RATES };
+    Object.values(customRates).forEach(rate => {
+      rates[rate.currency] = rate.perUSD;
+    });
+    this.customRates = customRates;
+    this.rates = rates;
+  }
+
+  async _loadQuietly() {
+    try {
+      await this.load();
+    } catch (error) {
+      console.error('Failed to load exchange rates:', error.message);
+    }
+  }
+}
+
+module.exports = new ExchangeRateService();
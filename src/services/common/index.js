@@ -1,5 +1,7 @@
 const responseService = require('./response.service');
+const exchangeRateService = require('./exchangeRate.service');
 
 module.exports = {
-  responseService
-};
\ No newline at end of file
+  responseService,
+  exchangeRateService
+};
@@ -30,6 +30,15 @@ class ResponseService {
     });
   }
 
+  /**
+   * Set the ETag header for a trip revision
+   * @param {Object} res - Express response object
+   * @param {number} revision - Trip revision
+   */
+  setRevisionETag(res, revision) {
+    res.set('ETag', `"${revision}"`);
+  }
+
   /**
    * Format authentication success response
    * @param {Object} res - Express response object
@@ -71,9 +80,16 @@ class ResponseService {
    * @param {Object} res - Express response object
    * @param {string} message - Error message
    * @param {number} statusCode - HTTP status code
+   * @param {Object} data - Additional response data
    */
-  sendError(res, message, statusCode = 500) {
-    res.status(statusCode).json({ message });
+  sendError(res, message, statusCode = 500, data) {
+    const response = { message };
+
+    if (data) {
+      Object.assign(response, data);
+    }
+
+    res.status(statusCode).json(response);
   }
 
   /**
@@ -83,6 +99,18 @@ class ResponseService {
    * @param {string} defaultMessage - Default error message
    */
   handleServiceError(res, error, defaultMessage = 'Server error') {
+    const { status, message, data } = this.resolveServiceError(error, defaultMessage);
+    this.sendError(res, message, status, data);
+  }
+
+  /**
+   * Resolve the HTTP status and message of a service error
+   * (also used for error events of streaming responses)
+   * @param {Error} error - Service error
+   * @param {string} defaultMessage - Default error message
+   * @returns {Object} { status, message, data }
+   */
+  resolveServiceError(error, defaultMessage = 'Server error') {
     const errorMappings = {
       // Authentication errors
       'EMAIL_ALREADY_REGISTERED': { status: 409, message: 'Email already registered' },
@@ -124,19 +152,63 @@ class ResponseService {
       'TRIP_ALREADY_HAS_SCHEDULE': { status: 409, message: 'Trip already has a schedule' },
       'TRIP_NO_SCHEDULE_TO_OPTIMIZE': { status: 400, message: 'Trip has no schedule to optimize' },
       'INVALID_EXPORT_FORMAT': { status: 400, message: 'Invalid export format' },
+      'INVALID_TIMEZONE': { status: 400, message: 'Timezone must be a valid IANA timezone identifier' },
+      'INVALID_IMPORT_FORMAT': { status: 400, message: 'Invalid import format' },
+      'INVALID_IMPORT_DATA': { status: 400, message: 'Import data could not be parsed' },
+      'IMPORT_NO_ACTIVITIES': { status: 400, message: 'Import data contains no activities' },
       'DAY_NOT_FOUND': { status: 404, message: 'Day not found in trip itinerary' },
       'ACTIVITY_NOT_FOUND': { status: 404, message: 'Activity not found' },
+      'ACTIVITY_TIME_CONFLICT': { status: 400, message: 'Activity overlaps another activity of the day or runs past midnight' },
+      'INVALID_BATCH_OPERATION': { status: 400, message: 'Batch operation type must be one of: add, update, delete, move, reorder, swapDays' },
+      'INVALID_ACTIVITY_ORDER': { status: 400, message: 'Activity order must list every activity of the day exactly once' },
       'INVALID_ID': { status: 400, message: 'Invalid ID format' },
+      'MEMBER_NOT_FOUND': { status: 404, message: 'Member not found in this trip' },
+      'MEMBER_ALREADY_EXISTS': { status: 409, message: 'User is already a member of this trip' },
+      'INVITATION_NOT_FOUND': { status: 404, message: 'No pending invitation for this trip' },
+      'CANNOT_INVITE_TRIP_OWNER': { status: 400, message: 'Trip owner cannot be invited as a member' },
+      'CANNOT_REMOVE_TRIP_OWNER': { status: 400, message: 'Trip owner cannot be removed from the trip' },
+      'SHARE_LINK_NOT_FOUND': { status: 404, message: 'Share link not found or revoked' },
+      'SHARE_LINK_EXPIRED': { status: 410, message: 'Share link has expired' },
+      'SHARE_LINK_EXPIRY_IN_PAST': { status: 400, message: 'Share link expiry must be in the future' },
+      'VERSION_NOT_FOUND': { status: 404, message: 'Trip version not found' },
+      'VERSION_CONFLICT': { status: 409, message: 'Could not record trip version, please retry' },
+      'TRIP_REVISION_CONFLICT': { status: 409, message: 'Trip was modified by someone else, reload and retry' },
+      'EXPENSE_NOT_FOUND': { status: 404, message: 'Expense not found' },
+      'EXPENSE_PAYER_NOT_MEMBER': { status: 400, message: 'Expense payer must be the trip owner or a member' },
+      
+      // Currency errors
+      'EXCHANGE_RATE_NOT_FOUND': { status: 404, message: 'No admin exchange rate set for this currency' },
+      'BASE_CURRENCY_RATE_FIXED': { status: 400, message: 'USD is the base currency, its rate is always 1' },
       
       // AI errors
       'RATE_LIMIT_EXCEEDED': { status: 429, message: 'Rate limit exceeded. Please try again later.' },
+      'TOKEN_BUDGET_EXCEEDED': { status: 429, message: 'Monthly AI token budget exceeded' },
       'AI_SERVICE_UNAVAILABLE': { status: 503, message: 'AI service is temporarily unavailable' },
       'INVALID_AI_MODEL': { status: 400, message: 'Invalid AI model specified' },
       'TRIP_ALREADY_HAS_ITINERARY': { status: 409, message: 'Trip already has a complete itinerary' },
       'NO_ITINERARY_TO_OPTIMIZE': { status: 400, message: 'Trip has no itinerary to optimize' },
+      'NO_ITINERARY_FOR_TIPS': { status: 400, message: 'Trip has no itinerary to give tips for' },
       'DATE_OUTSIDE_TRIP_RANGE': { status: 400, message: 'Date is outside the trip date range' },
       'AI_PROCESSING_ERROR': { status: 500, message: 'Error processing AI request' },
       'INVALID_CONVERSATION_HISTORY': { status: 400, message: 'Invalid conversation history format' },
+      'ITINERARY_JOB_IN_PROGRESS': { status: 409, message: 'An itinerary is already being generated for this trip' },
+      'JOB_NOT_FOUND': { status: 404, message: 'Itinerary generation job not found' },
+      'INVALID_JOB_ID': { status: 400, message: 'Invalid job ID format' },
+      'JOB_ALREADY_FINISHED': { status: 409, message: 'Job has already finished' },
+      'CONVERSATION_NOT_FOUND': { status: 404, message: 'Conversation not found' },
+      'INVALID_CONVERSATION_ID': { status: 400, message: 'Invalid conversation ID format' },
+      'CONVERSATION_TRIP_MISMATCH': { status: 400, message: 'Conversation belongs to a different trip' },
+      'NO_TRIP_INFO_EXTRACTED': { status: 400, message: 'No trip information could be extracted from the message' },
+      'PROPOSAL_NOT_FOUND': { status: 404, message: 'Trip info proposal not found' },
+      'INVALID_PROPOSAL_ID': { status: 400, message: 'Invalid proposal ID format' },
+      'PROPOSAL_NOT_PENDING': { status: 409, message: 'Proposal was already confirmed, rejected, replaced or has expired' },
+      'PROMPT_TEMPLATE_NOT_FOUND': { status: 404, message: 'Prompt template not found' },
+      'PROMPT_TEMPLATE_VERSION_NOT_FOUND': { status: 404, message: 'Prompt template version not found' },
+      'PROMPT_TEMPLATE_VERSION_ACTIVE': { status: 409, message: 'The active template version cannot be deleted' },
+      'INVALID_PROMPT_TEMPLATE': { status: 400, message: 'Template sections or variables do not match the template' },
+      'PROMPT_EXPERIMENT_NOT_FOUND': { status: 404, message: 'Prompt experiment not found' },
+      'PROMPT_EXPERIMENT_ALREADY_RUNNING': { status: 409, message: 'Another experiment is already running for this endpoint' },
+      'PROMPT_EXPERIMENT_STATUS_CONFLICT': { status: 409, message: 'Only draft experiments can be started and running ones stopped' },
       
       // Search errors
       'DOCUMENT_NOT_FOUND': { status: 404, message: 'Reference document not found' },
@@ -146,15 +218,17 @@ class ResponseService {
 
     const mapping = errorMappings[error.message];
     if (mapping) {
-      this.sendError(res, mapping.message, mapping.status);
-    } else if (error.message.startsWith('VALIDATION_ERROR:')) {
+      // Some errors carry extra response data (e.g. the current trip on a revision conflict)
+      return { status: mapping.status, message: mapping.message, data: error.data };
+    }
+
+    if (error.message.startsWith('VALIDATION_ERROR:')) {
       // Handle validation errors with custom messages
-      const validationMessage = error.message.replace('VALIDATION_ERROR: ', '');
-      this.sendError(res, validationMessage, 400);
-    } else {
-      console.error('Unhandled service error:', error);
-      this.sendError(res, defaultMessage, 500);
+      return { status: 400, message: error.message.replace('VALIDATION_ERROR: ', '') };
     }
+
+    console.error('Unhandled service error:', error);
+    return { status: 500, message: defaultMessage };
   }
 }
 
@@ -1,5 +1,17 @@
 const tripService = require('./trip.service');
+const tripExpenseService = require('./tripExpense.service');
+const tripExportService = require('./tripExport.service');
+const tripImportService = require('./tripImport.service');
+const tripMemberService = require('./tripMember.service');
+const tripShareService = require('./tripShare.service');
+const tripVersionService = require('./tripVersion.service');
 
 module.exports = {
-  tripService
+  tripService,
+  tripExpenseService,
+  tripExportService,
+  tripImportService,
+  tripMemberService,
+  tripShareService,
+  tripVersionService
 };
\ No newline at end of file
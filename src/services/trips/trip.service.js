@@ -1,4 +1,19 @@
 const { Trip } = require('../../models/trips');
+const tripExportService = require('./tripExport.service');
+const tripImportService = require('./tripImport.service');
+const tripVersionService = require('./tripVersion.service');
+const { findTimeConflicts } = require('../../utils/activitySchedule');
+const { DEFAULT_LOCALE } = require('../../utils/i18n');
+const { getTripCurrency, assignActivityCurrency, sumActivityCosts } = require('../../utils/currency');
+const { exchangeRateService } = require('../common');
+const {
+  aiTripService,
+  aiScheduleOptimizationService,
+  activityTemplateService,
+  responseParser,
+  promptExperimentService
+} = require('../ai');
+const { getAIProvider } = require('../ai/core/aiProvider.service');
 const crypto = require('crypto');
 
 class TripService {
@@ -37,6 +52,8 @@ class TripService {
       
       await trip.save();
       
+      await this._trackVersion(trip, { authorId: userId, source: 'manual', summary: 'Trip created' });
+      
       return trip.toPublicJSON();
     } catch (error) {
       if (error.name === 'ValidationError') {
@@ -82,8 +99,8 @@ class TripService {
         throw new Error('INVALID_SORT_BY');
       }
       
-      // Build query filters
-      const filters = { userId };
+      // Build query filters (owned trips and trips shared with the user)
+      const filters = Trip.accessibleBy(userId);
       if (status) {
         filters.status = status;
       }
@@ -94,7 +111,9 @@ class TripService {
       
       // Execute query with pagination
       const [trips, totalCount] = await Promise.all([
+        // Share tokens are left out as in toPublicJSON (only the share link endpoints list them)
         Trip.find(filters)
+          .select('-shareLinks')
           .sort(sort)
           .limit(parsedLimit)
           .skip(parsedOffset)
@@ -149,7 +168,7 @@ class TripService {
         throw new Error('TRIP_NOT_FOUND');
       }
       
-      if (!trip.isOwnedBy(userId)) {
+      if (!trip.hasAccess(userId, 'viewer')) {
         throw new Error('TRIP_ACCESS_DENIED');
       }
       
@@ -167,9 +186,13 @@ class TripService {
    * @param {string} tripId - Trip ID
    * @param {string} userId - User ID updating the trip
    * @param {Object} updateData - Update data
+   * @param {Object} options - Update options
+   * @param {number} options.expectedRevision - Trip revision from If-Match
+   * @param {string} options.source - Version history source (default 'manual')
+   * @param {string} options.summary - Version history summary
    * @returns {Promise<Object>} Updated trip data
    */
-  async updateTrip(tripId, userId, updateData) {
+  async updateTrip(tripId, userId, updateData, options = {}) {
     try {
       const trip = await Trip.findById(tripId);
       
@@ -177,10 +200,12 @@ class TripService {
         throw new Error('TRIP_NOT_FOUND');
       }
       
-      if (!trip.isOwnedBy(userId)) {
+      if (!trip.hasAccess(userId, 'editor')) {
         throw new Error('TRIP_ACCESS_DENIED');
       }
       
+      tripVersionService.assertRevision(trip, options.expectedRevision);
+      
       // Validate date constraints if dates are being updated
       if (updateData.destination) {
         const startDate = updateData.destination.startDate 
@@ -204,6 +229,8 @@ class TripService {
         }
       }
       
+      await tripVersionService.ensureBaseline(trip);
+      
       // Update trip fields
       Object.keys(updateData).forEach(key => {
         if (updateData[key] !== undefined) {
@@ -218,6 +245,12 @@ class TripService {
       
       await trip.save();
       
+      await this._trackVersion(trip, {
+        authorId: userId,
+        source: options.source || 'manual',
+        summary: options.summary || 'Trip details updated'
+      });
+      
       return trip.toPublicJSON();
     } catch (error) {
       if (error.name === 'CastError') {
@@ -227,6 +260,9 @@ class TripService {
         const firstError = Object.values(error.errors)[0];
         throw new Error(`VALIDATION_ERROR: ${firstError.message}`);
       }
+      if (error.name === 'VersionError') {
+        throw await tripVersionService.revisionConflict(tripId);
+      }
       throw error;
     }
   }
@@ -235,9 +271,11 @@ class TripService {
    * Delete a trip permanently
    * @param {string} tripId - Trip ID
    * @param {string} userId - User ID deleting the trip
+   * @param {Object} options - Delete options
+   * @param {number} options.expectedRevision - Trip revision from If-Match
    * @returns {Promise<void>}
    */
-  async deleteTrip(tripId, userId) {
+  async deleteTrip(tripId, userId, options = {}) {
     try {
       const trip = await Trip.findById(tripId);
       
@@ -245,13 +283,20 @@ class TripService {
         throw new Error('TRIP_NOT_FOUND');
       }
       
-      if (!trip.isOwnedBy(userId)) {
+      if (!trip.hasAccess(userId, 'owner')) {
         throw new Error('TRIP_ACCESS_DENIED');
       }
       
+      tripVersionService.assertRevision(trip, options.expectedRevision);
+      
       // TODO: Clean up associated data (bookings, etc.) when those features are implemented
       
-      await Trip.findByIdAndDelete(tripId);
+      // Only delete the revision that was checked, not one saved in the meantime
+      const deleted = await Trip.findOneAndDelete({ _id: tripId, revision: trip.revision });
+      if (!deleted) {
+        throw await tripVersionService.revisionConflict(tripId);
+      }
+      await tripVersionService.deleteVersions(tripId);
     } catch (error) {
       if (error.name === 'CastError') {
         throw new Error('INVALID_TRIP_ID');
@@ -264,8 +309,8 @@ class TripService {
    * Generate a draft schedule for the trip
    * @param {string} tripId - Trip ID
    * @param {string} userId - User ID
-   * @param {Object} options - Generation options
-   * @returns {Promise<Object>} Updated trip with draft schedule
+   * @param {Object} options - Generation options (focus, locale of the tips, expectedRevision from If-Match)
+   * @returns {Promise<Object>} Updated trip and generation details (source: ai or template)
    */
   async generateDraftSchedule(tripId, userId, options = {}) {
     try {
@@ -275,56 +320,57 @@ class TripService {
         throw new Error('TRIP_NOT_FOUND');
       }
       
-      if (!trip.isOwnedBy(userId)) {
+      if (!trip.hasAccess(userId, 'editor')) {
         throw new Error('TRIP_ACCESS_DENIED');
       }
       
+      tripVersionService.assertRevision(trip, options.expectedRevision);
+      
       if (trip.itinerary.days.length > 0) {
         throw new Error('TRIP_ALREADY_HAS_SCHEDULE');
       }
       
-      // TODO: Integrate with AI service when implemented
-      // For now, create a basic schedule structure
-      const duration = trip.duration;
-      const startDate = new Date(trip.destination.startDate);
+      await tripVersionService.ensureBaseline(trip);
       
-      // Initialize empty days for the trip duration
-      const days = [];
-      for (let i = 0; i < duration; i++) {
-        const dayDate = new Date(startDate);
-        dayDate.setDate(dayDate.getDate() + i);
-        
-        days.push({
-          date: dayDate,
-          activities: [
-            {
-              time: '09:00',
-              title: 'Morning Activity',
-              description: 'Placeholder activity - will be generated by AI',
-              location: {
-                name: trip.destination.destination,
-                address: '',
-                coordinates: { lat: 0, lng: 0 }
-              },
-              duration: 120, // 2 hours
-              cost: 0,
-              category: 'cultural',
-              notes: 'AI-generated activity placeholder'
-            }
-          ]
-        });
-      }
+      const generation = await this._generateDraftDays(trip, userId, options);
       
-      trip.itinerary.days = days;
+      trip.itinerary.days = generation.days;
+      if (generation.tips.length > 0) {
+        trip.setTips(generation.tips, options.locale || DEFAULT_LOCALE);
+      }
       trip.status = 'planned';
       
+      // AI output is not guaranteed to match the schema; drop the entries that don't
+      const skipped = this._removeInvalidItineraryEntries(trip);
+      
       await trip.save();
       
-      return trip.toPublicJSON();
+      if (generation.experiment) {
+        await promptExperimentService.recordItinerary(generation.experiment, trip, generation.experimentOutcome);
+      }
+      
+      await this._trackVersion(trip, {
+        authorId: userId,
+        source: 'ai-generate',
+        summary: generation.source === 'ai' ? 'Draft schedule generated by AI' : 'Draft schedule generated from activity templates'
+      });
+      
+      return {
+        trip: trip.toPublicJSON(),
+        generation: {
+          source: generation.source,
+          tokensUsed: generation.tokensUsed,
+          skipped,
+          timeConflicts: responseParser.findItineraryTimeConflicts(trip.itinerary.days)
+        }
+      };
     } catch (error) {
       if (error.name === 'CastError') {
         throw new Error('INVALID_TRIP_ID');
       }
+      if (error.name === 'VersionError') {
+        throw await tripVersionService.revisionConflict(tripId);
+      }
       throw error;
     }
   }
@@ -333,8 +379,8 @@ class TripService {
    * Optimize trip schedule
    * @param {string} tripId - Trip ID
    * @param {string} userId - User ID
-   * @param {Object} options - Optimization options
-   * @returns {Promise<Object>} Updated trip with optimized schedule
+   * @param {Object} options - Optimization options (focus, locale of new or changed text, expectedRevision from If-Match)
+   * @returns {Promise<Object>} Updated trip and optimization details (source: ai or template)
    */
   async optimizeTrip(tripId, userId, options = {}) {
     try {
@@ -344,25 +390,44 @@ class TripService {
         throw new Error('TRIP_NOT_FOUND');
       }
       
-      if (!trip.isOwnedBy(userId)) {
+      if (!trip.hasAccess(userId, 'editor')) {
         throw new Error('TRIP_ACCESS_DENIED');
       }
       
+      tripVersionService.assertRevision(trip, options.expectedRevision);
+      
       if (!trip.itinerary.days || trip.itinerary.days.length === 0) {
         throw new Error('TRIP_NO_SCHEDULE_TO_OPTIMIZE');
       }
       
-      // TODO: Integrate with AI service for optimization
-      // For now, just update the timestamp to indicate optimization was attempted
-      trip.updatedAt = new Date();
+      await tripVersionService.ensureBaseline(trip);
+      
+      const optimization = await this._optimizeDays(trip, userId, options);
       
       await trip.save();
       
-      return trip.toPublicJSON();
+      await this._trackVersion(trip, {
+        authorId: userId,
+        source: 'ai-optimize',
+        summary: `Schedule optimized${options.focus ? ` for ${options.focus}` : ''}${optimization.source === 'ai' ? ' by AI' : ' locally'}`
+      });
+      
+      return {
+        trip: trip.toPublicJSON(),
+        optimization: {
+          source: optimization.source,
+          tokensUsed: optimization.tokensUsed,
+          improvements: optimization.improvements,
+          timeConflicts: responseParser.findItineraryTimeConflicts(trip.itinerary.days)
+        }
+      };
     } catch (error) {
       if (error.name === 'CastError') {
         throw new Error('INVALID_TRIP_ID');
       }
+      if (error.name === 'VersionError') {
+        throw await tripVersionService.revisionConflict(tripId);
+      }
       throw error;
     }
   }
@@ -382,7 +447,7 @@ class TripService {
         throw new Error('TRIP_NOT_FOUND');
       }
       
-      if (!trip.isOwnedBy(userId)) {
+      if (!trip.hasAccess(userId, 'viewer')) {
         throw new Error('TRIP_ACCESS_DENIED');
       }
       
@@ -398,10 +463,12 @@ class TripService {
       // Filter data based on options
       if (!includeCosts) {
         delete exportData.budget;
+        delete exportData.expenses;
         if (exportData.itinerary && exportData.itinerary.days) {
           exportData.itinerary.days.forEach(day => {
             day.activities.forEach(activity => {
               delete activity.cost;
+              delete activity.currency;
             });
           });
         }
@@ -417,6 +484,12 @@ class TripService {
         }
       }
       
+      // Costs may be in several currencies; totals are converted into the trip currency
+      const rates = exchangeRateService.getRates();
+      if (includeCosts) {
+        exportData.activityCostTotal = sumActivityCosts(exportData, rates);
+      }
+      
       switch (format) {
         case 'json':
           return {
@@ -426,18 +499,17 @@ class TripService {
           };
         
         case 'ics':
-          // TODO: Implement ICS calendar export
           return {
             format: 'ics',
-            data: 'ICS export not yet implemented',
+            data: tripExportService.generateICS(exportData, { timezone, includeCosts, includeNotes, rates }),
             filename: `trip-${trip.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}-${Date.now()}.ics`
           };
         
         case 'pdf':
-          // TODO: Implement PDF export
           return {
             format: 'pdf',
-            data: 'PDF export not yet implemented',
+            data: await tripExportService.generatePDF(exportData, { includeCosts, includeNotes, rates }),
+            contentType: 'application/pdf',
             filename: `trip-${trip.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}-${Date.now()}.pdf`
           };
         
@@ -452,15 +524,259 @@ class TripService {
     }
   }
 
+  /**
+   * Import a trip from a JSON export or an iCalendar file
+   * @param {string} userId - User ID importing the trip
+   * @param {Object} importData - Import payload
+   * @param {string} importData.format - Import format ('json' or 'ics')
+   * @param {Object|string} importData.data - Exported trip or calendar content
+   * @param {string} importData.startDate - Optional new start date; all dates shift to match
+   * @param {Object} importData.trip - Optional trip fields overriding the imported ones
+   * @returns {Promise<Object>} Created trip and per-activity import report
+   */
+  async importTrip(userId, importData) {
+    try {
+      const { format, data, startDate: newStartDate, timezone, trip: overrides = {} } = importData;
+
+      const { tripData, errors } = tripImportService.parse(format, data, overrides, { timezone });
+
+      if (!tripData.destination.startDate || !tripData.destination.endDate) {
+        throw new Error('VALIDATION_ERROR: Imported trip must have start and end dates');
+      }
+
+      if (newStartDate) {
+        tripImportService.remapDates(tripData, newStartDate);
+      }
+
+      // Same date rules as createTrip
+      const startDate = new Date(tripData.destination.startDate);
+      const endDate = new Date(tripData.destination.endDate);
+
+      if (startDate >= endDate) {
+        throw new Error('START_DATE_AFTER_END_DATE');
+      }
+
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      if (startDate < today) {
+        throw new Error('START_DATE_IN_PAST');
+      }
+
+      const trip = new Trip({
+        ...tripData,
+        userId,
+        status: 'draft'
+      });
+
+      const itineraryErrors = this._removeInvalidItineraryEntries(trip);
+
+      await trip.save();
+      
+      await this._trackVersion(trip, { authorId: userId, source: 'import', summary: `Imported from ${format}` });
+
+      const importedActivities = trip.itinerary.days.reduce((sum, day) => sum + day.activities.length, 0);
+
+      return {
+        trip: trip.toPublicJSON(),
+        report: {
+          importedActivities,
+          skipped: errors.length + itineraryErrors.length,
+          errors: [...errors, ...itineraryErrors]
+        }
+      };
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        const firstError = Object.values(error.errors)[0];
+        throw new Error(`VALIDATION_ERROR: ${firstError.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a trip against the schema and drop activities, days and tips
+   * that fail, so one bad entry does not reject the whole trip
+   * @param {Object} trip - Unsaved Trip document
+   * @returns {Array} Errors for each removed entry
+   * @private
+   */
+  _removeInvalidItineraryEntries(trip) {
+    const validationError = trip.validateSync();
+    if (!validationError) {
+      return [];
+    }
+
+    const invalidActivities = new Map();
+    const invalidDays = new Map();
+    const invalidTips = new Map();
+
+    Object.entries(validationError.errors).forEach(([path, error]) => {
+      let match = path.match(/^itinerary\.days\.(\d+)\.activities\.(\d+)\./);
+      if (match) {
+        const key = `${match[1]}.${match[2]}`;
+        if (!invalidActivities.has(key)) {
+          invalidActivities.set(key, { day: Number(match[1]), activity: Number(match[2]), errors: [] });
+        }
+        invalidActivities.get(key).errors.push(error.message);
+        return;
+      }
+
+      match = path.match(/^itinerary\.days\.(\d+)\./);
+      if (match) {
+        const day = Number(match[1]);
+        if (!invalidDays.has(day)) {
+          invalidDays.set(day, []);
+        }
+        invalidDays.get(day).push(error.message);
+        return;
+      }
+
+      match = path.match(/^itinerary\.tips\.(\d+)\./);
+      if (match) {
+        const tip = Number(match[1]);
+        if (!invalidTips.has(tip)) {
+          invalidTips.set(tip, []);
+        }
+        invalidTips.get(tip).push(error.message);
+      }
+    });
+
+    const report = [];
+
+    [...invalidActivities.values()]
+      .filter(entry => !invalidDays.has(entry.day))
+      .sort((a, b) => b.day - a.day || b.activity - a.activity)
+      .forEach(entry => {
+        const activities = trip.itinerary.days[entry.day].activities;
+        report.unshift({
+          day: entry.day,
+          activity: entry.activity,
+          title: activities[entry.activity].title,
+          errors: entry.errors
+        });
+        activities.splice(entry.activity, 1);
+      });
+
+    [...invalidDays.keys()].sort((a, b) => b - a).forEach(day => {
+      report.unshift({
+        day,
+        activities: trip.itinerary.days[day].activities.length,
+        errors: invalidDays.get(day)
+      });
+      trip.itinerary.days.splice(day, 1);
+    });
+
+    [...invalidTips.keys()].sort((a, b) => b - a).forEach(tip => {
+      report.push({
+        tip,
+        title: trip.itinerary.tips[tip].title,
+        errors: invalidTips.get(tip)
+      });
+      trip.itinerary.tips.splice(tip, 1);
+    });
+
+    return report;
+  }
+
+  /**
+   * Clone a trip into a new draft owned by the caller
+   * @param {string} tripId - Trip ID to clone
+   * @param {string} userId - User ID creating the copy
+   * @param {Object} options - Clone options
+   * @param {string} options.startDate - Optional new start date; all dates shift to match
+   * @param {string} options.name - Optional name for the copy
+   * @returns {Promise<Object>} Cloned trip data
+   */
+  async cloneTrip(tripId, userId, options = {}) {
+    try {
+      const sourceTrip = await Trip.findById(tripId);
+      
+      if (!sourceTrip) {
+        throw new Error('TRIP_NOT_FOUND');
+      }
+      
+      if (!sourceTrip.hasAccess(userId, 'viewer')) {
+        throw new Error('TRIP_ACCESS_DENIED');
+      }
+      
+      const source = sourceTrip.toObject();
+      const stripId = ({ _id, ...rest }) => rest;
+      
+      // Deep copy without subdocument IDs so the clone gets fresh ones
+      const tripData = {
+        name: options.name || `${source.name} (Copy)`.slice(0, 100),
+        destination: { ...source.destination },
+        travelers: { ...source.travelers },
+        budget: source.budget ? { ...source.budget, breakdown: { ...source.budget.breakdown } } : undefined,
+        preferences: source.preferences ? {
+          interests: [...(source.preferences.interests || [])],
+          constraints: [...(source.preferences.constraints || [])],
+          specialRequests: [...(source.preferences.specialRequests || [])]
+        } : undefined,
+        itinerary: {
+          days: source.itinerary.days.map(day => ({
+            date: new Date(day.date),
+            activities: day.activities.map(activity => ({
+              ...stripId(activity),
+              location: activity.location ? {
+                ...activity.location,
+                coordinates: activity.location.coordinates ? { ...activity.location.coordinates } : undefined
+              } : undefined
+            }))
+          })),
+          tips: (source.itinerary.tips || []).map(tip => stripId(tip)),
+          tipsLocale: source.itinerary.tipsLocale,
+          localizedTips: source.itinerary.localizedTips
+            ? new Map([...source.itinerary.localizedTips].map(([locale, tips]) => [locale, tips.map(tip => stripId(tip))]))
+            : undefined
+        }
+      };
+      
+      if (options.startDate) {
+        tripImportService.remapDates(tripData, options.startDate);
+      }
+      
+      // Same past-date rule as createTrip
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      if (new Date(tripData.destination.startDate) < today) {
+        throw new Error('START_DATE_IN_PAST');
+      }
+      
+      const trip = new Trip({
+        ...tripData,
+        userId,
+        status: 'draft'
+      });
+      
+      await trip.save();
+      
+      await this._trackVersion(trip, { authorId: userId, source: 'manual', summary: `Cloned from trip ${sourceTrip._id}` });
+      
+      return trip.toPublicJSON();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_TRIP_ID');
+      }
+      if (error.name === 'ValidationError') {
+        const firstError = Object.values(error.errors)[0];
+        throw new Error(`VALIDATION_ERROR: ${firstError.message}`);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Add activity to a specific day in trip itinerary
    * @param {string} tripId - Trip ID
    * @param {string} userId - User ID
    * @param {string} dayId - Day ID in itinerary
    * @param {Object} activityData - Activity data
+   * @param {Object} options - Mutation options
+   * @param {number} options.expectedRevision - Trip revision from If-Match
    * @returns {Promise<Object>} Updated trip data
    */
-  async addActivityToDay(tripId, userId, dayId, activityData) {
+  async addActivityToDay(tripId, userId, dayId, activityData, options = {}) {
     try {
       const trip = await Trip.findById(tripId);
       
@@ -468,19 +784,27 @@ class TripService {
         throw new Error('TRIP_NOT_FOUND');
       }
       
-      if (!trip.isOwnedBy(userId)) {
+      if (!trip.hasAccess(userId, 'editor')) {
         throw new Error('TRIP_ACCESS_DENIED');
       }
       
+      tripVersionService.assertRevision(trip, options.expectedRevision);
+      
+      await tripVersionService.ensureBaseline(trip);
+      
       const day = trip.itinerary.days.id(dayId);
       if (!day) {
         throw new Error('DAY_NOT_FOUND');
       }
       
-      day.activities.push(activityData);
+      day.activities.push(this._withActivityCurrency(trip, activityData));
+      
+      this._assertNoTimeConflicts(trip, [day.activities[day.activities.length - 1]._id]);
       
       await trip.save();
       
+      await this._trackVersion(trip, { authorId: userId, source: 'manual', summary: `Added activity "${activityData.title}"` });
+      
       return trip.toPublicJSON();
     } catch (error) {
       if (error.name === 'CastError') {
@@ -490,6 +814,9 @@ class TripService {
         const firstError = Object.values(error.errors)[0];
         throw new Error(`VALIDATION_ERROR: ${firstError.message}`);
       }
+      if (error.name === 'VersionError') {
+        throw await tripVersionService.revisionConflict(tripId);
+      }
       throw error;
     }
   }
@@ -501,9 +828,11 @@ class TripService {
    * @param {string} dayId - Day ID in itinerary
    * @param {string} activityId - Activity ID
    * @param {Object} updateData - Activity update data
+   * @param {Object} options - Mutation options
+   * @param {number} options.expectedRevision - Trip revision from If-Match
    * @returns {Promise<Object>} Updated trip data
    */
-  async updateActivity(tripId, userId, dayId, activityId, updateData) {
+  async updateActivity(tripId, userId, dayId, activityId, updateData, options = {}) {
     try {
       const trip = await Trip.findById(tripId);
       
@@ -511,10 +840,14 @@ class TripService {
         throw new Error('TRIP_NOT_FOUND');
       }
       
-      if (!trip.isOwnedBy(userId)) {
+      if (!trip.hasAccess(userId, 'editor')) {
         throw new Error('TRIP_ACCESS_DENIED');
       }
       
+      tripVersionService.assertRevision(trip, options.expectedRevision);
+      
+      await tripVersionService.ensureBaseline(trip);
+      
       const day = trip.itinerary.days.id(dayId);
       if (!day) {
         throw new Error('DAY_NOT_FOUND');
@@ -531,9 +864,15 @@ class TripService {
           activity[key] = updateData[key];
         }
       });
+      this._fillActivityCurrency(trip, activity);
+      
+      this._assertNoTimeConflicts(trip, [activity._id]);
       
       await trip.save();
       
+      await this._trackVersion(trip, { authorId: userId, source: 'manual', summary: `Updated activity "${activity.title}"` });
+      promptExperimentService.recordActivityChanges(trip._id, { edited: 1 });
+      
       return trip.toPublicJSON();
     } catch (error) {
       if (error.name === 'CastError') {
@@ -543,6 +882,9 @@ class TripService {
         const firstError = Object.values(error.errors)[0];
         throw new Error(`VALIDATION_ERROR: ${firstError.message}`);
       }
+      if (error.name === 'VersionError') {
+        throw await tripVersionService.revisionConflict(tripId);
+      }
       throw error;
     }
   }
@@ -553,9 +895,11 @@ class TripService {
    * @param {string} userId - User ID
    * @param {string} dayId - Day ID in itinerary
    * @param {string} activityId - Activity ID
+   * @param {Object} options - Mutation options
+   * @param {number} options.expectedRevision - Trip revision from If-Match
    * @returns {Promise<Object>} Updated trip data
    */
-  async deleteActivity(tripId, userId, dayId, activityId) {
+  async deleteActivity(tripId, userId, dayId, activityId, options = {}) {
     try {
       const trip = await Trip.findById(tripId);
       
@@ -563,10 +907,14 @@ class TripService {
         throw new Error('TRIP_NOT_FOUND');
       }
       
-      if (!trip.isOwnedBy(userId)) {
+      if (!trip.hasAccess(userId, 'editor')) {
         throw new Error('TRIP_ACCESS_DENIED');
       }
       
+      tripVersionService.assertRevision(trip, options.expectedRevision);
+      
+      await tripVersionService.ensureBaseline(trip);
+      
       const day = trip.itinerary.days.id(dayId);
       if (!day) {
         throw new Error('DAY_NOT_FOUND');
@@ -576,14 +924,344 @@ class TripService {
       
       await trip.save();
       
+      await this._trackVersion(trip, { authorId: userId, source: 'manual', summary: 'Deleted activity' });
+      promptExperimentService.recordActivityChanges(trip._id, { deleted: 1 });
+      
       return trip.toPublicJSON();
     } catch (error) {
       if (error.name === 'CastError') {
         throw new Error('INVALID_ID');
       }
+      if (error.name === 'VersionError') {
+        throw await tripVersionService.revisionConflict(tripId);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Apply several activity operations in one save. Either every operation is
+   * applied or, if one fails, the trip is left untouched.
+   * Supported operations:
+   * - { type: 'add', dayId, activity, position }
+   * - { type: 'update', activityId, data }
+   * - { type: 'delete', activityId }
+   * - { type: 'move', activityId, toDayId, position }
+   * - { type: 'reorder', dayId, activityIds }
+   * - { type: 'swapDays', dayId, otherDayId }
+   * @param {string} tripId - Trip ID
+   * @param {string} userId - User ID
+   * @param {Array} operations - Operations applied in order
+   * @param {Object} options - Mutation options
+   * @param {number} options.expectedRevision - Trip revision from If-Match
+   * @returns {Promise<Object>} Updated trip data
+   */
+  async batchUpdateActivities(tripId, userId, operations, options = {}) {
+    try {
+      const trip = await Trip.findById(tripId);
+      
+      if (!trip) {
+        throw new Error('TRIP_NOT_FOUND');
+      }
+      
+      if (!trip.hasAccess(userId, 'editor')) {
+        throw new Error('TRIP_ACCESS_DENIED');
+      }
+      
+      tripVersionService.assertRevision(trip, options.expectedRevision);
+      
+      await tripVersionService.ensureBaseline(trip);
+      
+      const changedActivityIds = [];
+      operations.forEach((operation, index) => {
+        try {
+          const activityId = this._applyActivityOperation(trip, operation);
+          if (activityId) {
+            changedActivityIds.push(activityId);
+          }
+        } catch (error) {
+          // Tell the client which operation failed
+          error.data = { operationIndex: index };
+          throw error;
+        }
+      });
+      
+      this._assertNoTimeConflicts(trip, changedActivityIds);
+      
+      // Validates every day and activity against the schema before anything is written
+      await trip.save();
+      
+      await this._trackVersion(trip, {
+        authorId: userId,
+        source: 'manual',
+        summary: `Batch update of activities (${operations.length} operation${operations.length === 1 ? '' : 's'})`
+      });
+      // Moved activities count as edited for prompt experiments
+      promptExperimentService.recordActivityChanges(trip._id, {
+        edited: operations.filter(operation => operation.type === 'update' || operation.type === 'move').length,
+        deleted: operations.filter(operation => operation.type === 'delete').length
+      });
+      
+      return trip.toPublicJSON();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_ID');
+      }
+      if (error.name === 'ValidationError') {
+        const firstError = Object.values(error.errors)[0];
+        throw new Error(`VALIDATION_ERROR: ${firstError.message}`);
+      }
+      if (error.name === 'VersionError') {
+        throw await tripVersionService.revisionConflict(tripId);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a single batch operation to the in-memory trip
+   * @returns {string|null} ID of the activity whose time or day changed, if any
+   * @private
+   */
+  _applyActivityOperation(trip, operation) {
+    switch (operation.type) {
+      case 'add': {
+        const day = this._findDay(trip, operation.dayId);
+        return this._insertActivity(day, this._withActivityCurrency(trip, operation.activity), operation.position)._id;
+      }
+      
+      case 'update': {
+        const { activity } = this._findActivity(trip, operation.activityId);
+        Object.keys(operation.data || {}).forEach(key => {
+          if (operation.data[key] !== undefined) {
+            activity[key] = operation.data[key];
+          }
+        });
+        this._fillActivityCurrency(trip, activity);
+        return activity._id;
+      }
+      
+      case 'delete': {
+        const { day } = this._findActivity(trip, operation.activityId);
+        day.activities.pull(operation.activityId);
+        return null;
+      }
+      
+      case 'move': {
+        const { day: sourceDay, activity } = this._findActivity(trip, operation.activityId);
+        const targetDay = this._findDay(trip, operation.toDayId);
+        const activityData = activity.toObject();
+        sourceDay.activities.pull(operation.activityId);
+        return this._insertActivity(targetDay, activityData, operation.position)._id;
+      }
+      
+      case 'reorder': {
+        const day = this._findDay(trip, operation.dayId);
+        const currentIds = day.activities.map(activity => activity._id.toString()).sort();
+        const requestedIds = (operation.activityIds || []).map(id => id.toString());
+        
+        if (currentIds.join(',') !== [...requestedIds].sort().join(',')) {
+          throw new Error('INVALID_ACTIVITY_ORDER');
+        }
+        
+        day.activities = requestedIds.map(id => day.activities.id(id).toObject());
+        return null;
+      }
+      
+      case 'swapDays': {
+        // Days keep their dates; their activities trade places
+        const day = this._findDay(trip, operation.dayId);
+        const otherDay = this._findDay(trip, operation.otherDayId);
+        const activities = day.activities.map(activity => activity.toObject());
+        day.activities = otherDay.activities.map(activity => activity.toObject());
+        otherDay.activities = activities;
+        return null;
+      }
+      
+      default:
+        throw new Error('INVALID_BATCH_OPERATION');
+    }
+  }
+
+  /**
+   * Find an itinerary day by ID
+   * @private
+   */
+  _findDay(trip, dayId) {
+    const day = dayId ? trip.itinerary.days.id(dayId) : null;
+    if (!day) {
+      throw new Error('DAY_NOT_FOUND');
+    }
+    return day;
+  }
+
+  /**
+   * Find an activity and the day containing it
+   * @private
+   */
+  _findActivity(trip, activityId) {
+    for (const day of trip.itinerary.days) {
+      const activity = activityId ? day.activities.id(activityId) : null;
+      if (activity) {
+        return { day, activity };
+      }
+    }
+    throw new Error('ACTIVITY_NOT_FOUND');
+  }
+
+  /**
+   * Insert an activity at a position (end of the day by default)
+   * @returns {Object} Inserted activity subdocument
+   * @private
+   */
+  _insertActivity(day, activityData, position) {
+    if (position === undefined || position === null || position >= day.activities.length) {
+      day.activities.push(activityData);
+      return day.activities[day.activities.length - 1];
+    }
+    const index = Math.max(position, 0);
+    day.activities.splice(index, 0, activityData);
+    return day.activities[index];
+  }
+
+  /**
+   * Activity data priced in the trip currency when it names no currency
+   * @private
+   */
+  _withActivityCurrency(trip, activityData) {
+    return activityData.currency ? activityData : { ...activityData, currency: getTripCurrency(trip) };
+  }
+
+  /**
+   * Price an edited activity saved without a currency in the trip currency
+   * @private
+   */
+  _fillActivityCurrency(trip, activity) {
+    if (!activity.currency) {
+      activity.currency = getTripCurrency(trip);
+    }
+  }
+
+  /**
+   * Reject changed activities that overlap another activity of their day or run past midnight.
+   * Conflicts between untouched activities (e.g. from AI generation) are left alone.
+   * @param {Object} trip - Trip document with pending changes
+   * @param {Array} activityIds - IDs of added, updated or moved activities
+   * @private
+   */
+  _assertNoTimeConflicts(trip, activityIds) {
+    const changedIds = activityIds.map(id => id.toString());
+    const conflicts = [];
+    
+    trip.itinerary.days.forEach(day => {
+      findTimeConflicts(day.activities)
+        .filter(conflict => conflict.activities.some(activity => changedIds.includes(activity.activityId)))
+        .forEach(conflict => conflicts.push({ dayId: day._id, date: day.date, ...conflict }));
+    });
+    
+    if (conflicts.length > 0) {
+      const error = new Error('ACTIVITY_TIME_CONFLICT');
+      error.data = { conflicts };
       throw error;
     }
   }
+
+  /**
+   * Produce draft itinerary days through the multi-step AI pipeline, falling back
+   * to activity templates when no provider is configured or the AI call fails
+   * @returns {Promise<Object>} { source, days, tips, tokensUsed }, plus the prompt experiment
+   *   assignment and outcome to record once AI days are saved
+   * @private
+   */
+  async _generateDraftDays(trip, userId, options) {
+    if (getAIProvider().isProviderConfigured('itinerary')) {
+      try {
+        const result = await aiTripService.generateStructuredItinerary(userId, trip._id, { focus: options.focus, locale: options.locale });
+        if (result.itinerary && result.itinerary.length > 0) {
+          return {
+            source: 'ai',
+            days: assignActivityCurrency(result.itinerary, getTripCurrency(trip)),
+            tips: Array.isArray(result.tips) ? result.tips : [],
+            tokensUsed: result.tokensUsed || 0,
+            experiment: result.experiment,
+            experimentOutcome: result.experimentOutcome
+          };
+        }
+        console.warn(`AI returned no days for trip ${trip._id}, using activity templates`);
+      } catch (error) {
+        console.warn(`AI draft generation failed for trip ${trip._id}, using activity templates:`, error.message);
+      }
+    }
+    
+    const { days } = activityTemplateService.generateTemplateBasedItinerary(trip);
+    return { source: 'template', days, tips: [], tokensUsed: 0 };
+  }
+
+  /**
+   * Apply an AI-optimized schedule to the trip days, falling back to local
+   * re-sequencing when AI is unavailable or returns something the schema rejects
+   * @returns {Promise<Object>} { source, improvements, tokensUsed }
+   * @private
+   */
+  async _optimizeDays(trip, userId, options) {
+    if (getAIProvider().isProviderConfigured('itinerary')) {
+      const originalActivities = trip.itinerary.days.map(day => day.activities.map(activity => activity.toObject()));
+      const restoreOriginal = () => {
+        trip.itinerary.days.forEach((day, index) => {
+          day.activities = originalActivities[index];
+        });
+      };
+      
+      try {
+        const result = await aiScheduleOptimizationService.optimizeSchedule(userId, trip._id, { focus: options.focus, locale: options.locale });
+        const optimizedDays = assignActivityCurrency(result.optimizedSchedule, getTripCurrency(trip));
+        
+        optimizedDays.forEach((optimizedDay, index) => {
+          trip.itinerary.days[index].activities = optimizedDay.activities || [];
+        });
+        
+        const validationError = trip.validateSync();
+        if (!validationError) {
+          return { source: 'ai', improvements: result.improvements, tokensUsed: result.tokensUsed || 0 };
+        }
+        
+        console.warn(`AI optimization for trip ${trip._id} failed validation, optimizing locally:`, Object.values(validationError.errors)[0].message);
+        restoreOriginal();
+      } catch (error) {
+        console.warn(`AI optimization failed for trip ${trip._id}, optimizing locally:`, error.message);
+        restoreOriginal();
+      }
+    }
+    
+    const { days, movedActivities } = activityTemplateService.optimizeDaySchedule(trip.itinerary.days);
+    days.forEach((day, index) => {
+      trip.itinerary.days[index].activities = day.activities;
+    });
+    
+    return {
+      source: 'template',
+      improvements: {
+        timeEfficiency: movedActivities > 0
+          ? `Re-sequenced ${movedActivities} overlapping activit${movedActivities === 1 ? 'y' : 'ies'}`
+          : 'Activities already in order without overlaps'
+      },
+      tokensUsed: 0
+    };
+  }
+
+  /**
+   * Record a trip version without failing the change that was already saved
+   * @param {Object} trip - Saved Trip document
+   * @param {Object} meta - Version metadata (authorId, source, summary)
+   * @private
+   */
+  async _trackVersion(trip, meta) {
+    try {
+      await tripVersionService.recordVersion(trip, meta);
+    } catch (error) {
+      console.error(`Failed to record version for trip ${trip._id}:`, error.message);
+    }
+  }
 }
 
 module.exports = new TripService();
\ No newline at end of file
@@ -0,0 +1,349 @@
+const { Trip } = require('../../models/trips');
+const { exchangeRateService } = require('../common');
+const {
+  convertAmount,
+  roundAmount,
+  sumInCurrency,
+  normalizeCurrency,
+  getTripCurrency,
+  getActivityCurrency
+} = require('../../utils/currency');
+
+// Share of a planned amount at which spending is reported as close to the limit
+const BUDGET_WARNING_RATIO = 0.8;
+
+// Expense fields travelers may set
+const EXPENSE_FIELDS = ['amount', 'currency', 'category', 'date', 'activityId', 'paidBy', 'description'];
+
+class TripExpenseService {
+  /**
+   * List a trip's expenses, newest first
+   * @param {string} tripId - Trip ID
+   * @param {string} userId - User ID (needs viewer access)
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.category - Spending category
+   * @param {string} filters.date - Day of the spending (YYYY-MM-DD)
+   * @returns {Promise<Object>} { expenses, total: { total, currency, unconverted } in the trip currency }
+   */
+  async listExpenses(tripId, userId, filters = {}) {
+    try {
+      const trip = await this._getTrip(tripId, userId, 'viewer');
+
+      const expenses = (trip.expenses || [])
+        .filter(expense => !filters.category || expense.category === filters.category)
+        .filter(expense => !filters.date || this._dayKey(expense.date) === filters.date)
+        .sort((a, b) => b.date - a.date || b.createdAt - a.createdAt)
+        .map(expense => expense.toObject());
+
+      return {
+        expenses,
+        total: sumInCurrency(expenses, getTripCurrency(trip), exchangeRateService.getRates())
+      };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_TRIP_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Log an expense. Currency defaults to the trip currency, the payer to the user logging it
+   * and the date to the day of the linked activity (or today).
+   * @param {string} tripId - Trip ID
+   * @param {string} userId - User ID (needs editor access)
+   * @param {Object} expenseData - amount, currency, category, date, activityId, paidBy, description
+   * @returns {Promise<Object>} Created expense
+   */
+  async addExpense(tripId, userId, expenseData) {
+    try {
+      const trip = await this._getTrip(tripId, userId, 'editor');
+
+      // Added to the loaded trip only to validate it; the trip itself is not saved
+      trip.expenses.push({
+        currency: getTripCurrency(trip),
+        paidBy: userId,
+        ...this._pickExpenseFields(expenseData),
+        createdBy: userId,
+        createdAt: new Date()
+      });
+      const expense = trip.expenses[trip.expenses.length - 1];
+      this._prepareExpense(trip, expense, expenseData);
+
+      await Trip.updateOne({ _id: trip._id }, { $push: { expenses: expense.toObject() } });
+
+      return expense.toObject();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update an expense
+   * @param {string} tripId - Trip ID
+   * @param {string} userId - User ID (needs editor access)
+   * @param {string} expenseId - Expense ID
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Object>} Updated expense
+   */
+  async updateExpense(tripId, userId, expenseId, updateData) {
+    try {
+      const trip = await this._getTrip(tripId, userId, 'editor');
+
+      const expense = trip.expenses.id(expenseId);
+      if (!expense) {
+        throw new Error('EXPENSE_NOT_FOUND');
+      }
+
+      expense.set(this._pickExpenseFields(updateData));
+      expense.updatedAt = new Date();
+      this._prepareExpense(trip, expense, updateData);
+
+      const result = await Trip.updateOne(
+        { _id: trip._id, 'expenses._id': expense._id },
+        { $set: { 'expenses.$': expense.toObject() } }
+      );
+      if (result.matchedCount === 0) {
+        throw new Error('EXPENSE_NOT_FOUND');
+      }
+
+      return expense.toObject();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an expense
+   * @param {string} tripId - Trip ID
+   * @param {string} userId - User ID (needs editor access)
+   * @param {string} expenseId - Expense ID
+   * @returns {Promise<void>}
+   */
+  async deleteExpense(tripId, userId, expenseId) {
+    try {
+      const trip = await this._getTrip(tripId, userId, 'editor');
+
+      const result = await Trip.updateOne(
+        { _id: trip._id },
+        { $pull: { expenses: { _id: expenseId } } }
+      );
+      if (result.modifiedCount === 0) {
+        throw new Error('EXPENSE_NOT_FOUND');
+      }
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Planned vs. actual spending of a trip, in the trip currency
+   * @param {string} tripId - Trip ID
+   * @param {string} userId - User ID (needs viewer access)
+   * @returns {Promise<Object>} Budget summary (see getBudgetSummary)
+   */
+  async getTripBudget(tripId, userId) {
+    try {
+      const trip = await this._getTrip(tripId, userId, 'viewer');
+      return this.getBudgetSummary(trip);
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_TRIP_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Compare planned amounts with logged expenses. Planned amounts per category come from
+   * `budget.breakdown`, per day from the costs of that day's activities.
+   * A line's status is `ok`, `warning` (at least 80% of the planned amount spent), `over`
+   * (more than planned) or `unplanned` (spending with nothing planned); warnings and overruns
+   * are also listed in `alerts`.
+   * @param {Object} trip - Trip document
+   * @returns {Object} { currency, total, categories, days, alerts, unconverted }
+   */
+  getBudgetSummary(trip) {
+    const rates = exchangeRateService.getRates();
+    const currency = getTripCurrency(trip);
+    const budget = trip.budget || {};
+    const breakdown = budget.breakdown || {};
+    const expenses = trip.expenses || [];
+    const unconverted = new Set();
+
+    // Expense amounts in the trip currency; amounts without an exchange rate are left out
+    const toTripCurrency = (amount, amountCurrency) => {
+      const converted = convertAmount(amount || 0, amountCurrency, currency, rates);
+      if (converted === null) {
+        unconverted.add(amountCurrency);
+        return 0;
+      }
+      return converted;
+    };
+
+    const actualByCategory = {};
+    const actualByDay = {};
+    let actualTotal = 0;
+    expenses.forEach(expense => {
+      const amount = toTripCurrency(expense.amount, expense.currency);
+      const day = this._dayKey(expense.date);
+      actualByCategory[expense.category] = (actualByCategory[expense.category] || 0) + amount;
+      actualByDay[day] = (actualByDay[day] || 0) + amount;
+      actualTotal += amount;
+    });
+
+    const categories = Trip.BUDGET_CATEGORIES.map(category => ({
+      category,
+      ...this._compare(breakdown[category] || 0, actualByCategory[category] || 0, currency)
+    }));
+
+    const days = ((trip.itinerary && trip.itinerary.days) || []).map(day => {
+      const planned = (day.activities || []).reduce((sum, activity) => {
+        return sum + toTripCurrency(activity.cost, getActivityCurrency(activity, currency));
+      }, 0);
+      return { date: this._dayKey(day.date), dayId: day._id, ...this._compare(planned, actualByDay[this._dayKey(day.date)] || 0, currency) };
+    });
+
+    // Spending on days outside the itinerary (e.g. bookings made before the trip)
+    const itineraryDays = new Set(days.map(day => day.date));
+    Object.keys(actualByDay)
+      .filter(day => !itineraryDays.has(day))
+      .forEach(day => days.push({ date: day, dayId: null, ...this._compare(0, actualByDay[day], currency) }));
+    days.sort((a, b) => a.date.localeCompare(b.date));
+
+    const total = this._compare(budget.total || 0, actualTotal, currency);
+
+    const alerts = [];
+    if (total.status === 'warning' || total.status === 'over') {
+      alerts.push({ scope: 'total', severity: total.status, planned: total.planned, actual: total.actual });
+    }
+    categories
+      .filter(line => line.status === 'warning' || line.status === 'over')
+      .forEach(line => alerts.push({ scope: 'category', category: line.category, severity: line.status, planned: line.planned, actual: line.actual }));
+    days
+      .filter(line => line.status === 'over')
+      .forEach(line => alerts.push({ scope: 'day', date: line.date, severity: line.status, planned: line.planned, actual: line.actual }));
+
+    return {
+      currency,
+      total,
+      categories,
+      days,
+      alerts,
+      unconverted: [...unconverted]
+    };
+  }
+
+  /**
+   * Compare a planned amount with the amount spent
+   * @private
+   */
+  _compare(planned, actual, currency) {
+    planned = roundAmount(planned, currency);
+    actual = roundAmount(actual, currency);
+
+    let status = 'ok';
+    if (planned > 0 && actual > planned) {
+      status = 'over';
+    } else if (planned > 0 && actual >= planned * BUDGET_WARNING_RATIO) {
+      status = 'warning';
+    } else if (planned === 0 && actual > 0) {
+      status = 'unplanned';
+    }
+
+    return {
+      planned,
+      actual,
+      remaining: roundAmount(planned - actual, currency),
+      percentUsed: planned > 0 ? Math.round(actual / planned * 100) : null,
+      status
+    };
+  }
+
+  /**
+   * Load a trip and check the user's role on it
+   * @private
+   */
+  async _getTrip(tripId, userId, requiredRole) {
+    const trip = await Trip.findById(tripId);
+
+    if (!trip) {
+      throw new Error('TRIP_NOT_FOUND');
+    }
+
+    if (!trip.hasAccess(userId, requiredRole)) {
+      throw new Error('TRIP_ACCESS_DENIED');
+    }
+
+    return trip;
+  }
+
+  /**
+   * Keep only the fields travelers may set
+   * @private
+   */
+  _pickExpenseFields(data) {
+    const picked = {};
+    EXPENSE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+    });
+    if (picked.currency) {
+      picked.currency = normalizeCurrency(picked.currency) || picked.currency;
+    }
+    return picked;
+  }
+
+  /**
+   * Check the payer and linked activity, fill in the date and validate the expense
+   * @private
+   */
+  _prepareExpense(trip, expense, data) {
+    if (!trip.getMemberRole(expense.paidBy)) {
+      throw new Error('EXPENSE_PAYER_NOT_MEMBER');
+    }
+
+    let activityDay = null;
+    if (expense.activityId) {
+      activityDay = (trip.itinerary.days || []).find(day => day.activities.id(expense.activityId));
+      if (!activityDay) {
+        throw new Error('ACTIVITY_NOT_FOUND');
+      }
+    }
+
+    if (!expense.date) {
+      expense.date = activityDay ? activityDay.date : new Date();
+    } else if (data.date !== undefined) {
+      // Expenses are tracked per day
+      const date = new Date(expense.date);
+      date.setUTCHours(0, 0, 0, 0);
+      expense.date = date;
+    }
+
+    const validationError = expense.validateSync();
+    if (validationError) {
+      const firstError = Object.values(validationError.errors)[0];
+      throw new Error(`VALIDATION_ERROR: ${firstError.message}`);
+    }
+  }
+
+  /**
+   * Day of a date as YYYY-MM-DD (UTC, like itinerary day dates)
+   * @private
+   */
+  _dayKey(date) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+}
+
+module.exports = new TripExpenseService();
@@ -0,0 +1,622 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { convertAmount, getTripCurrency, getActivityCurrency, sumActivityCosts } = require('../../utils/currency');
+
+// Duration used for activities that do not specify one (minutes)
+const DEFAULT_ACTIVITY_DURATION = 60;
+
+// RFC 5545 recommends folding content lines longer than 75 octets
+const ICS_LINE_LIMIT = 75;
+
+// Characters outside Latin-1 that the standard PDF fonts (WinAnsi) can still render
+const PDF_EXTRA_CHARACTERS = '\u20AC\u2013\u2014\u2018\u2019\u201C\u201D\u2022\u2026';
+
+// Display titles for itinerary tip categories
+const TIP_CATEGORY_TITLES = {
+  general: 'General',
+  transportation: 'Transportation',
+  accommodation: 'Accommodation',
+  food: 'Food',
+  culture: 'Culture',
+  safety: 'Safety',
+  budget: 'Budget',
+  weather: 'Weather'
+};
+
+class TripExportService {
+  /**
+   * Generate an RFC 5545 iCalendar document for a trip itinerary
+   * @param {Object} trip - Plain trip object (as returned by toPublicJSON)
+   * @param {Object} options - Export options
+   * @param {string} options.timezone - IANA timezone the activity times are expressed in
+   * @param {boolean} options.includeCosts - Include activity costs in event descriptions
+   * @param {boolean} options.includeNotes - Include activity notes in event descriptions
+   * @param {Object} options.rates - Exchange rates (units per 1 USD) for costs in another currency than the trip's
+   * @returns {string} iCalendar content
+   */
+  generateICS(trip, options = {}) {
+    const { timezone = 'UTC', includeCosts = false, includeNotes = false, rates } = options;
+
+    this._validateTimezone(timezone);
+
+    const isUTC = timezone.toUpperCase() === 'UTC';
+    const days = (trip.itinerary && trip.itinerary.days) || [];
+    const dtstamp = this._formatUTCDateTime(new Date());
+    const currency = getTripCurrency(trip);
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//TravelSense//Trip Itinerary//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this._escapeText(trip.name)}`,
+      `X-WR-TIMEZONE:${timezone}`
+    ];
+
+    if (!isUTC) {
+      lines.push(...this._buildVTimezone(timezone, trip));
+    }
+
+    days.forEach(day => {
+      (day.activities || []).forEach(activity => {
+        const start = this._getWallClockTime(day.date, activity.time);
+        const durationMinutes = activity.duration || DEFAULT_ACTIVITY_DURATION;
+        const end = this._addMinutesInTimezone(start, durationMinutes, timezone);
+
+        lines.push('BEGIN:VEVENT');
+        lines.push(`UID:${activity._id || crypto.randomUUID()}@travelsense`);
+        lines.push(`DTSTAMP:${dtstamp}`);
+
+        if (isUTC) {
+          lines.push(`DTSTART:${this._formatWallClock(start)}Z`);
+          lines.push(`DTEND:${this._formatWallClock(end)}Z`);
+        } else {
+          lines.push(`DTSTART;TZID=${timezone}:${this._formatWallClock(start)}`);
+          lines.push(`DTEND;TZID=${timezone}:${this._formatWallClock(end)}`);
+        }
+
+        lines.push(`SUMMARY:${this._escapeText(activity.title)}`);
+
+        const description = this._buildEventDescription(activity, { includeCosts, includeNotes, currency, rates });
+        if (description) {
+          lines.push(`DESCRIPTION:${this._escapeText(description)}`);
+        }
+
+        const location = this._formatLocation(activity.location);
+        if (location) {
+          lines.push(`LOCATION:${this._escapeText(location)}`);
+        }
+
+        const coordinates = activity.location && activity.location.coordinates;
+        if (coordinates && typeof coordinates.lat === 'number' && typeof coordinates.lng === 'number') {
+          lines.push(`GEO:${coordinates.lat};${coordinates.lng}`);
+        }
+
+        if (activity.category) {
+          lines.push(`CATEGORIES:${activity.category.toUpperCase()}`);
+        }
+
+        lines.push('END:VEVENT');
+      });
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this._foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Generate a printable PDF itinerary for a trip
+   * @param {Object} trip - Plain trip object (as returned by toPublicJSON)
+   * @param {Object} options - Export options
+   * @param {boolean} options.includeCosts - Include activity costs and a budget summary
+   * @param {boolean} options.includeNotes - Include activity notes
+   * @param {Object} options.rates - Exchange rates (units per 1 USD) used to total costs in the trip currency
+   * @returns {Promise<Buffer>} PDF document
+   */
+  generatePDF(trip, options = {}) {
+    const { includeCosts = false, includeNotes = false, rates } = options;
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+          Title: this._toPdfText(trip.name),
+          Creator: 'TravelSense'
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        this._renderCoverPage(doc, trip);
+
+        const days = (trip.itinerary && trip.itinerary.days) || [];
+        const currency = getTripCurrency(trip);
+        days.forEach((day, index) => {
+          this._renderDay(doc, day, index, { includeCosts, includeNotes, currency, rates });
+        });
+
+        const tips = (trip.itinerary && trip.itinerary.tips) || [];
+        if (tips.length > 0) {
+          this._renderTips(doc, tips);
+        }
+
+        if (includeCosts && trip.budget) {
+          this._renderBudgetSummary(doc, trip, rates);
+        }
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Render the cover page with the trip overview
+   * @private
+   */
+  _renderCoverPage(doc, trip) {
+    const travelers = trip.travelers || {};
+    const travelerParts = [`${travelers.adults || 0} adult(s)`];
+    if (travelers.children) {
+      travelerParts.push(`${travelers.children} child(ren)`);
+    }
+    if (travelers.infants) {
+      travelerParts.push(`${travelers.infants} infant(s)`);
+    }
+
+    doc.moveDown(8);
+    doc.font('Helvetica-Bold').fontSize(28).text(this._toPdfText(trip.name), { align: 'center' });
+    doc.moveDown(1);
+    doc.font('Helvetica').fontSize(16)
+      .text(this._toPdfText(`${trip.destination.origin} to ${trip.destination.destination}`), { align: 'center' });
+    doc.moveDown(2);
+    doc.fontSize(12)
+      .text(`${this._formatPdfDate(trip.destination.startDate)} - ${this._formatPdfDate(trip.destination.endDate)}`, { align: 'center' })
+      .text(`${trip.duration || (trip.itinerary && trip.itinerary.days ? trip.itinerary.days.length : 0)} day(s)`, { align: 'center' })
+      .moveDown(0.5)
+      .text(`Travelers: ${travelerParts.join(', ')}`, { align: 'center' });
+  }
+
+  /**
+   * Render a single itinerary day starting on a new page
+   * @private
+   */
+  _renderDay(doc, day, index, { includeCosts, includeNotes, currency, rates }) {
+    doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(18).text(`Day ${index + 1} - ${this._formatPdfDate(day.date)}`);
+    doc.moveDown(0.5);
+
+    const activities = [...(day.activities || [])].sort((a, b) => this._timeToMinutes(a.time) - this._timeToMinutes(b.time));
+
+    if (activities.length === 0) {
+      doc.font('Helvetica-Oblique').fontSize(11).text('No activities planned.');
+      return;
+    }
+
+    activities.forEach(activity => {
+      doc.font('Helvetica-Bold').fontSize(12).text(`${activity.time}  ${this._toPdfText(activity.title)}`);
+      doc.font('Helvetica').fontSize(10);
+
+      const location = this._formatLocation(activity.location);
+      if (location) {
+        doc.text(`Location: ${this._toPdfText(location)}`, { indent: 20 });
+      }
+      if (activity.duration) {
+        doc.text(`Duration: ${this._formatDuration(activity.duration)}`, { indent: 20 });
+      }
+      if (includeCosts && typeof activity.cost === 'number') {
+        doc.text(`Cost: ${this._formatCost(activity, currency, rates)}`, { indent: 20 });
+      }
+      if (activity.description) {
+        doc.text(this._toPdfText(activity.description), { indent: 20 });
+      }
+      if (includeNotes && activity.notes) {
+        doc.font('Helvetica-Oblique').text(`Notes: ${this._toPdfText(activity.notes)}`, { indent: 20 });
+      }
+
+      doc.moveDown(0.75);
+    });
+  }
+
+  /**
+   * Render itinerary tips grouped by category
+   * @private
+   */
+  _renderTips(doc, tips) {
+    doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(18).text('Travel Tips');
+    doc.moveDown(0.5);
+
+    Object.keys(TIP_CATEGORY_TITLES).forEach(category => {
+      const categoryTips = tips.filter(tip => tip.category === category);
+      if (categoryTips.length === 0) {
+        return;
+      }
+
+      doc.font('Helvetica-Bold').fontSize(13).text(TIP_CATEGORY_TITLES[category]);
+      categoryTips.forEach(tip => {
+        doc.font('Helvetica-Bold').fontSize(10).text(this._toPdfText(tip.title), { indent: 20 });
+        doc.font('Helvetica').text(this._toPdfText(tip.content), { indent: 20 });
+        doc.moveDown(0.25);
+      });
+      doc.moveDown(0.5);
+    });
+  }
+
+  /**
+   * Render the budget summary with planned breakdown and activity costs,
+   * converted into the trip currency
+   * @private
+   */
+  _renderBudgetSummary(doc, trip, rates) {
+    const { total, breakdown = {} } = trip.budget;
+    const currency = getTripCurrency(trip);
+    const activityCosts = sumActivityCosts(trip, rates);
+
+    doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(18).text('Budget Summary');
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(11);
+
+    if (typeof total === 'number') {
+      doc.text(`Total budget: ${this._formatAmount(total)} ${currency}`);
+    }
+    doc.text(`Planned activity costs: ${this._formatAmount(activityCosts.total)} ${currency}`);
+    if (activityCosts.unconverted.length > 0) {
+      doc.font('Helvetica-Oblique')
+        .text(`Not included (no exchange rate): costs in ${activityCosts.unconverted.join(', ')}`, { indent: 20 });
+      doc.font('Helvetica');
+    }
+    doc.moveDown(0.5);
+
+    const categories = Object.keys(breakdown).filter(category => breakdown[category]);
+    if (categories.length > 0) {
+      doc.font('Helvetica-Bold').text('Breakdown');
+      doc.font('Helvetica');
+      categories.forEach(category => {
+        const label = category.charAt(0).toUpperCase() + category.slice(1);
+        doc.text(`${label}: ${this._formatAmount(breakdown[category])} ${currency}`, { indent: 20 });
+      });
+    }
+  }
+
+  /**
+   * Reduce text to characters the standard PDF fonts can render,
+   * stripping diacritics (e.g. Vietnamese) rather than dropping letters
+   * @private
+   */
+  _toPdfText(value) {
+    return String(value || '')
+      .replace(/\u0111/g, 'd')
+      .replace(/\u0110/g, 'D')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\n\x20-\xFF]/g, char => (PDF_EXTRA_CHARACTERS.includes(char) ? char : '?'));
+  }
+
+  /**
+   * Format a date for display in the PDF
+   * @private
+   */
+  _formatPdfDate(date) {
+    return new Date(date).toLocaleDateString('en-US', {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: 'UTC'
+    });
+  }
+
+  /**
+   * Format a duration in minutes as "Xh Ym"
+   * @private
+   */
+  _formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const remainder = minutes % 60;
+    if (hours === 0) {
+      return `${remainder}m`;
+    }
+    return remainder === 0 ? `${hours}h` : `${hours}h ${remainder}m`;
+  }
+
+  /**
+   * Format a monetary amount with thousands separators
+   * @private
+   */
+  _formatAmount(amount) {
+    return Number(amount).toLocaleString('en-US', { maximumFractionDigits: 2 });
+  }
+
+  /**
+   * Format an activity cost in its own currency, followed by the trip-currency
+   * equivalent when it differs (e.g. "150,000 VND (6 USD)")
+   * @private
+   */
+  _formatCost(activity, tripCurrency, rates, formatAmount = amount => this._formatAmount(amount)) {
+    const currency = getActivityCurrency(activity, tripCurrency);
+    const text = `${formatAmount(activity.cost)} ${currency}`;
+    if (currency === tripCurrency) {
+      return text;
+    }
+
+    const converted = convertAmount(activity.cost, currency, tripCurrency, rates);
+    return converted === null ? text : `${text} (${formatAmount(converted)} ${tripCurrency})`;
+  }
+
+  /**
+   * Convert an HH:MM time to minutes since midnight
+   * @private
+   */
+  _timeToMinutes(time) {
+    const [hours, minutes] = (time || '00:00').split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Ensure the timezone is a valid IANA identifier
+   * @private
+   */
+  _validateTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      throw new Error('INVALID_TIMEZONE');
+    }
+  }
+
+  /**
+   * Combine an itinerary day and an HH:MM time into wall-clock components.
+   * Day dates are stored as midnight UTC, so the UTC calendar date is used.
+   * @private
+   */
+  _getWallClockTime(date, time) {
+    const day = new Date(date);
+    const [hours, minutes] = (time || '00:00').split(':').map(Number);
+
+    return {
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+      hours,
+      minutes
+    };
+  }
+
+  /**
+   * Add minutes to a wall-clock time, honouring DST transitions in the timezone
+   * @private
+   */
+  _addMinutesInTimezone(wallClock, minutes, timezone) {
+    const wallAsUTC = Date.UTC(wallClock.year, wallClock.month - 1, wallClock.day, wallClock.hours, wallClock.minutes);
+    const offset = this._getTimezoneOffset(timezone, new Date(wallAsUTC));
+    const instant = new Date(wallAsUTC - offset * 60000 + minutes * 60000);
+    const endOffset = this._getTimezoneOffset(timezone, instant);
+    const endWall = new Date(instant.getTime() + endOffset * 60000);
+
+    return {
+      year: endWall.getUTCFullYear(),
+      month: endWall.getUTCMonth() + 1,
+      day: endWall.getUTCDate(),
+      hours: endWall.getUTCHours(),
+      minutes: endWall.getUTCMinutes()
+    };
+  }
+
+  /**
+   * Get the UTC offset (in minutes) of a timezone at a given instant
+   * @private
+   */
+  _getTimezoneOffset(timezone, date) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    const asUTC = Date.UTC(
+      Number(parts.year),
+      Number(parts.month) - 1,
+      Number(parts.day),
+      Number(parts.hour),
+      Number(parts.minute),
+      Number(parts.second)
+    );
+
+    return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  }
+
+  /**
+   * Build a VTIMEZONE component covering the years spanned by the trip.
+   * Offset transitions are discovered from the runtime's timezone database; a first
+   * observance gives the offset in effect before the earliest of them.
+   * @private
+   */
+  _buildVTimezone(timezone, trip) {
+    const startYear = new Date(trip.destination.startDate).getUTCFullYear();
+    const endYear = new Date(trip.destination.endDate).getUTCFullYear();
+    const rangeStart = Date.UTC(startYear, 0, 1);
+    const rangeEnd = Date.UTC(endYear + 1, 0, 1);
+
+    const transitions = [];
+    const step = 24 * 60 * 60 * 1000;
+    let previousTime = rangeStart;
+    const initialOffset = this._getTimezoneOffset(timezone, new Date(rangeStart));
+    let previousOffset = initialOffset;
+
+    for (let time = rangeStart + step; time <= rangeEnd; time += step) {
+      const offset = this._getTimezoneOffset(timezone, new Date(time));
+      if (offset !== previousOffset) {
+        // Narrow the transition down to the minute
+        let low = previousTime;
+        let high = time;
+        while (high - low > 60000) {
+          const mid = low + Math.floor((high - low) / 120000) * 60000;
+          if (this._getTimezoneOffset(timezone, new Date(mid)) === previousOffset) {
+            low = mid;
+          } else {
+            high = mid;
+          }
+        }
+        transitions.push({ instant: high, from: previousOffset, to: offset });
+        previousOffset = offset;
+      }
+      previousTime = time;
+    }
+
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+    const standardOffset = Math.min(initialOffset, ...transitions.map(t => t.to));
+
+    // Offset in effect before the first transition, so events early in the range have one too
+    const initialComponent = initialOffset > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    const offset = this._formatUTCOffset(initialOffset);
+    lines.push(
+      `BEGIN:${initialComponent}`,
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      `END:${initialComponent}`
+    );
+
+    transitions.forEach(transition => {
+      const component = transition.to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+      // DTSTART of a transition is expressed in the local time before it happens
+      const localStart = new Date(transition.instant + transition.from * 60000);
+
+      lines.push(
+        `BEGIN:${component}`,
+        `DTSTART:${this._formatUTCDateTime(localStart).replace('Z', '')}`,
+        `TZOFFSETFROM:${this._formatUTCOffset(transition.from)}`,
+        `TZOFFSETTO:${this._formatUTCOffset(transition.to)}`,
+        `END:${component}`
+      );
+    });
+
+    lines.push('END:VTIMEZONE');
+    return lines;
+  }
+
+  /**
+   * Compose the event description from activity details
+   * @private
+   */
+  _buildEventDescription(activity, { includeCosts, includeNotes, currency, rates }) {
+    const parts = [];
+
+    if (activity.description) {
+      parts.push(activity.description);
+    }
+    if (includeCosts && typeof activity.cost === 'number') {
+      parts.push(`Cost: ${this._formatCost(activity, currency, rates, amount => amount)}`);
+    }
+    if (includeNotes && activity.notes) {
+      parts.push(`Notes: ${activity.notes}`);
+    }
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Format location name and address into a single line
+   * @private
+   */
+  _formatLocation(location) {
+    if (!location) {
+      return '';
+    }
+    return [location.name, location.address].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Format wall-clock components as an iCalendar local DATE-TIME
+   * @private
+   */
+  _formatWallClock({ year, month, day, hours, minutes }) {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(year, 4)}${pad(month)}${pad(day)}T${pad(hours)}${pad(minutes)}00`;
+  }
+
+  /**
+   * Format a Date as an iCalendar UTC DATE-TIME
+   * @private
+   */
+  _formatUTCDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Format an offset in minutes as +HHMM / -HHMM
+   * @private
+   */
+  _formatUTCOffset(offsetMinutes) {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const absolute = Math.abs(offsetMinutes);
+    const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+    const minutes = String(absolute % 60).padStart(2, '0');
+    return `${sign}${hours}${minutes}`;
+  }
+
+  /**
+   * Escape TEXT property values (RFC 5545 section 3.3.11)
+   * @private
+   */
+  _escapeText(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold content lines longer than 75 octets without splitting UTF-8 sequences
+   * @private
+   */
+  _foldLine(line) {
+    if (Buffer.byteLength(line, 'utf8') <= ICS_LINE_LIMIT) {
+      return line;
+    }
+
+    const segments = [];
+    let current = '';
+    let currentBytes = 0;
+    // Continuation lines start with a space, which counts towards the limit
+    let limit = ICS_LINE_LIMIT;
+
+    for (const char of line) {
+      const charBytes = Buffer.byteLength(char, 'utf8');
+      if (currentBytes + charBytes > limit) {
+        segments.push(current);
+        current = '';
+        currentBytes = 0;
+        limit = ICS_LINE_LIMIT - 1;
+      }
+      current += char;
+      currentBytes += charBytes;
+    }
+    segments.push(current);
+
+    return segments.join('\r\n ');
+  }
+}
+
+module.exports = new TripExportService();
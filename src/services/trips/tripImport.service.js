@@ -0,0 +1,546 @@
+const { Trip } = require('../../models/trips');
+
+// Category assigned to calendar events that do not carry one of ours
+const DEFAULT_IMPORT_CATEGORY = 'cultural';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class TripImportService {
+  /**
+   * Parse an import payload into plain trip data
+   * @param {string} format - Import format ('json' or 'ics')
+   * @param {Object|string} data - Exported trip (json) or calendar content (ics)
+   * @param {Object} overrides - Trip fields supplied by the user (name, destination, travelers)
+   * @param {Object} options - Import options
+   * @param {string} options.timezone - IANA timezone UTC calendar times are converted into (ics)
+   * @returns {Object} Parsed trip data and parse errors
+   */
+  parse(format, data, overrides = {}, options = {}) {
+    switch (format) {
+      case 'json':
+        return { tripData: this._parseJSONExport(data, overrides), errors: [] };
+      case 'ics':
+        return this._parseICS(data, overrides, options);
+      default:
+        throw new Error('INVALID_IMPORT_FORMAT');
+    }
+  }
+
+  /**
+   * Shift all trip dates so the trip starts on a new date
+   * @param {Object} tripData - Parsed trip data
+   * @param {Date|string} newStartDate - New start date
+   * @returns {Object} Trip data with remapped dates
+   */
+  remapDates(tripData, newStartDate) {
+    const originalStart = this._toUTCMidnight(tripData.destination.startDate);
+    const targetStart = this._toUTCMidnight(newStartDate);
+    const offsetDays = Math.round((targetStart - originalStart) / MS_PER_DAY);
+
+    if (offsetDays === 0) {
+      return tripData;
+    }
+
+    tripData.destination.startDate = this.shiftDate(tripData.destination.startDate, offsetDays);
+    tripData.destination.endDate = this.shiftDate(tripData.destination.endDate, offsetDays);
+    tripData.itinerary.days.forEach(day => {
+      day.date = this.shiftDate(day.date, offsetDays);
+    });
+
+    return tripData;
+  }
+
+  /**
+   * Shift a date by a whole number of days
+   * @param {Date|string} date - Date to shift
+   * @param {number} days - Number of days (may be negative)
+   * @returns {Date} Shifted date
+   */
+  shiftDate(date, days) {
+    const shifted = new Date(date);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted;
+  }
+
+  /**
+   * Accept either the full export envelope or the bare trip object
+   * @private
+   */
+  _parseJSONExport(data, overrides) {
+    let source = data;
+    if (source && source.format === 'json' && source.data) {
+      source = source.data;
+    }
+
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+      throw new Error('INVALID_IMPORT_DATA');
+    }
+
+    const destination = source.destination || {};
+    const travelers = source.travelers || {};
+    const itinerary = source.itinerary || {};
+
+    const tripData = {
+      name: source.name,
+      destination: {
+        origin: destination.origin,
+        destination: destination.destination,
+        startDate: destination.startDate ? new Date(destination.startDate) : undefined,
+        endDate: destination.endDate ? new Date(destination.endDate) : undefined
+      },
+      travelers: {
+        adults: travelers.adults,
+        children: travelers.children,
+        infants: travelers.infants
+      },
+      itinerary: {
+        days: (itinerary.days || []).map(day => ({
+          date: day.date ? new Date(day.date) : undefined,
+          activities: (day.activities || []).map(activity => this._pickActivityFields(activity))
+        })),
+        tips: (itinerary.tips || []).map(tip => ({
+          category: tip.category,
+          title: tip.title,
+          content: tip.content
+        }))
+      }
+    };
+
+    if (source.budget) {
+      tripData.budget = {
+        total: source.budget.total,
+        currency: source.budget.currency,
+        breakdown: source.budget.breakdown ? { ...source.budget.breakdown } : undefined
+      };
+    }
+
+    if (source.preferences) {
+      tripData.preferences = {
+        interests: source.preferences.interests,
+        constraints: source.preferences.constraints,
+        specialRequests: source.preferences.specialRequests
+      };
+    }
+
+    return this._applyOverrides(tripData, overrides);
+  }
+
+  /**
+   * Keep only the fields defined by the activity schema
+   * @private
+   */
+  _pickActivityFields(activity) {
+    const location = activity.location || {};
+    const picked = {
+      time: activity.time,
+      title: activity.title,
+      description: activity.description,
+      location: {
+        name: location.name,
+        address: location.address
+      },
+      duration: activity.duration,
+      cost: activity.cost,
+      currency: activity.currency,
+      category: activity.category,
+      notes: activity.notes
+    };
+
+    if (location.coordinates) {
+      picked.location.coordinates = {
+        lat: location.coordinates.lat,
+        lng: location.coordinates.lng
+      };
+    }
+
+    return picked;
+  }
+
+  /**
+   * Parse an iCalendar document, one activity per VEVENT
+   * @private
+   */
+  _parseICS(data, overrides, options = {}) {
+    if (typeof data !== 'string' || !data.includes('BEGIN:VCALENDAR')) {
+      throw new Error('INVALID_IMPORT_DATA');
+    }
+
+    const lines = this._unfoldLines(data);
+    const calendar = {};
+    const events = [];
+    let currentEvent = null;
+    let nestedComponent = 0;
+
+    lines.forEach(line => {
+      const property = this._parseContentLine(line);
+      if (!property) {
+        return;
+      }
+
+      if (property.name === 'BEGIN') {
+        if (property.value === 'VEVENT') {
+          currentEvent = {};
+        } else if (currentEvent) {
+          // Skip nested components such as VALARM
+          nestedComponent++;
+        }
+        return;
+      }
+
+      if (property.name === 'END') {
+        if (property.value === 'VEVENT' && currentEvent) {
+          events.push(currentEvent);
+          currentEvent = null;
+        } else if (currentEvent && nestedComponent > 0) {
+          nestedComponent--;
+        }
+        return;
+      }
+
+      if (currentEvent && nestedComponent === 0) {
+        currentEvent[property.name] = property;
+      } else if (!currentEvent) {
+        calendar[property.name] = property;
+      }
+    });
+
+    const timezone = this._resolveICSTimezone(options.timezone, calendar, events);
+    const errors = [];
+    const daysByDate = new Map();
+
+    events.forEach((event, eventIndex) => {
+      const title = event.SUMMARY ? this._unescapeText(event.SUMMARY.value) : `Event ${eventIndex + 1}`;
+
+      if (!event.DTSTART) {
+        errors.push({ event: eventIndex, title, errors: ['Event has no start time'] });
+        return;
+      }
+
+      const start = this._parseICSDateTime(event.DTSTART, timezone);
+      if (!start || start.allDay) {
+        errors.push({ event: eventIndex, title, errors: ['All-day events cannot be imported as activities'] });
+        return;
+      }
+
+      const activity = {
+        time: `${String(start.hours).padStart(2, '0')}:${String(start.minutes).padStart(2, '0')}`,
+        title,
+        location: this._parseICSLocation(event.LOCATION),
+        category: this._parseICSCategory(event.CATEGORIES)
+      };
+
+      const duration = this._parseICSDuration(event, start, timezone);
+      if (duration !== null) {
+        activity.duration = duration;
+      }
+
+      if (event.DESCRIPTION) {
+        const description = this._parseICSDescription(this._unescapeText(event.DESCRIPTION.value));
+        Object.assign(activity, description);
+      }
+
+      if (event.GEO) {
+        const [lat, lng] = event.GEO.value.split(';').map(Number);
+        activity.location.coordinates = { lat, lng };
+      }
+
+      const dateKey = start.date.toISOString();
+      if (!daysByDate.has(dateKey)) {
+        daysByDate.set(dateKey, { date: start.date, activities: [] });
+      }
+      daysByDate.get(dateKey).activities.push(activity);
+    });
+
+    const days = [...daysByDate.values()].sort((a, b) => a.date - b.date);
+    if (days.length === 0) {
+      throw new Error('IMPORT_NO_ACTIVITIES');
+    }
+
+    // Fill gaps so every trip date has an itinerary day
+    const firstDate = days[0].date;
+    const lastDate = days[days.length - 1].date;
+    const filledDays = [];
+    for (let date = firstDate; date <= lastDate; date = this.shiftDate(date, 1)) {
+      const existing = daysByDate.get(date.toISOString());
+      filledDays.push(existing || { date, activities: [] });
+    }
+
+    const tripData = {
+      name: calendar['X-WR-CALNAME'] ? this._unescapeText(calendar['X-WR-CALNAME'].value) : undefined,
+      destination: {
+        startDate: firstDate,
+        endDate: this.shiftDate(lastDate, 1)
+      },
+      travelers: {},
+      itinerary: {
+        days: filledDays,
+        tips: []
+      }
+    };
+
+    return { tripData: this._applyOverrides(tripData, overrides), errors };
+  }
+
+  /**
+   * Apply user-supplied trip fields over the parsed data
+   * @private
+   */
+  _applyOverrides(tripData, overrides) {
+    if (overrides.name) {
+      tripData.name = overrides.name;
+    }
+    if (overrides.destination) {
+      ['origin', 'destination'].forEach(field => {
+        if (overrides.destination[field]) {
+          tripData.destination[field] = overrides.destination[field];
+        }
+      });
+    }
+    if (overrides.travelers) {
+      tripData.travelers = { ...tripData.travelers, ...overrides.travelers };
+    }
+    if (!tripData.travelers.adults) {
+      tripData.travelers.adults = 1;
+    }
+    return tripData;
+  }
+
+  /**
+   * Undo RFC 5545 line folding
+   * @private
+   */
+  _unfoldLines(content) {
+    return content
+      .replace(/\r\n/g, '\n')
+      .replace(/\n[ \t]/g, '')
+      .split('\n')
+      .filter(line => line.length > 0);
+  }
+
+  /**
+   * Split a content line into name, parameters and value
+   * @private
+   */
+  _parseContentLine(line) {
+    const separator = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    if (separator === -1) {
+      return null;
+    }
+
+    const [name, ...paramParts] = line.slice(0, separator).split(';');
+    const params = {};
+    paramParts.forEach(part => {
+      const [key, value] = part.split('=');
+      if (key && value !== undefined) {
+        params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+      }
+    });
+
+    return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+  }
+
+  /**
+   * Timezone of the trip the calendar is imported into: the one chosen for the import,
+   * else the calendar's X-WR-TIMEZONE, else the TZID of its first event, else UTC
+   * @private
+   */
+  _resolveICSTimezone(requested, calendar, events) {
+    if (requested) {
+      if (!this._isValidTimezone(requested)) {
+        throw new Error('INVALID_TIMEZONE');
+      }
+      return requested;
+    }
+
+    const candidates = [calendar['X-WR-TIMEZONE'] && calendar['X-WR-TIMEZONE'].value];
+    events.forEach(event => {
+      candidates.push(event.DTSTART && event.DTSTART.params.TZID);
+    });
+
+    // Calendars may name non-IANA zones (e.g. "Pacific Standard Time"); those are skipped
+    return candidates.find(candidate => candidate && this._isValidTimezone(candidate)) || 'UTC';
+  }
+
+  /**
+   * Check that a timezone is a valid IANA identifier
+   * @private
+   */
+  _isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Parse a DATE or DATE-TIME property into wall-clock components.
+   * TZID and floating times keep their local time; UTC times are converted into the trip timezone.
+   * @private
+   */
+  _parseICSDateTime(property, timezone = 'UTC') {
+    const match = property.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) {
+      return null;
+    }
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    let date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+
+    if (property.params.VALUE === 'DATE' || hours === undefined) {
+      return { date, allDay: true };
+    }
+
+    let wallClock = { hours: Number(hours), minutes: Number(minutes) };
+    if (utc) {
+      const instant = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds || 0)));
+      const local = this._toWallClock(instant, timezone);
+      date = new Date(Date.UTC(local.year, local.month - 1, local.day));
+      wallClock = { hours: local.hours, minutes: local.minutes };
+    }
+
+    return {
+      date,
+      ...wallClock,
+      allDay: false
+    };
+  }
+
+  /**
+   * Wall-clock components of an instant in a timezone
+   * @private
+   */
+  _toWallClock(instant, timezone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    const parts = {};
+    formatter.formatToParts(instant).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hours: Number(parts.hour),
+      minutes: Number(parts.minute)
+    };
+  }
+
+  /**
+   * Derive a duration in minutes from DTEND or DURATION
+   * @private
+   */
+  _parseICSDuration(event, start, timezone) {
+    if (event.DTEND) {
+      const end = this._parseICSDateTime(event.DTEND, timezone);
+      if (end && !end.allDay) {
+        const startMinutes = start.date.getTime() / 60000 + start.hours * 60 + start.minutes;
+        const endMinutes = end.date.getTime() / 60000 + end.hours * 60 + end.minutes;
+        return Math.round(endMinutes - startMinutes);
+      }
+    }
+
+    if (event.DURATION) {
+      const match = event.DURATION.value.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+      if (match) {
+        const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+        return Number(weeks) * 10080 + Number(days) * 1440 + Number(hours) * 60 + Number(minutes);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Split LOCATION into name and address (our export writes "name, address")
+   * @private
+   */
+  _parseICSLocation(property) {
+    if (!property) {
+      return { name: undefined };
+    }
+
+    const value = this._unescapeText(property.value);
+    const commaIndex = value.indexOf(',');
+    if (commaIndex === -1) {
+      return { name: value.trim() };
+    }
+
+    return {
+      name: value.slice(0, commaIndex).trim(),
+      address: value.slice(commaIndex + 1).trim()
+    };
+  }
+
+  /**
+   * Use the first CATEGORIES value matching an activity category
+   * @private
+   */
+  _parseICSCategory(property) {
+    if (!property) {
+      return DEFAULT_IMPORT_CATEGORY;
+    }
+
+    const categories = property.value.split(',').map(category => category.trim().toLowerCase());
+    return categories.find(category => Trip.ACTIVITY_CATEGORIES.includes(category)) || DEFAULT_IMPORT_CATEGORY;
+  }
+
+  /**
+   * Recover cost and notes lines written by our own ICS export
+   * @private
+   */
+  _parseICSDescription(text) {
+    const result = {};
+    const descriptionLines = [];
+
+    text.split('\n').forEach(line => {
+      const costMatch = line.match(/^Cost: ([\d.]+)(?: ([A-Z]{3}))?/);
+      if (costMatch) {
+        result.cost = Number(costMatch[1]);
+        if (costMatch[2]) {
+          result.currency = costMatch[2];
+        }
+      } else if (line.startsWith('Notes: ')) {
+        result.notes = line.slice('Notes: '.length);
+      } else {
+        descriptionLines.push(line);
+      }
+    });
+
+    const description = descriptionLines.join('\n').trim();
+    if (description) {
+      result.description = description;
+    }
+
+    return result;
+  }
+
+  /**
+   * Reverse TEXT escaping (RFC 5545 section 3.3.11)
+   * @private
+   */
+  _unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+  }
+
+  /**
+   * Truncate a date to midnight UTC
+   * @private
+   */
+  _toUTCMidnight(date) {
+    const value = new Date(date);
+    return Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate());
+  }
+}
+
+module.exports = new TripImportService();
@@ -0,0 +1,225 @@
+const { Trip } = require('../../models/trips');
+const User = require('../../models/users/user.model');
+
+class TripMemberService {
+  /**
+   * List the owner and members of a trip
+   * @param {string} tripId - Trip ID
+   * @param {string} userId - User ID requesting the list
+   * @returns {Promise<Object>} Trip owner and members with basic user info
+   */
+  async getMembers(tripId, userId) {
+    try {
+      const trip = await Trip.findById(tripId);
+
+      if (!trip) {
+        throw new Error('TRIP_NOT_FOUND');
+      }
+
+      if (!trip.hasAccess(userId, 'viewer')) {
+        throw new Error('TRIP_ACCESS_DENIED');
+      }
+
+      return this._formatMembers(trip);
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_TRIP_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Invite a user to a trip by email
+   * @param {string} tripId - Trip ID
+   * @param {string} userId - User ID sending the invitation (must be an owner)
+   * @param {Object} inviteData - Invitation data
+   * @param {string} inviteData.email - Email of the user to invite
+   * @param {string} inviteData.role - Role to grant (owner, editor, viewer)
+   * @returns {Promise<Object>} Updated member list
+   */
+  async inviteMember(tripId, userId, { email, role = 'viewer' }) {
+    try {
+      const trip = await Trip.findById(tripId);
+
+      if (!trip) {
+        throw new Error('TRIP_NOT_FOUND');
+      }
+
+      if (!trip.hasAccess(userId, 'owner')) {
+        throw new Error('TRIP_ACCESS_DENIED');
+      }
+
+      const invitee = await User.findByEmail(email);
+      if (!invitee) {
+        throw new Error('USER_NOT_FOUND');
+      }
+
+      if (trip.isOwnedBy(invitee._id)) {
+        throw new Error('CANNOT_INVITE_TRIP_OWNER');
+      }
+
+      const existingMember = trip.members.find(m => m.userId.toString() === invitee._id.toString());
+      if (existingMember) {
+        throw new Error('MEMBER_ALREADY_EXISTS');
+      }
+
+      // Added to the loaded trip to validate it and build the response; the trip itself is not saved
+      trip.members.push({
+        userId: invitee._id,
+        role,
+        status: 'pending',
+        invitedBy: userId,
+        invitedAt: new Date()
+      });
+      const validationError = trip.validateSync(['members']);
+      if (validationError) {
+        throw validationError;
+      }
+
+      // Atomic update, so membership changes do not change the trip revision
+      const result = await Trip.updateOne(
+        { _id: trip._id, 'members.userId': { $ne: invitee._id } },
+        { $push: { members: trip.members[trip.members.length - 1].toObject() } }
+      );
+      if (result.matchedCount === 0) {
+        throw new Error('MEMBER_ALREADY_EXISTS');
+      }
+
+      return this._formatMembers(trip);
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_TRIP_ID');
+      }
+      if (error.name === 'ValidationError') {
+        const firstError = Object.values(error.errors)[0];
+        throw new Error(`VALIDATION_ERROR: ${firstError.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Accept a pending invitation to a trip
+   * @param {string} tripId - Trip ID
+   * @param {string} userId - Invited user ID
+   * @returns {Promise<Object>} Trip data
+   */
+  async acceptInvitation(tripId, userId) {
+    try {
+      const trip = await Trip.findById(tripId);
+
+      if (!trip) {
+        throw new Error('TRIP_NOT_FOUND');
+      }
+
+      const member = trip.members.find(m => m.userId.toString() === userId.toString());
+      if (!member || member.status !== 'pending') {
+        throw new Error('INVITATION_NOT_FOUND');
+      }
+
+      member.status = 'accepted';
+      member.acceptedAt = new Date();
+
+      const result = await Trip.updateOne(
+        { _id: trip._id, members: { $elemMatch: { userId: member.userId, status: 'pending' } } },
+        { $set: { 'members.$.status': member.status, 'members.$.acceptedAt': member.acceptedAt } }
+      );
+      if (result.matchedCount === 0) {
+        throw new Error('INVITATION_NOT_FOUND');
+      }
+
+      return trip.toPublicJSON();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_TRIP_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a member from a trip. Owners can remove anyone; members can remove
+   * themselves (leaving the trip or declining an invitation).
+   * @param {string} tripId - Trip ID
+   * @param {string} userId - User ID performing the removal
+   * @param {string} memberUserId - User ID of the member to remove
+   * @returns {Promise<Object>} Updated member list
+   */
+  async removeMember(tripId, userId, memberUserId) {
+    try {
+      const trip = await Trip.findById(tripId);
+
+      if (!trip) {
+        throw new Error('TRIP_NOT_FOUND');
+      }
+
+      const isSelf = userId.toString() === memberUserId.toString();
+      if (!isSelf && !trip.hasAccess(userId, 'owner')) {
+        throw new Error('TRIP_ACCESS_DENIED');
+      }
+
+      if (trip.isOwnedBy(memberUserId)) {
+        throw new Error('CANNOT_REMOVE_TRIP_OWNER');
+      }
+
+      const memberIndex = trip.members.findIndex(m => m.userId.toString() === memberUserId.toString());
+      if (memberIndex === -1) {
+        throw new Error('MEMBER_NOT_FOUND');
+      }
+
+      trip.members.splice(memberIndex, 1);
+
+      const result = await Trip.updateOne(
+        { _id: trip._id },
+        { $pull: { members: { userId: memberUserId } } }
+      );
+      if (result.modifiedCount === 0) {
+        throw new Error('MEMBER_NOT_FOUND');
+      }
+
+      return this._formatMembers(trip);
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build member list with basic user info
+   * @private
+   */
+  async _formatMembers(trip) {
+    const userIds = [trip.userId, ...trip.members.map(m => m.userId)];
+    const users = await User.find({ _id: { $in: userIds } }).select('email firstName lastName').lean();
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const describe = (id) => {
+      const user = usersById.get(id.toString());
+      return user
+        ? { email: user.email, firstName: user.firstName, lastName: user.lastName }
+        : {};
+    };
+
+    return {
+      owner: {
+        userId: trip.userId,
+        role: 'owner',
+        ...describe(trip.userId)
+      },
+      members: trip.members.map(member => ({
+        userId: member.userId,
+        role: member.role,
+        status: member.status,
+        invitedBy: member.invitedBy,
+        invitedAt: member.invitedAt,
+        acceptedAt: member.acceptedAt,
+        ...describe(member.userId)
+      }))
+    };
+  }
+}
+
+module.exports = new TripMemberService();
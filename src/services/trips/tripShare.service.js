@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { Trip } = require('../../models/trips');
+
+class TripShareService {
+  /**
+   * Create a public read-only share link for a trip
+   * @param {string} tripId - Trip ID
+   * @param {string} userId - User ID creating the link (must be an owner)
+   * @param {Object} options - Link options
+   * @param {string} options.expiresAt - Optional expiry date
+   * @param {boolean} options.includeCosts - Show budget and activity costs
+   * @param {boolean} options.includeNotes - Show activity notes
+   * @returns {Promise<Object>} Created share link
+   */
+  async createShareLink(tripId, userId, options = {}) {
+    try {
+      const { expiresAt, includeCosts = false, includeNotes = false } = options;
+
+      const trip = await Trip.findById(tripId);
+
+      if (!trip) {
+        throw new Error('TRIP_NOT_FOUND');
+      }
+
+      if (!trip.hasAccess(userId, 'owner')) {
+        throw new Error('TRIP_ACCESS_DENIED');
+      }
+
+      if (expiresAt && new Date(expiresAt) <= new Date()) {
+        throw new Error('SHARE_LINK_EXPIRY_IN_PAST');
+      }
+
+      trip.shareLinks.push({
+        token: crypto.randomBytes(24).toString('hex'),
+        includeCosts,
+        includeNotes,
+        createdBy: userId,
+        createdAt: new Date(),
+        expiresAt: expiresAt ? new Date(expiresAt) : undefined
+      });
+      const link = trip.shareLinks[trip.shareLinks.length - 1];
+
+      // Atomic update, so share links do not change the trip revision
+      await Trip.updateOne({ _id: trip._id }, { $push: { shareLinks: link.toObject() } });
+
+      return this._formatShareLink(link);
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_TRIP_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List share links of a trip
+   * @param {string} tripId - Trip ID
+   * @param {string} userId - User ID (must be an owner)
+   * @returns {Promise<Array>} Share links
+   */
+  async getShareLinks(tripId, userId) {
+    try {
+      const trip = await Trip.findById(tripId);
+
+      if (!trip) {
+        throw new Error('TRIP_NOT_FOUND');
+      }
+
+      if (!trip.hasAccess(userId, 'owner')) {
+        throw new Error('TRIP_ACCESS_DENIED');
+      }
+
+      return trip.shareLinks.map(link => this._formatShareLink(link));
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_TRIP_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a share link
+   * @param {string} tripId - Trip ID
+   * @param {string} userId - User ID (must be an owner)
+   * @param {string} linkId - Share link ID
+   * @returns {Promise<Object>} Revoked share link
+   */
+  async revokeShareLink(tripId, userId, linkId) {
+    try {
+      const trip = await Trip.findById(tripId);
+
+      if (!trip) {
+        throw new Error('TRIP_NOT_FOUND');
+      }
+
+      if (!trip.hasAccess(userId, 'owner')) {
+        throw new Error('TRIP_ACCESS_DENIED');
+      }
+
+      const link = trip.shareLinks.id(linkId);
+      if (!link) {
+        throw new Error('SHARE_LINK_NOT_FOUND');
+      }
+
+      if (!link.revokedAt) {
+        link.revokedAt = new Date();
+        await Trip.updateOne(
+          { _id: trip._id, shareLinks: { $elemMatch: { _id: link._id, revokedAt: null } } },
+          { $set: { 'shareLinks.$.revokedAt': link.revokedAt } }
+        );
+      }
+
+      return this._formatShareLink(link);
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the sanitized trip view for a share token (no authentication)
+   * @param {string} token - Share token
+   * @returns {Promise<Object>} Read-only trip data
+   */
+  async getSharedTrip(token) {
+    const trip = await Trip.findOne({ 'shareLinks.token': token });
+
+    if (!trip) {
+      throw new Error('SHARE_LINK_NOT_FOUND');
+    }
+
+    const link = trip.shareLinks.find(l => l.token === token);
+
+    if (link.revokedAt) {
+      throw new Error('SHARE_LINK_NOT_FOUND');
+    }
+
+    if (link.expiresAt && link.expiresAt <= new Date()) {
+      throw new Error('SHARE_LINK_EXPIRED');
+    }
+
+    return trip.toSharedJSON({
+      includeCosts: link.includeCosts,
+      includeNotes: link.includeNotes
+    });
+  }
+
+  /**
+   * Format share link for API responses
+   * @private
+   */
+  _formatShareLink(link) {
+    const now = new Date();
+    let status = 'active';
+    if (link.revokedAt) {
+      status = 'revoked';
+    } else if (link.expiresAt && link.expiresAt <= now) {
+      status = 'expired';
+    }
+
+    return {
+      _id: link._id,
+      token: link.token,
+      path: `/api/v1/trips/shared/${link.token}`,
+      includeCosts: link.includeCosts,
+      includeNotes: link.includeNotes,
+      createdBy: link.createdBy,
+      createdAt: link.createdAt,
+      expiresAt: link.expiresAt,
+      revokedAt: link.revokedAt,
+      status
+    };
+  }
+}
+
+module.exports = new TripShareService();
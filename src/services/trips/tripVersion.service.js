@@ -0,0 +1,397 @@
+const { isEqual } = require('lodash');
+const { Trip, TripVersion } = require('../../models/trips');
+
+// Trip fields captured in each version snapshot
+const SNAPSHOT_FIELDS = ['name', 'destination', 'travelers', 'budget', 'preferences', 'itinerary', 'status'];
+
+// Activity fields compared when diffing versions
+const ACTIVITY_DIFF_FIELDS = ['time', 'title', 'description', 'location', 'duration', 'cost', 'currency', 'category', 'notes'];
+
+class TripVersionService {
+  /**
+   * Record the current state of a trip as a new version
+   * @param {Object} trip - Saved Trip document
+   * @param {Object} meta - Version metadata
+   * @param {string} meta.authorId - User who made the change
+   * @param {string} meta.source - Change source (manual, ai-generate, ai-optimize, chat-extraction, import, restore)
+   * @param {string} meta.summary - Short description of the change
+   * @returns {Promise<Object>} Created version summary
+   */
+  async recordVersion(trip, { authorId, source = 'manual', summary } = {}) {
+    const snapshot = this.createSnapshot(trip);
+
+    // Retry on concurrent writers claiming the same version number
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const version = (await TripVersion.getLatestVersionNumber(trip._id)) + 1;
+      try {
+        const created = await TripVersion.create({
+          tripId: trip._id,
+          version,
+          authorId,
+          source,
+          summary,
+          snapshot
+        });
+        return created.getSummary();
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+
+    throw new Error('VERSION_CONFLICT');
+  }
+
+  /**
+   * Record the current state as a baseline if the trip has no history yet.
+   * Call before mutating trips created before version history existed.
+   * @param {Object} trip - Trip document (not yet modified)
+   * @returns {Promise<void>}
+   */
+  async ensureBaseline(trip) {
+    const latestVersion = await TripVersion.getLatestVersionNumber(trip._id);
+    if (latestVersion === 0) {
+      await this.recordVersion(trip, {
+        authorId: trip.userId,
+        source: 'manual',
+        summary: 'Baseline before first tracked change'
+      });
+    }
+  }
+
+  /**
+   * Build a version snapshot from a trip
+   * @param {Object} trip - Trip document
+   * @returns {Object} Snapshot of trip content
+   */
+  createSnapshot(trip) {
+    const source = typeof trip.toObject === 'function' ? trip.toObject() : trip;
+    const snapshot = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+      if (source[field] !== undefined) {
+        snapshot[field] = source[field];
+      }
+    });
+    return snapshot;
+  }
+
+  /**
+   * List versions of a trip, newest first
+   * @param {string} tripId - Trip ID
+   * @param {string} userId - User ID requesting the list
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} Versions with pagination metadata
+   */
+  async listVersions(tripId, userId, options = {}) {
+    try {
+      await this._getTripWithAccess(tripId, userId, 'viewer');
+
+      const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 100);
+      const offset = Math.max(parseInt(options.offset) || 0, 0);
+
+      const [versions, totalCount] = await Promise.all([
+        TripVersion.find({ tripId })
+          .sort({ version: -1 })
+          .skip(offset)
+          .limit(limit)
+          .select('-snapshot'),
+        TripVersion.countDocuments({ tripId })
+      ]);
+
+      return {
+        versions: versions.map(version => version.getSummary()),
+        pagination: {
+          totalCount,
+          limit,
+          offset,
+          hasNext: offset + versions.length < totalCount
+        }
+      };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_TRIP_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single version including its snapshot
+   * @param {string} tripId - Trip ID
+   * @param {string} userId - User ID
+   * @param {number} versionNumber - Version number
+   * @returns {Promise<Object>} Version with snapshot
+   */
+  async getVersion(tripId, userId, versionNumber) {
+    try {
+      await this._getTripWithAccess(tripId, userId, 'viewer');
+
+      const version = await this._findVersion(tripId, versionNumber);
+
+      return {
+        ...version.getSummary(),
+        snapshot: version.snapshot
+      };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_TRIP_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Compare two versions at the activity level
+   * @param {string} tripId - Trip ID
+   * @param {string} userId - User ID
+   * @param {number} fromVersion - Base version number
+   * @param {number} toVersion - Target version number (defaults to latest)
+   * @returns {Promise<Object>} Trip field changes and added/removed/modified activities
+   */
+  async diffVersions(tripId, userId, fromVersion, toVersion) {
+    try {
+      await this._getTripWithAccess(tripId, userId, 'viewer');
+
+      const targetVersion = toVersion || await TripVersion.getLatestVersionNumber(tripId);
+      const [from, to] = await Promise.all([
+        this._findVersion(tripId, fromVersion),
+        this._findVersion(tripId, targetVersion)
+      ]);
+
+      return {
+        from: from.getSummary(),
+        to: to.getSummary(),
+        ...this.diffSnapshots(from.snapshot, to.snapshot)
+      };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_TRIP_ID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Diff two snapshots. Activities are matched by their _id.
+   * @param {Object} fromSnapshot - Base snapshot
+   * @param {Object} toSnapshot - Target snapshot
+   * @returns {Object} Differences
+   */
+  diffSnapshots(fromSnapshot, toSnapshot) {
+    const from = this._normalize(fromSnapshot);
+    const to = this._normalize(toSnapshot);
+
+    const tripChanges = [];
+    ['name', 'destination', 'travelers', 'budget', 'preferences', 'status'].forEach(field => {
+      if (!isEqual(from[field], to[field])) {
+        tripChanges.push({ field, from: from[field], to: to[field] });
+      }
+    });
+
+    const fromTips = (from.itinerary && from.itinerary.tips) || [];
+    const toTips = (to.itinerary && to.itinerary.tips) || [];
+    if (!isEqual(fromTips, toTips)) {
+      tripChanges.push({ field: 'itinerary.tips', from: fromTips.length, to: toTips.length });
+    }
+
+    const fromActivities = this._indexActivities(from);
+    const toActivities = this._indexActivities(to);
+
+    const added = [];
+    const removed = [];
+    const modified = [];
+
+    toActivities.forEach((entry, id) => {
+      if (!fromActivities.has(id)) {
+        added.push({ date: entry.date, activity: entry.activity });
+      }
+    });
+
+    fromActivities.forEach((entry, id) => {
+      if (!toActivities.has(id)) {
+        removed.push({ date: entry.date, activity: entry.activity });
+        return;
+      }
+
+      const target = toActivities.get(id);
+      const changes = [];
+
+      if (entry.date !== target.date) {
+        changes.push({ field: 'date', from: entry.date, to: target.date });
+      }
+
+      ACTIVITY_DIFF_FIELDS.forEach(field => {
+        if (!isEqual(entry.activity[field], target.activity[field])) {
+          changes.push({ field, from: entry.activity[field], to: target.activity[field] });
+        }
+      });
+
+      if (changes.length > 0) {
+        modified.push({ activityId: id, title: target.activity.title, date: target.date, changes });
+      }
+    });
+
+    return {
+      tripChanges,
+      activities: { added, removed, modified },
+      hasChanges: tripChanges.length + added.length + removed.length + modified.length > 0
+    };
+  }
+
+  /**
+   * Restore a trip to the content of an earlier version
+   * @param {string} tripId - Trip ID
+   * @param {string} userId - User ID restoring the version
+   * @param {number} versionNumber - Version to restore
+   * @param {Object} options - Restore options
+   * @param {number} options.expectedRevision - Trip revision from If-Match
+   * @returns {Promise<Object>} Restored trip data and the new version created
+   */
+  async restoreVersion(tripId, userId, versionNumber, options = {}) {
+    try {
+      const trip = await this._getTripWithAccess(tripId, userId, 'editor');
+      this.assertRevision(trip, options.expectedRevision);
+      const version = await this._findVersion(tripId, versionNumber);
+
+      await this.ensureBaseline(trip);
+
+      SNAPSHOT_FIELDS.forEach(field => {
+        if (version.snapshot[field] !== undefined) {
+          trip.set(field, version.snapshot[field]);
+        }
+      });
+
+      await trip.save();
+
+      const restoredVersion = await this.recordVersion(trip, {
+        authorId: userId,
+        source: 'restore',
+        summary: `Restored version ${version.version}`
+      });
+
+      return {
+        trip: trip.toPublicJSON(),
+        version: restoredVersion
+      };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('INVALID_TRIP_ID');
+      }
+      if (error.name === 'ValidationError') {
+        const firstError = Object.values(error.errors)[0];
+        throw new Error(`VALIDATION_ERROR: ${firstError.message}`);
+      }
+      if (error.name === 'VersionError') {
+        throw await this.revisionConflict(tripId);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a change based on a stale trip revision (sent by the client as If-Match)
+   * @param {Object} trip - Trip document as currently stored
+   * @param {number} expectedRevision - Revision the client last saw, undefined to skip the check
+   * @throws {Error} TRIP_REVISION_CONFLICT carrying the current trip state
+   */
+  assertRevision(trip, expectedRevision) {
+    if (expectedRevision !== undefined && expectedRevision !== null && trip.getRevision() !== expectedRevision) {
+      throw this._revisionConflictError(trip);
+    }
+  }
+
+  /**
+   * Build the conflict error for a save that lost the race against another writer
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<Error>} TRIP_REVISION_CONFLICT error, or TRIP_NOT_FOUND if the trip was deleted meanwhile
+   */
+  async revisionConflict(tripId) {
+    const trip = await Trip.findById(tripId);
+    if (!trip) {
+      return new Error('TRIP_NOT_FOUND');
+    }
+    return this._revisionConflictError(trip);
+  }
+
+  /**
+   * Delete the history of a trip
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<void>}
+   */
+  async deleteVersions(tripId) {
+    await TripVersion.deleteMany({ tripId });
+  }
+
+  /**
+   * Load a trip and check the user's role
+   * @private
+   */
+  async _getTripWithAccess(tripId, userId, requiredRole) {
+    const trip = await Trip.findById(tripId);
+
+    if (!trip) {
+      throw new Error('TRIP_NOT_FOUND');
+    }
+
+    if (!trip.hasAccess(userId, requiredRole)) {
+      throw new Error('TRIP_ACCESS_DENIED');
+    }
+
+    return trip;
+  }
+
+  /**
+   * Conflict error with the current server state attached for the 409 response
+   * @private
+   */
+  _revisionConflictError(trip) {
+    const error = new Error('TRIP_REVISION_CONFLICT');
+    error.data = {
+      revision: trip.getRevision(),
+      trip: trip.toPublicJSON()
+    };
+    return error;
+  }
+
+  /**
+   * Find a version by number
+   * @private
+   */
+  async _findVersion(tripId, versionNumber) {
+    const version = await TripVersion.findOne({ tripId, version: Number(versionNumber) });
+    if (!version) {
+      throw new Error('VERSION_NOT_FOUND');
+    }
+    return version;
+  }
+
+  /**
+   * Convert ObjectIds and Dates to strings so snapshots compare by value
+   * @private
+   */
+  _normalize(snapshot) {
+    return JSON.parse(JSON.stringify(snapshot || {}));
+  }
+
+  /**
+   * Map activity IDs to their activity and day date
+   * @private
+   */
+  _indexActivities(snapshot) {
+    const index = new Map();
+    const days = (snapshot.itinerary && snapshot.itinerary.days) || [];
+
+    days.forEach(day => {
+      (day.activities || []).forEach(activity => {
+        if (activity._id) {
+          index.set(activity._id, { date: day.date, activity });
+        }
+      });
+    });
+
+    return index;
+  }
+}
+
+module.exports = new TripVersionService();
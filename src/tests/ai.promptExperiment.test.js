@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { PromptExperiment } = require('../models/ai');
+const PromptExperimentService = require('../services/ai/core/promptExperiment.service');
+const { stableHash } = require('../utils/stableHash');
+
+const buildExperiment = (variants) => ({
+  _id: new mongoose.Types.ObjectId(),
+  endpoint: 'generate-itinerary',
+  status: 'running',
+  variants
+});
+
+const userIds = Array.from({ length: 2000 }, () => new mongoose.Types.ObjectId().toString());
+
+describe('Prompt experiment bucketing', () => {
+  let templateRegistry;
+  let service;
+  let experiment;
+
+  const useExperiments = (experiments) => {
+    jest.spyOn(PromptExperiment, 'find').mockReturnValue({ lean: () => Promise.resolve(experiments) });
+  };
+
+  beforeEach(() => {
+    templateRegistry = { pinVersion: jest.fn().mockResolvedValue(null) };
+    service = new PromptExperimentService({ templateRegistry });
+    experiment = buildExperiment([
+      { name: 'control', weight: 1 },
+      { name: 'pro', weight: 3, model: 'pro', templateVersion: 2, templateLocale: 'en' }
+    ]);
+    useExperiments([experiment]);
+  });
+
+  it('keeps a user in the same variant', async () => {
+    const first = await service.assign('generate-itinerary', userIds[0]);
+
+    for (let i = 0; i < 5; i++) {
+      expect(await service.assign('generate-itinerary', userIds[0])).toEqual(first);
+    }
+    expect(await new PromptExperimentService({ templateRegistry }).assign('generate-itinerary', userIds[0])).toEqual(first);
+  });
+
+  it('splits users by variant weight', async () => {
+    const counts = { control: 0, pro: 0 };
+    for (const userId of userIds) {
+      counts[(await service.assign('generate-itinerary', userId)).variant]++;
+    }
+
+    expect(counts.control / userIds.length).toBeGreaterThan(0.2);
+    expect(counts.control / userIds.length).toBeLessThan(0.3);
+  });
+
+  it('buckets users independently per experiment', async () => {
+    const other = { ...experiment, _id: new mongoose.Types.ObjectId() };
+    const otherService = new PromptExperimentService({ templateRegistry });
+    jest.spyOn(PromptExperiment, 'find')
+      .mockReturnValueOnce({ lean: () => Promise.resolve([experiment]) })
+      .mockReturnValueOnce({ lean: () => Promise.resolve([other]) });
+
+    let differing = 0;
+    for (const userId of userIds.slice(0, 200)) {
+      const [first, second] = [await service.assign('generate-itinerary', userId), await otherService.assign('generate-itinerary', userId)];
+      if (first.variant !== second.variant) {
+        differing++;
+      }
+    }
+
+    expect(differing).toBeGreaterThan(0);
+  });
+
+  it('returns the variant model and template version', async () => {
+    // Buckets 1-3 of the total weight of 4 belong to the second variant
+    const userId = userIds.find(id => parseInt(stableHash({ experimentId: experiment._id.toString(), userId: id }, 8), 16) % 4 >= 1);
+
+    expect(await service.assign('generate-itinerary', userId)).toEqual({
+      experimentId: experiment._id,
+      endpoint: 'generate-itinerary',
+      variant: 'pro',
+      model: 'pro',
+      templateVersion: 2,
+      templateLocale: 'en'
+    });
+    expect(templateRegistry.pinVersion).toHaveBeenCalledWith('itinerary', 'en', 2);
+  });
+
+  it('leaves anonymous users and endpoints without an experiment out', async () => {
+    expect(await service.assign('generate-itinerary', undefined)).toBeNull();
+    expect(await service.assign('chat', userIds[0])).toBeNull();
+  });
+
+  it('falls back to the default prompt when experiments cannot be loaded', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    PromptExperiment.find.mockReturnValue({ lean: () => Promise.reject(new Error('connection lost')) });
+
+    expect(await service.assign('generate-itinerary', userIds[0])).toBeNull();
+  });
+
+  it('caches running experiments between assignments', async () => {
+    await service.assign('generate-itinerary', userIds[0]);
+    await service.assign('generate-itinerary', userIds[1]);
+
+    expect(PromptExperiment.find).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { Trip } = require('../../models/trips');
+
+const ownerId = new mongoose.Types.ObjectId();
+
+/**
+ * Build an unsaved trip document with a two-day itinerary
+ * @param {Object} overrides - Trip fields replacing the defaults
+ * @returns {Object} Trip document
+ */
+const buildTrip = (overrides = {}) => new Trip({
+  userId: ownerId,
+  name: 'Paris in June',
+  destination: {
+    origin: 'London',
+    destination: 'Paris',
+    startDate: new Date('2030-06-12T00:00:00.000Z'),
+    endDate: new Date('2030-06-14T00:00:00.000Z')
+  },
+  travelers: { adults: 2 },
+  budget: { total: 1500, currency: 'EUR' },
+  itinerary: {
+    days: [
+      {
+        date: new Date('2030-06-12T00:00:00.000Z'),
+        activities: [
+          { time: '09:00', title: 'Louvre', location: { name: 'Louvre Museum' }, duration: 150, cost: 22, category: 'cultural', notes: 'Book ahead' }
+        ]
+      },
+      {
+        date: new Date('2030-06-13T00:00:00.000Z'),
+        activities: [
+          { time: '19:00', title: 'Dinner cruise', location: { name: 'Port de la Bourdonnais' }, duration: 120, cost: 95, category: 'food' }
+        ]
+      }
+    ]
+  },
+  ...overrides
+});
+
+module.exports = {
+  ownerId,
+  buildTrip
+};
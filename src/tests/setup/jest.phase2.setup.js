@@ -0,0 +1,10 @@
+// Configuration the app refuses to load without; tests never connect to these
+process.env.MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/backend2';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-that-is-at-least-32-characters-long';
+process.env.JWT_ACCESS_TOKEN_SECRET = process.env.JWT_ACCESS_TOKEN_SECRET || 'test-access-token-secret-that-is-at-least-32-characters';
+process.env.JWT_REFRESH_TOKEN_SECRET = process.env.JWT_REFRESH_TOKEN_SECRET || 'test-refresh-token-secret-that-is-at-least-32-characters';
+
+// Model statics stubbed with jest.spyOn are restored between tests
+afterEach(() => {
+  jest.restoreAllMocks();
+});
@@ -0,0 +1,74 @@
+const { tripExportService, tripImportService } = require('../services/trips');
+const { buildTrip } = require('./helpers/trip.factory');
+
+// Components of the VTIMEZONE block as { type, DTSTART, TZOFFSETFROM, TZOFFSETTO }
+const parseVTimezone = (ics) => {
+  const lines = ics.split('\r\n');
+  const block = lines.slice(lines.indexOf('BEGIN:VTIMEZONE'), lines.indexOf('END:VTIMEZONE') + 1);
+  const components = [];
+  block.forEach(line => {
+    const [name, value] = line.split(':');
+    if (name === 'BEGIN' && value !== 'VTIMEZONE') {
+      components.push({ type: value });
+    } else if (components.length > 0 && ['DTSTART', 'TZOFFSETFROM', 'TZOFFSETTO'].includes(name)) {
+      components[components.length - 1][name] = value;
+    }
+  });
+  return { block, components };
+};
+
+describe('Trip ICS export', () => {
+  it('writes activity times in the trip timezone with a matching VTIMEZONE', () => {
+    const ics = tripExportService.generateICS(buildTrip(), { timezone: 'Europe/Paris' });
+
+    expect(ics).toContain('X-WR-TIMEZONE:Europe/Paris');
+    expect(ics).toContain('DTSTART;TZID=Europe/Paris:20300612T090000');
+    expect(ics).toContain('DTEND;TZID=Europe/Paris:20300612T113000');
+
+    const { block, components } = parseVTimezone(ics);
+    expect(block[1]).toBe('TZID:Europe/Paris');
+    expect(components).toEqual([
+      { type: 'STANDARD', DTSTART: '19700101T000000', TZOFFSETFROM: '+0100', TZOFFSETTO: '+0100' },
+      { type: 'DAYLIGHT', DTSTART: '20300331T020000', TZOFFSETFROM: '+0100', TZOFFSETTO: '+0200' },
+      { type: 'STANDARD', DTSTART: '20301027T030000', TZOFFSETFROM: '+0200', TZOFFSETTO: '+0100' }
+    ]);
+  });
+
+  it('gives timezones without transitions a single observance', () => {
+    const ics = tripExportService.generateICS(buildTrip(), { timezone: 'Asia/Ho_Chi_Minh' });
+
+    expect(parseVTimezone(ics).components).toEqual([
+      { type: 'STANDARD', DTSTART: '19700101T000000', TZOFFSETFROM: '+0700', TZOFFSETTO: '+0700' }
+    ]);
+  });
+
+  it('starts southern hemisphere timezones in daylight time', () => {
+    const ics = tripExportService.generateICS(buildTrip(), { timezone: 'Australia/Sydney' });
+    const [initial, ...transitions] = parseVTimezone(ics).components;
+
+    expect(initial).toEqual({ type: 'DAYLIGHT', DTSTART: '19700101T000000', TZOFFSETFROM: '+1100', TZOFFSETTO: '+1100' });
+    expect(transitions.map(transition => transition.type)).toEqual(['STANDARD', 'DAYLIGHT']);
+  });
+
+  it('writes UTC times without a VTIMEZONE by default', () => {
+    const ics = tripExportService.generateICS(buildTrip());
+
+    expect(ics).not.toContain('BEGIN:VTIMEZONE');
+    expect(ics).toContain('DTSTART:20300612T090000Z');
+  });
+
+  it('rejects unknown timezones', () => {
+    expect(() => tripExportService.generateICS(buildTrip(), { timezone: 'Mars/Olympus' })).toThrow('INVALID_TIMEZONE');
+  });
+
+  it('imports back to the same activity times', () => {
+    const ics = tripExportService.generateICS(buildTrip(), { timezone: 'Europe/Paris', includeCosts: true });
+
+    const { tripData, errors } = tripImportService.parse('ics', ics);
+
+    expect(errors).toEqual([]);
+    expect(tripData.itinerary.days.map(day => day.activities.map(activity => [activity.time, activity.duration, activity.category])))
+      .toEqual([[['09:00', 150, 'cultural']], [['19:00', 120, 'food']]]);
+    expect(tripData.itinerary.days[0].activities[0]).toMatchObject({ cost: 22, currency: 'EUR' });
+  });
+});
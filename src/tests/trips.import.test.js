@@ -0,0 +1,160 @@
+const { Trip } = require('../models/trips');
+const { tripService, tripImportService, tripVersionService } = require('../services/trips');
+
+const userId = '64b000000000000000000001';
+
+// Calendar with one timed event in Paris time, one UTC event and one all-day event
+const buildCalendar = () => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'X-WR-CALNAME:Paris weekend',
+  'X-WR-TIMEZONE:Europe/Paris',
+  'BEGIN:VEVENT',
+  'SUMMARY:Louvre',
+  'DTSTART;TZID=Europe/Paris:20300612T090000',
+  'DTEND;TZID=Europe/Paris:20300612T113000',
+  'LOCATION:Louvre Museum\\, Rue de Rivoli',
+  'CATEGORIES:MUSEUM,CULTURAL',
+  'DESCRIPTION:Main collections\\nCost: 22 EUR\\nNotes: Book ahead',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'SUMMARY:Dinner cruise',
+  'DTSTART:20300613T170000Z',
+  'DURATION:PT2H',
+  'LOCATION:Port de la Bourdonnais',
+  'CATEGORIES:Food',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'SUMMARY:Bank holiday',
+  'DTSTART;VALUE=DATE:20300614',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('Trip import', () => {
+  describe('ICS parsing', () => {
+    it('keeps TZID wall-clock times and converts UTC times into the calendar timezone', () => {
+      const { tripData } = tripImportService.parse('ics', buildCalendar());
+
+      const [firstDay, secondDay] = tripData.itinerary.days;
+      expect(firstDay.date.toISOString()).toBe('2030-06-12T00:00:00.000Z');
+      expect(firstDay.activities[0]).toMatchObject({ time: '09:00', duration: 150 });
+      // 17:00 UTC is 19:00 in Paris summer time
+      expect(secondDay.activities[0]).toMatchObject({ time: '19:00', duration: 120 });
+    });
+
+    it('converts UTC times into the timezone chosen for the import', () => {
+      const { tripData } = tripImportService.parse('ics', buildCalendar(), {}, { timezone: 'Asia/Tokyo' });
+
+      // 17:00 UTC on the 13th is 02:00 on the 14th in Tokyo
+      const lastDay = tripData.itinerary.days[tripData.itinerary.days.length - 1];
+      expect(lastDay.date.toISOString()).toBe('2030-06-14T00:00:00.000Z');
+      expect(lastDay.activities[0].time).toBe('02:00');
+    });
+
+    it('recovers location, category, cost and notes written by the export', () => {
+      const { tripData } = tripImportService.parse('ics', buildCalendar());
+      const [louvre] = tripData.itinerary.days[0].activities;
+      const [cruise] = tripData.itinerary.days[1].activities;
+
+      expect(louvre).toMatchObject({
+        location: { name: 'Louvre Museum', address: 'Rue de Rivoli' },
+        category: 'cultural',
+        description: 'Main collections',
+        cost: 22,
+        currency: 'EUR',
+        notes: 'Book ahead'
+      });
+      expect(cruise.category).toBe('food');
+    });
+
+    it('falls back to the default category for unknown categories', () => {
+      expect(tripImportService._parseICSCategory({ value: 'MUSEUM,TOUR' })).toBe('cultural');
+      Trip.ACTIVITY_CATEGORIES.forEach(category => {
+        expect(tripImportService._parseICSCategory({ value: category.toUpperCase() })).toBe(category);
+      });
+    });
+
+    it('reports events that cannot become activities', () => {
+      const { tripData, errors } = tripImportService.parse('ics', buildCalendar());
+
+      expect(errors).toEqual([
+        { event: 2, title: 'Bank holiday', errors: ['All-day events cannot be imported as activities'] }
+      ]);
+      expect(tripData.destination.endDate.toISOString()).toBe('2030-06-14T00:00:00.000Z');
+    });
+
+    it('rejects invalid formats, payloads and timezones', () => {
+      expect(() => tripImportService.parse('xml', '')).toThrow('INVALID_IMPORT_FORMAT');
+      expect(() => tripImportService.parse('ics', 'not a calendar')).toThrow('INVALID_IMPORT_DATA');
+      expect(() => tripImportService.parse('json', [])).toThrow('INVALID_IMPORT_DATA');
+      expect(() => tripImportService.parse('ics', buildCalendar(), {}, { timezone: 'Mars/Olympus' })).toThrow('INVALID_TIMEZONE');
+    });
+  });
+
+  describe('importTrip', () => {
+    const exportedTrip = {
+      format: 'json',
+      data: {
+        name: 'Lisbon',
+        destination: {
+          origin: 'Paris',
+          destination: 'Lisbon',
+          startDate: '2030-05-01T00:00:00.000Z',
+          endDate: '2030-05-03T00:00:00.000Z'
+        },
+        travelers: { adults: 2 },
+        itinerary: {
+          days: [
+            {
+              date: '2030-05-01T00:00:00.000Z',
+              activities: [
+                { time: '10:00', title: 'Tram 28', location: { name: 'Martim Moniz' }, category: 'transportation' },
+                { time: '25:00', title: 'Broken', location: { name: 'Nowhere' }, category: 'cultural' },
+                { time: '20:00', title: 'Fado', location: { name: 'Alfama' }, category: 'karaoke' }
+              ]
+            }
+          ]
+        }
+      }
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Trip.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(tripVersionService, 'recordVersion').mockResolvedValue(null);
+    });
+
+    it('saves valid activities and reports the invalid ones', async () => {
+      const { trip, report } = await tripService.importTrip(userId, exportedTrip);
+
+      expect(trip.itinerary.days[0].activities.map(activity => activity.title)).toEqual(['Tram 28']);
+      expect(report.importedActivities).toBe(1);
+      expect(report.skipped).toBe(2);
+      expect(report.errors.map(error => error.activity)).toEqual([1, 2]);
+      expect(trip.shareLinks).toBeUndefined();
+    });
+
+    it('shifts all dates to the requested start date', async () => {
+      const { trip } = await tripService.importTrip(userId, { ...exportedTrip, startDate: '2030-07-10' });
+
+      expect(trip.destination.startDate.toISOString()).toBe('2030-07-10T00:00:00.000Z');
+      expect(trip.destination.endDate.toISOString()).toBe('2030-07-12T00:00:00.000Z');
+      expect(trip.itinerary.days[0].date.toISOString()).toBe('2030-07-10T00:00:00.000Z');
+    });
+
+    it('rejects trips starting in the past', async () => {
+      await expect(tripService.importTrip(userId, { ...exportedTrip, startDate: '2001-01-01' }))
+        .rejects.toThrow('START_DATE_IN_PAST');
+      expect(Trip.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('rejects exports without dates', async () => {
+      const data = { ...exportedTrip.data, destination: { origin: 'Paris', destination: 'Lisbon' } };
+
+      await expect(tripService.importTrip(userId, { format: 'json', data }))
+        .rejects.toThrow('VALIDATION_ERROR: Imported trip must have start and end dates');
+    });
+  });
+});
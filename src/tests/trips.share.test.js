@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { Trip } = require('../models/trips');
+const { tripService, tripShareService } = require('../services/trips');
+const { ownerId, buildTrip } = require('./helpers/trip.factory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Trip share links', () => {
+  let trip;
+  let viewerId;
+
+  beforeEach(() => {
+    viewerId = new mongoose.Types.ObjectId();
+    trip = buildTrip({
+      members: [{ userId: viewerId, role: 'viewer', status: 'accepted', invitedBy: ownerId }]
+    });
+    jest.spyOn(Trip, 'findById').mockResolvedValue(trip);
+    jest.spyOn(Trip, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+  });
+
+  const addLink = (fields = {}) => {
+    trip.shareLinks.push({ token: `token-${trip.shareLinks.length}`, createdBy: ownerId, ...fields });
+    return trip.shareLinks[trip.shareLinks.length - 1];
+  };
+
+  describe('getSharedTrip', () => {
+    beforeEach(() => {
+      jest.spyOn(Trip, 'findOne').mockResolvedValue(trip);
+    });
+
+    it('serves a read-only view without costs, notes, members or tokens', async () => {
+      const link = addLink();
+
+      const shared = await tripShareService.getSharedTrip(link.token);
+
+      expect(Trip.findOne).toHaveBeenCalledWith({ 'shareLinks.token': link.token });
+      expect(shared.name).toBe('Paris in June');
+      expect(shared).not.toHaveProperty('budget');
+      expect(shared).not.toHaveProperty('members');
+      expect(shared).not.toHaveProperty('userId');
+      expect(shared).not.toHaveProperty('shareLinks');
+      const [activity] = shared.itinerary.days[0].activities;
+      expect(activity).not.toHaveProperty('cost');
+      expect(activity).not.toHaveProperty('notes');
+    });
+
+    it('shows costs and notes when the link includes them', async () => {
+      const link = addLink({ includeCosts: true, includeNotes: true });
+
+      const shared = await tripShareService.getSharedTrip(link.token);
+
+      expect(shared.budget.total).toBe(1500);
+      expect(shared.itinerary.days[0].activities[0]).toMatchObject({ cost: 22, notes: 'Book ahead' });
+    });
+
+    it('rejects unknown and revoked tokens', async () => {
+      const link = addLink({ revokedAt: new Date() });
+
+      await expect(tripShareService.getSharedTrip(link.token)).rejects.toThrow('SHARE_LINK_NOT_FOUND');
+
+      Trip.findOne.mockResolvedValue(null);
+      await expect(tripShareService.getSharedTrip('unknown')).rejects.toThrow('SHARE_LINK_NOT_FOUND');
+    });
+
+    it('rejects expired tokens', async () => {
+      const link = addLink({ expiresAt: new Date(Date.now() - DAY_MS) });
+
+      await expect(tripShareService.getSharedTrip(link.token)).rejects.toThrow('SHARE_LINK_EXPIRED');
+    });
+  });
+
+  describe('managing links', () => {
+    it('lets only owners create links', async () => {
+      await expect(tripShareService.createShareLink(trip._id, viewerId)).rejects.toThrow('TRIP_ACCESS_DENIED');
+
+      const link = await tripShareService.createShareLink(trip._id, ownerId, { includeCosts: true });
+
+      expect(link).toMatchObject({ includeCosts: true, includeNotes: false, status: 'active' });
+      expect(link.token).toMatch(/^[0-9a-f]{48}$/);
+      expect(Trip.updateOne).toHaveBeenCalledWith(
+        { _id: trip._id },
+        { $push: { shareLinks: expect.objectContaining({ token: link.token }) } }
+      );
+    });
+
+    it('rejects an expiry in the past', async () => {
+      await expect(tripShareService.createShareLink(trip._id, ownerId, { expiresAt: new Date(Date.now() - DAY_MS).toISOString() }))
+        .rejects.toThrow('SHARE_LINK_EXPIRY_IN_PAST');
+      expect(Trip.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('revokes a link with an atomic update', async () => {
+      const link = addLink();
+
+      const revoked = await tripShareService.revokeShareLink(trip._id, ownerId, link._id);
+
+      expect(revoked.status).toBe('revoked');
+      expect(Trip.updateOne).toHaveBeenCalledWith(
+        { _id: trip._id, shareLinks: { $elemMatch: { _id: link._id, revokedAt: null } } },
+        { $set: { 'shareLinks.$.revokedAt': expect.any(Date) } }
+      );
+    });
+
+    it('hides links from members', async () => {
+      addLink();
+
+      await expect(tripShareService.getShareLinks(trip._id, viewerId)).rejects.toThrow('TRIP_ACCESS_DENIED');
+    });
+
+    it('leaves tokens out of the trip list', async () => {
+      const query = {
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([])
+      };
+      jest.spyOn(Trip, 'find').mockReturnValue(query);
+      jest.spyOn(Trip, 'countDocuments').mockResolvedValue(0);
+
+      await tripService.getUserTrips(viewerId);
+
+      expect(query.select).toHaveBeenCalledWith('-shareLinks');
+    });
+  });
+});
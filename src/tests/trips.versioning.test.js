@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const { Trip } = require('../models/trips');
+const User = require('../models/users/user.model');
+const { tripService, tripMemberService, tripVersionService } = require('../services/trips');
+const responseService = require('../services/common/response.service');
+const { ownerId, buildTrip } = require('./helpers/trip.factory');
+
+describe('Trip revisions', () => {
+  let trip;
+
+  beforeEach(() => {
+    trip = buildTrip({ revision: 3 });
+    jest.spyOn(Trip, 'findById').mockResolvedValue(trip);
+    jest.spyOn(tripVersionService, 'ensureBaseline').mockResolvedValue(null);
+    jest.spyOn(tripVersionService, 'recordVersion').mockResolvedValue(null);
+  });
+
+  describe('assertRevision', () => {
+    it('accepts the current revision or no revision at all', () => {
+      expect(() => tripVersionService.assertRevision(trip, 3)).not.toThrow();
+      expect(() => tripVersionService.assertRevision(trip, undefined)).not.toThrow();
+      expect(() => tripVersionService.assertRevision(trip, null)).not.toThrow();
+    });
+
+    it('rejects a stale revision with the current trip state', () => {
+      trip.shareLinks.push({ token: 'secret-token', createdBy: ownerId });
+
+      let conflict;
+      try {
+        tripVersionService.assertRevision(trip, 2);
+      } catch (error) {
+        conflict = error;
+      }
+
+      expect(conflict.message).toBe('TRIP_REVISION_CONFLICT');
+      expect(conflict.data.revision).toBe(3);
+      expect(conflict.data.trip.name).toBe('Paris in June');
+      expect(conflict.data.trip.shareLinks).toBeUndefined();
+    });
+
+    it('counts trips saved before revisions existed as revision 0', () => {
+      const legacyTrip = buildTrip();
+
+      expect(() => tripVersionService.assertRevision(legacyTrip, 0)).not.toThrow();
+      expect(() => tripVersionService.assertRevision(legacyTrip, 1)).toThrow('TRIP_REVISION_CONFLICT');
+    });
+  });
+
+  describe('updateTrip', () => {
+    it('does not save over a stale If-Match revision', async () => {
+      const save = jest.spyOn(trip, 'save');
+
+      await expect(tripService.updateTrip(trip._id, ownerId, { name: 'Paris again' }, { expectedRevision: 2 }))
+        .rejects.toThrow('TRIP_REVISION_CONFLICT');
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('turns a lost save race into a conflict with the state that won', async () => {
+      const storedTrip = buildTrip({ _id: trip._id, name: 'Renamed meanwhile', revision: 4 });
+      Trip.findById.mockResolvedValueOnce(trip).mockResolvedValueOnce(storedTrip);
+      jest.spyOn(trip, 'save').mockRejectedValue(new mongoose.Error.VersionError(trip, 3, ['name']));
+
+      const error = await tripService.updateTrip(trip._id, ownerId, { name: 'Paris again' }, { expectedRevision: 3 })
+        .catch(caught => caught);
+
+      expect(error.message).toBe('TRIP_REVISION_CONFLICT');
+      expect(error.data.revision).toBe(4);
+      expect(error.data.trip.name).toBe('Renamed meanwhile');
+    });
+
+    it('reports a trip deleted during the update as not found', async () => {
+      Trip.findById.mockResolvedValueOnce(trip).mockResolvedValueOnce(null);
+      jest.spyOn(trip, 'save').mockRejectedValue(new mongoose.Error.VersionError(trip, 3, ['name']));
+
+      await expect(tripService.updateTrip(trip._id, ownerId, { name: 'Paris again' }))
+        .rejects.toThrow('TRIP_NOT_FOUND');
+    });
+  });
+
+  describe('membership changes', () => {
+    it('are written atomically without changing the revision', async () => {
+      const invitee = { _id: new mongoose.Types.ObjectId(), email: 'friend@example.com' };
+      jest.spyOn(User, 'findByEmail').mockResolvedValue(invitee);
+      jest.spyOn(User, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([invitee]) }) });
+      const updateOne = jest.spyOn(Trip, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+      const save = jest.spyOn(trip, 'save');
+
+      const result = await tripMemberService.inviteMember(trip._id, ownerId, { email: invitee.email, role: 'editor' });
+
+      expect(save).not.toHaveBeenCalled();
+      const [filter, update] = updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: trip._id, 'members.userId': { $ne: invitee._id } });
+      expect(update.$push.members).toMatchObject({ userId: invitee._id, role: 'editor', status: 'pending' });
+      expect(update).not.toHaveProperty('$inc');
+      expect(result.members[0]).toMatchObject({ email: invitee.email, status: 'pending' });
+      expect(trip.getRevision()).toBe(3);
+    });
+
+    it('report a concurrent invitation of the same user as a duplicate', async () => {
+      jest.spyOn(User, 'findByEmail').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+      jest.spyOn(Trip, 'updateOne').mockResolvedValue({ matchedCount: 0, modifiedCount: 0 });
+
+      await expect(tripMemberService.inviteMember(trip._id, ownerId, { email: 'friend@example.com' }))
+        .rejects.toThrow('MEMBER_ALREADY_EXISTS');
+    });
+  });
+
+  describe('conflict response', () => {
+    it('is a 409 carrying the current revision and trip', () => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const error = tripVersionService._revisionConflictError(trip);
+
+      responseService.handleServiceError(res, error);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ revision: 3, trip: expect.any(Object) }));
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const MINUTES_PER_DAY = 24 * 60;
+
+// Convert "HH:MM" to minutes since midnight (null if the time is malformed)
+const timeToMinutes = (time) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+    if (!match) {
+        return null;
+    }
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
+
+// Convert minutes since midnight to "HH:MM" (wraps past midnight)
+const minutesToTime = (minutes) => {
+    const wrapped = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const hours = Math.floor(wrapped / 60);
+    const mins = wrapped % 60;
+    return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+};
+
+// Describe an activity inside a conflict entry
+const describeActivity = (activity, index, start, end) => ({
+    activityId: activity._id ? activity._id.toString() : undefined,
+    index,
+    title: activity.title,
+    time: minutesToTime(start),
+    endTime: minutesToTime(end),
+    duration: activity.duration || 0
+});
+
+/**
+ * Find activities of one day that overlap each other or run past midnight.
+ * Activities without a valid time are ignored; a missing duration counts as 0 minutes,
+ * so such an activity only conflicts with another one starting at the same time.
+ * @param {Array} activities - Activities of a single day
+ * @returns {Array} Conflicts: { type: 'overlap', activities: [a, b], overlapMinutes }
+ *   or { type: 'past_midnight', activities: [a], overflowMinutes }
+ */
+const findTimeConflicts = (activities = []) => {
+    const slots = [];
+    activities.forEach((activity, index) => {
+        const start = timeToMinutes(activity.time);
+        if (start !== null) {
+            slots.push({ activity, index, start, end: start + (activity.duration || 0) });
+        }
+    });
+    slots.sort((a, b) => a.start - b.start || a.index - b.index);
+
+    const conflicts = [];
+
+    slots.forEach((slot, i) => {
+        if (slot.end > MINUTES_PER_DAY) {
+            conflicts.push({
+                type: 'past_midnight',
+                activities: [describeActivity(slot.activity, slot.index, slot.start, slot.end)],
+                overflowMinutes: slot.end - MINUTES_PER_DAY
+            });
+        }
+
+        // Slots are sorted by start, so only later slots starting before this one ends can overlap
+        for (let j = i + 1; j < slots.length && (slots[j].start < slot.end || slots[j].start === slot.start); j++) {
+            const other = slots[j];
+            conflicts.push({
+                type: 'overlap',
+                activities: [
+                    describeActivity(slot.activity, slot.index, slot.start, slot.end),
+                    describeActivity(other.activity, other.index, other.start, other.end)
+                ],
+                overlapMinutes: Math.min(slot.end, other.end) - other.start
+            });
+        }
+    });
+
+    return conflicts;
+};
+
+module.exports = {
+    timeToMinutes,
+    minutesToTime,
+    findTimeConflicts
+};
@@ -0,0 +1,168 @@
+// Offline exchange-rate table: units of each currency per 1 USD (approximate mid-market rates).
+// Admins can override or add rates; see services/common/exchangeRate.service.
+const DEFAULT_EXCHANGE_RATES = {
+    USD: 1,
+    EUR: 0.92,
+    GBP: 0.79,
+    CHF: 0.88,
+    JPY: 150,
+    KRW: 1350,
+    CNY: 7.2,
+    HKD: 7.8,
+    TWD: 32,
+    SGD: 1.35,
+    THB: 36,
+    MYR: 4.7,
+    IDR: 16000,
+    PHP: 57,
+    INR: 83,
+    VND: 25000,
+    AUD: 1.52,
+    NZD: 1.65,
+    CAD: 1.37
+};
+
+// Currency assumed when a trip has no budget currency (matches the Trip schema default)
+const DEFAULT_CURRENCY = 'USD';
+
+// ISO 4217 currencies without minor units (amounts are whole numbers)
+const ZERO_DECIMAL_CURRENCIES = ['VND', 'JPY', 'KRW', 'IDR', 'CLP', 'ISK', 'PYG', 'UGX'];
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Normalize a currency code ("vnd " -> "VND")
+ * @param {string} code - Currency code
+ * @returns {string|null} Upper-case ISO 4217 code, or null if it is not one
+ */
+const normalizeCurrency = (code) => {
+    if (typeof code !== 'string') {
+        return null;
+    }
+    const normalized = code.trim().toUpperCase();
+    return CURRENCY_PATTERN.test(normalized) ? normalized : null;
+};
+
+/**
+ * Round an amount to the minor unit of its currency
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency code
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount, currency) => {
+    const factor = ZERO_DECIMAL_CURRENCIES.includes(normalizeCurrency(currency)) ? 1 : 100;
+    return Math.round(amount * factor) / factor;
+};
+
+/**
+ * Convert an amount between currencies through their USD rates
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {Object} rates - Units per 1 USD keyed by currency code (default: the offline table)
+ * @returns {number|null} Amount rounded to the target currency, or null if either rate is unknown
+ */
+const convertAmount = (amount, from, to, rates = DEFAULT_EXCHANGE_RATES) => {
+    const source = normalizeCurrency(from);
+    const target = normalizeCurrency(to);
+    if (!source || !target) {
+        return null;
+    }
+    if (source === target) {
+        return amount;
+    }
+    if (!rates[source] || !rates[target]) {
+        return null;
+    }
+    return roundAmount(amount / rates[source] * rates[target], target);
+};
+
+/**
+ * Add up amounts in different currencies in one currency
+ * @param {Array} items - [{ amount, currency }]
+ * @param {string} to - Currency of the total
+ * @param {Object} rates - Units per 1 USD keyed by currency code
+ * @returns {Object} { total, currency, unconverted: currencies without a rate (left out of the total) }
+ */
+const sumInCurrency = (items, to, rates = DEFAULT_EXCHANGE_RATES) => {
+    const currency = normalizeCurrency(to) || DEFAULT_CURRENCY;
+    const unconverted = new Set();
+    let total = 0;
+
+    items.forEach(({ amount, currency: itemCurrency }) => {
+        if (typeof amount !== 'number' || !amount) {
+            return;
+        }
+        const converted = convertAmount(amount, itemCurrency || currency, currency, rates);
+        if (converted === null) {
+            unconverted.add(normalizeCurrency(itemCurrency) || String(itemCurrency));
+            return;
+        }
+        total += converted;
+    });
+
+    return { total: roundAmount(total, currency), currency, unconverted: [...unconverted] };
+};
+
+/**
+ * Currency of a trip's budget
+ * @param {Object} trip - Trip document or plain object
+ * @returns {string} Currency code
+ */
+const getTripCurrency = (trip) => normalizeCurrency(trip && trip.budget && trip.budget.currency) || DEFAULT_CURRENCY;
+
+/**
+ * Currency an activity's cost is in; activities saved without one are in the trip currency
+ * @param {Object} activity - Activity
+ * @param {string} tripCurrency - Trip budget currency
+ * @returns {string} Currency code
+ */
+const getActivityCurrency = (activity, tripCurrency) => normalizeCurrency(activity && activity.currency) || tripCurrency;
+
+/**
+ * Give activities without a currency an explicit one, so their costs keep their meaning
+ * if the trip currency changes later (used for generated itineraries)
+ * @param {Array} days - Itinerary days (plain objects)
+ * @param {string} currency - Currency the costs were produced in
+ * @returns {Array} Days with every activity's currency set
+ */
+const assignActivityCurrency = (days, currency) => days.map(day => ({
+    ...day,
+    activities: (day.activities || []).map(activity => ({
+        ...activity,
+        currency: normalizeCurrency(activity.currency) || currency
+    }))
+}));
+
+/**
+ * Total planned activity cost of a trip, in the trip currency
+ * @param {Object} trip - Trip document or plain object
+ * @param {Object} rates - Units per 1 USD keyed by currency code
+ * @returns {Object} { total, currency, unconverted }
+ */
+const sumActivityCosts = (trip, rates = DEFAULT_EXCHANGE_RATES) => {
+    const tripCurrency = getTripCurrency(trip);
+    const days = (trip && trip.itinerary && trip.itinerary.days) || [];
+    const items = [];
+
+    days.forEach(day => {
+        (day.activities || []).forEach(activity => {
+            items.push({ amount: activity.cost, currency: getActivityCurrency(activity, tripCurrency) });
+        });
+    });
+
+    return sumInCurrency(items, tripCurrency, rates);
+};
+
+module.exports = {
+    DEFAULT_EXCHANGE_RATES,
+    DEFAULT_CURRENCY,
+    normalizeCurrency,
+    roundAmount,
+    convertAmount,
+    sumInCurrency,
+    getTripCurrency,
+    getActivityCurrency,
+    assignActivityCurrency,
+    sumActivityCosts
+};
@@ -0,0 +1,117 @@
+const catalogs = {
+    en: require('../locales/en'),
+    vi: require('../locales/vi')
+};
+
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+// Locale of requests without an explicit locale, profile language or usable Accept-Language
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'vi';
+
+// Language names users type into their profile, in either language
+const LANGUAGE_ALIASES = {
+    english: 'en',
+    'tiếng anh': 'en',
+    'tieng anh': 'en',
+    vietnamese: 'vi',
+    'tiếng việt': 'vi',
+    'tieng viet': 'vi'
+};
+
+// Language names used in prompt instructions
+const LANGUAGE_NAMES = {
+    en: 'English',
+    vi: 'Vietnamese'
+};
+
+// Supported locale of a language tag ("vi-VN"), code ("en") or language name ("Vietnamese"); null otherwise
+const normalizeLocale = (value) => {
+    if (!value || typeof value !== 'string') {
+        return null;
+    }
+    const text = value.trim().toLowerCase();
+    if (LANGUAGE_ALIASES[text]) {
+        return LANGUAGE_ALIASES[text];
+    }
+    const language = text.split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : null;
+};
+
+// Language tags of an Accept-Language header, most preferred first
+const parseAcceptLanguage = (header) => {
+    if (!header) {
+        return [];
+    }
+    return String(header)
+        .split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            return { tag: tag.trim(), quality: quality ? parseFloat(quality.slice(2)) : 1, index };
+        })
+        .filter(entry => entry.tag && entry.tag !== '*' && entry.quality > 0)
+        .sort((a, b) => b.quality - a.quality || a.index - b.index)
+        .map(entry => entry.tag);
+};
+
+/**
+ * Locale of a request: the explicitly requested locale, then the first supported profile language,
+ * then the Accept-Language header, then DEFAULT_LOCALE
+ * @param {Object} sources - { requested, profileLanguages, acceptLanguage }
+ * @returns {string} Supported locale
+ */
+const resolveLocale = ({ requested, profileLanguages = [], acceptLanguage } = {}) => {
+    const candidates = [requested, ...profileLanguages, ...parseAcceptLanguage(acceptLanguage)];
+    for (const candidate of candidates) {
+        const locale = normalizeLocale(candidate);
+        if (locale) {
+            return locale;
+        }
+    }
+    return DEFAULT_LOCALE;
+};
+
+const lookup = (catalog, key) => key.split('.').reduce(
+    (node, part) => (node && node[part] !== undefined ? node[part] : undefined),
+    catalog
+);
+
+/**
+ * Catalog message of a key, with {{name}} placeholders filled from params.
+ * Missing messages fall back to DEFAULT_LOCALE, then English, then the key itself.
+ * @param {string} locale - Locale (unsupported locales use DEFAULT_LOCALE)
+ * @param {string} key - Dotted catalog key, e.g. 'chat.tripUpdated'
+ * @param {Object} params - Placeholder values
+ * @returns {*} Message (non-string entries such as tip lists are returned as they are)
+ */
+const t = (locale, key, params = {}) => {
+    const message = [normalizeLocale(locale), DEFAULT_LOCALE, 'en']
+        .map(code => (code ? lookup(catalogs[code], key) : undefined))
+        .find(value => value !== undefined);
+
+    if (message === undefined) {
+        return key;
+    }
+    if (typeof message !== 'string') {
+        return message;
+    }
+    return message.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+        (params[name] === undefined || params[name] === null ? '' : String(params[name])));
+};
+
+// English name of a locale's language, for telling the model which language to write in
+const getLanguageName = (locale) => LANGUAGE_NAMES[normalizeLocale(locale) || DEFAULT_LOCALE];
+
+// Date in the locale's short format
+const formatDate = (locale, date) => new Date(date).toLocaleDateString(t(locale, 'dateLocale'));
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    normalizeLocale,
+    parseAcceptLanguage,
+    resolveLocale,
+    t,
+    getLanguageName,
+    formatDate
+};
@@ -0,0 +1,126 @@
+// Keep proxies and mobile networks from dropping an idle stream
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Create a Server-Sent Events stream on an Express response.
+ * Headers are written with the first event, so errors raised before it can
+ * still be answered with a regular JSON error response.
+ * @param {Object} res - Express response object
+ * @returns {Object} Stream with send(event, data), end(), isStarted(), isClosed() and an AbortSignal
+ *   that fires when the client disconnects
+ */
+const createEventStream = (res) => {
+    const abortController = new AbortController();
+    let started = false;
+    let closed = false;
+    let heartbeat = null;
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (!res.writableEnded) {
+            closed = true;
+            abortController.abort();
+        }
+    });
+
+    const start = () => {
+        started = true;
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+        heartbeat.unref();
+    };
+
+    const send = (event, data) => {
+        if (closed) {
+            return;
+        }
+        if (!started) {
+            start();
+        }
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const end = () => {
+        clearInterval(heartbeat);
+        if (!closed) {
+            closed = true;
+            res.end();
+        }
+    };
+
+    return {
+        send,
+        end,
+        signal: abortController.signal,
+        isStarted: () => started,
+        isClosed: () => closed
+    };
+};
+
+/**
+ * Read a Server-Sent Events body (e.g. a streaming AI provider response)
+ * and call onData with the payload of every "data:" field.
+ * Comment lines (": ...") and other fields are ignored.
+ * @param {Stream} stream - Readable response stream
+ * @param {Function} onData - Called with the data string of each event
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+const readEventStream = (stream, onData) => new Promise((resolve, reject) => {
+    let buffer = '';
+    let dataLines = [];
+
+    const dispatch = () => {
+        if (dataLines.length > 0) {
+            const data = dataLines.join('\n');
+            dataLines = [];
+            onData(data);
+        }
+    };
+
+    stream.setEncoding('utf8');
+    stream.on('data', (text) => {
+        buffer += text;
+        let newline;
+        try {
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newline).replace(/\r$/, '');
+                buffer = buffer.slice(newline + 1);
+
+                if (line === '') {
+                    dispatch();
+                } else if (line.startsWith('data:')) {
+                    dataLines.push(line.slice(5).replace(/^ /, ''));
+                }
+            }
+        } catch (error) {
+            stream.destroy();
+            reject(error);
+        }
+    });
+    stream.on('end', () => {
+        try {
+            if (buffer.startsWith('data:')) {
+                dataLines.push(buffer.slice(5).replace(/^ /, ''));
+            }
+            dispatch();
+            resolve();
+        } catch (error) {
+            reject(error);
+        }
+    });
+    stream.on('error', reject);
+    // Destroyed without an error (e.g. the request was aborted); no-op if already settled
+    stream.on('close', () => reject(new Error('STREAM_CLOSED')));
+});
+
+module.exports = {
+    createEventStream,
+    readEventStream
+};
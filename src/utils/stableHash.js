@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+// JSON with sorted object keys (undefined values dropped), so equivalent objects serialize the same
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+// Hex SHA-256 of the stable serialization, truncated to length characters
+const stableHash = (value, length = 64) =>
+    crypto.createHash('sha256').update(stableStringify(value)).digest('hex').slice(0, length);
+
+module.exports = {
+    stableStringify,
+    stableHash
+};
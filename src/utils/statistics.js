@@ -0,0 +1,59 @@
+// Standard normal cumulative distribution (Abramowitz-Stegun 7.1.26, error below 1.5e-7)
+const normalCdf = (z) => {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Two-sided p-value of a z statistic
+const twoSidedPValue = (zScore) => 2 * (1 - normalCdf(Math.abs(zScore)));
+
+/**
+ * Two-proportion z-test of rate B against rate A
+ * @param {Object} a - { successes, total }
+ * @param {Object} b - { successes, total }
+ * @returns {Object|null} { difference (B - A), zScore, pValue }; null without data on either side
+ */
+const twoProportionTest = (a, b) => {
+    if (!a.total || !b.total) {
+        return null;
+    }
+    const rateA = a.successes / a.total;
+    const rateB = b.successes / b.total;
+    const pooled = (a.successes + b.successes) / (a.total + b.total);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / a.total + 1 / b.total));
+
+    // Both rates are 0% or 100%: no variation to test
+    if (standardError === 0) {
+        return { difference: rateB - rateA, zScore: 0, pValue: 1 };
+    }
+    const zScore = (rateB - rateA) / standardError;
+    return { difference: rateB - rateA, zScore, pValue: twoSidedPValue(zScore) };
+};
+
+/**
+ * Welch z-test of mean B against mean A (normal approximation, for samples of a few dozen or more)
+ * @param {Object} a - { mean, stdDev, count }
+ * @param {Object} b - { mean, stdDev, count }
+ * @returns {Object|null} { difference (B - A), zScore, pValue }; null with fewer than 2 values on either side
+ */
+const meanDifferenceTest = (a, b) => {
+    if (!(a.count >= 2) || !(b.count >= 2)) {
+        return null;
+    }
+    const standardError = Math.sqrt((a.stdDev ** 2) / a.count + (b.stdDev ** 2) / b.count);
+    const difference = b.mean - a.mean;
+
+    if (standardError === 0) {
+        return { difference, zScore: 0, pValue: difference === 0 ? 1 : 0 };
+    }
+    const zScore = difference / standardError;
+    return { difference, zScore, pValue: twoSidedPValue(zScore) };
+};
+
+module.exports = {
+    normalCdf,
+    twoProportionTest,
+    meanDifferenceTest
+};
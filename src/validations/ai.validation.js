@@ -1,4 +1,5 @@
 const { body, param, query } = require('express-validator');
+const { SUPPORTED_LOCALES } = require('../utils/i18n');
 
 
 
@@ -20,6 +21,16 @@ const chatWithAIValidation = [
     .isMongoId()
     .withMessage('Trip ID must be a valid MongoDB ObjectId'),
 
+  body('context.conversationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Conversation ID must be a valid MongoDB ObjectId'),
+
+  body('context.extractionMode')
+    .optional()
+    .isIn(['auto', 'confirm'])
+    .withMessage('Extraction mode must be either "auto" or "confirm"'),
+
   body('context.intent')
     .optional()
     .isIn(['create_trip', 'modify_trip', 'ask_info', 'other'])
@@ -212,6 +223,125 @@ const suggestActivitiesValidation = [
     })
 ];
 
+// Itinerary job ID validation
+const itineraryJobIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Job ID must be a valid MongoDB ObjectId')
+];
+
+// Conversation ID validation
+const conversationIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Conversation ID must be a valid MongoDB ObjectId')
+];
+
+// List conversations validation
+const listConversationsValidation = [
+  query('tripId')
+    .optional()
+    .isMongoId()
+    .withMessage('Trip ID must be a valid MongoDB ObjectId'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be an integer between 1 and 100'),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer')
+];
+
+// Continue conversation validation
+const continueConversationValidation = [
+  ...conversationIdValidation,
+
+  body('message')
+    .notEmpty()
+    .withMessage('Message is required')
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message must be between 1 and 2000 characters'),
+
+  body('model')
+    .optional()
+    .isIn(['flash', 'pro'])
+    .withMessage('Model must be either "flash" or "pro"')
+];
+
+// Rename conversation validation
+const renameConversationValidation = [
+  ...conversationIdValidation,
+
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Title is required')
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters')
+];
+
+// Update trip info from chat validation
+const updateTripInfoValidation = [
+  param('tripId')
+    .isMongoId()
+    .withMessage('Trip ID must be a valid MongoDB ObjectId'),
+
+  body('message')
+    .trim()
+    .notEmpty()
+    .withMessage('Message is required')
+    .isLength({ max: 2000 })
+    .withMessage('Message cannot exceed 2000 characters'),
+
+  body('mode')
+    .optional()
+    .isIn(['auto', 'confirm'])
+    .withMessage('Mode must be either "auto" or "confirm"')
+];
+
+// List trip info proposals validation
+const tripInfoProposalsValidation = [
+  param('tripId')
+    .isMongoId()
+    .withMessage('Trip ID must be a valid MongoDB ObjectId')
+];
+
+// Trip info proposal ID validation
+const tripInfoProposalIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Proposal ID must be a valid MongoDB ObjectId')
+];
+
+// Confirm trip info proposal validation
+const confirmTripInfoProposalValidation = [
+  ...tripInfoProposalIdValidation,
+
+  body('fields')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Fields must be a non-empty array of trip field paths'),
+
+  body('fields.*')
+    .isString()
+    .withMessage('Each field must be a trip field path such as "destination.startDate"')
+];
+
+// Trip tips validation
+const tripTipsValidation = [
+  param('tripId')
+    .isMongoId()
+    .withMessage('Trip ID must be a valid MongoDB ObjectId'),
+
+  query('locale')
+    .optional()
+    .isIn(SUPPORTED_LOCALES)
+    .withMessage(`Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`)
+];
+
 // Get interaction stats validation
 const getInteractionStatsValidation = [
   query('timeframe')
@@ -226,5 +356,15 @@ module.exports = {
   optimizeScheduleValidation,
   validateConstraintsValidation,
   suggestActivitiesValidation,
-  getInteractionStatsValidation
+  getInteractionStatsValidation,
+  itineraryJobIdValidation,
+  conversationIdValidation,
+  listConversationsValidation,
+  continueConversationValidation,
+  renameConversationValidation,
+  updateTripInfoValidation,
+  tripInfoProposalsValidation,
+  tripInfoProposalIdValidation,
+  confirmTripInfoProposalValidation,
+  tripTipsValidation
 };
\ No newline at end of file
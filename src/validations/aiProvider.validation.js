@@ -2,13 +2,13 @@ const Joi = require('joi');
 
 const switchProvider = {
   body: Joi.object().keys({
-    provider: Joi.string().valid('gemini', 'openrouter').required()
+    provider: Joi.string().valid('gemini', 'openrouter', 'local').required()
   })
 };
 
 const testProvider = {
   body: Joi.object().keys({
-    provider: Joi.string().valid('gemini', 'openrouter').optional(),
+    provider: Joi.string().valid('gemini', 'openrouter', 'local').optional(),
     model: Joi.string().optional().default('flash')
   })
 };
@@ -0,0 +1,34 @@
+const Joi = require('joi');
+
+const objectId = Joi.string().hex().length(24);
+
+const getUsage = {
+  query: Joi.object().keys({
+    groupBy: Joi.string().valid('user', 'trip', 'endpoint', 'provider', 'day').default('day'),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    userId: objectId.optional(),
+    tripId: objectId.optional(),
+    endpoint: Joi.string().optional(),
+    provider: Joi.string().valid('gemini', 'openrouter', 'local', 'replay').optional()
+  })
+};
+
+const userBudget = {
+  params: Joi.object().keys({
+    userId: objectId.required()
+  })
+};
+
+const setUserBudget = {
+  params: userBudget.params,
+  body: Joi.object().keys({
+    monthlyTokens: Joi.number().integer().min(0).required()
+  })
+};
+
+module.exports = {
+  getUsage,
+  userBudget,
+  setUserBudget
+};
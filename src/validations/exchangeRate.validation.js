@@ -0,0 +1,22 @@
+const Joi = require('joi');
+
+// ISO 4217 code; lower-case input is accepted and upper-cased
+const currency = Joi.string().trim().uppercase().pattern(/^[A-Z]{3}$/, 'ISO 4217 currency code');
+
+const rateCurrency = {
+  params: Joi.object().keys({
+    currency: currency.required()
+  })
+};
+
+const setRate = {
+  params: rateCurrency.params,
+  body: Joi.object().keys({
+    perUSD: Joi.number().positive().required()
+  })
+};
+
+module.exports = {
+  rateCurrency,
+  setRate
+};
@@ -4,6 +4,10 @@ const tripValidation = require('./trip.validation');
 const aiValidation = require('./ai.validation');
 const searchValidation = require('./search.validation');
 const aiProviderValidation = require('./aiProvider.validation');
+const aiUsageValidation = require('./aiUsage.validation');
+const promptTemplateValidation = require('./promptTemplate.validation');
+const promptExperimentValidation = require('./promptExperiment.validation');
+const exchangeRateValidation = require('./exchangeRate.validation');
 
 module.exports = {
   authValidation,
@@ -11,5 +15,9 @@ module.exports = {
   tripValidation,
   aiValidation,
   searchValidation,
-  aiProviderValidation
+  aiProviderValidation,
+  aiUsageValidation,
+  promptTemplateValidation,
+  promptExperimentValidation,
+  exchangeRateValidation
 };
@@ -0,0 +1,42 @@
+const Joi = require('joi');
+
+const objectId = Joi.string().hex().length(24);
+
+const endpoint = Joi.string().valid('chat', 'extract-trip-info', 'generate-itinerary');
+
+const variant = Joi.object().keys({
+  name: Joi.string().trim().max(50).required(),
+  weight: Joi.number().integer().min(1).max(100).default(1),
+  templateVersion: Joi.number().integer().min(1).optional(),
+  templateLocale: Joi.string().lowercase().pattern(/^[a-z]{2}(-[a-z0-9]{2,4})?$/).default('en'),
+  model: Joi.string().valid('flash', 'pro').optional()
+});
+
+const listExperiments = {
+  query: Joi.object().keys({
+    status: Joi.string().valid('draft', 'running', 'stopped').optional(),
+    endpoint: endpoint.optional()
+  })
+};
+
+const createExperiment = {
+  body: Joi.object().keys({
+    name: Joi.string().trim().max(100).required(),
+    description: Joi.string().max(1000).optional(),
+    endpoint: endpoint.required(),
+    // The first variant is the control
+    variants: Joi.array().items(variant).min(2).max(5).unique('name').required()
+  })
+};
+
+const experimentId = {
+  params: Joi.object().keys({
+    id: objectId.required()
+  })
+};
+
+module.exports = {
+  listExperiments,
+  createExperiment,
+  experimentId
+};
@@ -0,0 +1,63 @@
+const Joi = require('joi');
+
+const objectId = Joi.string().hex().length(24);
+
+const templateKey = Joi.string().valid(
+  'itinerary',
+  'optimization',
+  'validation',
+  'chat',
+  'suggestions',
+  'tripInfoExtraction'
+);
+
+const locale = Joi.string().lowercase().pattern(/^[a-z]{2}(-[a-z0-9]{2,4})?$/);
+
+const getVersions = {
+  params: Joi.object().keys({
+    key: templateKey.required()
+  }),
+  query: Joi.object().keys({
+    locale: locale.optional()
+  })
+};
+
+const createVersion = {
+  params: getVersions.params,
+  body: Joi.object().keys({
+    locale: locale.default('en'),
+    sections: Joi.object().pattern(Joi.string(), Joi.string().max(20000)).required(),
+    description: Joi.string().max(500).optional(),
+    changeNote: Joi.string().max(500).optional(),
+    activate: Joi.boolean().default(true)
+  })
+};
+
+const templateVersion = {
+  params: Joi.object().keys({
+    key: templateKey.required(),
+    version: Joi.number().integer().min(1).required()
+  }),
+  query: Joi.object().keys({
+    locale: locale.default('en')
+  })
+};
+
+const previewTemplate = {
+  params: getVersions.params,
+  body: Joi.object().keys({
+    tripId: objectId.required(),
+    locale: locale.optional(),
+    version: Joi.number().integer().min(1).optional(),
+    sections: Joi.object().pattern(Joi.string(), Joi.string().max(20000)).optional(),
+    message: Joi.string().max(1000).optional(),
+    focus: Joi.string().max(200).optional()
+  }).oxor('version', 'sections')
+};
+
+module.exports = {
+  getVersions,
+  createVersion,
+  templateVersion,
+  previewTemplate
+};
@@ -1,4 +1,4 @@
-const { body, param, query } = require('express-validator');
+const { body, param, query, header } = require('express-validator');
 
 // Helper regex for time format validation (HH:MM)
 const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
@@ -249,6 +249,13 @@ const tripIdValidation = [
     .isMongoId().withMessage('Trip ID must be a valid MongoDB ObjectId')
 ];
 
+// If-Match header validation for mutating trip routes (ETag returned by GET /trips/:id)
+const ifMatchValidation = [
+  header('if-match')
+    .optional()
+    .matches(/^(\*|(W\/)?"\d+")$/).withMessage('If-Match must be a trip ETag such as "3"')
+];
+
 // Generate draft schedule validation
 const generateDraftScheduleValidation = [
   ...tripIdValidation,
@@ -288,6 +295,68 @@ const exportTripValidation = [
     .isLength({ max: 50 }).withMessage('Timezone must not exceed 50 characters')
 ];
 
+// Import trip validation
+const importTripValidation = [
+  body('format')
+    .notEmpty().withMessage('Import format is required')
+    .isIn(['json', 'ics'])
+    .withMessage('Format must be one of: json, ics'),
+  
+  body('data')
+    .notEmpty().withMessage('Import data is required')
+    .custom((value, { req }) => {
+      if (req.body.format === 'ics' && typeof value !== 'string') {
+        throw new Error('ICS import data must be the calendar file content as a string');
+      }
+      if (req.body.format === 'json' && (typeof value !== 'object' || Array.isArray(value))) {
+        throw new Error('JSON import data must be an exported trip object');
+      }
+      return true;
+    }),
+  
+  body('startDate')
+    .optional()
+    .isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+  
+  body('timezone')
+    .optional()
+    .isLength({ max: 50 }).withMessage('Timezone must not exceed 50 characters'),
+  
+  body('trip.name')
+    .optional()
+    .isLength({ min: 1, max: 100 }).withMessage('Trip name must be between 1 and 100 characters')
+    .trim(),
+  
+  body('trip.destination.origin')
+    .if(body('format').equals('ics'))
+    .notEmpty().withMessage('Origin is required when importing a calendar')
+    .isLength({ max: 100 }).withMessage('Origin must not exceed 100 characters')
+    .trim(),
+  
+  body('trip.destination.destination')
+    .if(body('format').equals('ics'))
+    .notEmpty().withMessage('Destination is required when importing a calendar')
+    .isLength({ max: 100 }).withMessage('Destination must not exceed 100 characters')
+    .trim(),
+  
+  body('trip.travelers.adults')
+    .optional()
+    .isInt({ min: 1, max: 20 }).withMessage('Adults count must be between 1 and 20')
+];
+
+// Clone trip validation
+const cloneTripValidation = [
+  ...tripIdValidation,
+  body('startDate')
+    .optional()
+    .isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+  
+  body('name')
+    .optional()
+    .isLength({ min: 1, max: 100 }).withMessage('Trip name must be between 1 and 100 characters')
+    .trim()
+];
+
 // Activity validation for adding/updating activities
 const activityValidation = [
   ...tripIdValidation,
@@ -333,7 +402,12 @@ const activityValidation = [
   
   body('cost')
     .optional()
-    .isFloat({ min: 0, max: 100000 }).withMessage('Cost must be between 0 and 100,000'),
+    .isFloat({ min: 0, max: 50000000 }).withMessage('Cost must be between 0 and 50,000,000'),
+  
+  body('currency')
+    .optional()
+    .toUpperCase()
+    .matches(currencyRegex).withMessage('Currency must be a valid 3-letter ISO 4217 currency code'),
   
   body('category')
     .notEmpty().withMessage('Activity category is required')
@@ -366,6 +440,211 @@ const deleteActivityValidation = [
     .isMongoId().withMessage('Activity ID must be a valid MongoDB ObjectId')
 ];
 
+// Batch activity operations validation (activity content is checked by the schema on save)
+const batchActivitiesValidation = [
+  ...tripIdValidation,
+  body('operations')
+    .isArray({ min: 1, max: 100 }).withMessage('Operations must be an array of 1 to 100 items'),
+  
+  body('operations.*.type')
+    .isIn(['add', 'update', 'delete', 'move', 'reorder', 'swapDays'])
+    .withMessage('Operation type must be one of: add, update, delete, move, reorder, swapDays'),
+  
+  body('operations.*.dayId')
+    .optional()
+    .isMongoId().withMessage('Day ID must be a valid MongoDB ObjectId'),
+  
+  body('operations.*.otherDayId')
+    .optional()
+    .isMongoId().withMessage('Other day ID must be a valid MongoDB ObjectId'),
+  
+  body('operations.*.toDayId')
+    .optional()
+    .isMongoId().withMessage('Target day ID must be a valid MongoDB ObjectId'),
+  
+  body('operations.*.activityId')
+    .optional()
+    .isMongoId().withMessage('Activity ID must be a valid MongoDB ObjectId'),
+  
+  body('operations.*.activityIds')
+    .optional()
+    .isArray().withMessage('Activity IDs must be an array'),
+  
+  body('operations.*.activityIds.*')
+    .isMongoId().withMessage('Activity IDs must be valid MongoDB ObjectIds'),
+  
+  body('operations.*.position')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Position must be a non-negative integer')
+    .toInt(),
+  
+  body('operations.*.activity')
+    .optional()
+    .isObject().withMessage('Activity must be an object'),
+  
+  body('operations.*.data')
+    .optional()
+    .isObject().withMessage('Update data must be an object')
+];
+
+// Invite trip member validation
+const inviteMemberValidation = [
+  ...tripIdValidation,
+  body('email')
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Email must be valid')
+    .normalizeEmail(),
+  
+  body('role')
+    .optional()
+    .isIn(['owner', 'editor', 'viewer'])
+    .withMessage('Role must be one of: owner, editor, viewer')
+];
+
+// Trip member ID parameter validation
+const memberIdValidation = [
+  ...tripIdValidation,
+  param('userId')
+    .notEmpty().withMessage('Member user ID is required')
+    .isMongoId().withMessage('Member user ID must be a valid MongoDB ObjectId')
+];
+
+// Expense ID parameter validation
+const expenseIdValidation = [
+  ...tripIdValidation,
+  param('expenseId')
+    .notEmpty().withMessage('Expense ID is required')
+    .isMongoId().withMessage('Expense ID must be a valid MongoDB ObjectId')
+];
+
+// Expense fields (required ones are checked by addExpenseValidation)
+const expenseFieldsValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0, max: 50000000 }).withMessage('Amount must be between 0 and 50,000,000'),
+  
+  body('currency')
+    .optional()
+    .toUpperCase()
+    .matches(currencyRegex).withMessage('Currency must be a valid 3-letter ISO 4217 currency code'),
+  
+  body('category')
+    .optional()
+    .isIn(['accommodation', 'transportation', 'food', 'activities', 'shopping', 'other'])
+    .withMessage('Category must be one of: accommodation, transportation, food, activities, shopping, other'),
+  
+  body('date')
+    .optional()
+    .isISO8601().withMessage('Date must be a valid ISO 8601 date'),
+  
+  body('activityId')
+    .optional()
+    .isMongoId().withMessage('Activity ID must be a valid MongoDB ObjectId'),
+  
+  body('paidBy')
+    .optional()
+    .isMongoId().withMessage('Payer must be a valid MongoDB ObjectId'),
+  
+  body('description')
+    .optional()
+    .isLength({ max: 200 }).withMessage('Description must not exceed 200 characters')
+    .trim()
+];
+
+// Add expense validation
+const addExpenseValidation = [
+  ...tripIdValidation,
+  body('amount')
+    .notEmpty().withMessage('Amount is required'),
+  
+  body('category')
+    .notEmpty().withMessage('Expense category is required'),
+  
+  ...expenseFieldsValidation
+];
+
+// Update expense validation
+const updateExpenseValidation = [
+  ...expenseIdValidation,
+  ...expenseFieldsValidation
+];
+
+// List expenses validation
+const listExpensesValidation = [
+  ...tripIdValidation,
+  query('category')
+    .optional()
+    .isIn(['accommodation', 'transportation', 'food', 'activities', 'shopping', 'other'])
+    .withMessage('Category must be one of: accommodation, transportation, food, activities, shopping, other'),
+  
+  query('date')
+    .optional()
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Date must be in YYYY-MM-DD format')
+];
+
+// Create share link validation
+const createShareLinkValidation = [
+  ...tripIdValidation,
+  body('expiresAt')
+    .optional()
+    .isISO8601().withMessage('Expiry must be a valid ISO 8601 date'),
+  
+  body('includeCosts')
+    .optional()
+    .isBoolean().withMessage('includeCosts must be a boolean'),
+  
+  body('includeNotes')
+    .optional()
+    .isBoolean().withMessage('includeNotes must be a boolean')
+];
+
+// Share link ID parameter validation
+const shareLinkIdValidation = [
+  ...tripIdValidation,
+  param('linkId')
+    .notEmpty().withMessage('Share link ID is required')
+    .isMongoId().withMessage('Share link ID must be a valid MongoDB ObjectId')
+];
+
+// Share token parameter validation
+const shareTokenValidation = [
+  param('token')
+    .notEmpty().withMessage('Share token is required')
+    .isHexadecimal().withMessage('Share token is invalid')
+    .isLength({ min: 48, max: 48 }).withMessage('Share token is invalid')
+];
+
+// List trip versions validation
+const listVersionsValidation = [
+  ...tripIdValidation,
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  
+  query('offset')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Offset must be a non-negative integer')
+];
+
+// Trip version number parameter validation
+const versionNumberValidation = [
+  ...tripIdValidation,
+  param('version')
+    .isInt({ min: 1 }).withMessage('Version must be a positive integer')
+];
+
+// Diff trip versions validation
+const diffVersionsValidation = [
+  ...tripIdValidation,
+  query('from')
+    .notEmpty().withMessage('Base version (from) is required')
+    .isInt({ min: 1 }).withMessage('Base version (from) must be a positive integer'),
+  
+  query('to')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Target version (to) must be a positive integer')
+];
+
 // Query parameters validation for getting trips
 const getTripsQueryValidation = [
   query('status')
@@ -399,8 +678,24 @@ module.exports = {
   generateDraftScheduleValidation,
   optimizeTripValidation,
   exportTripValidation,
+  importTripValidation,
+  cloneTripValidation,
   activityValidation,
   updateActivityValidation,
   deleteActivityValidation,
+  batchActivitiesValidation,
+  inviteMemberValidation,
+  memberIdValidation,
+  expenseIdValidation,
+  addExpenseValidation,
+  updateExpenseValidation,
+  listExpensesValidation,
+  createShareLinkValidation,
+  shareLinkIdValidation,
+  shareTokenValidation,
+  listVersionsValidation,
+  versionNumberValidation,
+  diffVersionsValidation,
+  ifMatchValidation,
   getTripsQueryValidation
 };
\ No newline at end of file